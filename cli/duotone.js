@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+// cli/duotone.js
+// Command-line version of the duotone filter: runs PNG/JPEG files through the same pipeline as the web page,
+// so looks can be scripted in build pipelines and checked against golden images.
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { TRANSPARENCY_MODES, computeBoundedSize, resizeImageToBounds, withTransparencyMode } from '../modules/image-core.js';
+import { createStep, normalizeRecipe, parseRecipe, runRecipe } from '../modules/pipeline.js';
+import '../modules/steps.js'; // Registers the built-in pipeline steps
+import { CONTRAST_CURVE } from '../modules/filters/tone.js';
+import { INTERPOLATION_SPACES } from '../modules/color.js';
+import { OUTPUT_DITHER_NOISES } from '../modules/filters/output-dither.js';
+import {
+    SEPARATION_FORMATS, buildSeparationFile, findColorMappingStep, getRecipeInks, separatePlates
+} from '../modules/separation.js';
+import { readImageFrames, writeImageFile } from './image-io.js';
+import { encodeAnimation, processFrames, resizeFrames } from '../modules/animation.js';
+import { encodePng } from './png.js';
+
+// --- Configuration (same as the web page) ---
+const MAX_LONGEST_EDGE_PX = 1000;
+const MIN_SHORTEST_EDGE_PX = 300;
+
+const DEFAULT_SETTINGS = {
+    out: '.',
+    dark: '#1b602f',
+    light: '#f784c5',
+    interpolation: 'srgb',
+    greyscale: true,
+    linearGreyscale: false,
+    levels: true,
+    clip: 0.5,
+    gamma: 1,
+    curve: CONTRAST_CURVE,
+    variants: ['normal', 'inverted'],
+    size: 'preview',
+    format: 'png',
+    quality: 0.92,
+    separations: null,
+    dpi: 300,
+    metadata: 'strip',
+    transparency: 'keep',
+    background: '#ffffff',
+    outputDither: 'none'
+};
+
+const VARIANTS = ['original', 'normal', 'inverted'];
+const SIZES = ['preview', 'original'];
+const METADATA_MODES = ['strip', 'keep'];
+const FILE_TYPES = { png: 'png', jpeg: 'jpg' }; // Output type -> file extension
+const HEX_COLOR_REGEX = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const USAGE = `Usage: duotone [options] <image...>
+
+Runs PNG, JPEG or GIF images through the duotone filter and writes <name>_<variant>.<ext> files.
+Animated GIFs are processed frame by frame and written as animated GIFs (<name>_<variant>.gif).
+
+Options:
+  -o, --out <dir>          Output directory (default: current directory)
+  -s, --settings <file>    JSON file with any of the options below, by long name
+                           (e.g. {"dark": "#10243e", "variants": ["normal"]}); flags override it
+  -r, --recipe <file>      Recipe exported from the web page; replaces the options below up to --no-curve
+      --dark <hex>         Shadows color (default: ${DEFAULT_SETTINGS.dark})
+      --light <hex>        Highlights color (default: ${DEFAULT_SETTINGS.light})
+      --interpolation <space>
+                           Color space to blend the two colors in: ${INTERPOLATION_SPACES.join(', ')}
+                           (default: ${DEFAULT_SETTINGS.interpolation})
+      --clip <percent>     Share of pixels the automatic levels clip to black and to white (default: ${DEFAULT_SETTINGS.clip})
+      --gamma <value>      Levels midtone gamma, above 1 brightens (default: ${DEFAULT_SETTINGS.gamma})
+      --curve <points>     Tone curve as x:y pairs from 0 to 1, e.g. 0:0,0.25:0.18,0.75:0.82,1:1
+                           (default: that gentle S-curve)
+      --no-greyscale       Skip the greyscale step
+      --linear-greyscale   Compute the greyscale luminance in linear light
+      --no-levels          Skip the levels step
+      --no-curve           Skip the tone curve
+      --variants <list>    Comma-separated outputs: original, normal, inverted (default: normal,inverted)
+      --size <size>        preview: resize like the web page (default); original: keep the input size
+      --format <type>      png or jpeg for still images (default: png)
+      --quality <0-1>      JPEG quality (default: ${DEFAULT_SETTINGS.quality})
+      --metadata <mode>    strip or keep the Exif metadata (camera, date, GPS, ...) of still images
+                           (default: ${DEFAULT_SETTINGS.metadata})
+      --transparency <mode>
+                           Transparent areas of the normal and inverted outputs: keep them, flatten them onto
+                           --background, or map them through the gradient (as its highlight end):
+                           ${TRANSPARENCY_MODES.join(', ')} (default: ${DEFAULT_SETTINGS.transparency})
+      --background <hex>   Background color for --transparency flatten (default: ${DEFAULT_SETTINGS.background})
+      --output-dither <noise>
+                           Dither the final rounding to 8 bits against banding: none, ${OUTPUT_DITHER_NOISES.join(', ')}
+                           (default: ${DEFAULT_SETTINGS.outputDither})
+      --separations <type> Also write spot-color plates, one per ink, as ${SEPARATION_FORMATS.join(', ')}
+                           (<name>_<variant>_separations.<ext>)
+      --dpi <value>        Print resolution of the separations PDF (default: ${DEFAULT_SETTINGS.dpi})
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+    out: { type: 'string', short: 'o' },
+    settings: { type: 'string', short: 's' },
+    recipe: { type: 'string', short: 'r' },
+    dark: { type: 'string' },
+    light: { type: 'string' },
+    interpolation: { type: 'string' },
+    clip: { type: 'string' },
+    gamma: { type: 'string' },
+    curve: { type: 'string' },
+    'no-greyscale': { type: 'boolean' },
+    'linear-greyscale': { type: 'boolean' },
+    'no-levels': { type: 'boolean' },
+    'no-curve': { type: 'boolean' },
+    variants: { type: 'string' },
+    size: { type: 'string' },
+    format: { type: 'string' },
+    quality: { type: 'string' },
+    separations: { type: 'string' },
+    dpi: { type: 'string' },
+    metadata: { type: 'string' },
+    transparency: { type: 'string' },
+    background: { type: 'string' },
+    'output-dither': { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Parses a tone curve given as comma-separated x:y pairs.
+ * @param {string} text - E.g. '0:0,0.5:0.6,1:1'.
+ * @returns {{x: number, y: number}[]} The points.
+ */
+function parseCurve(text) {
+    return text.split(',').map(pair => {
+        const [x, y] = pair.split(':').map(Number);
+        return { x, y };
+    });
+}
+
+/**
+ * Merges the defaults, the settings file and the command-line flags, and validates the result.
+ * @param {Object} flags - Parsed command-line options.
+ * @returns {Promise<Object>} The settings.
+ */
+async function loadSettings(flags) {
+    let settings = { ...DEFAULT_SETTINGS };
+
+    if (flags.settings) {
+        let fileSettings;
+        try {
+            fileSettings = JSON.parse(await readFile(flags.settings, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read settings file '${flags.settings}': ${error.message}`);
+        }
+        // Paths in a settings file are relative to the file itself
+        const settingsDir = path.dirname(flags.settings);
+        ['out', 'recipe'].forEach(key => {
+            if (typeof fileSettings[key] === 'string') {
+                fileSettings[key] = path.resolve(settingsDir, fileSettings[key]);
+            }
+        });
+        settings = { ...settings, ...fileSettings };
+    }
+
+    ['out', 'recipe', 'dark', 'light', 'interpolation', 'variants', 'size', 'format', 'separations', 'metadata', 'transparency', 'background'].forEach(key => {
+        if (flags[key] !== undefined) settings[key] = flags[key];
+    });
+    if (flags.clip !== undefined) settings.clip = Number(flags.clip);
+    if (flags.gamma !== undefined) settings.gamma = Number(flags.gamma);
+    if (flags.curve !== undefined) settings.curve = parseCurve(flags.curve);
+    if (flags.quality !== undefined) settings.quality = Number(flags.quality);
+    if (flags.dpi !== undefined) settings.dpi = Number(flags.dpi);
+    if (flags['no-greyscale']) settings.greyscale = false;
+    if (flags['linear-greyscale']) settings.linearGreyscale = true;
+    if (flags['no-levels']) settings.levels = false;
+    if (flags['no-curve']) settings.curve = false;
+    if (flags['output-dither'] !== undefined) settings.outputDither = flags['output-dither'];
+
+    if (typeof settings.variants === 'string') {
+        settings.variants = settings.variants.split(',').map(variant => variant.trim()).filter(Boolean);
+    }
+    if (settings.format === 'jpg') settings.format = 'jpeg';
+
+    if (!Array.isArray(settings.variants) || settings.variants.length === 0 || !settings.variants.every(variant => VARIANTS.includes(variant))) {
+        throw new Error(`Variants must be a list of: ${VARIANTS.join(', ')}.`);
+    }
+    if (!SIZES.includes(settings.size)) {
+        throw new Error(`Size must be one of: ${SIZES.join(', ')}.`);
+    }
+    if (!FILE_TYPES[settings.format]) {
+        throw new Error('Format must be png or jpeg.');
+    }
+    if (!Number.isFinite(settings.quality) || settings.quality < 0 || settings.quality > 1) {
+        throw new Error('Quality must be a number from 0 to 1.');
+    }
+    if (settings.separations && !SEPARATION_FORMATS.includes(settings.separations)) {
+        throw new Error(`Separations must be one of: ${SEPARATION_FORMATS.join(', ')}.`);
+    }
+    if (!Number.isFinite(settings.dpi) || settings.dpi <= 0) {
+        throw new Error('DPI must be a positive number.');
+    }
+    if (!METADATA_MODES.includes(settings.metadata)) {
+        throw new Error(`Metadata must be one of: ${METADATA_MODES.join(', ')}.`);
+    }
+    if (!TRANSPARENCY_MODES.includes(settings.transparency)) {
+        throw new Error(`Transparency must be one of: ${TRANSPARENCY_MODES.join(', ')}.`);
+    }
+    if (settings.outputDither !== 'none' && !OUTPUT_DITHER_NOISES.includes(settings.outputDither)) {
+        throw new Error(`Output dither must be one of: none, ${OUTPUT_DITHER_NOISES.join(', ')}.`);
+    }
+    if (!HEX_COLOR_REGEX.test(settings.background)) {
+        throw new Error(`The background color must be a hex color like #ffffff (got '${settings.background}').`);
+    }
+    if (!settings.recipe) {
+        ['dark', 'light'].forEach(key => {
+            if (!HEX_COLOR_REGEX.test(settings[key])) {
+                throw new Error(`The ${key} color must be a hex color like #1b602f (got '${settings[key]}').`);
+            }
+        });
+        if (!INTERPOLATION_SPACES.includes(settings.interpolation)) {
+            throw new Error(`Interpolation must be one of: ${INTERPOLATION_SPACES.join(', ')}.`);
+        }
+        if (!Number.isFinite(settings.clip) || settings.clip < 0 || settings.clip > 10) {
+            throw new Error('Clip must be a percentage from 0 to 10.');
+        }
+        if (!Number.isFinite(settings.gamma) || settings.gamma < 0.1 || settings.gamma > 10) {
+            throw new Error('Gamma must be a number from 0.1 to 10.');
+        }
+        if (settings.curve !== false && !(Array.isArray(settings.curve) && settings.curve.length >= 2
+            && settings.curve.every(point => point && Number.isFinite(point.x) && Number.isFinite(point.y)))) {
+            throw new Error('The curve needs at least two x:y points.');
+        }
+    }
+    return settings;
+}
+
+/**
+ * Builds the recipe to run: the given recipe (file path or inline object), or the classic duotone look.
+ * @param {Object} settings - The settings.
+ * @returns {Promise<Object>} The normalized recipe.
+ */
+async function loadRecipe(settings) {
+    if (typeof settings.recipe === 'string') {
+        let text;
+        try {
+            text = await readFile(settings.recipe, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read recipe file '${settings.recipe}': ${error.message}`);
+        }
+        return parseRecipe(text);
+    }
+    if (settings.recipe) {
+        return normalizeRecipe(settings.recipe);
+    }
+    return normalizeRecipe({
+        steps: [
+            { step: 'greyscale', enabled: settings.greyscale !== false, params: { linear: settings.linearGreyscale === true } },
+            { step: 'levels', enabled: settings.levels !== false, params: { clipBlack: settings.clip, clipWhite: settings.clip, gamma: settings.gamma } },
+            { step: 'curves', enabled: settings.curve !== false, params: { points: settings.curve || undefined } },
+            { step: 'duotone', params: { dark: settings.dark, light: settings.light, interpolation: settings.interpolation } }
+        ]
+    });
+}
+
+// Outputs are named after the input's base name, so two inputs with the same one would overwrite each other.
+function getOutputBaseName(file) {
+    return path.basename(file, path.extname(file));
+}
+
+/**
+ * Finds inputs whose outputs would overwrite each other (e.g. in.png and in.jpg, or a/x.jpg and b/x.jpg).
+ * Compared case-insensitively, as some file systems are.
+ * @param {string[]} files - Paths of the input images.
+ * @returns {string[][]} Groups of clashing inputs (empty if every output name is unique).
+ */
+function findOutputNameClashes(files) {
+    const groups = new Map();
+    files.forEach(file => {
+        const key = getOutputBaseName(file).toLowerCase();
+        groups.set(key, [...(groups.get(key) || []), file]);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+/**
+ * Writes the spot-color separations of one variant.
+ * @param {string} outputPath - Path of the file, without extension.
+ * @param {PixelBuffer} pixels - The input pixels, at output size.
+ * @param {PixelBuffer} composite - The processed variant.
+ * @param {Object} settings - The settings.
+ * @param {Object} recipe - The recipe.
+ * @param {Object} options - Run options (`variant`, `pixelScale`).
+ * @returns {Promise<string>} The path written.
+ */
+async function writeSeparations(outputPath, pixels, composite, settings, recipe, options) {
+    const index = findColorMappingStep(recipe);
+    const tones = runRecipe(pixels, recipe, { ...options, end: index });
+    const plates = separatePlates(tones, getRecipeInks(recipe, index, options.variant));
+    const { blob, extension } = await buildSeparationFile(settings.separations, {
+        composite,
+        plates,
+        encodePng: async (plate) => new Blob([encodePng(plate)], { type: 'image/png' }),
+        dpi: settings.dpi,
+        title: path.basename(outputPath)
+    });
+    const filePath = `${outputPath}.${extension}`;
+    await writeFile(filePath, new Uint8Array(await blob.arrayBuffer()));
+    return filePath;
+}
+
+/**
+ * Processes an animated GIF frame by frame and writes every requested variant as an animated GIF.
+ * @param {string} file - Path of the input image.
+ * @param {import('../modules/gif.js').Animation} animation - The decoded animation.
+ * @param {Object} settings - The settings.
+ * @param {Object} recipe - The recipe.
+ * @returns {Promise<void>} Resolves once all outputs are written.
+ */
+async function processAnimatedFile(file, animation, settings, recipe) {
+    const previewSize = computeBoundedSize(animation.width, animation.height, MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX);
+    const frames = settings.size === 'preview'
+        ? resizeFrames(animation.frames, previewSize.width, previewSize.height)
+        : animation.frames;
+    const pixelScale = frames[0].pixels.width / previewSize.width;
+    const baseName = getOutputBaseName(file);
+    if (settings.separations) {
+        console.warn(`${file}: separations are skipped for animations.`);
+    }
+
+    for (const variant of settings.variants) {
+        const result = variant === 'original' ? frames : await processFrames(frames, recipe, { variant, pixelScale });
+        const outputPath = path.join(settings.out, `${baseName}_${variant}.gif`);
+        await writeFile(outputPath, encodeAnimation(result, { recipe, variant, loopCount: animation.loopCount }));
+        console.log(`${file} -> ${outputPath} (${frames.length} frames)`);
+    }
+}
+
+/**
+ * Processes one image and writes all requested variants.
+ * @param {string} file - Path of the input image.
+ * @param {Object} settings - The settings.
+ * @param {Object} recipe - The recipe.
+ * @returns {Promise<void>} Resolves once all outputs are written.
+ */
+async function processFile(file, settings, recipe) {
+    const animation = await readImageFrames(file);
+    if (animation.frames.length > 1) {
+        return processAnimatedFile(file, animation, settings, recipe);
+    }
+    const source = animation.frames[0].pixels;
+    const pixels = settings.size === 'preview'
+        ? resizeImageToBounds(source, MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX)
+        : source;
+    // Pixel-sized step parameters are tuned on the preview size, so scale them with the output
+    const previewSize = computeBoundedSize(source.width, source.height, MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX);
+    const pixelScale = pixels.width / previewSize.width;
+    const baseName = getOutputBaseName(file);
+    const exif = settings.metadata === 'keep' ? animation.exif : null;
+
+    for (const variant of settings.variants) {
+        const result = variant === 'original' ? pixels : runRecipe(pixels, recipe, { variant, pixelScale });
+        const outputPath = path.join(settings.out, `${baseName}_${variant}.${FILE_TYPES[settings.format]}`);
+        await writeImageFile(outputPath, result, settings.format, settings.quality, exif);
+        console.log(`${file} -> ${outputPath}`);
+        if (settings.separations && variant !== 'original') {
+            const separationsPath = path.join(settings.out, `${baseName}_${variant}_separations`);
+            const written = await writeSeparations(separationsPath, pixels, result, settings, recipe, { variant, pixelScale });
+            console.log(`${file} -> ${written}`);
+        }
+    }
+}
+
+async function main(args) {
+    let flags;
+    let files;
+    try {
+        ({ values: flags, positionals: files } = parseArgs({ args, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (flags.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (files.length === 0) {
+        console.error(`No input images given.\n\n${USAGE}`);
+        return 2;
+    }
+    const clashes = findOutputNameClashes(files);
+    if (clashes.length > 0) {
+        const list = clashes.map(group => `  ${group.join(', ')}`).join('\n');
+        console.error(`Error: these inputs would write the same output files; rename them or run them separately:\n${list}`);
+        return 2;
+    }
+
+    let settings;
+    let recipe;
+    try {
+        settings = await loadSettings(flags);
+        recipe = withTransparencyMode(await loadRecipe(settings), { mode: settings.transparency, background: settings.background });
+        if (settings.outputDither !== 'none') {
+            recipe = { ...recipe, steps: [...recipe.steps, createStep('outputDither', { noise: settings.outputDither })] };
+        }
+        if (settings.separations) {
+            findColorMappingStep(recipe); // Fails early for recipes without inks
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 2;
+    }
+    await mkdir(settings.out, { recursive: true });
+
+    // A file that fails is reported and skipped; the exit code tells scripts that something went wrong.
+    let failures = 0;
+    for (const file of files) {
+        try {
+            await processFile(file, settings, recipe);
+        } catch (error) {
+            failures++;
+            console.error(`Error: ${file}: ${error.message}`);
+        }
+    }
+    return failures > 0 ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
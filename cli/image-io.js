@@ -0,0 +1,47 @@
+// cli/image-io.js
+// Reads and writes image files for the command-line tool, picking the codec from the file content or type.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { isPng, decodePng, encodePng } from './png.js';
+import { isJpeg, decodeJpeg, encodeJpeg } from './jpeg.js';
+import { isGif, decodeGif } from '../modules/gif.js';
+import { embedExif, getOrientationTransform, readExif } from '../modules/exif.js';
+import { applyGeometry, normalizeGeometry } from '../modules/geometry.js';
+
+/**
+ * Reads a PNG, JPEG or GIF file as an animation; stills (and still GIFs) have a single frame.
+ * Stills are turned upright according to their Exif orientation, like browsers show them.
+ * @param {string} path - Path of the file.
+ * @returns {Promise<import('../modules/gif.js').Animation & {exif: ?import('../modules/exif.js').ExifData}>}
+ *     The decoded frames, and the Exif metadata of stills that have it.
+ */
+export async function readImageFrames(path) {
+    const bytes = await readFile(path);
+    if (isGif(bytes)) return { ...decodeGif(bytes), exif: null };
+    let pixels;
+    if (isPng(bytes)) pixels = decodePng(bytes);
+    else if (isJpeg(bytes)) pixels = decodeJpeg(bytes);
+    else throw new Error('Unsupported file type (only PNG, JPEG and GIF can be read).');
+    const exif = readExif(bytes);
+    if (exif && exif.orientation !== 1) {
+        pixels = applyGeometry(pixels, normalizeGeometry(getOrientationTransform(exif.orientation)));
+    }
+    return { width: pixels.width, height: pixels.height, loopCount: null, frames: [{ pixels, delay: 0 }], exif };
+}
+
+/**
+ * Writes pixels as a PNG or JPEG file.
+ * @param {string} path - Path of the file.
+ * @param {import('../modules/utils.js').PixelBuffer} pixels - The pixels to write.
+ * @param {string} [fileType='png'] - 'png' or 'jpeg'.
+ * @param {number} [quality=0.92] - JPEG quality (0.0 - 1.0).
+ * @param {import('../modules/exif.js').ExifData} [exif] - Metadata of the source image to keep in the file.
+ * @returns {Promise<void>} Resolves once the file is written.
+ */
+export async function writeImageFile(path, pixels, fileType = 'png', quality = 0.92, exif = null) {
+    let bytes = fileType === 'jpeg' ? encodeJpeg(pixels, quality) : encodePng(pixels);
+    if (exif) {
+        bytes = embedExif(new Uint8Array(bytes), fileType, exif, pixels);
+    }
+    await writeFile(path, bytes);
+}
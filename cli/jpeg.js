@@ -0,0 +1,787 @@
+// cli/jpeg.js
+// JPEG reading (baseline and progressive, greyscale or color) and writing (baseline) for the command-line tool.
+
+import { clamp, createPixelBuffer } from '../modules/utils.js';
+
+// Natural (row by row) index of each coefficient in zig-zag order.
+const ZIGZAG = new Int32Array([
+    0, 1, 8, 16, 9, 2, 3, 10,
+    17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34,
+    27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36,
+    29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46,
+    53, 60, 61, 54, 47, 55, 62, 63
+]);
+
+// DCT_MATRIX[x * 8 + u] = C(u) / 2 * cos((2x + 1) * u * PI / 16): the 1-D DCT basis, used in both directions.
+const DCT_MATRIX = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+        DCT_MATRIX[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+    }
+}
+
+/**
+ * Tells whether the bytes start with a JPEG start-of-image marker.
+ * @param {Uint8Array} bytes - File content.
+ * @returns {boolean} True for JPEG files.
+ */
+export function isJpeg(bytes) {
+    return bytes[0] === 0xFF && bytes[1] === 0xD8;
+}
+
+// --- Decoding ---
+
+// Canonical Huffman decoding table from a DHT segment (code counts per length, symbols in code order).
+function buildHuffmanTable(counts, symbols) {
+    const maxCode = new Int32Array(17).fill(-1); // Largest code of each length (-1 if none)
+    const valueOffset = new Int32Array(17);      // symbols[valueOffset[length] + code] is the decoded symbol
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+        valueOffset[length] = index - code;
+        index += counts[length - 1];
+        code += counts[length - 1];
+        if (counts[length - 1] > 0) {
+            maxCode[length] = code - 1;
+        }
+        code <<= 1;
+    }
+    return { maxCode, valueOffset, symbols };
+}
+
+// Reads the entropy-coded data of a scan bit by bit, removing stuffed zero bytes.
+// At a marker it supplies zero bits without consuming the marker.
+function createBitReader(bytes, start) {
+    let position = start;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function readBit() {
+        if (bitCount === 0) {
+            bitBuffer = 0;
+            if (position < bytes.length) {
+                const byte = bytes[position];
+                if (byte !== 0xFF) {
+                    bitBuffer = byte;
+                    position++;
+                } else if (bytes[position + 1] === 0x00) {
+                    bitBuffer = 0xFF;
+                    position += 2;
+                }
+            }
+            bitCount = 8;
+        }
+        bitCount--;
+        return (bitBuffer >> bitCount) & 1;
+    }
+
+    function readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = (value << 1) | readBit();
+        }
+        return value;
+    }
+
+    return {
+        readBit,
+        readBits,
+        // Reads `count` bits holding a signed value (JPEG's "receive and extend").
+        receiveExtend(count) {
+            if (count === 0) return 0;
+            const value = readBits(count);
+            return value < (1 << (count - 1)) ? value - (1 << count) + 1 : value;
+        },
+        decodeHuffman(table) {
+            let code = readBit();
+            for (let length = 1; length <= 16; length++) {
+                if (code <= table.maxCode[length]) {
+                    return table.symbols[table.valueOffset[length] + code];
+                }
+                code = (code << 1) | readBit();
+            }
+            throw new Error('Corrupt JPEG data (invalid Huffman code).');
+        },
+        // Skips to just after the next restart marker (RST0-RST7), dropping any bits left in the current byte.
+        restart() {
+            bitCount = 0;
+            while (position + 1 < bytes.length && !(bytes[position] === 0xFF && bytes[position + 1] >= 0xD0 && bytes[position + 1] <= 0xD7)) {
+                position++;
+            }
+            position += 2;
+        },
+        get position() {
+            return position;
+        }
+    };
+}
+
+// Decodes the entropy-coded data of one scan into the components' coefficient arrays.
+// Returns the position after the scan data.
+function decodeScan(bytes, start, frame, components, restartInterval, spectralStart, spectralEnd, approximationHigh, approximationLow) {
+    const reader = createBitReader(bytes, start);
+    let endOfBandRun = 0; // Progressive AC scans: number of blocks left whose remaining coefficients are zero
+
+    function decodeBaseline(component, coefficients, offset) {
+        const size = reader.decodeHuffman(component.dcTable);
+        component.prediction += reader.receiveExtend(size);
+        coefficients[offset] = component.prediction;
+        for (let k = 1; k < 64;) {
+            const runSize = reader.decodeHuffman(component.acTable);
+            const size = runSize & 15;
+            const run = runSize >> 4;
+            if (size === 0) {
+                if (run < 15) break; // End of block
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(size);
+            k++;
+        }
+    }
+
+    function decodeDcFirst(component, coefficients, offset) {
+        const size = reader.decodeHuffman(component.dcTable);
+        component.prediction += reader.receiveExtend(size);
+        coefficients[offset] = component.prediction * (1 << approximationLow);
+    }
+
+    function decodeDcRefine(component, coefficients, offset) {
+        if (reader.readBit()) {
+            coefficients[offset] |= 1 << approximationLow;
+        }
+    }
+
+    function decodeAcFirst(component, coefficients, offset) {
+        if (endOfBandRun > 0) {
+            endOfBandRun--;
+            return;
+        }
+        for (let k = spectralStart; k <= spectralEnd;) {
+            const runSize = reader.decodeHuffman(component.acTable);
+            const size = runSize & 15;
+            const run = runSize >> 4;
+            if (size === 0) {
+                if (run < 15) {
+                    endOfBandRun = (1 << run) - 1 + reader.readBits(run);
+                    break;
+                }
+                k += 16;
+                continue;
+            }
+            k += run;
+            if (k > 63) break;
+            coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(size) * (1 << approximationLow);
+            k++;
+        }
+    }
+
+    // Adds one correction bit to an already non-zero coefficient.
+    function refineCoefficient(coefficients, index) {
+        const value = coefficients[index];
+        const bit = 1 << approximationLow;
+        if (reader.readBit() && (value & bit) === 0) {
+            coefficients[index] = value >= 0 ? value + bit : value - bit;
+        }
+    }
+
+    function decodeAcRefine(component, coefficients, offset) {
+        let k = spectralStart;
+        if (endOfBandRun === 0) {
+            for (; k <= spectralEnd; k++) {
+                const runSize = reader.decodeHuffman(component.acTable);
+                let run = runSize >> 4;
+                let newValue = 0;
+                if ((runSize & 15) !== 0) {
+                    newValue = reader.readBit() ? 1 << approximationLow : -1 << approximationLow;
+                } else if (run !== 15) {
+                    endOfBandRun = (1 << run) + reader.readBits(run);
+                    break;
+                }
+                // Skip `run` zero coefficients (refining the non-zero ones passed on the way)
+                for (; k <= spectralEnd; k++) {
+                    const index = offset + ZIGZAG[k];
+                    if (coefficients[index] !== 0) {
+                        refineCoefficient(coefficients, index);
+                    } else if (--run < 0) {
+                        break;
+                    }
+                }
+                if (newValue !== 0 && k <= spectralEnd) {
+                    coefficients[offset + ZIGZAG[k]] = newValue;
+                }
+            }
+        }
+        if (endOfBandRun > 0) {
+            for (; k <= spectralEnd; k++) {
+                const index = offset + ZIGZAG[k];
+                if (coefficients[index] !== 0) {
+                    refineCoefficient(coefficients, index);
+                }
+            }
+            endOfBandRun--;
+        }
+    }
+
+    let decodeBlock;
+    if (!frame.progressive) {
+        decodeBlock = decodeBaseline;
+    } else if (spectralStart === 0) {
+        decodeBlock = approximationHigh === 0 ? decodeDcFirst : decodeDcRefine;
+    } else {
+        decodeBlock = approximationHigh === 0 ? decodeAcFirst : decodeAcRefine;
+    }
+
+    function decodeBlockAt(component, blockRow, blockColumn) {
+        decodeBlock(component, component.coefficients, (blockRow * component.paddedBlocksPerLine + blockColumn) * 64);
+    }
+
+    // A scan with a single component is not interleaved: it covers just that component's blocks, one per MCU.
+    const single = components.length === 1 ? components[0] : null;
+    const mcuCount = single
+        ? single.blocksPerLine * single.blocksPerColumn
+        : frame.mcusPerLine * frame.mcusPerColumn;
+
+    components.forEach(component => { component.prediction = 0; });
+    for (let mcu = 0; mcu < mcuCount; mcu++) {
+        if (restartInterval > 0 && mcu > 0 && mcu % restartInterval === 0) {
+            reader.restart();
+            components.forEach(component => { component.prediction = 0; });
+            endOfBandRun = 0;
+        }
+        if (single) {
+            decodeBlockAt(single, Math.floor(mcu / single.blocksPerLine), mcu % single.blocksPerLine);
+        } else {
+            const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+            const mcuColumn = mcu % frame.mcusPerLine;
+            for (const component of components) {
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        decodeBlockAt(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+                    }
+                }
+            }
+        }
+    }
+    return reader.position;
+}
+
+// Dequantizes and inverse-transforms one block, writing 8x8 samples into `plane`.
+const idctWorkspace = new Float64Array(64);
+function inverseDctBlock(coefficients, offset, quantTable, plane, planeOffset, planeStride) {
+    const workspace = idctWorkspace;
+    // Rows (horizontal frequencies)
+    for (let v = 0; v < 8; v++) {
+        const row = offset + v * 8;
+        let hasAc = false;
+        for (let u = 1; u < 8 && !hasAc; u++) {
+            hasAc = coefficients[row + u] !== 0;
+        }
+        for (let x = 0; x < 8; x++) {
+            let sum = DCT_MATRIX[x * 8] * coefficients[row] * quantTable[v * 8];
+            if (hasAc) {
+                for (let u = 1; u < 8; u++) {
+                    sum += DCT_MATRIX[x * 8 + u] * coefficients[row + u] * quantTable[v * 8 + u];
+                }
+            }
+            workspace[v * 8 + x] = sum;
+        }
+    }
+    // Columns (vertical frequencies), then level shift back to 0-255
+    for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+            let sum = 0;
+            for (let v = 0; v < 8; v++) {
+                sum += DCT_MATRIX[y * 8 + v] * workspace[v * 8 + x];
+            }
+            plane[planeOffset + y * planeStride + x] = sum + 128;
+        }
+    }
+}
+
+/**
+ * Decodes a JPEG file (baseline or progressive Huffman-coded, 8-bit greyscale, YCbCr or RGB) to RGBA pixels.
+ * Subsampled chroma is upsampled by repeating samples.
+ * @param {Uint8Array} bytes - File content.
+ * @returns {import('../modules/utils.js').PixelBuffer} The decoded pixels.
+ */
+export function decodeJpeg(bytes) {
+    if (!isJpeg(bytes)) {
+        throw new Error('Not a JPEG file.');
+    }
+    const quantTables = [];
+    const huffmanTables = { 0: [], 1: [] }; // DC and AC tables by id
+    let frame = null;
+    let restartInterval = 0;
+    let adobeTransform = null; // From an Adobe APP14 segment: 0 = RGB, 1 = YCbCr
+    let hasJfif = false;
+
+    let position = 2;
+    while (position < bytes.length) {
+        // Skip fill bytes and anything between segments (e.g. after scan data)
+        if (bytes[position] !== 0xFF || bytes[position + 1] === 0xFF || bytes[position + 1] === 0x00
+            || (bytes[position + 1] >= 0xD0 && bytes[position + 1] <= 0xD7)) {
+            position++;
+            continue;
+        }
+        const marker = bytes[position + 1];
+        position += 2;
+        if (marker === 0xD9) break; // End of image
+
+        const length = (bytes[position] << 8) | bytes[position + 1];
+        const segment = bytes.subarray(position + 2, position + length);
+        let next = position + length;
+
+        switch (marker) {
+            case 0xDB: // Quantization tables
+                for (let i = 0; i < segment.length;) {
+                    const sixteenBit = segment[i] >> 4;
+                    const table = new Uint16Array(64);
+                    for (let k = 0; k < 64; k++) {
+                        table[ZIGZAG[k]] = sixteenBit
+                            ? (segment[i + 1 + k * 2] << 8) | segment[i + 2 + k * 2]
+                            : segment[i + 1 + k];
+                    }
+                    quantTables[segment[i] & 15] = table;
+                    i += 1 + 64 * (sixteenBit + 1);
+                }
+                break;
+            case 0xC4: // Huffman tables
+                for (let i = 0; i < segment.length;) {
+                    const counts = segment.subarray(i + 1, i + 17);
+                    const total = counts.reduce((sum, count) => sum + count, 0);
+                    huffmanTables[segment[i] >> 4][segment[i] & 15] = buildHuffmanTable(counts, segment.slice(i + 17, i + 17 + total));
+                    i += 17 + total;
+                }
+                break;
+            case 0xC0: // Baseline
+            case 0xC1: // Extended sequential (Huffman)
+            case 0xC2: { // Progressive (Huffman)
+                if (segment[0] !== 8) {
+                    throw new Error(`${segment[0]}-bit JPEGs are not supported.`);
+                }
+                const height = (segment[1] << 8) | segment[2];
+                const width = (segment[3] << 8) | segment[4];
+                const componentCount = segment[5];
+                if (width === 0 || height === 0) {
+                    throw new Error('The JPEG file has no valid image size.');
+                }
+                if (componentCount !== 1 && componentCount !== 3) {
+                    throw new Error(`JPEGs with ${componentCount} color components (e.g. CMYK) are not supported.`);
+                }
+                const components = [];
+                for (let c = 0; c < componentCount; c++) {
+                    components.push({
+                        id: segment[6 + c * 3],
+                        h: segment[7 + c * 3] >> 4,
+                        v: segment[7 + c * 3] & 15,
+                        quantTableId: segment[8 + c * 3]
+                    });
+                }
+                const maxH = Math.max(...components.map(component => component.h));
+                const maxV = Math.max(...components.map(component => component.v));
+                frame = {
+                    progressive: marker === 0xC2,
+                    width,
+                    height,
+                    components,
+                    maxH,
+                    maxV,
+                    mcusPerLine: Math.ceil(width / (8 * maxH)),
+                    mcusPerColumn: Math.ceil(height / (8 * maxV))
+                };
+                components.forEach(component => {
+                    component.blocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+                    component.blocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+                    component.paddedBlocksPerLine = frame.mcusPerLine * component.h;
+                    component.paddedBlocksPerColumn = frame.mcusPerColumn * component.v;
+                    component.coefficients = new Int16Array(component.paddedBlocksPerLine * component.paddedBlocksPerColumn * 64);
+                });
+                break;
+            }
+            case 0xC3: case 0xC5: case 0xC6: case 0xC7:
+            case 0xC9: case 0xCA: case 0xCB: case 0xCD: case 0xCE: case 0xCF:
+                throw new Error('Lossless, hierarchical and arithmetic-coded JPEGs are not supported.');
+            case 0xDD: // Restart interval
+                restartInterval = (segment[0] << 8) | segment[1];
+                break;
+            case 0xDA: { // Start of scan
+                if (!frame) {
+                    throw new Error('The JPEG file has image data before its frame header.');
+                }
+                const scanComponents = [];
+                for (let c = 0; c < segment[0]; c++) {
+                    const component = frame.components.find(candidate => candidate.id === segment[1 + c * 2]);
+                    if (!component) {
+                        throw new Error('A JPEG scan refers to an unknown color component.');
+                    }
+                    component.dcTable = huffmanTables[0][segment[2 + c * 2] >> 4];
+                    component.acTable = huffmanTables[1][segment[2 + c * 2] & 15];
+                    scanComponents.push(component);
+                }
+                const parameters = segment.subarray(1 + segment[0] * 2);
+                next = decodeScan(bytes, position + length, frame, scanComponents, restartInterval,
+                    parameters[0], parameters[1], parameters[2] >> 4, parameters[2] & 15);
+                break;
+            }
+            case 0xE0: // APP0
+                hasJfif = String.fromCharCode(...segment.subarray(0, 4)) === 'JFIF';
+                break;
+            case 0xEE: // APP14
+                if (String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+                    adobeTransform = segment[11];
+                }
+                break;
+            default:
+                // Other segments (EXIF, ICC profiles, comments, ...) don't affect the pixels here
+        }
+        position = next;
+    }
+
+    if (!frame) {
+        throw new Error('The JPEG file has no image.');
+    }
+
+    // Turn every component's coefficients into a plane of samples
+    const planes = frame.components.map(component => {
+        const quantTable = quantTables[component.quantTableId];
+        if (!quantTable) {
+            throw new Error('The JPEG file is missing a quantization table.');
+        }
+        const stride = component.paddedBlocksPerLine * 8;
+        const plane = new Uint8ClampedArray(stride * component.paddedBlocksPerColumn * 8);
+        for (let row = 0; row < component.blocksPerColumn; row++) {
+            for (let column = 0; column < component.blocksPerLine; column++) {
+                const offset = (row * component.paddedBlocksPerLine + column) * 64;
+                inverseDctBlock(component.coefficients, offset, quantTable, plane, row * 8 * stride + column * 8, stride);
+            }
+        }
+        return { plane, stride, component };
+    });
+
+    const { width, height, maxH, maxV } = frame;
+    const output = createPixelBuffer(width, height);
+    const out = output.data;
+    const isRgb = adobeTransform === 0
+        || (adobeTransform === null && !hasJfif && frame.components.map(component => component.id).join() === '82,71,66'); // 'R','G','B'
+    const columnMaps = planes.map(({ component }) => Int32Array.from({ length: width }, (_, x) => Math.floor(x * component.h / maxH)));
+
+    for (let y = 0; y < height; y++) {
+        const rowOffsets = planes.map(({ stride, component }) => Math.floor(y * component.v / maxV) * stride);
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (planes.length === 1) {
+                out[o] = out[o + 1] = out[o + 2] = planes[0].plane[rowOffsets[0] + columnMaps[0][x]];
+            } else {
+                const c0 = planes[0].plane[rowOffsets[0] + columnMaps[0][x]];
+                const c1 = planes[1].plane[rowOffsets[1] + columnMaps[1][x]];
+                const c2 = planes[2].plane[rowOffsets[2] + columnMaps[2][x]];
+                if (isRgb) {
+                    out[o] = c0;
+                    out[o + 1] = c1;
+                    out[o + 2] = c2;
+                } else {
+                    out[o] = c0 + 1.402 * (c2 - 128);
+                    out[o + 1] = c0 - 0.344136 * (c1 - 128) - 0.714136 * (c2 - 128);
+                    out[o + 2] = c0 + 1.772 * (c1 - 128);
+                }
+            }
+            out[o + 3] = 255;
+        }
+    }
+    return output;
+}
+
+// --- Encoding ---
+
+// Example quantization tables from the JPEG standard (Annex K), row by row.
+const LUMINANCE_QUANT_TABLE = [
+    16, 11, 10, 16, 24, 40, 51, 61,
+    12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56,
+    14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77,
+    24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101,
+    72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMINANCE_QUANT_TABLE = [
+    17, 18, 24, 47, 99, 99, 99, 99,
+    18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99,
+    47, 66, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Typical Huffman tables from the JPEG standard (Annex K.3): code counts per length and symbols.
+const DC_SYMBOLS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+const LUMINANCE_DC_COUNTS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+const CHROMINANCE_DC_COUNTS = [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0];
+const LUMINANCE_AC_COUNTS = [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D];
+const LUMINANCE_AC_SYMBOLS = [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+    0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+    0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+    0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+    0xF9, 0xFA
+];
+const CHROMINANCE_AC_COUNTS = [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77];
+const CHROMINANCE_AC_SYMBOLS = [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+    0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+    0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+    0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+    0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+    0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+    0xF9, 0xFA
+];
+
+// Scales a standard quantization table like the IJG encoder (quality 1-100).
+function scaleQuantTable(table, quality) {
+    const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+    return table.map(value => clamp(Math.floor((value * scale + 50) / 100), 1, 255));
+}
+
+// symbol -> { code, length } for encoding.
+function buildHuffmanCodes(counts, symbols) {
+    const codes = [];
+    let code = 0;
+    let index = 0;
+    for (let length = 1; length <= 16; length++) {
+        for (let i = 0; i < counts[length - 1]; i++) {
+            codes[symbols[index++]] = { code: code++, length };
+        }
+        code <<= 1;
+    }
+    return codes;
+}
+
+// Collects the output bytes in a growing buffer, with a bit writer for entropy-coded data.
+function createByteWriter() {
+    let buffer = new Uint8Array(1 << 16);
+    let length = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    function writeByte(byte) {
+        if (length === buffer.length) {
+            const larger = new Uint8Array(buffer.length * 2);
+            larger.set(buffer);
+            buffer = larger;
+        }
+        buffer[length++] = byte;
+    }
+
+    function writeBits(value, count) {
+        bitBuffer = (bitBuffer << count) | (value & ((1 << count) - 1));
+        bitCount += count;
+        while (bitCount >= 8) {
+            const byte = (bitBuffer >> (bitCount - 8)) & 0xFF;
+            writeByte(byte);
+            if (byte === 0xFF) writeByte(0x00); // Stuffed zero, so data can't be mistaken for a marker
+            bitCount -= 8;
+            bitBuffer &= (1 << bitCount) - 1;
+        }
+    }
+
+    return {
+        writeByte,
+        writeBits,
+        writeBytes(bytes) {
+            bytes.forEach(writeByte);
+        },
+        writeUint16(value) {
+            writeByte(value >> 8);
+            writeByte(value & 0xFF);
+        },
+        // Pads the last byte of entropy-coded data with 1-bits.
+        flushBits() {
+            if (bitCount > 0) {
+                writeBits(0x7F, 8 - bitCount);
+            }
+        },
+        toBytes() {
+            return buffer.slice(0, length);
+        }
+    };
+}
+
+// Number of bits needed for the magnitude of a coefficient (its JPEG "category").
+function bitLength(value) {
+    let magnitude = Math.abs(value);
+    let bits = 0;
+    while (magnitude > 0) {
+        bits++;
+        magnitude >>= 1;
+    }
+    return bits;
+}
+
+// Forward DCT and quantization of one 8x8 block of level-shifted samples, into zig-zag order.
+const fdctWorkspace = new Float64Array(64);
+function forwardDctBlock(samples, quantTable, output) {
+    for (let y = 0; y < 8; y++) {
+        for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) {
+                sum += DCT_MATRIX[x * 8 + u] * samples[y * 8 + x];
+            }
+            fdctWorkspace[y * 8 + u] = sum;
+        }
+    }
+    for (let k = 0; k < 64; k++) {
+        const index = ZIGZAG[k];
+        const v = index >> 3;
+        const u = index & 7;
+        let sum = 0;
+        for (let y = 0; y < 8; y++) {
+            sum += DCT_MATRIX[y * 8 + v] * fdctWorkspace[y * 8 + u];
+        }
+        // The standard AC tables only cover magnitudes up to 1023
+        output[k] = clamp(Math.round(sum / quantTable[index]), -1023, 1023);
+    }
+}
+
+/**
+ * Encodes pixels as a baseline JPEG. Chroma is kept at full resolution (4:4:4), so colored edges stay crisp.
+ * JPEG has no alpha channel: like a browser canvas, transparent areas come out black.
+ * @param {import('../modules/utils.js').PixelBuffer} pixels - The pixels to encode.
+ * @param {number} [quality=0.92] - Quality from 0.0 to 1.0, as for `canvas.toBlob`.
+ * @returns {Uint8Array} The JPEG file content.
+ */
+export function encodeJpeg({ width, height, data }, quality = 0.92) {
+    if (width > 65535 || height > 65535) {
+        throw new Error(`JPEG images can be at most 65535 pixels wide and high (got ${width}x${height}).`);
+    }
+    const ijgQuality = clamp(Math.round(quality * 100), 1, 100);
+    const quantTables = [
+        scaleQuantTable(LUMINANCE_QUANT_TABLE, ijgQuality),
+        scaleQuantTable(CHROMINANCE_QUANT_TABLE, ijgQuality)
+    ];
+    const dcCodes = [buildHuffmanCodes(LUMINANCE_DC_COUNTS, DC_SYMBOLS), buildHuffmanCodes(CHROMINANCE_DC_COUNTS, DC_SYMBOLS)];
+    const acCodes = [buildHuffmanCodes(LUMINANCE_AC_COUNTS, LUMINANCE_AC_SYMBOLS), buildHuffmanCodes(CHROMINANCE_AC_COUNTS, CHROMINANCE_AC_SYMBOLS)];
+
+    const writer = createByteWriter();
+    writer.writeUint16(0xFFD8); // Start of image
+
+    writer.writeUint16(0xFFE0); // JFIF header
+    writer.writeUint16(16);
+    writer.writeBytes([0x4A, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+
+    writer.writeUint16(0xFFDB); // Quantization tables, in zig-zag order
+    writer.writeUint16(2 + 65 * 2);
+    quantTables.forEach((table, id) => {
+        writer.writeByte(id);
+        for (let k = 0; k < 64; k++) {
+            writer.writeByte(table[ZIGZAG[k]]);
+        }
+    });
+
+    writer.writeUint16(0xFFC0); // Baseline frame: Y uses table 0, Cb and Cr table 1, no subsampling
+    writer.writeUint16(17);
+    writer.writeByte(8);
+    writer.writeUint16(height);
+    writer.writeUint16(width);
+    writer.writeBytes([3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+
+    writer.writeUint16(0xFFC4); // Huffman tables
+    const huffmanTables = [
+        [0x00, LUMINANCE_DC_COUNTS, DC_SYMBOLS],
+        [0x10, LUMINANCE_AC_COUNTS, LUMINANCE_AC_SYMBOLS],
+        [0x01, CHROMINANCE_DC_COUNTS, DC_SYMBOLS],
+        [0x11, CHROMINANCE_AC_COUNTS, CHROMINANCE_AC_SYMBOLS]
+    ];
+    writer.writeUint16(2 + huffmanTables.reduce((size, [, , symbols]) => size + 17 + symbols.length, 0));
+    huffmanTables.forEach(([classAndId, counts, symbols]) => {
+        writer.writeByte(classAndId);
+        writer.writeBytes(counts);
+        writer.writeBytes(symbols);
+    });
+
+    writer.writeUint16(0xFFDA); // Start of scan
+    writer.writeUint16(12);
+    writer.writeBytes([3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+    const blocks = [new Float64Array(64), new Float64Array(64), new Float64Array(64)]; // Y, Cb, Cr
+    const coefficients = new Int32Array(64);
+    const predictions = [0, 0, 0];
+
+    function encodeBlock(componentIndex) {
+        const table = componentIndex === 0 ? 0 : 1;
+        forwardDctBlock(blocks[componentIndex], quantTables[table], coefficients);
+
+        const difference = coefficients[0] - predictions[componentIndex];
+        predictions[componentIndex] = coefficients[0];
+        const dcSize = bitLength(difference);
+        const dcCode = dcCodes[table][dcSize];
+        writer.writeBits(dcCode.code, dcCode.length);
+        if (dcSize > 0) {
+            writer.writeBits(difference < 0 ? difference - 1 : difference, dcSize);
+        }
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+            const value = coefficients[k];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                const zeroRun = acCodes[table][0xF0];
+                writer.writeBits(zeroRun.code, zeroRun.length);
+                run -= 16;
+            }
+            const size = bitLength(value);
+            const acCode = acCodes[table][(run << 4) | size];
+            writer.writeBits(acCode.code, acCode.length);
+            writer.writeBits(value < 0 ? value - 1 : value, size);
+            run = 0;
+        }
+        if (run > 0) {
+            const endOfBlock = acCodes[table][0x00];
+            writer.writeBits(endOfBlock.code, endOfBlock.length);
+        }
+    }
+
+    for (let blockY = 0; blockY < height; blockY += 8) {
+        for (let blockX = 0; blockX < width; blockX += 8) {
+            for (let y = 0; y < 8; y++) {
+                const sourceY = Math.min(blockY + y, height - 1); // Edge blocks repeat the last row / column
+                for (let x = 0; x < 8; x++) {
+                    const p = (sourceY * width + Math.min(blockX + x, width - 1)) * 4;
+                    const alpha = data[p + 3] / 255;
+                    const r = data[p] * alpha;
+                    const g = data[p + 1] * alpha;
+                    const b = data[p + 2] * alpha;
+                    blocks[0][y * 8 + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+                    blocks[1][y * 8 + x] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+                    blocks[2][y * 8 + x] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+                }
+            }
+            encodeBlock(0);
+            encodeBlock(1);
+            encodeBlock(2);
+        }
+    }
+    writer.flushBits();
+    writer.writeUint16(0xFFD9); // End of image
+    return writer.toBytes();
+}
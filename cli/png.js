@@ -0,0 +1,273 @@
+// cli/png.js
+// PNG reading and writing for the command-line tool (zlib comes from Node).
+
+import { inflateSync, deflateSync } from 'node:zlib';
+import { crc32 } from '../modules/zip.js';
+import { createPixelBuffer } from '../modules/utils.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Samples per pixel for each PNG color type
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 interlacing passes: start and step in x and y
+const ADAM7_PASSES = [
+    { x: 0, y: 0, dx: 8, dy: 8 },
+    { x: 4, y: 0, dx: 8, dy: 8 },
+    { x: 0, y: 4, dx: 4, dy: 8 },
+    { x: 2, y: 0, dx: 4, dy: 4 },
+    { x: 0, y: 2, dx: 2, dy: 4 },
+    { x: 1, y: 0, dx: 2, dy: 2 },
+    { x: 0, y: 1, dx: 1, dy: 2 }
+];
+
+/**
+ * Tells whether the bytes start with the PNG signature.
+ * @param {Uint8Array} bytes - File content.
+ * @returns {boolean} True for PNG files.
+ */
+export function isPng(bytes) {
+    return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// Reverses the per-row filters of one (sub-)image in place. Returns the offset after its last row.
+function unfilterRows(raw, offset, rowBytes, rows, bytesPerPixel) {
+    let previous = null;
+    for (let y = 0; y < rows; y++) {
+        const filter = raw[offset];
+        const row = raw.subarray(offset + 1, offset + 1 + rowBytes);
+        for (let i = 0; i < rowBytes; i++) {
+            const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+            const up = previous ? previous[i] : 0;
+            const upLeft = previous && i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+            switch (filter) {
+                case 0: break;
+                case 1: row[i] += left; break;
+                case 2: row[i] += up; break;
+                case 3: row[i] += (left + up) >> 1; break;
+                case 4: row[i] += paeth(left, up, upLeft); break;
+                default: throw new Error(`Invalid PNG row filter ${filter}.`);
+            }
+        }
+        previous = row;
+        offset += 1 + rowBytes;
+    }
+    return offset;
+}
+
+/**
+ * Decodes a PNG file (any bit depth and color type, interlaced or not) to 8-bit RGBA pixels.
+ * 16-bit samples are scaled to 8 bits, rounding to the nearest level.
+ * @param {Uint8Array} bytes - File content.
+ * @returns {import('../modules/utils.js').PixelBuffer} The decoded pixels.
+ */
+export function decodePng(bytes) {
+    if (!isPng(bytes)) {
+        throw new Error('Not a PNG file.');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const dataChunks = [];
+
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        if (data.length !== length) {
+            throw new Error(`The PNG file is truncated (in its ${type} chunk).`);
+        }
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(offset + 8),
+                height: view.getUint32(offset + 12),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            dataChunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    if (!header) {
+        throw new Error('The PNG file has no header.');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = CHANNELS_BY_COLOR_TYPE[colorType];
+    if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+        throw new Error(`Unsupported PNG format (color type ${colorType}, ${bitDepth} bits).`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new Error('The PNG file uses a palette but has none.');
+    }
+
+    const raw = inflateSync(Buffer.concat(dataChunks));
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    const output = createPixelBuffer(width, height);
+    const out = output.data;
+
+    // Transparent color of grey / RGB images (tRNS holds 16-bit samples)
+    const transparentKey = transparency && (colorType === 0 || colorType === 2)
+        ? Array.from({ length: channels }, (_, c) => (transparency[c * 2] << 8) | transparency[c * 2 + 1])
+        : null;
+
+    // Reads sample `c` of pixel `x` from an unfiltered row, at its original bit depth.
+    function readSample(row, x, c) {
+        if (bitDepth === 8) return row[x * channels + c];
+        if (bitDepth === 16) return (row[(x * channels + c) * 2] << 8) | row[(x * channels + c) * 2 + 1];
+        const bit = (x * channels + c) * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    }
+    const samples = new Array(channels);
+    const to8Bit = v => Math.round(v * 255 / maxSample);
+
+    function writePixel(row, x, target) {
+        const o = target * 4;
+        if (colorType === 3) {
+            const index = readSample(row, x, 0);
+            out[o] = palette[index * 3];
+            out[o + 1] = palette[index * 3 + 1];
+            out[o + 2] = palette[index * 3 + 2];
+            out[o + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            return;
+        }
+        for (let c = 0; c < channels; c++) {
+            samples[c] = readSample(row, x, c);
+        }
+        const isGrey = colorType === 0 || colorType === 4;
+        out[o] = to8Bit(samples[0]);
+        out[o + 1] = to8Bit(isGrey ? samples[0] : samples[1]);
+        out[o + 2] = to8Bit(isGrey ? samples[0] : samples[2]);
+        if (colorType === 4 || colorType === 6) {
+            out[o + 3] = to8Bit(samples[channels - 1]);
+        } else {
+            out[o + 3] = transparentKey && transparentKey.every((key, c) => key === samples[c]) ? 0 : 255;
+        }
+    }
+
+    let position = 0;
+    const passes = interlace === 1 ? ADAM7_PASSES : [{ x: 0, y: 0, dx: 1, dy: 1 }];
+    for (const pass of passes) {
+        const passWidth = Math.ceil((width - pass.x) / pass.dx);
+        const passHeight = Math.ceil((height - pass.y) / pass.dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+        const rowBytes = Math.ceil(passWidth * bitsPerPixel / 8);
+        const start = position;
+        if (start + passHeight * (rowBytes + 1) > raw.length) {
+            throw new Error('The PNG image data is truncated.');
+        }
+        position = unfilterRows(raw, start, rowBytes, passHeight, bytesPerPixel);
+        for (let y = 0; y < passHeight; y++) {
+            const row = raw.subarray(start + y * (rowBytes + 1) + 1, start + (y + 1) * (rowBytes + 1));
+            const targetRow = (pass.y + y * pass.dy) * width;
+            for (let x = 0; x < passWidth; x++) {
+                writePixel(row, x, targetRow + pass.x + x * pass.dx);
+            }
+        }
+    }
+    return output;
+}
+
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encodes pixels as an 8-bit PNG (RGB when fully opaque, RGBA otherwise).
+ * Every row gets the filter that leaves the smallest residuals, which usually compresses best.
+ * @param {import('../modules/utils.js').PixelBuffer} pixels - The pixels to encode.
+ * @returns {Uint8Array} The PNG file content.
+ */
+export function encodePng({ width, height, data }) {
+    let opaque = true;
+    for (let i = 3; i < data.length && opaque; i += 4) {
+        opaque = data[i] === 255;
+    }
+    const channels = opaque ? 3 : 4;
+    const rowBytes = width * channels;
+
+    // Pack the rows without the alpha channel if it isn't needed
+    const rows = new Uint8Array(rowBytes * height);
+    for (let p = 0, o = 0; p < data.length; p += 4) {
+        for (let c = 0; c < channels; c++) {
+            rows[o++] = data[p + c];
+        }
+    }
+
+    const filtered = new Uint8Array((rowBytes + 1) * height);
+    const candidate = new Uint8Array(rowBytes);
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const previous = y > 0 ? rows.subarray((y - 1) * rowBytes, y * rowBytes) : null;
+        let bestScore = Infinity;
+        for (let filter = 0; filter <= 4; filter++) {
+            let score = 0;
+            for (let i = 0; i < rowBytes; i++) {
+                const left = i >= channels ? row[i - channels] : 0;
+                const up = previous ? previous[i] : 0;
+                const upLeft = previous && i >= channels ? previous[i - channels] : 0;
+                let predictor = 0;
+                switch (filter) {
+                    case 1: predictor = left; break;
+                    case 2: predictor = up; break;
+                    case 3: predictor = (left + up) >> 1; break;
+                    case 4: predictor = paeth(left, up, upLeft); break;
+                }
+                const value = (row[i] - predictor) & 0xFF;
+                candidate[i] = value;
+                score += value < 128 ? value : 256 - value;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                const target = y * (rowBytes + 1);
+                filtered[target] = filter;
+                filtered.set(candidate, target + 1);
+            }
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8;                  // Bit depth
+    header[9] = opaque ? 2 : 6;     // Color type: RGB or RGBA
+    // Compression, filter and interlace methods stay 0
+
+    const chunks = [
+        Uint8Array.from(PNG_SIGNATURE),
+        createChunk('IHDR', header),
+        createChunk('IDAT', deflateSync(filtered)),
+        createChunk('IEND', new Uint8Array(0))
+    ];
+    return Buffer.concat(chunks);
+}
@@ -1,24 +1,74 @@
 // main.js
 
 // --- Imports from other modules ---
-import { hexToRgb, drawImageDataToCanvas } from './modules/utils.js';
-import { 
-    resizeImageToBounds, 
-    applyGreyscale, 
-    applyAutoContrast, 
-    applyMidtoneContrast 
-} from './modules/image-core.js';
-import { applyDuotone } from './modules/filters/duotone.js';
+import { clamp, drawImageDataToCanvas, readImagePixels, rgbToHex } from './modules/utils.js';
+import { computeHistogram, computeBoundedSize, withTransparencyMode } from './modules/image-core.js';
+import { normalizeRecipe, serializeRecipe, parseRecipe, createStep, getStepDefinition, updateStepParams, runRecipe } from './modules/pipeline.js';
+import './modules/steps.js'; // Registers the built-in pipeline steps
+import { CONTRAST_CURVE } from './modules/filters/tone.js';
+import { createPipelineClient } from './modules/pipeline-client.js';
+import { computeExportSize, renderExport } from './modules/export.js';
+import { createGradientStopBar } from './modules/ui/gradient-stop-bar.js';
+import { createRecipeEditor } from './modules/ui/recipe-editor.js';
+import { createLevelsEditor } from './modules/ui/levels-editor.js';
+import { createCurveEditor } from './modules/ui/curve-editor.js';
+import { setupImageUpload, clearCanvases } from './modules/ui/image-upload.js';
+import { setupDownloadButtons, downloadBlob, canvasToBlob } from './modules/ui/download.js';
+import { buildSeparationFile, findColorMappingStep, getRecipeInks, separatePlates } from './modules/separation.js';
+import { isImageFile, processBatch } from './modules/batch.js';
+import { decodeGif } from './modules/gif.js';
+import { encodeAnimation, processFrames, resizeFrames } from './modules/animation.js';
+import { extractVideoFrames } from './modules/ui/video-frames.js';
+import { collectDroppedItems, createBatchGrid } from './modules/ui/batch-panel.js';
+import { BUILT_IN_PRESETS, createPresetStore } from './modules/presets.js';
+import { createSwatchFile, parseSwatchFile } from './modules/swatches.js';
+import { extractPalette, suggestColorPairs } from './modules/palette.js';
+import { createColorSuggestions } from './modules/ui/color-suggestions.js';
+import { createHistory } from './modules/history.js';
+import { decodeSettingsHash, encodeSettingsHash } from './modules/url-state.js';
+import { applyGeometry, computeGeometry, fitCropToAspect, flipGeometry, normalizeGeometry, rotateGeometry, DEFAULT_GEOMETRY } from './modules/geometry.js';
+import { embedExif, readExif } from './modules/exif.js';
+import { createCropEditor } from './modules/ui/crop-editor.js';
+import { createCompareView } from './modules/ui/compare-view.js';
 
 // --- Configuration ---
 const MAX_LONGEST_EDGE_PX = 1000;
 const MIN_SHORTEST_EDGE_PX = 300;
 
-const MIDTONE_CONTRAST_FACTOR = 1.5;
+// Videos are grabbed at this frame rate and size, and cut off after MAX_VIDEO_FRAMES (15 seconds)
+const VIDEO_FRAME_RATE = 10;
+const MAX_VIDEO_FRAMES = 150;
+const MAX_VIDEO_EDGE_PX = 640;
 
-// Default Hex Colors
-const DEFAULT_DARK_HEX = "#1b602f";
-const DEFAULT_LIGHT_HEX = "#f784c5";
+// The EXIF block of JPEG and PNG files sits within this many bytes from the start
+const EXIF_READ_BYTES = 256 * 1024;
+
+// Mask brush strokes record a point whenever the pointer has moved this far (screen pixels)
+const BRUSH_POINT_SPACING_PX = 3;
+
+// The settings link in the address bar is rewritten once the settings have been still for this long
+const URL_UPDATE_DELAY_MS = 300;
+
+// Which pipeline output each result canvas shows (used to re-render it for full-size downloads)
+const VARIANT_BY_CANVAS_ID = {
+    originalCanvas: 'original',
+    normalDuotoneCanvas: 'normal',
+    invertedDuotoneCanvas: 'inverted'
+};
+
+// The built-in preset the editor starts with (and the Reset button goes back to)
+const DEFAULT_PRESET = 'duotone';
+
+// The default look: resize -> greyscale -> levels (auto, 0.5% clipping) -> S-curve -> gradient map.
+// (Resizing happens before the recipe runs; the preview and exports each pick their own size.)
+const DEFAULT_RECIPE = {
+    steps: [
+        { step: 'greyscale' },
+        { step: 'levels' },
+        { step: 'curves', params: { points: CONTRAST_CURVE } },
+        { step: 'gradientMap', params: { stops: BUILT_IN_PRESETS.find(preset => preset.id === DEFAULT_PRESET).stops } }
+    ]
+};
 
 // HTMLImageElement for loading
 const originalImage = new Image(); 
@@ -38,6 +88,14 @@ function normalizeHexForDisplay(hex) {
     return null; // Invalid hex
 }
 
+// Color pickers only accept "#rrggbb", so expand 3-digit shorthand before assigning to them.
+function toPickerHex(hex) {
+    if (hex.length === 4) {
+        return '#' + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
+    }
+    return hex;
+}
+
 // --- Wrap all DOM-dependent code in DOMContentLoaded listener ---
 document.addEventListener('DOMContentLoaded', () => {
     // --- DOM Elements ---
@@ -47,93 +105,749 @@ document.addEventListener('DOMContentLoaded', () => {
     const lightColorInput = document.getElementById('lightColor'); // Color picker for light
     const lightColorTextInput = document.getElementById('lightColorText'); // Text input for light hex
     const resetColorsButton = document.getElementById('resetColorsButton'); // Reset button
+    const gradientPresetSelect = document.getElementById('gradientPreset'); // Preset picker (duotone, tritone, ...)
+    const gradientInterpolationSelect = document.getElementById('gradientInterpolation'); // sRGB, linear, OKLab or OKLCH
+    const gradientStopBarContainer = document.getElementById('gradientStopBar'); // Editable stop bar
+    const stopColorInput = document.getElementById('stopColor'); // Color picker for the selected stop
+    const stopColorTextInput = document.getElementById('stopColorText'); // Text input for the selected stop hex
+    const stopPositionLabel = document.getElementById('stopPosition'); // Shows where the selected stop sits
+    const removeStopButton = document.getElementById('removeStopButton'); // Removes the selected stop
+    const exportSizeSelect = document.getElementById('exportSize'); // Preview / original / scale / long edge
+    const exportScaleInput = document.getElementById('exportScale'); // Scale factor for 'scale'
+    const exportLongEdgeInput = document.getElementById('exportLongEdge'); // Pixels for 'longEdge'
+    const exportSizeInfo = document.getElementById('exportSizeInfo'); // Shows the resulting pixel size
+    const exportProgressGroup = document.getElementById('exportProgressGroup');
+    const exportProgress = document.getElementById('exportProgress');
+    const exportProgressText = document.getElementById('exportProgressText');
+    const levelsEditorContainer = document.getElementById('levelsEditor'); // Histogram with black/gamma/white points
+    const curveEditorContainer = document.getElementById('curveEditor'); // Draggable tone curve
+    const recipeEditorContainer = document.getElementById('recipeEditor'); // Step list
+    const exportRecipeButton = document.getElementById('exportRecipeButton');
+    const importRecipeInput = document.getElementById('importRecipeInput');
+    const resetRecipeButton = document.getElementById('resetRecipeButton');
+    const separationVariantSelect = document.getElementById('separationVariant'); // 'normal' or 'inverted'
+    const separationFormatSelect = document.getElementById('separationFormat'); // 'pdf', 'svg' or 'zip'
+    const separationDpiInput = document.getElementById('separationDpi'); // Print resolution for the PDF page size
+    const separationButton = document.getElementById('separationButton');
+    const animationPanel = document.getElementById('animationPanel'); // Shown for animated GIFs and videos
+    const animationInfo = document.getElementById('animationInfo'); // Frame count and duration
+    const animationVariantSelect = document.getElementById('animationVariant'); // 'normal' or 'inverted'
+    const animationButton = document.getElementById('animationButton');
+    const batchPanel = document.getElementById('batchPanel');
+    const batchDropZone = document.getElementById('batchDropZone'); // Accepts images and folders
+    const batchFormatSelect = document.getElementById('batchFormat'); // 'png' or 'jpeg'
+    const batchIncludeNormalInput = document.getElementById('batchIncludeNormal');
+    const batchIncludeInvertedInput = document.getElementById('batchIncludeInverted');
+    const batchRunButton = document.getElementById('batchRunButton');
+    const batchCancelButton = document.getElementById('batchCancelButton');
+    const batchClearButton = document.getElementById('batchClearButton');
+    const batchProgressGroup = document.getElementById('batchProgressGroup');
+    const batchProgress = document.getElementById('batchProgress');
+    const batchProgressText = document.getElementById('batchProgressText');
+    const batchGridContainer = document.getElementById('batchGrid'); // Thumbnails with per-file status
+    const savePresetButton = document.getElementById('savePresetButton');
+    const deletePresetButton = document.getElementById('deletePresetButton'); // Deletes the selected user preset
+    const presetExportFormatSelect = document.getElementById('presetExportFormat'); // 'json', 'ase' or 'gpl'
+    const exportPresetsButton = document.getElementById('exportPresetsButton');
+    const importSwatchesInput = document.getElementById('importSwatchesInput'); // .json, .ase or .gpl
+    const suggestionSourceSelect = document.getElementById('suggestionSource'); // 'image' or 'swatches'
+    const suggestionContrastSelect = document.getElementById('suggestionContrast'); // Minimum contrast ratio
+    const suggestColorsButton = document.getElementById('suggestColorsButton');
+    const colorSuggestionsContainer = document.getElementById('colorSuggestions');
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+    const copyLinkButton = document.getElementById('copyLinkButton'); // Copies the page address with the settings
+    const cropEditorContainer = document.getElementById('cropEditor'); // Framed image with the crop box
+    const cropAspectSelect = document.getElementById('cropAspect'); // Aspect ratio preset of the crop box
+    const rotateLeftButton = document.getElementById('rotateLeftButton');
+    const rotateRightButton = document.getElementById('rotateRightButton');
+    const flipHorizontalButton = document.getElementById('flipHorizontalButton');
+    const flipVerticalButton = document.getElementById('flipVerticalButton');
+    const straightenInput = document.getElementById('straighten'); // Fine rotation in degrees
+    const straightenValue = document.getElementById('straightenValue');
+    const resetFramingButton = document.getElementById('resetFramingButton');
+    const exportMetadataSelect = document.getElementById('exportMetadata'); // 'strip' or 'keep'
+    const exportTransparencySelect = document.getElementById('exportTransparency'); // 'keep', 'flatten' or 'gradient'
+    const exportBackgroundInput = document.getElementById('exportBackground'); // Background color for 'flatten'
+    const maskBrushControls = document.getElementById('maskBrushControls'); // Shown while a Blend step uses a brush mask
+    const maskBrushModeSelect = document.getElementById('maskBrushMode'); // 'paint' or 'erase'
+    const compareViewContainer = document.getElementById('compareView'); // Split before/after view with zoom
+    const compareVariantSelect = document.getElementById('compareVariant'); // 'normal' or 'inverted'
+
+    // --- Recipe State ---
+    // The recipe is the single source of truth for all processing settings; the gradient
+    // stop bar and the Shadows/Highlights inputs edit the stops of its Gradient Map step,
+    // the levels and curve editors its first Levels and Curves steps.
+    let recipe = normalizeRecipe(DEFAULT_RECIPE);
+
+    // --- Framing State ---
+    // Crop, rotation and flips belong to the photo rather than to the look, so they live next to the recipe
+    // (in the undo history and the settings link) instead of inside it.
+    let geometry = normalizeGeometry(DEFAULT_GEOMETRY);
+
+    /**
+     * Replaces the current recipe, refreshes the controls that didn't make the change, and re-processes.
+     * @param {Object} newRecipe - The new recipe.
+     * @param {string} [origin] - 'editor', 'stopBar', 'levels', 'curve', 'darkColor' or 'lightColor' when the
+     *     change came from that control (rapid changes from one control become a single undo step), 'history' for
+     *     undo/redo, 'brush' while a mask brush stroke is painted (both not recorded; a stroke is recorded when it
+     *     ends).
+     */
+    function setRecipe(newRecipe, origin = '') {
+        recipe = normalizeRecipe(newRecipe);
+        if (origin !== 'history' && origin !== 'brush') {
+            recordChange(origin);
+        }
+        if (origin !== 'editor') {
+            recipeEditor.setRecipe(recipe);
+        }
+        // A Duotone shows up as its two stops, so editing them converts it rather than adding a second mapping
+        const mappingStep = recipe.steps.find(entry => getStepDefinition(entry.step).toGradientMap);
+        if (mappingStep) {
+            const mapping = getStepDefinition(mappingStep.step).toGradientMap(mappingStep.params);
+            if (origin !== 'stopBar') {
+                stopBar.setStops(mapping.stops);
+                syncEndColorInputs();
+            }
+            syncInterpolation(mapping.interpolation);
+        }
+        if (origin !== 'levels') {
+            const levelsStep = recipe.steps.find(entry => entry.step === 'levels');
+            levelsEditor.setParams(levelsStep ? levelsStep.params : createStep('levels').params);
+        }
+        if (origin !== 'curve') {
+            const curvesStep = recipe.steps.find(entry => entry.step === 'curves');
+            curveEditor.setPoints(curvesStep ? curvesStep.params.points : createStep('curves').params.points);
+        }
+        updateMaskBrushControls();
+        updateToneHistograms();
+        processImage();
+    }
+
+    /**
+     * Writes parameters into the recipe's first step with the given id. If the recipe has none, one is added
+     * where 'Add Step' would put it (or takes the place of the recipe's color mapping, see updateStepParams).
+     * @param {string} stepId - The step id.
+     * @param {Object} params - The parameters to change.
+     * @param {string} [origin] - Passed on to setRecipe.
+     */
+    function setStepParams(stepId, params, origin = '') {
+        setRecipe({ ...recipe, steps: updateStepParams(recipe.steps, stepId, params) }, origin);
+    }
+
+    /**
+     * Writes gradient stops into the recipe's Gradient Map step. A recipe without one gets its other color mapping
+     * (e.g. a Duotone) converted, or a Gradient Map added at the end.
+     * @param {{position: number, hex: string}[]} stops - The new stops.
+     * @param {string} [origin] - Passed on to setRecipe.
+     */
+    function setGradientStops(stops, origin = '') {
+        setStepParams('gradientMap', { stops }, origin);
+    }
+
+    const recipeEditor = createRecipeEditor(recipeEditorContainer, {
+        onChange: (newRecipe) => setRecipe(newRecipe, 'editor')
+    });
+
+    // --- Levels & Curves ---
+
+    const levelsEditor = createLevelsEditor(levelsEditorContainer, {
+        onChange: (params) => setStepParams('levels', params, 'levels')
+    });
+    const curveEditor = createCurveEditor(curveEditorContainer, {
+        onChange: (points) => setStepParams('curves', { points }, 'curve')
+    });
+
+    // Both editors show the histogram of the image as it enters their step. It is computed here from the
+    // resized source, re-running the steps before it only when they (or the source) changed.
+    let sourcePixels = null;
+    const toneHistograms = new Map(); // step id -> { source, key, histogram }
+
+    function histogramBefore(stepId) {
+        const index = recipe.steps.findIndex(entry => entry.step === stepId);
+        if (!sourcePixels || index < 0) return null;
+        const key = JSON.stringify(recipe.steps.slice(0, index));
+        const cached = toneHistograms.get(stepId);
+        if (cached && cached.source === sourcePixels && cached.key === key) {
+            return cached.histogram;
+        }
+        const histogram = computeHistogram(runRecipe(sourcePixels, recipe, { end: index, precision: 'float' }));
+        toneHistograms.set(stepId, { source: sourcePixels, key, histogram });
+        return histogram;
+    }
+
+    function updateToneHistograms() {
+        levelsEditor.setHistogram(histogramBefore('levels'));
+        curveEditor.setHistogram(histogramBefore('curves'));
+    }
 
     const originalCanvas = document.getElementById('originalCanvas');
     const normalDuotoneCanvas = document.getElementById('normalDuotoneCanvas');
     const invertedDuotoneCanvas = document.getElementById('invertedDuotoneCanvas');
 
-    // --- Global Handlers for Image Load/Error ---
-    function handleImageLoad() {
-        console.log("DEBUG: handleImageLoad fired. Image is ready.");
-        if (originalImage.naturalWidth === 0) {
-            console.error("DEBUG: Image loaded but has 0 naturalWidth/Height, indicating an error or invalid image.");
-            alert("Image loaded, but appears invalid (0 width/height). Please try another image.");
-            handleImageError({type: "decode error", message: "Image loaded but dimensions are zero."});
+    // --- Gradient Stop Bar ---
+
+    const stopBar = createGradientStopBar(gradientStopBarContainer, {
+        onChange: (stops) => {
+            gradientPresetSelect.value = 'custom'; // Any manual edit turns the preset into a custom gradient
+            syncEndColorInputs();
+            setGradientStops(stops, 'stopBar');
+        },
+        onSelect: showSelectedStop
+    });
+
+    // The Shadows/Highlights inputs always mirror the first and last stop of the gradient.
+    function syncEndColorInputs() {
+        const stops = stopBar.getStops();
+        const darkHex = stops[0].hex;
+        const lightHex = stops[stops.length - 1].hex;
+        darkColorTextInput.value = darkHex;
+        darkColorInput.value = toPickerHex(darkHex);
+        lightColorTextInput.value = lightHex;
+        lightColorInput.value = toPickerHex(lightHex);
+    }
+
+    // Sets the color of the first ('dark') or last ('light') stop, as edited through the Shadows/Highlights inputs.
+    function setEndStopColor(end, hex) {
+        const stops = stopBar.getStops();
+        const index = end === 'dark' ? 0 : stops.length - 1;
+        stops[index].hex = hex;
+        gradientPresetSelect.value = 'custom';
+        setGradientStops(stops, `${end}Color`);
+    }
+
+    // Sets both end colors at once, e.g. to a suggested shadows/highlights pair.
+    function setEndStopColors(darkHex, lightHex) {
+        const stops = stopBar.getStops();
+        stops[0].hex = darkHex;
+        stops[stops.length - 1].hex = lightHex;
+        gradientPresetSelect.value = 'custom';
+        setGradientStops(stops);
+    }
+
+    // --- Preset Library ---
+    // The picker's values are the built-in preset ids, and 'user:<name>' for the user's own presets.
+
+    const USER_PRESET_PREFIX = 'user:';
+    const presetStore = createPresetStore();
+
+    function findPreset(value) {
+        if (value.startsWith(USER_PRESET_PREFIX)) {
+            const name = value.slice(USER_PRESET_PREFIX.length);
+            return presetStore.list().find(preset => preset.name === name) || null;
+        }
+        return BUILT_IN_PRESETS.find(preset => preset.id === value) || null;
+    }
+
+    // Rebuilds the picker (after presets were saved, imported or deleted), keeping the given selection.
+    function renderPresetOptions(selectedValue = gradientPresetSelect.value) {
+        gradientPresetSelect.innerHTML = '';
+        const addGroup = (label, options) => {
+            if (options.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            options.forEach(({ value, name }) => group.appendChild(new Option(name, value)));
+            gradientPresetSelect.appendChild(group);
+        };
+        addGroup('Built-in', BUILT_IN_PRESETS.map(preset => ({ value: preset.id, name: preset.name })));
+        addGroup('My Presets', presetStore.list().map(preset => ({ value: USER_PRESET_PREFIX + preset.name, name: preset.name })));
+        gradientPresetSelect.appendChild(new Option('Custom', 'custom'));
+        gradientPresetSelect.value = findPreset(selectedValue) ? selectedValue : 'custom';
+    }
+
+    function applyPreset(value) {
+        const preset = findPreset(value);
+        if (!preset) {
+            console.warn(`DEBUG: Unknown gradient preset '${value}'.`);
             return;
         }
-        
-        // Clear previous canvas content (reset width/height to 0 effectively clears and hides)
-        [originalCanvas, normalDuotoneCanvas, invertedDuotoneCanvas].forEach(c => {
-            c.width = 0; 
-            c.height = 0;
-            console.log(`DEBUG: Cleared canvas: ${c.id}`);
-        });
+        console.log(`DEBUG: Applying gradient preset '${preset.name}'.`);
+        gradientPresetSelect.value = value;
+        setGradientStops(preset.stops);
+    }
 
-        processImage(); // Process the image immediately after it loads
-        console.log("DEBUG: processImage() called from handleImageLoad.");
+    function syncInterpolation(space) {
+        gradientInterpolationSelect.value = space;
+        stopBar.setInterpolation(space);
     }
 
-    function handleImageError(event) {
-        console.error("DEBUG: handleImageError fired.", event);
-        alert("Failed to load image. Please ensure it's a valid image file. Check your browser's console for details.");
-        
-        // Clear canvases on error
-        [originalCanvas, normalDuotoneCanvas, invertedDuotoneCanvas].forEach(c => {
-            c.width = 0; 
-            c.height = 0;
-            console.log(`DEBUG: Cleared canvas on error: ${c.id}`);
-        });
+    function showSelectedStop(stop) {
+        const hasSelection = stop !== null;
+        stopColorInput.disabled = !hasSelection;
+        stopColorTextInput.disabled = !hasSelection;
+        removeStopButton.disabled = !hasSelection;
+        if (hasSelection) {
+            stopColorInput.value = toPickerHex(stop.hex);
+            stopColorTextInput.value = stop.hex;
+            stopPositionLabel.textContent = `${Math.round(stop.position * 100)}%`;
+        } else {
+            stopPositionLabel.textContent = 'No stop selected';
+        }
     }
 
-    // Assign these handlers ONCE to the Image object, before its src is ever set.
-    originalImage.onload = handleImageLoad;
-    originalImage.onerror = handleImageError;
+    renderPresetOptions(DEFAULT_PRESET);
+    recipeEditor.setRecipe(recipe);
+    stopBar.setStops(recipe.steps.find(entry => entry.step === 'gradientMap').params.stops);
+    syncEndColorInputs();
+    syncInterpolation(recipe.steps.find(entry => entry.step === 'gradientMap').params.interpolation);
+    showSelectedStop(null);
+    levelsEditor.setParams(recipe.steps.find(entry => entry.step === 'levels').params);
+    curveEditor.setPoints(recipe.steps.find(entry => entry.step === 'curves').params.points);
 
+    // --- Undo/Redo & Settings Link ---
+    // Every recipe and framing change is recorded (with the preset it came from), and mirrored into the URL hash.
 
-    // --- Event Handlers for Image Upload ---
+    const undoHistory = createHistory(captureState());
+    let urlUpdateTimer = null;
 
-    imageUpload.addEventListener('change', (event) => {
-        console.log("DEBUG: Image upload change event fired.");
-        const file = event.target.files[0];
-        if (file) {
-            console.log(`DEBUG: File selected: ${file.name}, type: ${file.type}, size: ${file.size} bytes.`);
-            const reader = new FileReader();
-
-            reader.onload = (e) => {
-                console.log("DEBUG: FileReader onload fired. Setting originalImage.src.");
-                originalImage.src = e.target.result; // Set the image source
-
-                // --- Robustness check for immediate image load from cache ---
-                setTimeout(() => {
-                    if (originalImage.complete && originalImage.naturalWidth !== 0) {
-                        console.log("DEBUG: Image reported as complete (via originalImage.complete) and valid, triggering load handler manually.");
-                        handleImageLoad(); 
-                    } else if (originalImage.complete && originalImage.naturalWidth === 0) {
-                        console.error("DEBUG: Image reported as complete but has 0 naturalWidth, indicating a potential decode error.");
-                        handleImageError({type: "decode error", message: "Image loaded but has zero dimensions."});
-                    } else {
-                        console.log("DEBUG: Image not yet complete, waiting for originalImage.onload event to fire naturally.");
-                    }
-                }, 0); // Delay by 0ms
-            };
-            reader.onerror = (e) => {
-                console.error("DEBUG: FileReader onerror fired.", e.target.error);
-                alert(`Error reading file: ${e.target.error.name}. Check your browser's console for details.`);
-                handleImageError({type: "FileReader error", error: e.target.error});
-            };
+    function captureState() {
+        return { recipe, preset: gradientPresetSelect.value, geometry };
+    }
+
+    function updateHistoryButtons() {
+        undoButton.disabled = !undoHistory.canUndo();
+        redoButton.disabled = !undoHistory.canRedo();
+    }
+
+    // Called by setRecipe and setGeometry for every change that doesn't come from undo/redo itself.
+    function recordChange(origin) {
+        undoHistory.record(captureState(), origin || null);
+        updateHistoryButtons();
+        scheduleUrlUpdate();
+    }
+
+    function restoreState(state) {
+        gradientPresetSelect.value = findPreset(state.preset) ? state.preset : 'custom';
+        if (state.geometry !== geometry) {
+            setGeometry(state.geometry, 'history');
+        }
+        setRecipe(state.recipe, 'history');
+        updateHistoryButtons();
+        scheduleUrlUpdate();
+    }
+
+    function undo() {
+        const state = undoHistory.undo();
+        if (!state) return;
+        console.log("DEBUG: Undo.");
+        restoreState(state);
+    }
+
+    function redo() {
+        const state = undoHistory.redo();
+        if (!state) return;
+        console.log("DEBUG: Redo.");
+        restoreState(state);
+    }
+
+    // replaceState (unlike setting location.hash) adds no browser history entry and fires no 'hashchange'.
+    function scheduleUrlUpdate() {
+        clearTimeout(urlUpdateTimer);
+        urlUpdateTimer = setTimeout(async () => {
+            const encodedRecipe = recipe;
+            const encodedGeometry = geometry;
+            try {
+                const hash = await encodeSettingsHash({ recipe: encodedRecipe, geometry: encodedGeometry });
+                if (encodedRecipe === recipe && encodedGeometry === geometry) { // Skip if the settings changed while encoding
+                    window.history.replaceState(null, '', `#${hash}`);
+                }
+            } catch (error) {
+                console.error("DEBUG: Updating the settings link failed.", error);
+            }
+        }, URL_UPDATE_DELAY_MS);
+    }
+
+    // Applies the settings of the link the page was opened with (or one pasted into the address bar later).
+    // Opening a link starts a fresh history; a pasted one can be undone.
+    async function loadSettingsFromUrl(isPageLoad) {
+        try {
+            const settings = await decodeSettingsHash(window.location.hash);
+            if (!settings) return;
+            console.log(`DEBUG: Restoring ${settings.recipe.steps.length} steps from the settings link.`);
+            gradientPresetSelect.value = 'custom';
+            // The framing is applied quietly; setRecipe records both as one step
+            setGeometry(settings.geometry, 'history');
+            keepLinkedGeometry = !hasSource;
+            setRecipe(settings.recipe);
+            if (isPageLoad) {
+                undoHistory.reset(captureState());
+                updateHistoryButtons();
+            }
+        } catch (error) {
+            console.error("DEBUG: Reading the settings link failed.", error);
+            alert(`Could not restore the settings from the link: ${error.message}`);
+        }
+    }
+
+    undoButton.addEventListener('click', undo);
+    redoButton.addEventListener('click', redo);
 
-            reader.readAsDataURL(file); // Start reading the file as a Data URL
+    // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS). Text fields keep their own undo.
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const key = event.key.toLowerCase();
+        const isUndo = key === 'z' && !event.shiftKey;
+        const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+        if (!isUndo && !isRedo) return;
+        const target = event.target;
+        const isTextField = target.isContentEditable || target.tagName === 'TEXTAREA'
+            || (target.tagName === 'INPUT' && ['text', 'number', 'search'].includes(target.type));
+        if (isTextField) return;
+        event.preventDefault();
+        if (isUndo) {
+            undo();
         } else {
-            // If no file selected (e.g., user opens dialog then cancels)
-            console.log("DEBUG: No file selected (user cancelled dialog).");
-            // Clear canvases if a file was previously loaded but now cancelled
-            [originalCanvas, normalDuotoneCanvas, invertedDuotoneCanvas].forEach(c => {
-                c.width = 0; 
-                c.height = 0;
-                console.log(`DEBUG: Cleared canvas (no file selected): ${c.id}`);
+            redo();
+        }
+    });
+
+    copyLinkButton.addEventListener('click', async () => {
+        try {
+            const url = new URL(window.location.href);
+            url.hash = await encodeSettingsHash({ recipe, geometry });
+            await navigator.clipboard.writeText(url.href);
+            console.log("DEBUG: Settings link copied.");
+            copyLinkButton.textContent = 'Link Copied!';
+            setTimeout(() => { copyLinkButton.textContent = 'Copy Settings Link'; }, 1500);
+        } catch (error) {
+            console.error("DEBUG: Copying the settings link failed.", error);
+            alert(`Could not copy the link: ${error.message}`);
+        }
+    });
+
+    // --- Image Upload ---
+
+    const resultCanvases = [originalCanvas, normalDuotoneCanvas, invertedDuotoneCanvas];
+
+    // Pixel work runs in a Web Worker; the full-size image is sent to it once per upload, and framed there.
+    const pipelineClient = createPipelineClient();
+    let hasSource = false;
+
+    setupImageUpload(imageUpload, originalImage, {
+        onSelect: handleUploadSelection,
+        onLoad: () => {
+            clearCanvases(resultCanvases); // Clear previous canvas content
+            cropEditor.setImage(originalImage);
+            if (geometry.aspect !== 'free' && !geometry.crop) {
+                // An aspect picked before there was an image (or from a link) gets its crop now
+                geometry = fitCropToAspect(geometry, originalImage.naturalWidth, originalImage.naturalHeight);
+                syncGeometryControls();
+            }
+            sourcePixels = null; // Until the new image is framed
+            pipelineClient.setOriginal(readImagePixels(originalImage));
+            hasSource = true;
+            prepareSource(); // Processes the image as soon as it is framed
+            console.log("DEBUG: prepareSource() called from handleImageLoad.");
+        },
+        onError: () => {
+            hasSource = false;
+            sourcePixels = null;
+            pipelineClient.setOriginal(null);
+            latestResult = null;
+            setAnimation(null);
+            cropEditor.setImage(null);
+            updateToneHistograms();
+            clearCanvases(resultCanvases, 'on error');
+            updateCompareView();
+        },
+        // Clear canvases if a file was previously loaded but now cancelled
+        onCancel: () => {
+            hasSource = false;
+            sourcePixels = null;
+            pipelineClient.setOriginal(null);
+            latestResult = null;
+            setAnimation(null);
+            cropEditor.setImage(null);
+            updateToneHistograms();
+            clearCanvases(resultCanvases, 'no file selected');
+            updateCompareView();
+        },
+        onVideo: (file) => loadVideo(file)
+    });
+
+    /**
+     * Starts a new upload, before its first file is loaded: a new photo starts unframed (unless a settings link
+     * brought a framing for it) and brings its own metadata and animation, and selecting several files at once
+     * also queues all of them for the batch (the first one is previewed).
+     * @param {File[]} files - The selected files.
+     */
+    function handleUploadSelection(files) {
+        const file = files[0];
+        resetFramingForUpload();
+        readUploadExif(file);
+        if (!file.type.startsWith('video/')) { // Videos go through loadVideo
+            loadAnimatedGif(file);
+        }
+        if (files.length > 1) {
+            queueBatchItems(files.filter(isImageFile).map(batchFile => ({ file: batchFile, path: batchFile.name })));
+        }
+    }
+
+    /**
+     * Has the pipeline worker frame and resize the loaded image, shows the result and processes it.
+     * Runs again whenever the framing changes; a framing superseded by a newer one is dropped.
+     */
+    async function prepareSource() {
+        // Step 1: Crop/rotate and resize the image (in the worker, as the original can be large)
+        try {
+            const resizedImageData = await pipelineClient.frameSource({
+                geometry,
+                maxLongest: MAX_LONGEST_EDGE_PX,
+                minShortest: MIN_SHORTEST_EDGE_PX
             });
+            if (!resizedImageData) {
+                console.log("DEBUG: Framing dropped: superseded by a newer one.");
+                return;
+            }
+            drawImageDataToCanvas(originalCanvas, resizedImageData);
+            sourcePixels = resizedImageData;
+            updateToneHistograms();
+            updateExportSizeInfo();
+            console.log("DEBUG: Step 1 (Frame & Resize) complete.");
+            processImage();
+        } catch (error) {
+            console.error("DEBUG: Framing the image failed.", error);
+            alert(`Could not frame the image: ${error.message}`);
         }
+    }
+
+
+    // --- Crop & Rotate ---
+    // The browser already turns photos upright from their EXIF orientation when decoding them, so the framing
+    // starts from the image as shown.
+
+    const cropEditor = createCropEditor(cropEditorContainer, {
+        onChange: (crop) => setGeometry({ ...geometry, crop }, 'crop')
+    });
+    // A framing opened from a settings link is kept for the first image uploaded afterwards
+    let keepLinkedGeometry = false;
+    let sourceExif = null; // EXIF metadata of the uploaded photo, for 'keep' downloads
+    let exifLoadId = 0;
+
+    function syncGeometryControls() {
+        cropEditor.setGeometry(geometry);
+        cropAspectSelect.value = geometry.aspect;
+        straightenInput.value = geometry.straighten;
+        straightenValue.textContent = `${geometry.straighten.toFixed(1)}°`;
+    }
+
+    /**
+     * Replaces the framing, refreshes its controls and re-processes.
+     * @param {import('./modules/geometry.js').Geometry} newGeometry - The new framing.
+     * @param {string} [origin] - 'crop' or 'straighten' when the change came from that control, 'history' for
+     *     undo/redo and settings links (not recorded).
+     */
+    function setGeometry(newGeometry, origin = '') {
+        geometry = normalizeGeometry(newGeometry);
+        syncGeometryControls();
+        if (origin !== 'history') {
+            recordChange(origin);
+        }
+        if (hasSource) {
+            prepareSource();
+        }
+    }
+
+    // Size of the framed original image, which the export sizes are based on.
+    function getFramedSize() {
+        return computeGeometry(originalImage.naturalWidth, originalImage.naturalHeight, geometry);
+    }
+
+    rotateLeftButton.addEventListener('click', () => setGeometry(rotateGeometry(geometry, -1)));
+    rotateRightButton.addEventListener('click', () => setGeometry(rotateGeometry(geometry, 1)));
+    flipHorizontalButton.addEventListener('click', () => setGeometry(flipGeometry(geometry, 'horizontal')));
+    flipVerticalButton.addEventListener('click', () => setGeometry(flipGeometry(geometry, 'vertical')));
+
+    cropAspectSelect.addEventListener('change', () => {
+        const newGeometry = { ...geometry, aspect: cropAspectSelect.value };
+        setGeometry(hasSource
+            ? fitCropToAspect(newGeometry, originalImage.naturalWidth, originalImage.naturalHeight)
+            : newGeometry);
+    });
+
+    // While the slider moves only the crop editor follows; the image is re-processed when it is let go.
+    straightenInput.addEventListener('input', () => {
+        const straighten = parseFloat(straightenInput.value);
+        cropEditor.setGeometry({ ...geometry, straighten });
+        straightenValue.textContent = `${straighten.toFixed(1)}°`;
     });
+    straightenInput.addEventListener('change', () => {
+        setGeometry({ ...geometry, straighten: parseFloat(straightenInput.value) }, 'straighten');
+    });
+
+    resetFramingButton.addEventListener('click', () => {
+        console.log("DEBUG: Reset Framing button clicked.");
+        setGeometry(DEFAULT_GEOMETRY);
+    });
+
+    // A new photo starts unframed, unless the framing came from a settings link opened before it.
+    function resetFramingForUpload() {
+        if (!keepLinkedGeometry) {
+            geometry = normalizeGeometry(DEFAULT_GEOMETRY);
+            syncGeometryControls();
+            scheduleUrlUpdate();
+        }
+        keepLinkedGeometry = false;
+    }
+
+    // Reads the EXIF metadata of a newly uploaded photo (videos have none). A newer upload wins over a slower one.
+    async function readUploadExif(file) {
+        sourceExif = null;
+        const loadId = ++exifLoadId;
+        if (file.type.startsWith('video/')) return;
+        const exif = readExif(new Uint8Array(await file.slice(0, EXIF_READ_BYTES).arrayBuffer()));
+        if (loadId === exifLoadId) {
+            sourceExif = exif;
+        }
+    }
+
+    // Adds the photo's EXIF metadata to image downloads when asked to. Its orientation is reset, as the pixels
+    // are already upright.
+    async function finishDownloadBlob(blob, fileType, canvas) {
+        if (exportMetadataSelect.value !== 'keep' || !sourceExif) {
+            return blob;
+        }
+        try {
+            const bytes = embedExif(new Uint8Array(await blob.arrayBuffer()), fileType, sourceExif, canvas);
+            return new Blob([bytes], { type: blob.type });
+        } catch (error) {
+            console.warn("DEBUG: Could not keep the metadata, downloading without it.", error);
+            return blob;
+        }
+    }
+
+    syncGeometryControls();
+
+
+    // --- Mask Brush ---
+    // While the first Blend step uses a brush mask, dragging over the Normal or Inverted preview paints strokes into
+    // it. Strokes are stored in fractions of the image, so they fit every export size. The preview follows the
+    // pointer, and each finished stroke becomes one undo step.
+
+    const brushCanvases = [normalDuotoneCanvas, invertedDuotoneCanvas];
+    let brushStroke = null; // { canvas, previous strokes, the stroke being painted } while dragging
+
+    function findBrushStep() {
+        const entry = recipe.steps.find(step => step.step === 'blend');
+        return entry && entry.enabled && entry.params.mask === 'brush' ? entry : null;
+    }
+
+    function updateMaskBrushControls() {
+        const active = Boolean(findBrushStep());
+        maskBrushControls.hidden = !active;
+        brushCanvases.forEach(canvas => canvas.classList.toggle('brush-active', active));
+    }
+
+    // Pointer position as fractions of the canvas, rounded to keep recipes and links small.
+    function brushPointFromEvent(canvas, event) {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            Math.round(clamp((event.clientX - rect.left) / rect.width, 0, 1) * 10000) / 10000,
+            Math.round(clamp((event.clientY - rect.top) / rect.height, 0, 1) * 10000) / 10000
+        ];
+    }
+
+    function paintBrushStroke() {
+        const { previous, stroke } = brushStroke;
+        setStepParams('blend', { strokes: [...previous, { ...stroke, points: [...stroke.points] }] }, 'brush');
+    }
+
+    brushCanvases.forEach(canvas => {
+        canvas.addEventListener('pointerdown', (event) => {
+            const step = findBrushStep();
+            if (!step || !hasSource) return;
+            event.preventDefault();
+            canvas.setPointerCapture(event.pointerId);
+            brushStroke = {
+                canvas,
+                previous: step.params.strokes,
+                stroke: {
+                    points: [brushPointFromEvent(canvas, event)],
+                    size: step.params.brushSize,
+                    erase: maskBrushModeSelect.value === 'erase'
+                }
+            };
+            paintBrushStroke();
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (!brushStroke || brushStroke.canvas !== canvas) return;
+            const point = brushPointFromEvent(canvas, event);
+            const points = brushStroke.stroke.points;
+            const last = points[points.length - 1];
+            const rect = canvas.getBoundingClientRect();
+            if (Math.hypot((point[0] - last[0]) * rect.width, (point[1] - last[1]) * rect.height) < BRUSH_POINT_SPACING_PX) return;
+            points.push(point);
+            paintBrushStroke();
+        });
+        canvas.addEventListener('pointerup', (event) => {
+            if (!brushStroke || brushStroke.canvas !== canvas) return;
+            brushStroke = null;
+            canvas.releasePointerCapture(event.pointerId);
+            recordChange(null);
+        });
+        // A cancelled stroke (e.g. a touch taken over by scrolling) is taken back
+        canvas.addEventListener('pointercancel', (event) => {
+            if (!brushStroke || brushStroke.canvas !== canvas) return;
+            const { previous } = brushStroke;
+            brushStroke = null;
+            canvas.releasePointerCapture(event.pointerId);
+            setStepParams('blend', { strokes: previous }, 'brush');
+        });
+    });
+
+    updateMaskBrushControls();
+
+
+    // --- Compare & Inspect ---
+    // The original and one output side by side in a zoomable split view, with a readout of how the pixel under
+    // the pointer went through the tone mapping.
+
+    let latestResult = null; // The worker's latest { normal, inverted } output for the current source
+    let mappingInputCache = null; // { recipe, source, variant, pixels }: the tones entering the color mapping
+
+    const compareView = createCompareView(compareViewContainer, { describePixel });
+
+    function updateCompareView() {
+        const variant = compareVariantSelect.value;
+        const output = variant === 'inverted' ? invertedDuotoneCanvas : normalDuotoneCanvas;
+        const ready = hasSource && latestResult !== null;
+        compareView.setImages(ready ? originalCanvas : null, ready ? output : null,
+            ['Original', variant === 'inverted' ? 'Inverted' : 'Normal']);
+    }
+
+    // Re-runs the steps before the color mapping on the preview source; kept until the recipe or source changes.
+    function getMappingInput(variant) {
+        const index = recipe.steps.findIndex(entry => entry.enabled && getStepDefinition(entry.step).inks);
+        if (!sourcePixels || index < 0) return null;
+        const cache = mappingInputCache;
+        if (!cache || cache.recipe !== recipe || cache.source !== sourcePixels || cache.variant !== variant) {
+            const pixels = runRecipe(sourcePixels, recipe, { variant, end: index, precision: 'float' });
+            mappingInputCache = { recipe, source: sourcePixels, variant, pixels };
+        }
+        return mappingInputCache.pixels;
+    }
+
+    function describePixel(x, y) {
+        const variant = compareVariantSelect.value;
+        const parts = [];
+        if (sourcePixels && x < sourcePixels.width && y < sourcePixels.height) {
+            const o = (y * sourcePixels.width + x) * 4;
+            const input = sourcePixels.data;
+            parts.push(`input L ${Math.round(0.2126 * input[o] + 0.7152 * input[o + 1] + 0.0722 * input[o + 2])}`);
+            const tones = getMappingInput(variant);
+            // The color mapping looks up the red channel of its (greyscale) input
+            parts.push(tones ? `tone ${tones.data[o].toFixed(1)}` : 'no color mapping step');
+        }
+        const output = latestResult && latestResult[variant];
+        if (output && x < output.width && y < output.height) {
+            const o = (y * output.width + x) * 4;
+            const [r, g, b, a] = output.data.slice(o, o + 4);
+            parts.push(`output ${rgbToHex({ r, g, b })}${a < 255 ? ` (alpha ${a})` : ''}`);
+        }
+        return parts.join(' → ');
+    }
+
+    compareVariantSelect.addEventListener('change', updateCompareView);
 
     // --- Event Listeners for Color Inputs (Synchronization) ---
 
@@ -141,7 +855,7 @@ document.addEventListener('DOMContentLoaded', () => {
     darkColorInput.addEventListener('input', (event) => {
         // Color picker value is always #RRGGBB
         darkColorTextInput.value = event.target.value; 
-        processImage();
+        setEndStopColor('dark', event.target.value);
     });
 
     // Dark Color Text Input changes: Validate, update color picker, then process
@@ -151,9 +865,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
         if (normalizedHexForDisplay) { 
             // Valid hex: Update both inputs and process
-            darkColorInput.value = normalizedHexForDisplay; // Sync color picker
+            darkColorInput.value = toPickerHex(normalizedHexForDisplay); // Sync color picker
             darkColorTextInput.value = normalizedHexForDisplay; // Update text input with normalized value (e.g., add #)
-            processImage();
+            setEndStopColor('dark', normalizedHexForDisplay);
         } else if (hex === '' || hex === '#') { 
             // Allow empty or just '#' while typing without immediate error
             darkColorInput.value = '#000000'; // Set picker to black as a safe fallback visually
@@ -169,7 +883,7 @@ document.addEventListener('DOMContentLoaded', () => {
     lightColorInput.addEventListener('input', (event) => {
         // Color picker value is always #RRGGBB
         lightColorTextInput.value = event.target.value; 
-        processImage();
+        setEndStopColor('light', event.target.value);
     });
 
     // Light Color Text Input changes: Validate, update color picker, then process
@@ -177,9 +891,9 @@ document.addEventListener('DOMContentLoaded', () => {
         const hex = event.target.value.trim();
         const normalizedHexForDisplay = normalizeHexForDisplay(hex);
         if (normalizedHexForDisplay) { 
-            lightColorInput.value = normalizedHexForDisplay; // Sync color picker
+            lightColorInput.value = toPickerHex(normalizedHexForDisplay); // Sync color picker
             lightColorTextInput.value = normalizedHexForDisplay; // Update text input with normalized value
-            processImage();
+            setEndStopColor('light', normalizedHexForDisplay);
         } else if (hex === '' || hex === '#') {
             lightColorInput.value = '#000000'; // Set picker to black as a safe fallback visually
         } else {
@@ -189,122 +903,611 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // --- Event Listeners for the Gradient Editor ---
+
+    gradientPresetSelect.addEventListener('change', (event) => {
+        if (event.target.value === 'custom') return; // 'Custom' only reflects manual edits
+        applyPreset(event.target.value);
+    });
+
+    gradientInterpolationSelect.addEventListener('change', (event) => {
+        console.log(`DEBUG: Interpolating the gradient in '${event.target.value}'.`);
+        setStepParams('gradientMap', { interpolation: event.target.value });
+    });
+
+    // Selected Stop Picker changes: Update text input and the stop (stop bar triggers processing)
+    stopColorInput.addEventListener('input', (event) => {
+        stopColorTextInput.value = event.target.value;
+        stopBar.setSelectedColor(event.target.value);
+    });
+
+    // Selected Stop Text Input changes: Validate, update color picker and the stop
+    stopColorTextInput.addEventListener('input', (event) => {
+        const hex = event.target.value.trim();
+        const normalizedHexForDisplay = normalizeHexForDisplay(hex);
+        if (normalizedHexForDisplay) {
+            stopColorInput.value = toPickerHex(normalizedHexForDisplay);
+            stopColorTextInput.value = normalizedHexForDisplay;
+            stopBar.setSelectedColor(normalizedHexForDisplay);
+        } else if (hex !== '' && hex !== '#') {
+            console.warn(`Invalid hex code entered for gradient stop: ${hex}`);
+        }
+    });
+
+    removeStopButton.addEventListener('click', () => {
+        stopBar.removeSelectedStop();
+    });
+
     // Reset Colors Button Event Listener
     resetColorsButton.addEventListener('click', () => {
         console.log("DEBUG: Reset Colors button clicked.");
-        darkColorInput.value = DEFAULT_DARK_HEX;
-        darkColorTextInput.value = DEFAULT_DARK_HEX;
-        lightColorInput.value = DEFAULT_LIGHT_HEX;
-        lightColorTextInput.value = DEFAULT_LIGHT_HEX;
-        processImage(); // Re-process with default colors
+        applyPreset(DEFAULT_PRESET); // Re-processes with default colors
+    });
+
+    // --- Preset Files & Color Suggestions ---
+
+    savePresetButton.addEventListener('click', () => {
+        const selected = findPreset(gradientPresetSelect.value);
+        const suggestedName = selected && gradientPresetSelect.value.startsWith(USER_PRESET_PREFIX) ? selected.name : '';
+        const name = prompt('Name for the preset (an existing preset with this name is replaced):', suggestedName);
+        if (name === null) return; // Cancelled
+        try {
+            const saved = presetStore.save({ name, stops: stopBar.getStops() });
+            console.log(`DEBUG: Saved preset '${saved.name}'.`);
+            renderPresetOptions(USER_PRESET_PREFIX + saved.name);
+        } catch (error) {
+            console.error("DEBUG: Saving the preset failed.", error);
+            alert(`Could not save the preset: ${error.message}`);
+        }
+    });
+
+    deletePresetButton.addEventListener('click', () => {
+        const value = gradientPresetSelect.value;
+        if (!value.startsWith(USER_PRESET_PREFIX)) {
+            alert('Select one of your own presets to delete it (built-in presets cannot be deleted).');
+            return;
+        }
+        const name = value.slice(USER_PRESET_PREFIX.length);
+        if (!confirm(`Delete the preset '${name}'?`)) return;
+        try {
+            presetStore.remove(name);
+            console.log(`DEBUG: Deleted preset '${name}'.`);
+            renderPresetOptions('custom'); // The gradient stays as it is
+        } catch (error) {
+            console.error("DEBUG: Deleting the preset failed.", error);
+            alert(`Could not delete the preset: ${error.message}`);
+        }
     });
 
+    exportPresetsButton.addEventListener('click', () => {
+        const presets = presetStore.list();
+        if (presets.length === 0) {
+            alert('Save a preset first: there are none of your own to export.');
+            return;
+        }
+        const format = presetExportFormatSelect.value;
+        downloadBlob(createSwatchFile(format, presets), `duotone_presets.${format}`);
+    });
+
+    // Loose colors of the last imported swatch file, offered as a source for suggestions
+    let importedSwatches = [];
+
+    importSwatchesInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const { presets, swatches } = parseSwatchFile(file.name, new Uint8Array(await file.arrayBuffer()));
+            if (presets.length === 0 && swatches.length < 2) {
+                throw new Error('The file has no presets and fewer than two colors.');
+            }
+            const saved = presets.map(preset => presetStore.save(preset));
+            console.log(`DEBUG: Imported ${saved.length} presets and ${swatches.length} swatches from ${file.name}.`);
+            if (saved.length > 0) {
+                renderPresetOptions();
+                applyPreset(USER_PRESET_PREFIX + saved[0].name);
+            }
+            if (swatches.length >= 2) {
+                importedSwatches = swatches;
+                const swatchOption = suggestionSourceSelect.querySelector('option[value="swatches"]');
+                swatchOption.disabled = false;
+                swatchOption.textContent = `Imported swatches (${swatches.length})`;
+                suggestionSourceSelect.value = 'swatches';
+                suggestColors();
+            }
+        } catch (error) {
+            console.error("DEBUG: Swatch import failed.", error);
+            alert(`Could not import the file: ${error.message}`);
+        }
+        importSwatchesInput.value = ''; // Allow importing the same file again
+    });
+
+    const colorSuggestions = createColorSuggestions(colorSuggestionsContainer, {
+        onPick: (pair) => {
+            console.log(`DEBUG: Using suggested pair ${pair.dark} / ${pair.light}.`);
+            setEndStopColors(pair.dark, pair.light);
+        }
+    });
+
+    function suggestColors() {
+        let colors;
+        if (suggestionSourceSelect.value === 'swatches') {
+            colors = importedSwatches.map(hex => ({ hex, weight: 1 }));
+        } else if (sourcePixels) {
+            colors = extractPalette(sourcePixels);
+        } else {
+            alert('Please upload an image first (or import a swatch file).');
+            return;
+        }
+        const pairs = suggestColorPairs(colors, { minContrast: Number(suggestionContrastSelect.value) });
+        console.log(`DEBUG: Suggested ${pairs.length} color pairs from ${colors.length} colors.`);
+        colorSuggestions.setPairs(pairs);
+    }
+
+    suggestColorsButton.addEventListener('click', suggestColors);
+
+    // --- Recipe Import/Export ---
+
+    exportRecipeButton.addEventListener('click', () => {
+        const blob = new Blob([serializeRecipe(recipe)], { type: 'application/json' });
+        downloadBlob(blob, `duotone_recipe_${Date.now()}.json`);
+    });
+
+    importRecipeInput.addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        try {
+            const importedRecipe = parseRecipe(await file.text());
+            console.log(`DEBUG: Imported recipe with ${importedRecipe.steps.length} steps from ${file.name}.`);
+            gradientPresetSelect.value = 'custom';
+            setRecipe(importedRecipe);
+        } catch (error) {
+            console.error("DEBUG: Recipe import failed.", error);
+            alert(`Could not import recipe: ${error.message}`);
+        }
+        importRecipeInput.value = ''; // Allow importing the same file again
+    });
+
+    resetRecipeButton.addEventListener('click', () => {
+        console.log("DEBUG: Reset Steps button clicked.");
+        gradientPresetSelect.value = DEFAULT_PRESET;
+        setRecipe(DEFAULT_RECIPE);
+    });
+
+
+    // --- Export Size ---
+
+    let exportInProgress = false;
+
+    function readExportSizeOptions() {
+        return {
+            mode: exportSizeSelect.value,
+            scale: parseFloat(exportScaleInput.value),
+            longEdge: parseInt(exportLongEdgeInput.value, 10)
+        };
+    }
+
+    function updateExportSizeInfo() {
+        const options = readExportSizeOptions();
+        exportScaleInput.hidden = options.mode !== 'scale';
+        exportLongEdgeInput.hidden = options.mode !== 'longEdge';
+
+        if (!hasSource) {
+            exportSizeInfo.textContent = '';
+        } else if (options.mode === 'preview') {
+            exportSizeInfo.textContent = `${originalCanvas.width} × ${originalCanvas.height} px`;
+        } else {
+            try {
+                const framed = getFramedSize();
+                const size = computeExportSize(framed.width, framed.height, options);
+                exportSizeInfo.textContent = `${size.width} × ${size.height} px${size.limited ? ' (reduced to the browser canvas limit)' : ''}`;
+            } catch (error) {
+                exportSizeInfo.textContent = error.message;
+            }
+        }
+    }
+
+    [exportSizeSelect, exportScaleInput, exportLongEdgeInput].forEach(input => {
+        input.addEventListener('input', updateExportSizeInfo);
+    });
+    updateExportSizeInfo();
+
+    // The recipe the Normal and Inverted downloads run: the editor's, plus the chosen handling of transparency.
+    function getExportRecipe() {
+        return withTransparencyMode(recipe, { mode: exportTransparencySelect.value, background: exportBackgroundInput.value });
+    }
+
+    function updateExportTransparencyControls() {
+        exportBackgroundInput.hidden = exportTransparencySelect.value !== 'flatten';
+    }
+
+    exportTransparencySelect.addEventListener('change', updateExportTransparencyControls);
+    updateExportTransparencyControls();
+
+    function showExportProgress(fraction) {
+        exportProgress.value = fraction;
+        exportProgressText.textContent = `${Math.round(fraction * 100)}%`;
+    }
+
+    /**
+     * Re-runs the pipeline on the original-resolution image for downloads that aren't preview-sized, and on the
+     * preview for Normal and Inverted downloads that flatten the transparency.
+     * @param {string} canvasId - Id of the result canvas whose download button was clicked.
+     * @returns {Promise<HTMLCanvasElement>|null} The rendered export, or null to download the preview canvas.
+     */
+    async function renderDownloadCanvas(canvasId) {
+        const options = readExportSizeOptions();
+        const variant = VARIANT_BY_CANVAS_ID[canvasId];
+        if (!variant) {
+            return null;
+        }
+        const exportRecipe = variant === 'original' ? recipe : getExportRecipe();
+        if (options.mode === 'preview') {
+            if (exportRecipe === recipe) {
+                return null;
+            }
+            // The preview with transparency handled: quick enough to run here at preview size
+            const canvas = document.createElement('canvas');
+            drawImageDataToCanvas(canvas, runRecipe(sourcePixels, exportRecipe, { variant }));
+            return canvas;
+        }
+        if (exportInProgress) {
+            throw new Error('Another export is still rendering. Please wait for it to finish.');
+        }
+
+        const framed = getFramedSize();
+        const size = computeExportSize(framed.width, framed.height, options);
+        if (size.limited) {
+            console.warn(`DEBUG: Export reduced to ${size.width}x${size.height} to stay within canvas limits.`);
+        }
+        console.log(`DEBUG: Rendering '${variant}' export at ${size.width}x${size.height}.`);
+
+        exportInProgress = true;
+        exportProgressGroup.hidden = false;
+        showExportProgress(0);
+        try {
+            // Pixel-sized step parameters were tuned on the preview, so scale them with the export
+            const pixelScale = size.width / originalCanvas.width;
+            return await renderExport(originalImage, size, { variant, recipe: exportRecipe, pixelScale, geometry }, showExportProgress);
+        } finally {
+            exportInProgress = false;
+            exportProgressGroup.hidden = true;
+        }
+    }
 
     // Download functionality for all buttons with class 'download-button'
-    document.addEventListener('click', (event) => {
-        if (event.target.classList.contains('download-button')) {
-            const button = event.target;
-            const canvasId = button.dataset.canvasId;
-            const filenamePrefix = button.dataset.filenamePrefix;
-            const fileType = button.dataset.fileType || 'png';
-            const quality = parseFloat(button.dataset.quality) || 0.92;
-
-            const canvas = document.getElementById(canvasId);
-
-            if (canvas && canvas.width > 0 && canvas.height > 0) {
-                let mimeType;
-                let fileExtension;
-                if (fileType === 'jpeg') {
-                    mimeType = 'image/jpeg';
-                    fileExtension = 'jpg';
-                } else {
-                    mimeType = 'image/png';
-                    fileExtension = 'png';
+    setupDownloadButtons({ renderCanvas: renderDownloadCanvas, finishBlob: finishDownloadBlob });
+
+
+    // --- Print Separations ---
+    // One ink-coverage plate per color of the Duotone / Gradient Map step, separated from the tones that
+    // enter that step, plus the finished composite. Uses the same download size as the image downloads.
+
+    function readCanvasPixels(canvas) {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    async function encodePngBlob(pixels) {
+        const canvas = document.createElement('canvas');
+        drawImageDataToCanvas(canvas, pixels);
+        return canvasToBlob(canvas, 'png');
+    }
+
+    // Renders the tones entering the color mapping step and the finished variant at the download size.
+    async function renderSeparationSources(variant, exportRecipe, mappingIndex) {
+        const options = readExportSizeOptions();
+        if (options.mode === 'preview') {
+            return {
+                tones: runRecipe(sourcePixels, exportRecipe, { variant, end: mappingIndex }),
+                composite: runRecipe(sourcePixels, exportRecipe, { variant })
+            };
+        }
+        const framed = getFramedSize();
+        const size = computeExportSize(framed.width, framed.height, options);
+        const pixelScale = size.width / originalCanvas.width;
+        const tonesRecipe = { ...exportRecipe, steps: exportRecipe.steps.slice(0, mappingIndex) };
+        const tones = await renderExport(originalImage, size, { variant, recipe: tonesRecipe, pixelScale, geometry },
+            fraction => showExportProgress(fraction / 2));
+        const composite = await renderExport(originalImage, size, { variant, recipe: exportRecipe, pixelScale, geometry },
+            fraction => showExportProgress(0.5 + fraction / 2));
+        return { tones: readCanvasPixels(tones), composite: readCanvasPixels(composite) };
+    }
+
+    separationButton.addEventListener('click', async () => {
+        if (!sourcePixels) {
+            alert('Please upload an image first.');
+            return;
+        }
+        if (exportInProgress) {
+            alert('Another export is still rendering. Please wait for it to finish.');
+            return;
+        }
+        const variant = separationVariantSelect.value;
+        const format = separationFormatSelect.value;
+        const dpi = parseFloat(separationDpiInput.value) || 300;
+        console.log(`DEBUG: Rendering '${variant}' separations as ${format}.`);
+
+        exportInProgress = true;
+        separationButton.disabled = true;
+        exportProgressGroup.hidden = false;
+        showExportProgress(0);
+        try {
+            const exportRecipe = getExportRecipe();
+            const mappingIndex = findColorMappingStep(exportRecipe);
+            const { tones, composite } = await renderSeparationSources(variant, exportRecipe, mappingIndex);
+            const plates = separatePlates(tones, getRecipeInks(exportRecipe, mappingIndex, variant));
+            const title = `${variant} duotone separations`;
+            const { blob, extension } = await buildSeparationFile(format, { composite, plates, encodePng: encodePngBlob, dpi, title });
+            downloadBlob(blob, `separations_${variant}_${Date.now()}.${extension}`);
+        } catch (error) {
+            console.error("DEBUG: Separation export failed.", error);
+            alert(`Separation export failed: ${error.message}`);
+        } finally {
+            exportInProgress = false;
+            separationButton.disabled = false;
+            exportProgressGroup.hidden = true;
+        }
+    });
+
+
+    // --- Animation ---
+    // Animated GIFs are decoded here frame by frame (the image element only shows their first frame, which the
+    // previews use). Videos are grabbed through a <video> element, and their first frame becomes the still image.
+
+    let animation = null; // { width, height, loopCount, frames } while an animated GIF or a video is loaded
+    let animationLoadId = 0; // A newer upload wins over a slower, older one
+
+    function setAnimation(newAnimation) {
+        animation = newAnimation;
+        animationPanel.hidden = !animation;
+        if (animation) {
+            const seconds = animation.frames.reduce((sum, frame) => sum + frame.delay, 0) / 1000;
+            animationInfo.textContent = `${animation.frames.length} frames, ${seconds.toFixed(1)} s`;
+        }
+    }
+
+    // Drops the current animation (and any that is still loading). Returns the id for a new load.
+    function resetAnimation() {
+        setAnimation(null);
+        return ++animationLoadId;
+    }
+
+    // Drops the previous animation, and decodes the new file's frames if it is an animated GIF.
+    async function loadAnimatedGif(file) {
+        const loadId = resetAnimation();
+        if (file.type !== 'image/gif' && !/\.gif$/i.test(file.name)) return;
+        try {
+            const decoded = decodeGif(new Uint8Array(await file.arrayBuffer()));
+            if (loadId === animationLoadId && decoded.frames.length > 1) {
+                console.log(`DEBUG: Decoded animated GIF with ${decoded.frames.length} frames.`);
+                setAnimation(decoded);
+            }
+        } catch (error) {
+            // The browser may still manage to show the first frame
+            console.error("DEBUG: GIF decoding failed, treating the file as a still image.", error);
+        }
+    }
+
+    async function loadVideo(file) {
+        const loadId = resetAnimation();
+        animationPanel.hidden = false;
+        animationButton.disabled = true;
+        try {
+            const video = await extractVideoFrames(file, {
+                frameRate: VIDEO_FRAME_RATE,
+                maxFrames: MAX_VIDEO_FRAMES,
+                maxLongest: MAX_VIDEO_EDGE_PX,
+                onProgress: (fraction) => {
+                    if (loadId === animationLoadId) {
+                        animationInfo.textContent = `Reading video… ${Math.round(fraction * 100)}%`;
+                    }
                 }
+            });
+            if (loadId !== animationLoadId) return;
+            setAnimation(video);
+            // The first frame goes through the usual image loading (previews, still downloads)
+            const poster = document.createElement('canvas');
+            drawImageDataToCanvas(poster, video.frames[0].pixels);
+            originalImage.src = poster.toDataURL('image/png');
+        } catch (error) {
+            if (loadId !== animationLoadId) return;
+            console.error("DEBUG: Reading the video failed.", error);
+            alert(`Could not read the video: ${error.message}`);
+            resetAnimation();
+        } finally {
+            animationButton.disabled = false;
+        }
+    }
+
+    animationButton.addEventListener('click', async () => {
+        if (!animation || !hasSource) {
+            alert('Please upload an animated GIF or a video first.');
+            return;
+        }
+        if (exportInProgress) {
+            alert('Another export is still rendering. Please wait for it to finish.');
+            return;
+        }
+        const source = animation;
+        const exportRecipe = getExportRecipe();
+        const exportGeometry = geometry;
+        const variant = animationVariantSelect.value;
+
+        exportInProgress = true;
+        animationButton.disabled = true;
+        exportProgressGroup.hidden = false;
+        showExportProgress(0);
+        try {
+            const options = readExportSizeOptions();
+            const framed = computeGeometry(source.width, source.height, exportGeometry);
+            const size = options.mode === 'preview'
+                ? computeBoundedSize(framed.width, framed.height, MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX)
+                : computeExportSize(framed.width, framed.height, options);
+            console.log(`DEBUG: Rendering '${variant}' animation (${source.frames.length} frames) at ${size.width}x${size.height}.`);
+            const framedFrames = source.frames.map(frame => ({ ...frame, pixels: applyGeometry(frame.pixels, exportGeometry) }));
+            const frames = resizeFrames(framedFrames, size.width, size.height);
+            const pixelScale = size.width / originalCanvas.width;
+            const processed = await processFrames(frames, exportRecipe, { variant, pixelScale }, showExportProgress);
+            const bytes = encodeAnimation(processed, { recipe: exportRecipe, variant, loopCount: source.loopCount });
+            downloadBlob(new Blob([bytes], { type: 'image/gif' }), `animated_${variant}_${Date.now()}.gif`);
+        } catch (error) {
+            console.error("DEBUG: Animation export failed.", error);
+            alert(`Animation export failed: ${error.message}`);
+        } finally {
+            exportInProgress = false;
+            animationButton.disabled = false;
+            exportProgressGroup.hidden = true;
+        }
+    });
+
+
+    // --- Batch Processing ---
+    // The preview still shows the first selected file; the batch runs every queued file through the
+    // current recipe and download size, and bundles the outputs into one ZIP built in the browser.
+
+    const batchGrid = createBatchGrid(batchGridContainer);
+    let batchItems = [];
+    let batchAbortController = null;
+
+    function updateBatchButtons() {
+        const running = batchAbortController !== null;
+        batchRunButton.disabled = running || batchItems.length === 0;
+        batchClearButton.disabled = running || batchItems.length === 0;
+        batchCancelButton.hidden = !running;
+    }
+
+    function queueBatchItems(items) {
+        if (batchAbortController) {
+            alert('Please wait for the current batch to finish before adding more images.');
+            return;
+        }
+        console.log(`DEBUG: Queued ${items.length} images for batch processing.`);
+        batchItems = batchItems.concat(items);
+        batchGrid.addItems(items);
+        batchPanel.open = true;
+        updateBatchButtons();
+    }
+
+    function showBatchProgress(fraction) {
+        batchProgress.value = fraction;
+        batchProgressText.textContent = `${Math.round(fraction * 100)}%`;
+    }
+
+    batchDropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        batchDropZone.classList.add('drag-over');
+    });
+
+    batchDropZone.addEventListener('dragleave', () => {
+        batchDropZone.classList.remove('drag-over');
+    });
 
-                const dataURL = canvas.toDataURL(mimeType, quality);
-                
-                const a = document.createElement('a');
-                a.href = dataURL;
-                a.download = `${filenamePrefix}_${Date.now()}.${fileExtension}`;
-                
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
+    batchDropZone.addEventListener('drop', async (event) => {
+        event.preventDefault();
+        batchDropZone.classList.remove('drag-over');
+        try {
+            const items = await collectDroppedItems(event.dataTransfer);
+            if (items.length === 0) {
+                alert('No images found in the dropped files.');
+                return;
+            }
+            queueBatchItems(items);
+        } catch (error) {
+            console.error("DEBUG: Reading dropped files failed.", error);
+            alert(`Could not read the dropped files: ${error.message}`);
+        }
+    });
+
+    batchRunButton.addEventListener('click', async () => {
+        const variants = [];
+        if (batchIncludeNormalInput.checked) variants.push('normal');
+        if (batchIncludeInvertedInput.checked) variants.push('inverted');
+        if (variants.length === 0) {
+            alert('Please choose at least one output (Normal or Inverted).');
+            return;
+        }
+
+        const fileType = batchFormatSelect.value;
+        console.log(`DEBUG: Starting batch of ${batchItems.length} images (${variants.join(', ')}, ${fileType}).`);
+        batchAbortController = new AbortController();
+        updateBatchButtons();
+        batchItems.forEach(item => batchGrid.setStatus(item, 'queued'));
+        batchProgressGroup.hidden = false;
+        showBatchProgress(0);
+        try {
+            const zip = await processBatch(batchItems, {
+                recipe: getExportRecipe(),
+                sizeOptions: readExportSizeOptions(),
+                previewBounds: { maxLongest: MAX_LONGEST_EDGE_PX, minShortest: MIN_SHORTEST_EDGE_PX },
+                variants,
+                fileType,
+                quality: fileType === 'jpeg' ? 0.85 : 0.92,
+                signal: batchAbortController.signal,
+                onItemStatus: batchGrid.setStatus,
+                onProgress: showBatchProgress
+            });
+            if (zip) {
+                downloadBlob(zip, `duotone_batch_${Date.now()}.zip`);
+                console.log("DEBUG: Batch finished.");
             } else {
-                console.warn(`Canvas '${canvasId}' is empty or not ready for download.`);
+                console.log("DEBUG: Batch cancelled.");
             }
+        } catch (error) {
+            console.error("DEBUG: Batch processing failed.", error);
+            alert(`Batch processing failed: ${error.message}`);
+        } finally {
+            batchAbortController = null;
+            batchProgressGroup.hidden = true;
+            updateBatchButtons();
         }
     });
 
+    batchCancelButton.addEventListener('click', () => {
+        if (batchAbortController) batchAbortController.abort();
+    });
+
+    batchClearButton.addEventListener('click', () => {
+        batchGrid.clear();
+        batchItems = [];
+        updateBatchButtons();
+    });
+
+
+    // --- Settings Link on Page Load ---
+    // Applied once everything above is set up, as it reaches into the framing, crop editor and upload state.
+
+    window.addEventListener('hashchange', () => loadSettingsFromUrl(false));
+    loadSettingsFromUrl(true);
+
 
     /**
      * Orchestrates the image processing pipeline for duotone effects.
+     * Safe to call on every input event: only the latest request gets rendered.
      */
     function processImage() {
         console.log("DEBUG: processImage() START.");
         // Check if an image is actually loaded and ready before processing
-        if (!originalImage.src || !originalImage.complete || originalImage.naturalWidth === 0) {
+        if (!hasSource || !originalImage.complete || originalImage.naturalWidth === 0) {
             console.error("DEBUG: processImage() aborted: No valid image loaded.", {src: originalImage.src, complete: originalImage.complete, naturalWidth: originalImage.naturalWidth});
             return; // Exit silently if no image is loaded
         }
 
-        // Get current hex values from input fields
-        // We now read the normalized value from the text input after it's been synced
-        const currentDarkHex = darkColorTextInput.value; 
-        const currentLightHex = lightColorTextInput.value;
-        
-        // Final validation before processing. Uses hexRegex.test directly.
-        if (!hexRegex.test(currentDarkHex) || !hexRegex.test(currentLightHex)) {
-            console.error("DEBUG: processImage() aborted: One or both hex colors are invalid (unnormalized).");
-            // If the text inputs are displaying invalid text, don't try to process
-            return; 
-        }
-
-        console.log(`DEBUG: Using colors - Dark: ${currentDarkHex}, Light: ${currentLightHex}`);
-
-
-        // --- Core Processing Pipeline ---
-
-        // Step 1: Resize the image
-        const resizedImageData = resizeImageToBounds(originalImage, MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX);
-        drawImageDataToCanvas(originalCanvas, resizedImageData);
-        console.log("DEBUG: Step 1 (Resize) complete.");
-
-        // Create a copy of the resized image data for further processing.
-        const greyscaleInputImageData = new ImageData(
-            new Uint8ClampedArray(resizedImageData.data), 
-            resizedImageData.width, 
-            resizedImageData.height
-        );
-
-        // Step 2: Convert to greyscale (modifies greyscaleInputImageData in place)
-        const greyscaleImageData = applyGreyscale(greyscaleInputImageData);
-        console.log("DEBUG: Step 2 (Greyscale) complete.");
-
-        // Step 3: Maximize contrast (2-steps)
-        // 3a. Auto-contrast (stretch to full 0-255 range)
-        const autoContrastImageData = applyAutoContrast(new ImageData(new Uint8ClampedArray(greyscaleImageData.data), greyscaleImageData.width, greyscaleImageData.height));
-        
-        // 3b. Stretch midtones
-        const finalContrastImageData = applyMidtoneContrast(new ImageData(new Uint8ClampedArray(autoContrastImageData.data), autoContrastImageData.width, autoContrastImageData.height), MIDTONE_CONTRAST_FACTOR);
-        console.log("DEBUG: Step 3 (Contrast) complete.");
-
-        // Step 4: Generate Normal Duotone
-        // hexToRgb already handles #RGB and #RRGGBB correctly.
-        const darkRgbNormal = hexToRgb(currentDarkHex); 
-        const lightRgbNormal = hexToRgb(currentLightHex); 
-        const normalDuotoneImageData = applyDuotone(new ImageData(new Uint8ClampedArray(finalContrastImageData.data), finalContrastImageData.width, finalContrastImageData.height), darkRgbNormal, lightRgbNormal);
-        drawImageDataToCanvas(normalDuotoneCanvas, normalDuotoneImageData);
-        console.log("DEBUG: Step 4 (Normal Duotone) complete.");
-
-        // Step 5: Generate Inverted Duotone
-        const darkRgbInverted = hexToRgb(currentLightHex); 
-        const lightRgbInverted = hexToRgb(currentDarkHex); 
-        const invertedDuotoneImageData = applyDuotone(new ImageData(new Uint8ClampedArray(finalContrastImageData.data), finalContrastImageData.width, finalContrastImageData.height), darkRgbInverted, lightRgbInverted);
-        drawImageDataToCanvas(invertedDuotoneCanvas, invertedDuotoneImageData);
-        console.log("DEBUG: Step 5 (Inverted Duotone) complete.");
-
-        console.log("DEBUG: processImage() END. All results should be displayed.");
+        console.log(`DEBUG: Using recipe - ${recipe.steps.filter(entry => entry.enabled).map(entry => entry.step).join(' -> ')}`);
+
+        // --- Core Processing Pipeline (runs in the worker) ---
+        // The worker caches the result of every unchanged recipe prefix, so e.g. color-only changes
+        // just redo the gradient map (normal and inverted). Superseded requests resolve to null.
+        pipelineClient.process({ recipe }).then(result => {
+            if (!result) {
+                console.log("DEBUG: processImage() result dropped: superseded by a newer request.");
+                return;
+            }
+            drawImageDataToCanvas(normalDuotoneCanvas, result.normal);
+            drawImageDataToCanvas(invertedDuotoneCanvas, result.inverted);
+            latestResult = result;
+            updateCompareView();
+            console.log("DEBUG: processImage() END. All results should be displayed.");
+        }).catch(error => {
+            console.error("DEBUG: processImage() failed.", error);
+        });
     }
 }); // End of DOMContentLoaded
\ No newline at end of file
@@ -0,0 +1,153 @@
+// modules/animation.js
+// Runs animations (GIF frames, or frames grabbed from a video) through the pipeline and writes them back as GIFs.
+
+import { findAnalysisSteps, getStepDefinition, runRecipe } from './pipeline.js';
+import './steps.js'; // Registers the built-in steps
+import { resamplePixels } from './image-core.js';
+import { createPixelBuffer } from './utils.js';
+import { encodeGif } from './gif.js';
+
+// One GIF palette entry is kept free for transparent pixels.
+const MAX_PALETTE_COLORS = 255;
+
+// Lets the browser repaint (progress bar) and handle input between frames.
+function nextFrame() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Resizes every frame of an animation.
+ * @param {AnimationFrame[]} frames - The frames.
+ * @param {number} width - Target width in pixels.
+ * @param {number} height - Target height in pixels.
+ * @returns {AnimationFrame[]} The resized frames (the same frames if they already have that size).
+ */
+export function resizeFrames(frames, width, height) {
+    return frames.map(frame => (
+        frame.pixels.width === width && frame.pixels.height === height
+            ? frame
+            : { ...frame, pixels: resamplePixels(frame.pixels, width, height) }
+    ));
+}
+
+/**
+ * Runs every frame through a recipe. Steps that need whole-image statistics (e.g. auto levels) get them from all
+ * frames together, the way exports get them from all strips, so the tones don't flicker from frame to frame.
+ * @param {AnimationFrame[]} frames - The frames.
+ * @param {Object} recipe - The pipeline recipe.
+ * @param {Object} options
+ * @param {string} options.variant - 'normal' or 'inverted'.
+ * @param {number} [options.pixelScale=1] - Frame pixels per preview pixel, so pixel-sized parameters keep their look.
+ * @param {function(number): void} [onProgress] - Receives the progress (0.0 - 1.0) after every frame.
+ * @returns {Promise<AnimationFrame[]>} The processed frames, with their delays.
+ */
+export async function processFrames(frames, recipe, { variant, pixelScale = 1 }, onProgress = () => {}) {
+    const analysisSteps = findAnalysisSteps(recipe);
+    const totalFrames = frames.length * (analysisSteps.length + 1);
+    let framesDone = 0;
+    const stats = {};
+
+    for (const index of analysisSteps) {
+        const entry = recipe.steps[index];
+        const definition = getStepDefinition(entry.step);
+        let accumulator;
+        for (const frame of frames) {
+            const partial = runRecipe(frame.pixels, recipe, { variant, stats, pixelScale, end: index, precision: 'float' });
+            accumulator = definition.analyze(partial, entry.params, accumulator);
+            onProgress(++framesDone / totalFrames);
+            await nextFrame();
+        }
+        stats[index] = definition.resolveStats(accumulator, entry.params);
+    }
+
+    const results = [];
+    for (const frame of frames) {
+        results.push({ pixels: runRecipe(frame.pixels, recipe, { variant, stats, pixelScale }), delay: frame.delay });
+        onProgress(++framesDone / totalFrames);
+        await nextFrame();
+    }
+    return results;
+}
+
+// Colors in order of use in the frames, at 5 bits per channel (each the average of the colors it stands for).
+function collectFrameColors(frames) {
+    const counts = new Uint32Array(1 << 15);
+    const sums = new Float64Array((1 << 15) * 3);
+    for (const { pixels } of frames) {
+        const data = pixels.data;
+        for (let o = 0; o < data.length; o += 4) {
+            if (data[o + 3] < 128) continue;
+            const bucket = ((data[o] >> 3) << 10) | ((data[o + 1] >> 3) << 5) | (data[o + 2] >> 3);
+            counts[bucket]++;
+            sums[bucket * 3] += data[o];
+            sums[bucket * 3 + 1] += data[o + 1];
+            sums[bucket * 3 + 2] += data[o + 2];
+        }
+    }
+    const buckets = [];
+    counts.forEach((count, bucket) => {
+        if (count > 0) buckets.push(bucket);
+    });
+    buckets.sort((a, b) => counts[b] - counts[a]);
+    return buckets.map(bucket => ({
+        r: Math.round(sums[bucket * 3] / counts[bucket]),
+        g: Math.round(sums[bucket * 3 + 1] / counts[bucket]),
+        b: Math.round(sums[bucket * 3 + 2] / counts[bucket])
+    }));
+}
+
+/**
+ * Picks the GIF palette for an animation. With a Duotone or Gradient Map step, the palette is its gradient
+ * (followed through the steps after it), so the colors come out exact and don't band. Without one (for the
+ * original variant, or when a later step brings back the original colors or adds colors of its own, like a
+ * background or RGB split fringes), it holds the most used colors of the frames.
+ * @param {AnimationFrame[]} frames - The processed frames.
+ * @param {Object|null} recipe - The recipe the frames went through, or null for unprocessed frames.
+ * @param {string} [variant='normal'] - 'normal', 'inverted' or 'original'.
+ * @returns {{r: number, g: number, b: number}[]} Up to 255 colors.
+ */
+export function buildAnimationPalette(frames, recipe, variant = 'normal') {
+    const mappingIndex = recipe && variant !== 'original'
+        ? recipe.steps.findIndex(entry => entry.enabled && getStepDefinition(entry.step).inks)
+        : -1;
+    const mixesInColors = mappingIndex >= 0 && recipe.steps.slice(mappingIndex).some(entry => {
+        const definition = getStepDefinition(entry.step);
+        return entry.enabled && (definition.usesSource || definition.addsColors);
+    });
+    if (mappingIndex < 0 || mixesInColors) {
+        const colors = collectFrameColors(frames).slice(0, MAX_PALETTE_COLORS);
+        return colors.length > 0 ? colors : [{ r: 0, g: 0, b: 0 }];
+    }
+
+    // A ramp of evenly spaced greys, as they enter the color mapping
+    const ramp = createPixelBuffer(MAX_PALETTE_COLORS, 1);
+    for (let i = 0; i < MAX_PALETTE_COLORS; i++) {
+        const grey = Math.round(i * 255 / (MAX_PALETTE_COLORS - 1));
+        ramp.data.set([grey, grey, grey, 255], i * 4);
+    }
+    const mapped = runRecipe(ramp, { ...recipe, steps: recipe.steps.slice(mappingIndex) }, { variant });
+
+    const seen = new Set();
+    const palette = [];
+    for (let o = 0; o < mapped.data.length; o += 4) {
+        const key = (mapped.data[o] << 16) | (mapped.data[o + 1] << 8) | mapped.data[o + 2];
+        if (!seen.has(key)) {
+            seen.add(key);
+            palette.push({ r: mapped.data[o], g: mapped.data[o + 1], b: mapped.data[o + 2] });
+        }
+    }
+    return palette;
+}
+
+/**
+ * Encodes processed frames as an animated GIF, with a palette from the recipe's colors.
+ * @param {AnimationFrame[]} frames - The processed frames.
+ * @param {Object} options
+ * @param {Object|null} options.recipe - The recipe the frames went through (see `buildAnimationPalette`).
+ * @param {string} options.variant - 'normal', 'inverted' or 'original'.
+ * @param {number|null} [options.loopCount=0] - Extra plays after the first (0 = forever), or null to play once.
+ * @returns {Uint8Array} The GIF file content.
+ */
+export function encodeAnimation(frames, { recipe, variant, loopCount = 0 }) {
+    return encodeGif(frames, { palette: buildAnimationPalette(frames, recipe, variant), loopCount });
+}
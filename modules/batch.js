@@ -0,0 +1,112 @@
+// modules/batch.js
+
+import { computeBoundedSize } from './image-core.js';
+import { computeExportSize, renderExport } from './export.js';
+import { canvasToBlob, getFileExtension } from './ui/download.js';
+import { createZip } from './zip.js';
+
+// File name extensions accepted when the browser doesn't report a MIME type (e.g. some folder drops).
+const IMAGE_EXTENSION_REGEX = /\.(png|jpe?g|gif|webp|bmp|avif)$/i;
+
+/**
+ * A file queued for batch processing.
+ * @typedef {Object} BatchItem
+ * @property {File} file - The image file.
+ * @property {string} path - Its path relative to the selection or dropped folder (e.g. "trip/IMG_01.jpg").
+ */
+
+/**
+ * Tells whether a file looks like an image the browser can decode.
+ * @param {File} file - The file to check.
+ * @returns {boolean} True for image files.
+ */
+export function isImageFile(file) {
+    return file.type.startsWith('image/') || (!file.type && IMAGE_EXTENSION_REGEX.test(file.name));
+}
+
+// Picks a ZIP entry name that isn't taken yet ("a_normal.png", "a_normal_2.png", ...).
+function uniqueName(name, usedNames) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    for (let n = 2; usedNames.has(candidate); n++) {
+        candidate = `${name.slice(0, dot)}_${n}${name.slice(dot)}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+}
+
+/**
+ * Runs every file through the current recipe and bundles the outputs into a single ZIP.
+ * Files are processed one at a time; a file that fails is reported and skipped.
+ * @param {BatchItem[]} items - The files to process.
+ * @param {Object} options
+ * @param {Object} options.recipe - The pipeline recipe.
+ * @param {Object} options.sizeOptions - Export size options (see `computeExportSize`); mode 'preview' uses the preview bounds.
+ * @param {{maxLongest: number, minShortest: number}} options.previewBounds - Bounds of the preview image, which
+ *     pixel-sized step parameters are relative to.
+ * @param {string[]} options.variants - Outputs to include: 'normal' and/or 'inverted'.
+ * @param {string} [options.fileType='png'] - 'png' or 'jpeg'.
+ * @param {number} [options.quality=0.92] - JPEG quality.
+ * @param {AbortSignal} [options.signal] - Stops the batch after the current output when aborted.
+ * @param {function(BatchItem, string, string=): void} [options.onItemStatus] - Receives 'processing', 'done' or
+ *     'error' (with a message) for each item.
+ * @param {function(number): void} [options.onProgress] - Receives the overall progress (0.0 - 1.0).
+ * @returns {Promise<Blob|null>} The ZIP archive, or null if the batch was cancelled.
+ */
+export async function processBatch(items, {
+    recipe,
+    sizeOptions,
+    previewBounds,
+    variants,
+    fileType = 'png',
+    quality = 0.92,
+    signal,
+    onItemStatus = () => {},
+    onProgress = () => {}
+}) {
+    const outputs = [];
+    const usedNames = new Set();
+    const extension = getFileExtension(fileType);
+
+    for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        if (signal && signal.aborted) return null;
+        onItemStatus(item, 'processing');
+
+        let bitmap = null;
+        try {
+            // Phone photos store their rotation in Exif; ask for it explicitly, as some browsers used to ignore it
+            bitmap = await createImageBitmap(item.file, { imageOrientation: 'from-image' });
+            const previewSize = computeBoundedSize(bitmap.width, bitmap.height, previewBounds.maxLongest, previewBounds.minShortest);
+            const size = sizeOptions.mode === 'preview'
+                ? previewSize
+                : computeExportSize(bitmap.width, bitmap.height, sizeOptions);
+            const pixelScale = size.width / previewSize.width;
+            const baseName = item.path.replace(/\.[^./]+$/, '');
+
+            for (let v = 0; v < variants.length; v++) {
+                if (signal && signal.aborted) return null;
+                const canvas = await renderExport(bitmap, size, { variant: variants[v], recipe, pixelScale }, (fraction) => {
+                    onProgress((index + (v + fraction) / variants.length) / items.length);
+                });
+                outputs.push({
+                    name: uniqueName(`${baseName}_${variants[v]}.${extension}`, usedNames),
+                    blob: await canvasToBlob(canvas, fileType, quality),
+                    lastModified: new Date()
+                });
+            }
+            onItemStatus(item, 'done');
+        } catch (error) {
+            console.error(`DEBUG: Batch processing of '${item.path}' failed.`, error);
+            onItemStatus(item, 'error', error.message || 'The image could not be decoded.');
+        } finally {
+            if (bitmap) bitmap.close();
+        }
+        onProgress((index + 1) / items.length);
+    }
+
+    if (outputs.length === 0) {
+        throw new Error('None of the images could be processed.');
+    }
+    return createZip(outputs);
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+// modules/color.js
+// Color-space conversions: sRGB <-> linear light <-> OKLab <-> OKLCH, color mixing in any of them, and contrast.
+// OKLab is Björn Ottosson's perceptual color space (https://bottosson.github.io/posts/oklab/).
+
+import { clamp } from './utils.js';
+
+/**
+ * Spaces colors can be mixed in:
+ * - 'srgb': the gamma-encoded values, like a plain CSS gradient (dark, muddy midpoints between complements);
+ * - 'linear': linear light, like mixing light physically (brighter midpoints);
+ * - 'oklab': perceptually even lightness and saturation;
+ * - 'oklch': OKLab in polar form; the hue travels around the color wheel, keeping midpoints saturated.
+ */
+export const INTERPOLATION_SPACES = ['srgb', 'linear', 'oklab', 'oklch'];
+
+// Below this chroma a color counts as grey, and its hue is meaningless.
+const ACHROMATIC_CHROMA = 1e-4;
+
+// 8-bit sRGB -> linear light, precomputed since pixels only have 256 values per channel
+const SRGB_TO_LINEAR = new Float64Array(256).map((_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Decodes an sRGB channel value to linear light.
+ * @param {number} value - sRGB value (0-255, fractions allowed).
+ * @returns {number} Linear value (0-1).
+ */
+export function srgbToLinear(value) {
+    if (Number.isInteger(value) && value >= 0 && value <= 255) {
+        return SRGB_TO_LINEAR[value];
+    }
+    const c = clamp(value, 0, 255) / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Encodes a linear-light value as an sRGB channel value. Out-of-range values are clipped.
+ * @param {number} value - Linear value (0-1).
+ * @returns {number} sRGB value (0-255, unrounded).
+ */
+export function linearToSrgb(value) {
+    const c = clamp(value, 0, 1);
+    return (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255;
+}
+
+/**
+ * Converts an sRGB color to OKLab.
+ * @param {{r: number, g: number, b: number}} rgb - sRGB color (0-255).
+ * @returns {{L: number, a: number, b: number}} OKLab color (L from 0 to 1).
+ */
+export function rgbToOklab({ r, g, b }) {
+    const lr = srgbToLinear(r);
+    const lg = srgbToLinear(g);
+    const lb = srgbToLinear(b);
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    return {
+        L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Converts an OKLab color to sRGB. Colors outside the sRGB gamut are clipped per channel.
+ * @param {{L: number, a: number, b: number}} lab - OKLab color.
+ * @returns {{r: number, g: number, b: number}} sRGB color (0-255, unrounded).
+ */
+export function oklabToRgb({ L, a, b }) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+    return {
+        r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    };
+}
+
+/**
+ * Converts an OKLab color to OKLCH (lightness, chroma, hue in degrees).
+ * @param {{L: number, a: number, b: number}} lab - OKLab color.
+ * @returns {{L: number, C: number, h: number}} OKLCH color (h is NaN for greys).
+ */
+export function oklabToOklch({ L, a, b }) {
+    const C = Math.hypot(a, b);
+    const h = C < ACHROMATIC_CHROMA ? NaN : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+    return { L, C, h };
+}
+
+/**
+ * Converts an OKLCH color to OKLab.
+ * @param {{L: number, C: number, h: number}} lch - OKLCH color (a NaN hue means grey).
+ * @returns {{L: number, a: number, b: number}} OKLab color.
+ */
+export function oklchToOklab({ L, C, h }) {
+    if (Number.isNaN(h)) {
+        return { L, a: 0, b: 0 };
+    }
+    const radians = h * Math.PI / 180;
+    return { L, a: C * Math.cos(radians), b: C * Math.sin(radians) };
+}
+
+const lerp = (from, to, f) => from * (1 - f) + to * f;
+
+/**
+ * Mixes two sRGB colors in the given space.
+ * @param {{r: number, g: number, b: number}} from - Color at f = 0 (0-255).
+ * @param {{r: number, g: number, b: number}} to - Color at f = 1 (0-255).
+ * @param {number} f - Mix factor (0-1).
+ * @param {string} [space='srgb'] - One of INTERPOLATION_SPACES.
+ * @returns {{r: number, g: number, b: number}} The mixed color (0-255, unrounded).
+ */
+export function mixColors(from, to, f, space = 'srgb') {
+    switch (space) {
+        case 'srgb':
+            return { r: lerp(from.r, to.r, f), g: lerp(from.g, to.g, f), b: lerp(from.b, to.b, f) };
+        case 'linear':
+            return {
+                r: linearToSrgb(lerp(srgbToLinear(from.r), srgbToLinear(to.r), f)),
+                g: linearToSrgb(lerp(srgbToLinear(from.g), srgbToLinear(to.g), f)),
+                b: linearToSrgb(lerp(srgbToLinear(from.b), srgbToLinear(to.b), f))
+            };
+        case 'oklab': {
+            const a = rgbToOklab(from);
+            const b = rgbToOklab(to);
+            return oklabToRgb({ L: lerp(a.L, b.L, f), a: lerp(a.a, b.a, f), b: lerp(a.b, b.b, f) });
+        }
+        case 'oklch': {
+            const a = oklabToOklch(rgbToOklab(from));
+            const b = oklabToOklch(rgbToOklab(to));
+            // A grey takes the other color's hue, so mixing towards it only fades the chroma (as in CSS)
+            const fromHue = Number.isNaN(a.h) ? b.h : a.h;
+            const toHue = Number.isNaN(b.h) ? a.h : b.h;
+            let hue = NaN;
+            if (!Number.isNaN(fromHue)) {
+                // Take the shorter way around the hue circle
+                let delta = toHue - fromHue;
+                if (delta > 180) delta -= 360;
+                if (delta < -180) delta += 360;
+                hue = (fromHue + delta * f + 360) % 360;
+            }
+            return oklabToRgb(oklchToOklab({ L: lerp(a.L, b.L, f), C: lerp(a.C, b.C, f), h: hue }));
+        }
+        default:
+            throw new Error(`Unknown interpolation space '${space}'.`);
+    }
+}
+
+/**
+ * Computes the relative luminance of an sRGB color, as defined by WCAG.
+ * @param {{r: number, g: number, b: number}} rgb - sRGB color (0-255).
+ * @returns {number} Luminance from 0 (black) to 1 (white).
+ */
+export function relativeLuminance({ r, g, b }) {
+    return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * Computes the WCAG contrast ratio of two colors.
+ * @param {{r: number, g: number, b: number}} first - sRGB color (0-255).
+ * @param {{r: number, g: number, b: number}} second - sRGB color (0-255).
+ * @returns {number} Ratio from 1 (same luminance) to 21 (black on white).
+ */
+export function contrastRatio(first, second) {
+    const a = relativeLuminance(first);
+    const b = relativeLuminance(second);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
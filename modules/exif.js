@@ -0,0 +1,320 @@
+// modules/exif.js
+// Exif metadata: read from JPEG (APP1) and PNG (eXIf) files for the orientation, and written back into exports
+// when the user keeps metadata. Written Exif is upright (orientation 1), has the export's pixel size, and leaves
+// out the embedded thumbnail, which would still show the uncropped original.
+
+import { crc32 } from './zip.js';
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // 'Exif\0\0'
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+const TAG_IMAGE_WIDTH = 0x0100;
+const TAG_IMAGE_HEIGHT = 0x0101;
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_INTEROP_IFD = 0xA005;
+const TAG_PIXEL_X_DIMENSION = 0xA002;
+const TAG_PIXEL_Y_DIMENSION = 0xA003;
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+// Bytes per value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// A JPEG APP1 segment holds at most 64 KiB, including its length field and the Exif header.
+const MAX_JPEG_EXIF_SIZE = 0xFFFF - 2 - EXIF_HEADER.length;
+
+/**
+ * One Exif field, with its value bytes as stored (in the block's byte order).
+ * @typedef {{tag: number, type: number, count: number, value: Uint8Array}} ExifEntry
+ */
+
+/**
+ * The Exif block of an image, split into its directories. Pointers between them are left out and rebuilt when
+ * writing.
+ * @typedef {Object} ExifData
+ * @property {boolean} littleEndian - Byte order of the values.
+ * @property {ExifEntry[]} image - Main image fields (camera, date, orientation, ...).
+ * @property {ExifEntry[]} exif - Exif fields (exposure, lens, ...).
+ * @property {ExifEntry[]} gps - GPS fields.
+ * @property {ExifEntry[]} interop - Interoperability fields.
+ * @property {number} orientation - EXIF orientation, 1 (upright) to 8.
+ */
+
+function startsWith(bytes, prefix, offset = 0) {
+    return prefix.every((value, i) => bytes[offset + i] === value);
+}
+
+// Reads a TIFF block (the content of an Exif segment or chunk).
+function parseTiff(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const order = String.fromCharCode(bytes[0], bytes[1]);
+    if (bytes.length < 8 || (order !== 'II' && order !== 'MM')) {
+        throw new Error('The Exif block has no valid TIFF header.');
+    }
+    const littleEndian = order === 'II';
+    if (view.getUint16(2, littleEndian) !== 42) {
+        throw new Error('The Exif block has no valid TIFF header.');
+    }
+    const visited = new Set();
+
+    function readDirectory(offset) {
+        if (!offset || visited.has(offset) || offset + 2 > bytes.length) return [];
+        visited.add(offset);
+        const count = view.getUint16(offset, littleEndian);
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            const position = offset + 2 + i * 12;
+            if (position + 12 > bytes.length) break;
+            const tag = view.getUint16(position, littleEndian);
+            const type = view.getUint16(position + 2, littleEndian);
+            const valueCount = view.getUint32(position + 4, littleEndian);
+            const size = (TYPE_SIZES[type] || 0) * valueCount;
+            if (!TYPE_SIZES[type]) continue; // Unknown type: its size can't be known, so it can't be copied
+            const valueOffset = size <= 4 ? position + 8 : view.getUint32(position + 8, littleEndian);
+            if (valueOffset + size > bytes.length) continue;
+            entries.push({ tag, type, count: valueCount, value: bytes.slice(valueOffset, valueOffset + size) });
+        }
+        return entries;
+    }
+
+    const readValue = entry => new DataView(entry.value.buffer, entry.value.byteOffset, entry.value.byteLength);
+    const readPointer = entry => readValue(entry).getUint32(0, littleEndian);
+    const takePointer = (entries, tag) => {
+        const index = entries.findIndex(entry => entry.tag === tag && entry.value.length === 4);
+        return index < 0 ? 0 : readPointer(entries.splice(index, 1)[0]);
+    };
+
+    const image = readDirectory(view.getUint32(4, littleEndian));
+    const exif = readDirectory(takePointer(image, TAG_EXIF_IFD));
+    const gps = readDirectory(takePointer(image, TAG_GPS_IFD));
+    const interop = readDirectory(takePointer(exif, TAG_INTEROP_IFD));
+
+    const orientationEntry = image.find(entry => entry.tag === TAG_ORIENTATION && entry.type === TYPE_SHORT);
+    const orientation = orientationEntry ? readValue(orientationEntry).getUint16(0, littleEndian) : 1;
+    return { littleEndian, image, exif, gps, interop, orientation: orientation >= 1 && orientation <= 8 ? orientation : 1 };
+}
+
+// Finds the Exif block of a JPEG (an APP1 segment starting with 'Exif\0\0').
+function findJpegExif(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xDA || marker === 0xD9) break; // Image data starts: no more metadata
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xE1 && startsWith(bytes, EXIF_HEADER, offset + 4)) {
+            return bytes.subarray(offset + 4 + EXIF_HEADER.length, offset + 2 + length);
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// Finds the eXIf chunk of a PNG.
+function findPngExif(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        if (type === 'eXIf') return bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset += 12 + length;
+    }
+    return null;
+}
+
+/**
+ * Reads the Exif metadata of a JPEG or PNG file. Damaged metadata is reported and ignored: it never stops an
+ * image from loading.
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {ExifData|null} The metadata, or null if the file has none.
+ */
+export function readExif(bytes) {
+    // A plain view, so slices are copies (a Node Buffer's slice() shares memory)
+    bytes = new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    try {
+        let block = null;
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            block = findJpegExif(bytes);
+        } else if (startsWith(bytes, PNG_SIGNATURE)) {
+            block = findPngExif(bytes);
+        }
+        return block ? parseTiff(block) : null;
+    } catch (error) {
+        console.warn("DEBUG: Ignoring unreadable Exif metadata.", error);
+        return null;
+    }
+}
+
+/**
+ * The rotation and flip that turn an image with an EXIF orientation upright (see `modules/geometry.js`).
+ * @param {number} orientation - EXIF orientation, 1 to 8.
+ * @returns {{rotation: number, flipH: boolean}} Quarter turns clockwise, then whether to mirror left to right.
+ */
+export function getOrientationTransform(orientation) {
+    switch (orientation) {
+        case 2: return { rotation: 0, flipH: true };
+        case 3: return { rotation: 180, flipH: false };
+        case 4: return { rotation: 180, flipH: true };
+        case 5: return { rotation: 90, flipH: true };
+        case 6: return { rotation: 90, flipH: false };
+        case 7: return { rotation: 270, flipH: true };
+        case 8: return { rotation: 270, flipH: false };
+        default: return { rotation: 0, flipH: false };
+    }
+}
+
+function createEntry(tag, type, value, littleEndian) {
+    const size = TYPE_SIZES[type];
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    if (type === TYPE_SHORT) view.setUint16(0, value, littleEndian);
+    else view.setUint32(0, value, littleEndian);
+    return { tag, type, count: 1, value: bytes };
+}
+
+/**
+ * Writes Exif metadata as a TIFF block for an export: upright, with the new pixel size and without a thumbnail.
+ * @param {ExifData} exifData - The metadata of the source image.
+ * @param {{width: number, height: number}} size - Pixel size of the export.
+ * @returns {Uint8Array} The TIFF block.
+ */
+export function buildExifBlock(exifData, { width, height }) {
+    const { littleEndian } = exifData;
+    const withTag = (entries, entry) => entries.filter(existing => existing.tag !== entry.tag).concat(entry);
+
+    // The pixel size only goes where the source had it
+    let image = exifData.image.filter(entry => entry.tag !== TAG_IMAGE_WIDTH && entry.tag !== TAG_IMAGE_HEIGHT);
+    image = withTag(image, createEntry(TAG_ORIENTATION, TYPE_SHORT, 1, littleEndian));
+    let exif = exifData.exif;
+    if (exif.some(entry => entry.tag === TAG_PIXEL_X_DIMENSION)) {
+        exif = withTag(exif, createEntry(TAG_PIXEL_X_DIMENSION, TYPE_LONG, width, littleEndian));
+    }
+    if (exif.some(entry => entry.tag === TAG_PIXEL_Y_DIMENSION)) {
+        exif = withTag(exif, createEntry(TAG_PIXEL_Y_DIMENSION, TYPE_LONG, height, littleEndian));
+    }
+
+    // Directories in writing order; pointers to the sub-directories are filled in once their offsets are known
+    const directories = [{ name: 'image', entries: image }];
+    const pointers = [];
+    if (exif.length > 0 || exifData.interop.length > 0) {
+        directories.push({ name: 'exif', entries: exif });
+        pointers.push({ from: 'image', to: 'exif', tag: TAG_EXIF_IFD });
+    }
+    if (exifData.interop.length > 0) {
+        directories.push({ name: 'interop', entries: exifData.interop });
+        pointers.push({ from: 'exif', to: 'interop', tag: TAG_INTEROP_IFD });
+    }
+    if (exifData.gps.length > 0) {
+        directories.push({ name: 'gps', entries: exifData.gps });
+        pointers.push({ from: 'image', to: 'gps', tag: TAG_GPS_IFD });
+    }
+    for (const { from, tag } of pointers) {
+        const directory = directories.find(candidate => candidate.name === from);
+        directory.entries = withTag(directory.entries, createEntry(tag, TYPE_LONG, 0, littleEndian));
+    }
+
+    // Sizes: entry table, then the values that don't fit in an entry (each padded to an even offset)
+    const valueSize = entries => entries.reduce((sum, entry) => sum + (entry.value.length > 4 ? entry.value.length + (entry.value.length & 1) : 0), 0);
+    let offset = 8;
+    for (const directory of directories) {
+        directory.entries.sort((a, b) => a.tag - b.tag);
+        directory.offset = offset;
+        offset += 2 + directory.entries.length * 12 + 4 + valueSize(directory.entries);
+    }
+    for (const { from, to, tag } of pointers) {
+        const directory = directories.find(candidate => candidate.name === from);
+        const target = directories.find(candidate => candidate.name === to);
+        directory.entries = directory.entries.map(entry => (
+            entry.tag === tag ? createEntry(tag, TYPE_LONG, target.offset, littleEndian) : entry
+        ));
+    }
+
+    const bytes = new Uint8Array(offset);
+    const view = new DataView(bytes.buffer);
+    bytes.set(littleEndian ? [0x49, 0x49] : [0x4D, 0x4D]);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, 8, littleEndian);
+    for (const directory of directories) {
+        const entries = directory.entries;
+        let position = directory.offset;
+        let valueOffset = position + 2 + entries.length * 12 + 4;
+        view.setUint16(position, entries.length, littleEndian);
+        position += 2;
+        for (const entry of entries) {
+            view.setUint16(position, entry.tag, littleEndian);
+            view.setUint16(position + 2, entry.type, littleEndian);
+            view.setUint32(position + 4, entry.count, littleEndian);
+            if (entry.value.length <= 4) {
+                bytes.set(entry.value, position + 8);
+            } else {
+                view.setUint32(position + 8, valueOffset, littleEndian);
+                bytes.set(entry.value, valueOffset);
+                valueOffset += entry.value.length + (entry.value.length & 1);
+            }
+            position += 12;
+        }
+        view.setUint32(position, 0, littleEndian); // No next directory (the thumbnail's is left out)
+    }
+    return bytes;
+}
+
+/**
+ * Adds an Exif block to a JPEG file, after its JFIF header.
+ * @param {Uint8Array} jpegBytes - The JPEG file (without Exif, as browsers and the CLI encode them).
+ * @param {Uint8Array} block - The TIFF block (see `buildExifBlock`).
+ * @returns {Uint8Array} The JPEG file with the metadata.
+ */
+export function insertJpegExif(jpegBytes, block) {
+    if (block.length > MAX_JPEG_EXIF_SIZE) {
+        throw new Error('The metadata is too large for a JPEG file.');
+    }
+    let position = 2;
+    if (jpegBytes[2] === 0xFF && jpegBytes[3] === 0xE0) { // APP0 (JFIF) stays first
+        position += 2 + ((jpegBytes[4] << 8) | jpegBytes[5]);
+    }
+    const segmentLength = 2 + EXIF_HEADER.length + block.length;
+    const output = new Uint8Array(jpegBytes.length + 2 + segmentLength);
+    output.set(jpegBytes.subarray(0, position), 0);
+    output.set([0xFF, 0xE1, segmentLength >> 8, segmentLength & 0xFF, ...EXIF_HEADER], position);
+    output.set(block, position + 4 + EXIF_HEADER.length);
+    output.set(jpegBytes.subarray(position), position + 2 + segmentLength);
+    return output;
+}
+
+/**
+ * Adds an Exif block to a PNG file as an eXIf chunk, right after the header chunk.
+ * @param {Uint8Array} pngBytes - The PNG file.
+ * @param {Uint8Array} block - The TIFF block (see `buildExifBlock`).
+ * @returns {Uint8Array} The PNG file with the metadata.
+ */
+export function insertPngExif(pngBytes, block) {
+    const headerEnd = PNG_SIGNATURE.length + 12 + new DataView(pngBytes.buffer, pngBytes.byteOffset).getUint32(PNG_SIGNATURE.length);
+    const chunk = new Uint8Array(12 + block.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, block.length);
+    chunk.set([0x65, 0x58, 0x49, 0x66], 4); // 'eXIf'
+    chunk.set(block, 8);
+    view.setUint32(8 + block.length, crc32(chunk.subarray(4, 8 + block.length)));
+
+    const output = new Uint8Array(pngBytes.length + chunk.length);
+    output.set(pngBytes.subarray(0, headerEnd), 0);
+    output.set(chunk, headerEnd);
+    output.set(pngBytes.subarray(headerEnd), headerEnd + chunk.length);
+    return output;
+}
+
+/**
+ * Embeds the source image's metadata into an encoded export.
+ * @param {Uint8Array} bytes - The encoded export.
+ * @param {string} fileType - 'png' or 'jpeg'.
+ * @param {ExifData} exifData - The metadata of the source image.
+ * @param {{width: number, height: number}} size - Pixel size of the export.
+ * @returns {Uint8Array} The export with the metadata.
+ */
+export function embedExif(bytes, fileType, exifData, size) {
+    const block = buildExifBlock(exifData, size);
+    return fileType === 'jpeg' ? insertJpegExif(bytes, block) : insertPngExif(bytes, block);
+}
@@ -0,0 +1,171 @@
+// modules/export.js
+
+import { computeTileMargin, findAnalysisSteps, getStepDefinition, runRecipe } from './pipeline.js';
+import './steps.js'; // Registers the built-in steps
+import { createPixelBuffer, toImageData } from './utils.js';
+import { computeGeometry, DEFAULT_GEOMETRY } from './geometry.js';
+
+// The export is drawn onto one full-size canvas, and browsers refuse (or silently blank) canvases beyond these
+// limits. The area is the smallest cap among current browsers: iOS Safari stops at 16.7 megapixels (Chrome and
+// Firefox allow far more), so an export that fits works everywhere.
+export const MAX_EXPORT_EDGE_PX = 16384;
+export const MAX_EXPORT_AREA_PX = 4096 * 4096;
+
+// Images are read and processed in full-width strips of about this many pixels, so only one strip's worth of
+// ImageData and float pixels is ever alive at a time. This bounds the working memory, not the output canvas size.
+const STRIP_AREA_PX = 1024 * 1024;
+
+/**
+ * Works out the pixel size of an export.
+ * @param {number} sourceWidth - Width of the original image.
+ * @param {number} sourceHeight - Height of the original image.
+ * @param {Object} options
+ * @param {string} options.mode - 'original' (full resolution), 'scale' (factor of the original) or 'longEdge' (pixels).
+ * @param {number} [options.scale] - Scale factor for 'scale' mode (e.g. 0.5 or 2).
+ * @param {number} [options.longEdge] - Length of the longest edge in pixels for 'longEdge' mode.
+ * @returns {{width: number, height: number, limited: boolean}} The export size, and whether it had to be
+ *     reduced to stay within the browser's canvas limits.
+ */
+export function computeExportSize(sourceWidth, sourceHeight, { mode, scale = 1, longEdge = 0 }) {
+    let factor = 1;
+    if (mode === 'scale') {
+        factor = scale;
+    } else if (mode === 'longEdge') {
+        factor = longEdge / Math.max(sourceWidth, sourceHeight);
+    } else if (mode !== 'original') {
+        throw new Error(`Unknown export size mode '${mode}'.`);
+    }
+    if (!(factor > 0)) {
+        throw new Error('The export size must be greater than zero.');
+    }
+
+    let width = Math.max(1, Math.round(sourceWidth * factor));
+    let height = Math.max(1, Math.round(sourceHeight * factor));
+
+    // Shrink (keeping the aspect ratio) until both canvas limits are respected
+    const limitFactor = Math.min(
+        1,
+        MAX_EXPORT_EDGE_PX / Math.max(width, height),
+        Math.sqrt(MAX_EXPORT_AREA_PX / (width * height))
+    );
+    const limited = limitFactor < 1;
+    if (limited) {
+        width = Math.max(1, Math.floor(width * limitFactor));
+        height = Math.max(1, Math.floor(height * limitFactor));
+    }
+    return { width, height, limited };
+}
+
+// Lets the browser repaint (progress bar) and handle input between strips.
+function nextFrame() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Cuts `rows` rows starting at row `offset` out of a pixel buffer.
+function cropRows(imageData, offset, rows) {
+    const rowLength = imageData.width * 4;
+    if (offset === 0 && rows === imageData.height) return imageData;
+    return createPixelBuffer(imageData.width, rows, imageData.data.slice(offset * rowLength, (offset + rows) * rowLength));
+}
+
+/**
+ * Renders an export of `image` at `width` x `height`, running the same recipe as the preview strip by strip.
+ * Steps that need whole-image statistics (e.g. auto-contrast) get them from an analysis pass over all strips first,
+ * so every strip is processed identically. Strips are read with extra rows for steps that sample neighbours.
+ * @param {CanvasImageSource} image - The original, full-resolution image.
+ * @param {{width: number, height: number}} size - Output size (see `computeExportSize`, given the framed size).
+ * @param {Object} settings
+ * @param {string} settings.variant - 'original' (just resized), 'normal' or 'inverted'.
+ * @param {Object} [settings.recipe] - The pipeline recipe, as used for the preview.
+ * @param {number} [settings.pixelScale=1] - Export pixels per preview pixel, so pixel-sized parameters keep their look.
+ * @param {import('./geometry.js').Geometry} [settings.geometry] - Crop, rotation and flips to apply to the image.
+ * @param {function(number): void} [onProgress] - Receives the progress (0.0 - 1.0) after every strip.
+ * @returns {Promise<HTMLCanvasElement>} Canvas holding the rendered export.
+ */
+export async function renderExport(image, { width, height }, { variant, recipe, pixelScale = 1, geometry = DEFAULT_GEOMETRY }, onProgress = () => {}) {
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const outputCtx = output.getContext('2d');
+
+    // Source -> export pixels: the geometry's transform, scaled to the export size
+    const framed = computeGeometry(image.naturalWidth || image.width, image.naturalHeight || image.height, geometry);
+    const scaleX = width / framed.width;
+    const scaleY = height / framed.height;
+    const [a, b, c, d, e, f] = framed.matrix;
+    // Draws the whole image through the transform, shifted up by `top` rows.
+    function drawFramed(ctx, top) {
+        ctx.imageSmoothingQuality = 'high';
+        ctx.setTransform(scaleX * a, scaleY * b, scaleX * c, scaleY * d, scaleX * e, scaleY * f - top);
+        ctx.drawImage(image, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    if (variant === 'original') {
+        drawFramed(outputCtx, 0);
+        onProgress(1);
+        return output;
+    }
+
+    let margin = computeTileMargin(recipe, { pixelScale });
+    let stripHeight = Math.max(1, Math.min(height, Math.floor(STRIP_AREA_PX / width)));
+    if (margin === Infinity) {
+        // A step needs to see the whole image at once
+        stripHeight = height;
+        margin = 0;
+    }
+    const stripCount = Math.ceil(height / stripHeight);
+    const stripCanvas = document.createElement('canvas');
+    stripCanvas.width = width;
+    stripCanvas.height = Math.min(height, stripHeight + 2 * margin);
+    const stripCtx = stripCanvas.getContext('2d', { willReadFrequently: true });
+
+    // Reads strip number `strip` plus up to `margin` rows above and below it.
+    // Draws the whole (framed) image at the export size, shifted so the strip lands in the strip canvas:
+    // drawing the full image (rather than a source sub-rectangle) avoids resampling seams between strips.
+    function readStrip(strip) {
+        const y = strip * stripHeight;
+        const rows = Math.min(stripHeight, height - y);
+        const top = Math.max(0, y - margin);
+        const bottom = Math.min(height, y + rows + margin);
+        stripCtx.clearRect(0, 0, width, stripCanvas.height);
+        drawFramed(stripCtx, top);
+        return {
+            imageData: stripCtx.getImageData(0, 0, width, bottom - top),
+            region: { x: 0, y: top, width, height },
+            offset: y - top, // Where the strip itself starts inside the read rows
+            rows,
+            y
+        };
+    }
+
+    const analysisSteps = findAnalysisSteps(recipe);
+    const totalStrips = stripCount * (analysisSteps.length + 1);
+    let stripsDone = 0;
+    const stats = {};
+
+    // Analysis passes: one per step that needs whole-image statistics, each seeing the results of the steps before it.
+    for (const index of analysisSteps) {
+        const entry = recipe.steps[index];
+        const definition = getStepDefinition(entry.step);
+        let accumulator;
+        for (let strip = 0; strip < stripCount; strip++) {
+            const tile = readStrip(strip);
+            const partial = runRecipe(tile.imageData, recipe, { variant, stats, region: tile.region, pixelScale, end: index, precision: 'float' });
+            accumulator = definition.analyze(cropRows(partial, tile.offset, tile.rows), entry.params, accumulator);
+            onProgress(++stripsDone / totalStrips);
+            await nextFrame();
+        }
+        stats[index] = definition.resolveStats(accumulator, entry.params);
+    }
+
+    // Final pass: process every strip with the shared statistics and write it to the output.
+    for (let strip = 0; strip < stripCount; strip++) {
+        const tile = readStrip(strip);
+        const result = runRecipe(tile.imageData, recipe, { variant, stats, region: tile.region, pixelScale });
+        outputCtx.putImageData(toImageData(cropRows(result, tile.offset, tile.rows)), 0, tile.y);
+        onProgress(++stripsDone / totalStrips);
+        await nextFrame();
+    }
+    return output;
+}
\ No newline at end of file
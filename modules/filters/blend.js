@@ -0,0 +1,296 @@
+// modules/filters/blend.js
+// Compositing the processed image back over the original: blend modes, opacity and a mask that limits where the
+// effect shows. Masks are computed analytically from positions in the whole image (not rendered at a fixed size),
+// so they look the same in the preview, in tiles and at every export size.
+
+import { clamp } from '../utils.js';
+import { registerStep } from '../pipeline.js';
+
+/** Blend modes, as in CSS `mix-blend-mode`, with the processed image on top of the original. */
+export const BLEND_MODES = ['normal', 'multiply', 'screen', 'overlay', 'softLight', 'color', 'luminosity'];
+
+export const MASK_TYPES = ['none', 'luminance', 'linear', 'radial', 'brush'];
+
+// Per-channel blend functions on 0-1 values: backdrop (original) and source (processed image).
+const SEPARABLE_BLENDS = {
+    normal: (backdrop, source) => source,
+    multiply: (backdrop, source) => backdrop * source,
+    screen: (backdrop, source) => backdrop + source - backdrop * source,
+    overlay: (backdrop, source) => (backdrop <= 0.5
+        ? 2 * backdrop * source
+        : 1 - 2 * (1 - backdrop) * (1 - source)),
+    softLight: (backdrop, source) => {
+        if (source <= 0.5) {
+            return backdrop - (1 - 2 * source) * backdrop * (1 - backdrop);
+        }
+        const d = backdrop <= 0.25 ? ((16 * backdrop - 12) * backdrop + 4) * backdrop : Math.sqrt(backdrop);
+        return backdrop + (2 * source - 1) * (d - backdrop);
+    }
+};
+
+// 256 x 256 result tables of the per-channel modes, built when first used
+const blendTables = new Map();
+
+function getBlendTable(mode) {
+    let table = blendTables.get(mode);
+    if (!table) {
+        const blend = SEPARABLE_BLENDS[mode];
+        table = new Uint8ClampedArray(256 * 256);
+        for (let backdrop = 0; backdrop < 256; backdrop++) {
+            for (let source = 0; source < 256; source++) {
+                table[backdrop * 256 + source] = Math.round(blend(backdrop / 255, source / 255) * 255);
+            }
+        }
+        blendTables.set(mode, table);
+    }
+    return table;
+}
+
+// Luminosity of the non-separable modes (the weights of the compositing spec), on 0-255 values
+const lum = (r, g, b) => 0.3 * r + 0.59 * g + 0.11 * b;
+
+// Gives an RGB color the luminosity `l`, pulling it back into gamut around that luminosity. Writes to `out`.
+function setLum(r, g, b, l, out) {
+    const d = l - lum(r, g, b);
+    r += d;
+    g += d;
+    b += d;
+    const min = Math.min(r, g, b);
+    const max = Math.max(r, g, b);
+    let scale = 1;
+    if (min < 0) scale = l / (l - min);
+    if (max > 255) scale = Math.min(scale, (255 - l) / (max - l));
+    out[0] = l + (r - l) * scale;
+    out[1] = l + (g - l) * scale;
+    out[2] = l + (b - l) * scale;
+}
+
+/**
+ * Hermite ramp from 0 at `edge0` to 1 at `edge1`. With no width between the edges it is a hard step.
+ * @param {number} edge0 - Where the ramp starts.
+ * @param {number} edge1 - Where it ends.
+ * @param {number} x - The input.
+ * @returns {number} 0 - 1.
+ */
+export function smoothstep(edge0, edge1, x) {
+    if (edge1 <= edge0) return x < edge0 ? 0 : 1;
+    const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - 2 * t);
+}
+
+// Coverage of the brush strokes. Each stroke is a chain of round-capped segments; painting takes the maximum
+// of the coverages, erasing cuts the mask down to what the stroke leaves uncovered.
+function paintStrokes(mask, width, height, region, strokes, feather) {
+    const longEdge = Math.max(region.width, region.height);
+    strokes.forEach(stroke => {
+        const radius = stroke.size / 100 * longEdge / 2;
+        const softness = feather / 100 * radius;
+        const inner = radius - softness / 2;
+        const outer = radius + softness / 2;
+        const points = stroke.points.map(([u, v]) => [u * region.width - region.x, v * region.height - region.y]);
+        if (points.length === 1) points.push(points[0]);
+
+        for (let i = 1; i < points.length; i++) {
+            const [ax, ay] = points[i - 1];
+            const [bx, by] = points[i];
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lengthSq = dx * dx + dy * dy;
+            const left = Math.max(0, Math.floor(Math.min(ax, bx) - outer));
+            const right = Math.min(width - 1, Math.ceil(Math.max(ax, bx) + outer));
+            const top = Math.max(0, Math.floor(Math.min(ay, by) - outer));
+            const bottom = Math.min(height - 1, Math.ceil(Math.max(ay, by) + outer));
+            for (let y = top; y <= bottom; y++) {
+                const py = y + 0.5;
+                for (let x = left; x <= right; x++) {
+                    const px = x + 0.5;
+                    // Distance to the closest point of the segment
+                    const t = lengthSq > 0 ? clamp(((px - ax) * dx + (py - ay) * dy) / lengthSq, 0, 1) : 0;
+                    const distance = Math.hypot(px - ax - t * dx, py - ay - t * dy);
+                    if (distance >= outer) continue;
+                    const coverage = 1 - smoothstep(inner, outer, distance);
+                    const index = y * width + x;
+                    mask[index] = stroke.erase ? Math.min(mask[index], 1 - coverage) : Math.max(mask[index], coverage);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Computes a blend mask for (a tile of) an image.
+ * Feathering softens each mask's edge symmetrically: by a share of the tone range for luminance, of the gradient's
+ * length across the image for linear, and of the radius for radial and brush masks.
+ * @param {PixelBuffer} source - The original pixels (the luminance mask reads their tones).
+ * @param {Object} options
+ * @param {string} options.mask - One of MASK_TYPES.
+ * @param {boolean} [options.invertMask=false] - Swaps where the mask is on and off.
+ * @param {number} [options.feather=0] - Edge softness in percent.
+ * @param {number} [options.low=0] - Luminance mask: darkest tone included (0-255).
+ * @param {number} [options.high=255] - Luminance mask: lightest tone included (0-255).
+ * @param {number} [options.angle=0] - Linear mask: direction in degrees, clockwise from "off on the left, on on the
+ *     right".
+ * @param {number} [options.position=50] - Linear mask: where the edge sits along that direction (0-100%).
+ * @param {number} [options.centerX=50] - Radial mask: center, in percent of the image width.
+ * @param {number} [options.centerY=50] - Radial mask: center, in percent of the image height.
+ * @param {number} [options.radius=30] - Radial mask: radius in percent of the image's longest edge.
+ * @param {import('../pipeline.js').BrushStroke[]} [options.strokes=[]] - Brush mask: the painted strokes.
+ * @param {{x: number, y: number, width: number, height: number}} [options.region] - Where the pixels sit in the
+ *     full image (see StepContext); defaults to the whole image.
+ * @returns {Float32Array|null} Mask values (0 - 1) per pixel, or null for no mask (on everywhere).
+ */
+export function computeBlendMask(source, { mask, invertMask = false, feather = 0, low = 0, high = 255, angle = 0, position = 50,
+    centerX = 50, centerY = 50, radius = 30, strokes = [], region } = {}) {
+    if (mask === 'none') {
+        return null;
+    }
+    const { width, height } = source;
+    const area = region || { x: 0, y: 0, width, height };
+    const longEdge = Math.max(area.width, area.height);
+    const values = new Float32Array(width * height);
+
+    if (mask === 'brush') {
+        paintStrokes(values, width, height, area, strokes, feather);
+    } else if (mask === 'luminance') {
+        const [from, to] = low <= high ? [low, high] : [high, low];
+        const softness = feather / 100 * 255;
+        const data = source.data;
+        for (let i = 0; i < values.length; i++) {
+            const o = i * 4;
+            const tone = 0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2];
+            values[i] = smoothstep(from - softness / 2, from + softness / 2, tone)
+                * (1 - smoothstep(to - softness / 2, to + softness / 2, tone));
+        }
+    } else if (mask === 'linear') {
+        const cos = Math.cos(angle * Math.PI / 180);
+        const sin = Math.sin(angle * Math.PI / 180);
+        // Half the length of the image measured along the gradient's direction
+        const extent = (Math.abs(cos) * area.width + Math.abs(sin) * area.height) / 2;
+        const edge = (position / 50 - 1) * extent;
+        const softness = feather / 100 * 2 * extent;
+        for (let y = 0; y < height; y++) {
+            const py = y + area.y + 0.5 - area.height / 2;
+            for (let x = 0; x < width; x++) {
+                const px = x + area.x + 0.5 - area.width / 2;
+                values[y * width + x] = smoothstep(edge - softness / 2, edge + softness / 2, px * cos + py * sin);
+            }
+        }
+    } else if (mask === 'radial') {
+        const cx = centerX / 100 * area.width;
+        const cy = centerY / 100 * area.height;
+        const r = radius / 100 * longEdge;
+        const softness = feather / 100 * r;
+        for (let y = 0; y < height; y++) {
+            const py = y + area.y + 0.5 - cy;
+            for (let x = 0; x < width; x++) {
+                const px = x + area.x + 0.5 - cx;
+                values[y * width + x] = 1 - smoothstep(r - softness / 2, r + softness / 2, Math.hypot(px, py));
+            }
+        }
+    } else {
+        throw new Error(`Unknown mask type '${mask}'.`);
+    }
+
+    if (invertMask) {
+        for (let i = 0; i < values.length; i++) {
+            values[i] = 1 - values[i];
+        }
+    }
+    return values;
+}
+
+/**
+ * Blends processed pixels over the original ones, in place. Where the two differ in transparency, the colors are
+ * mixed premultiplied by their alpha, so the color of a transparent pixel doesn't tint its opaque counterpart.
+ * @param {PixelBuffer} imageData - The processed pixels (the top layer); receives the result.
+ * @param {PixelBuffer} source - The original pixels (the backdrop), the same size.
+ * @param {Object} options
+ * @param {string} [options.mode='normal'] - One of BLEND_MODES.
+ * @param {number} [options.opacity=100] - Strength of the top layer in percent.
+ * @param {Float32Array|null} [options.mask=null] - Per-pixel strength (0 - 1) from `computeBlendMask`.
+ * @returns {PixelBuffer} The blended image data.
+ */
+export function applyBlend(imageData, source, { mode = 'normal', opacity = 100, mask = null } = {}) {
+    if (source.width !== imageData.width || source.height !== imageData.height) {
+        throw new Error('The image to blend with has a different size.');
+    }
+    if (!BLEND_MODES.includes(mode)) {
+        throw new Error(`Unknown blend mode '${mode}'.`);
+    }
+    const data = imageData.data;
+    const backdrop = source.data;
+    const strength = clamp(opacity, 0, 100) / 100;
+    // The tables only cover 8-bit values; fractional ones (float pipeline) go through the formula itself
+    const blend = SEPARABLE_BLENDS[mode];
+    const exact = data instanceof Uint8ClampedArray && backdrop instanceof Uint8ClampedArray;
+    const table = blend && exact ? getBlendTable(mode) : null;
+    const mixed = [0, 0, 0];
+
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        const k = mask ? mask[p] * strength : strength;
+        const br = backdrop[i], bg = backdrop[i + 1], bb = backdrop[i + 2];
+        if (table) {
+            mixed[0] = table[br * 256 + data[i]];
+            mixed[1] = table[bg * 256 + data[i + 1]];
+            mixed[2] = table[bb * 256 + data[i + 2]];
+        } else if (blend) {
+            mixed[0] = blend(br / 255, data[i] / 255) * 255;
+            mixed[1] = blend(bg / 255, data[i + 1] / 255) * 255;
+            mixed[2] = blend(bb / 255, data[i + 2] / 255) * 255;
+        } else if (mode === 'color') {
+            setLum(data[i], data[i + 1], data[i + 2], lum(br, bg, bb), mixed);
+        } else {
+            setLum(br, bg, bb, lum(data[i], data[i + 1], data[i + 2]), mixed);
+        }
+        const backdropAlpha = backdrop[i + 3];
+        const topAlpha = data[i + 3];
+        const alpha = backdropAlpha + (topAlpha - backdropAlpha) * k;
+        if (topAlpha === backdropAlpha || alpha === 0) {
+            data[i] = br + (mixed[0] - br) * k;
+            data[i + 1] = bg + (mixed[1] - bg) * k;
+            data[i + 2] = bb + (mixed[2] - bb) * k;
+        } else {
+            const backdropWeight = backdropAlpha * (1 - k) / alpha;
+            const topWeight = topAlpha * k / alpha;
+            data[i] = br * backdropWeight + mixed[0] * topWeight;
+            data[i + 1] = bg * backdropWeight + mixed[1] * topWeight;
+            data[i + 2] = bb * backdropWeight + mixed[2] * topWeight;
+        }
+        data[i + 3] = alpha;
+    }
+    return imageData;
+}
+
+// --- Pipeline step ---
+
+const hasMask = params => params.mask !== 'none';
+const maskIs = type => params => params.mask === type;
+
+registerStep({
+    id: 'blend',
+    label: 'Blend with Original',
+    params: [
+        { name: 'mode', label: 'Blend Mode', type: 'select', default: 'normal', options: BLEND_MODES },
+        { name: 'opacity', label: 'Opacity (%)', type: 'number', default: 100, min: 0, max: 100, step: 1 },
+        { name: 'mask', label: 'Mask', type: 'select', default: 'none', options: MASK_TYPES },
+        { name: 'invertMask', label: 'Invert Mask', type: 'boolean', default: false, visibleWhen: hasMask },
+        { name: 'feather', label: 'Feather (%)', type: 'number', default: 20, min: 0, max: 100, step: 1, visibleWhen: hasMask },
+        { name: 'low', label: 'Tones From', type: 'number', default: 0, min: 0, max: 255, step: 1, visibleWhen: maskIs('luminance') },
+        { name: 'high', label: 'Tones To', type: 'number', default: 128, min: 0, max: 255, step: 1, visibleWhen: maskIs('luminance') },
+        { name: 'angle', label: 'Angle (°)', type: 'number', default: 0, min: 0, max: 360, step: 1, visibleWhen: maskIs('linear') },
+        { name: 'position', label: 'Position (%)', type: 'number', default: 50, min: 0, max: 100, step: 1, visibleWhen: maskIs('linear') },
+        { name: 'centerX', label: 'Center X (%)', type: 'number', default: 50, min: 0, max: 100, step: 1, visibleWhen: maskIs('radial') },
+        { name: 'centerY', label: 'Center Y (%)', type: 'number', default: 50, min: 0, max: 100, step: 1, visibleWhen: maskIs('radial') },
+        { name: 'radius', label: 'Radius (%)', type: 'number', default: 30, min: 1, max: 150, step: 1, visibleWhen: maskIs('radial') },
+        // Size of new strokes; every stroke keeps the size it was painted with
+        { name: 'brushSize', label: 'Brush Size (%)', type: 'number', default: 5, min: 0.5, max: 50, step: 0.5, visibleWhen: maskIs('brush') },
+        { name: 'strokes', label: 'Strokes', type: 'strokes', default: [], visibleWhen: maskIs('brush') }
+    ],
+    // Blends with the image the recipe started from; the mask works in whole-image positions
+    usesSource: true,
+    apply: (imageData, params, context) => applyBlend(imageData, context.source, {
+        mode: params.mode,
+        opacity: params.opacity,
+        mask: computeBlendMask(context.source, { ...params, region: context.region })
+    })
+});
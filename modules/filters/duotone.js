@@ -1,24 +1,57 @@
 // modules/filters/duotone.js
 
-import { clamp } from '../utils.js'; // Import helper utility
+import { applyGradientMap, computeGradientInks } from './gradient-map.js'; // Duotone is a two-stop gradient map
+import { hexToRgb } from '../utils.js';
+import { registerStep } from '../pipeline.js';
+import { INTERPOLATION_SPACES } from '../color.js';
 
 /**
- * Applies a duotone gradient map to a greyscale ImageData object.
- * @param {ImageData} imageData - The greyscale image data.
+ * Builds the two gradient stops that make up a duotone.
  * @param {{r: number, g: number, b: number}} darkRgb - RGB object for the dark color (maps to black).
  * @param {{r: number, g: number, b: number}} lightRgb - RGB object for the light color (maps to white).
- * @returns {ImageData} The duotone-mapped image data.
+ * @returns {import('./gradient-map.js').GradientStop[]} The duotone color stops.
  */
-export function applyDuotone(imageData, darkRgb, lightRgb) {
-    const data = imageData.data;
-    for (let i = 0; i < data.length; i += 4) {
-        const pixelValue = data[i]; // Greyscale value (R, G, B are identical)
-        const alpha = pixelValue / 255.0; // Interpolation factor (0.0 for dark, 1.0 for light)
+export function createDuotoneStops(darkRgb, lightRgb) {
+    return [
+        { position: 0, color: darkRgb },
+        { position: 1, color: lightRgb }
+    ];
+}
 
-        // Interpolate each RGB component
-        data[i] = clamp(Math.floor(darkRgb.r * (1 - alpha) + lightRgb.r * alpha), 0, 255);     // Red
-        data[i + 1] = clamp(Math.floor(darkRgb.g * (1 - alpha) + lightRgb.g * alpha), 0, 255); // Green
-        data[i + 2] = clamp(Math.floor(darkRgb.b * (1 - alpha) + lightRgb.b * alpha), 0, 255); // Blue
+/**
+ * Applies a duotone gradient map to a greyscale pixel buffer.
+ * @param {PixelBuffer} imageData - The greyscale image data.
+ * @param {{r: number, g: number, b: number}} darkRgb - RGB object for the dark color (maps to black).
+ * @param {{r: number, g: number, b: number}} lightRgb - RGB object for the light color (maps to white).
+ * @param {string} [space='srgb'] - Color space to interpolate in (see `INTERPOLATION_SPACES` in color.js).
+ * @returns {PixelBuffer} The duotone-mapped image data.
+ */
+export function applyDuotone(imageData, darkRgb, lightRgb, space = 'srgb') {
+    return applyGradientMap(imageData, createDuotoneStops(darkRgb, lightRgb), space);
+}
+
+// --- Pipeline step ---
+
+registerStep({
+    id: 'duotone',
+    label: 'Duotone',
+    params: [
+        { name: 'dark', label: 'Shadows', type: 'color', default: '#000000' },
+        { name: 'light', label: 'Highlights', type: 'color', default: '#ffffff' },
+        { name: 'interpolation', label: 'Interpolation', type: 'select', default: 'srgb', options: INTERPOLATION_SPACES }
+    ],
+    // The inverted output swaps the two colors
+    variantDependent: true,
+    toGradientMap: ({ dark, light, interpolation }) => ({
+        stops: [{ position: 0, hex: dark }, { position: 1, hex: light }],
+        interpolation
+    }),
+    apply: (imageData, { dark, light, interpolation }, context) => {
+        const [from, to] = context.variant === 'inverted' ? [light, dark] : [dark, light];
+        return applyDuotone(imageData, hexToRgb(from), hexToRgb(to), interpolation);
+    },
+    inks: ({ dark, light }, context) => {
+        const [from, to] = context.variant === 'inverted' ? [light, dark] : [dark, light];
+        return computeGradientInks([{ position: 0, hex: from }, { position: 1, hex: to }]);
     }
-    return imageData;
-}
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+// modules/filters/gradient-map.js
+
+import { clamp, hexToRgb } from '../utils.js'; // Import helper utilities
+import { registerStep } from '../pipeline.js';
+import { INTERPOLATION_SPACES, mixColors } from '../color.js';
+
+/**
+ * A single color stop of a gradient map.
+ * @typedef {Object} GradientStop
+ * @property {number} position - Position of the stop along the tonal range (0.0 = black, 1.0 = white).
+ * @property {{r: number, g: number, b: number}} color - RGB color of the stop.
+ */
+
+/**
+ * Converts stops as stored in recipes and the UI ({position, hex}) into filter stops ({position, color}).
+ * @param {{position: number, hex: string}[]} stops - Stops with hex colors.
+ * @returns {GradientStop[]} Stops ready for the gradient map filter.
+ */
+export function toGradientStops(stops) {
+    return stops.map(stop => ({ position: stop.position, color: hexToRgb(stop.hex) }));
+}
+
+/**
+ * Returns a copy of the stops sorted by position, with positions clamped to the 0-1 range.
+ * @param {GradientStop[]} stops - The color stops, in any order.
+ * @returns {GradientStop[]} A new, sorted array of stops.
+ */
+export function sortGradientStops(stops) {
+    return stops
+        .map(stop => ({ ...stop, position: clamp(stop.position, 0, 1) }))
+        .sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Reverses a gradient: every stop is mirrored around the middle of the tonal range,
+ * so the color that mapped to black now maps to white and vice versa.
+ * @param {GradientStop[]} stops - The color stops to reverse.
+ * @returns {GradientStop[]} A new, sorted array of mirrored stops.
+ */
+export function reverseGradientStops(stops) {
+    return sortGradientStops(stops.map(stop => ({ ...stop, position: 1 - stop.position })));
+}
+
+/**
+ * Samples the gradient at a given position.
+ * Positions before the first stop take its color, positions after the last stop take the last color.
+ * @param {GradientStop[]} stops - The color stops (at least one).
+ * @param {number} t - Position to sample (0.0 - 1.0).
+ * @param {string} [space='srgb'] - Color space to interpolate in (see `INTERPOLATION_SPACES` in color.js).
+ * @returns {{r: number, g: number, b: number}} The interpolated (unrounded) RGB color.
+ */
+export function sampleGradient(stops, t, space = 'srgb') {
+    const sorted = sortGradientStops(stops);
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+
+    if (t <= first.position) return { ...first.color };
+    if (t >= last.position) return { ...last.color };
+
+    let i = 0;
+    while (i < sorted.length - 2 && t > sorted[i + 1].position) {
+        i++;
+    }
+    const from = sorted[i];
+    const to = sorted[i + 1];
+    const span = to.position - from.position;
+    const f = span > 0 ? (t - from.position) / span : 1;
+
+    return mixColors(from.color, to.color, f, space);
+}
+
+/**
+ * Builds a lookup table mapping every greyscale value (0-255) to its gradient color.
+ * @param {GradientStop[]} stops - The color stops (at least one).
+ * @param {string} [space='srgb'] - Color space to interpolate in.
+ * @returns {Float32Array} 256 packed, unrounded RGB triplets (768 entries).
+ */
+export function buildGradientLut(stops, space = 'srgb') {
+    if (!stops || stops.length === 0) {
+        throw new Error('A gradient map needs at least one color stop.');
+    }
+    const lut = new Float32Array(256 * 3);
+    for (let v = 0; v < 256; v++) {
+        const color = sampleGradient(stops, v / 255.0, space);
+        lut[v * 3] = clamp(color.r, 0, 255);
+        lut[v * 3 + 1] = clamp(color.g, 0, 255);
+        lut[v * 3 + 2] = clamp(color.b, 0, 255);
+    }
+    return lut;
+}
+
+/**
+ * Applies a multi-stop gradient map to a greyscale pixel buffer.
+ * Two stops give a duotone, three a tritone, four a quadtone, and so on. Fractional grey values (float pipeline)
+ * blend between the two nearest table colors.
+ * @param {PixelBuffer} imageData - The greyscale image data (R, G and B are identical).
+ * @param {GradientStop[]} stops - The color stops, in any order.
+ * @param {string} [space='srgb'] - Color space to interpolate in between stops.
+ * @returns {PixelBuffer} The gradient-mapped image data.
+ */
+export function applyGradientMap(imageData, stops, space = 'srgb') {
+    const lut = buildGradientLut(stops, space);
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const value = clamp(data[i], 0, 255); // Greyscale value indexes the lookup table
+        const offset = Math.min(254, Math.floor(value)) * 3;
+        const f = value - offset / 3;
+        data[i] = lut[offset] + (lut[offset + 3] - lut[offset]) * f;             // Red
+        data[i + 1] = lut[offset + 1] + (lut[offset + 4] - lut[offset + 1]) * f; // Green
+        data[i + 2] = lut[offset + 2] + (lut[offset + 5] - lut[offset + 2]) * f; // Blue
+    }
+    return imageData;
+}
+
+/**
+ * Splits a gradient map into inks for spot-color printing: one plate per stop, whose coverage at every
+ * greyscale value is that stop's share of the mix. Stops of the same color share one ink.
+ * @param {{position: number, hex: string}[]} stops - The color stops, in any order.
+ * @returns {{hex: string, coverage: Float32Array}[]} The inks, in stop order; coverage (0-1) is indexed by grey value.
+ */
+export function computeGradientInks(stops) {
+    const sorted = [...stops]
+        .map(stop => ({ position: clamp(stop.position, 0, 1), hex: stop.hex.toLowerCase() }))
+        .sort((a, b) => a.position - b.position);
+    const inks = [];
+    const inkIndexes = sorted.map(stop => {
+        let index = inks.findIndex(ink => ink.hex === stop.hex);
+        if (index < 0) {
+            index = inks.push({ hex: stop.hex, coverage: new Float32Array(256) }) - 1;
+        }
+        return index;
+    });
+
+    const last = sorted.length - 1;
+    for (let v = 0; v < 256; v++) {
+        const t = v / 255;
+        if (t <= sorted[0].position) {
+            inks[inkIndexes[0]].coverage[v] += 1;
+        } else if (t >= sorted[last].position) {
+            inks[inkIndexes[last]].coverage[v] += 1;
+        } else {
+            // Same segment search as sampleGradient
+            let i = 0;
+            while (i < last - 1 && t > sorted[i + 1].position) {
+                i++;
+            }
+            const span = sorted[i + 1].position - sorted[i].position;
+            const f = span > 0 ? (t - sorted[i].position) / span : 1;
+            inks[inkIndexes[i]].coverage[v] += 1 - f;
+            inks[inkIndexes[i + 1]].coverage[v] += f;
+        }
+    }
+    return inks;
+}
+
+// --- Pipeline step ---
+
+registerStep({
+    id: 'gradientMap',
+    label: 'Gradient Map',
+    params: [
+        {
+            name: 'stops',
+            label: 'Color Stops',
+            type: 'stops',
+            default: [{ position: 0, hex: '#000000' }, { position: 1, hex: '#ffffff' }]
+        },
+        { name: 'interpolation', label: 'Interpolation', type: 'select', default: 'srgb', options: INTERPOLATION_SPACES }
+    ],
+    // The inverted output maps through the mirrored stop list
+    variantDependent: true,
+    toGradientMap: params => params,
+    apply: (imageData, { stops, interpolation }, context) => {
+        const gradientStops = toGradientStops(stops);
+        const variantStops = context.variant === 'inverted' ? reverseGradientStops(gradientStops) : gradientStops;
+        return applyGradientMap(imageData, variantStops, interpolation);
+    },
+    inks: ({ stops }, context) => computeGradientInks(
+        context.variant === 'inverted' ? stops.map(stop => ({ ...stop, position: 1 - stop.position })) : stops
+    )
+});
\ No newline at end of file
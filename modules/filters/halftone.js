@@ -0,0 +1,246 @@
+// modules/filters/halftone.js
+// Screening for print: error-diffusion and ordered (Bayer) dithering, and AM halftone dots.
+// All of them work on a greyscale image and output a few flat tone levels (just black and white by default),
+// so a following gradient map turns them into solid ink areas, as a risograph or screen print would.
+
+import { clamp } from '../utils.js';
+import { registerStep } from '../pipeline.js';
+
+/**
+ * Error-diffusion kernels: where the quantization error of a pixel goes, as [dx, dy, weight].
+ * Atkinson only passes on 6/8 of the error, which keeps highlights and shadows clean.
+ */
+export const ERROR_DIFFUSION_KERNELS = {
+    'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
+
+export const DITHER_METHODS = ['floyd-steinberg', 'atkinson', 'bayer'];
+export const BAYER_SIZES = ['2', '4', '8'];
+
+/**
+ * Spot functions of the halftone dot shapes, over a cell running from -0.5 to 0.5 on both axes.
+ * Ink is laid down in order of increasing value, so the value only has to rank the spots of a cell.
+ */
+export const HALFTONE_SPOT_FUNCTIONS = {
+    round: (u, v) => u * u + v * v,
+    ellipse: (u, v) => u * u + 2 * v * v,
+    square: (u, v) => Math.max(Math.abs(u), Math.abs(v)),
+    line: (u, v) => Math.abs(v)
+};
+export const HALFTONE_SHAPES = Object.keys(HALFTONE_SPOT_FUNCTIONS);
+
+// Resolution of the table that turns spot function values into ink coverage.
+const SPOT_SAMPLES = 64;
+
+// Snaps a 0-255 value to the nearest of `levels` evenly spaced tones.
+function quantize(value, levels) {
+    const step = 255 / (levels - 1);
+    return clamp(Math.round(value / step), 0, levels - 1) * step;
+}
+
+/**
+ * Dithers a greyscale image by error diffusion. Fully transparent pixels neither pass on nor take up any error,
+ * so the hidden background of a cut-out doesn't speckle its edges.
+ * @param {PixelBuffer} imageData - The greyscale image data.
+ * @param {Object} [options]
+ * @param {string} [options.method='floyd-steinberg'] - A key of ERROR_DIFFUSION_KERNELS.
+ * @param {number} [options.levels=2] - Number of output tones (2 = black and white).
+ * @param {boolean} [options.serpentine=true] - Alternate the direction of every row, which avoids diagonal worms.
+ * @returns {PixelBuffer} The dithered image data.
+ */
+export function applyErrorDiffusion(imageData, { method = 'floyd-steinberg', levels = 2, serpentine = true } = {}) {
+    const kernel = ERROR_DIFFUSION_KERNELS[method];
+    if (!kernel) {
+        throw new Error(`Unknown error diffusion method '${method}'.`);
+    }
+    const { width, height, data } = imageData;
+    // Work on a float copy so the diffused error isn't rounded away
+    const values = new Float32Array(width * height);
+    for (let p = 0; p < values.length; p++) {
+        values[p] = data[p * 4];
+    }
+
+    for (let y = 0; y < height; y++) {
+        const reverse = serpentine && y % 2 === 1;
+        for (let i = 0; i < width; i++) {
+            const x = reverse ? width - 1 - i : i;
+            const p = y * width + x;
+            const old = values[p];
+            const value = quantize(old, levels);
+            values[p] = value;
+            if (data[p * 4 + 3] === 0) continue;
+            const error = old - value;
+            for (const [dx, dy, weight] of kernel) {
+                const nx = reverse ? x - dx : x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && nx < width && ny < height && data[(ny * width + nx) * 4 + 3] > 0) {
+                    values[ny * width + nx] += error * weight;
+                }
+            }
+        }
+    }
+
+    for (let p = 0; p < values.length; p++) {
+        const o = p * 4;
+        data[o] = data[o + 1] = data[o + 2] = values[p];
+    }
+    return imageData;
+}
+
+/**
+ * Builds a Bayer threshold matrix.
+ * @param {number} size - Matrix size (a power of two).
+ * @returns {number[][]} Thresholds from 0 to size² - 1.
+ */
+export function createBayerMatrix(size) {
+    let matrix = [[0]];
+    while (matrix.length < size) {
+        const n = matrix.length;
+        const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+        for (let y = 0; y < n; y++) {
+            for (let x = 0; x < n; x++) {
+                const base = matrix[y][x] * 4;
+                next[y][x] = base;
+                next[y][x + n] = base + 2;
+                next[y + n][x] = base + 3;
+                next[y + n][x + n] = base + 1;
+            }
+        }
+        matrix = next;
+    }
+    return matrix;
+}
+
+/**
+ * Dithers a greyscale image with an ordered (Bayer) threshold pattern.
+ * @param {PixelBuffer} imageData - The greyscale image data.
+ * @param {Object} [options]
+ * @param {number} [options.size=4] - Bayer matrix size: 2, 4 or 8.
+ * @param {number} [options.levels=2] - Number of output tones.
+ * @param {{x: number, y: number}} [options.region] - Offset of these pixels in the full image, so tiles line up.
+ * @returns {PixelBuffer} The dithered image data.
+ */
+export function applyOrderedDither(imageData, { size = 4, levels = 2, region = { x: 0, y: 0 } } = {}) {
+    const matrix = createBayerMatrix(size);
+    const cells = size * size;
+    const { width, height, data } = imageData;
+    const step = 255 / (levels - 1);
+
+    for (let y = 0; y < height; y++) {
+        const row = matrix[(y + region.y) % size];
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const scaled = data[o] / step;
+            const base = Math.floor(scaled);
+            const threshold = (row[(x + region.x) % size] + 0.5) / cells;
+            const value = Math.min(levels - 1, base + (scaled - base > threshold ? 1 : 0)) * step;
+            data[o] = data[o + 1] = data[o + 2] = value;
+        }
+    }
+    return imageData;
+}
+
+// Sorted spot function values over one cell: a value's position in it is the coverage at which its spot inks.
+function buildSpotTable(spot) {
+    const table = new Float64Array(SPOT_SAMPLES * SPOT_SAMPLES);
+    for (let j = 0; j < SPOT_SAMPLES; j++) {
+        for (let i = 0; i < SPOT_SAMPLES; i++) {
+            table[j * SPOT_SAMPLES + i] = spot((i + 0.5) / SPOT_SAMPLES - 0.5, (j + 0.5) / SPOT_SAMPLES - 0.5);
+        }
+    }
+    return table.sort();
+}
+
+// Share of table entries below `value` (binary search).
+function coverageOf(table, value) {
+    let low = 0;
+    let high = table.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (table[middle] < value) low = middle + 1;
+        else high = middle;
+    }
+    return (low + 0.5) / table.length;
+}
+
+/**
+ * Screens a greyscale image into AM halftone dots: a rotated grid of cells, each inked (black) over the share of
+ * its area that matches the darkness under it. The dot shape decides in which order a cell fills up.
+ * @param {PixelBuffer} imageData - The greyscale image data.
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=8] - Distance between dot centers, in pixels.
+ * @param {number} [options.angle=45] - Screen angle in degrees.
+ * @param {string} [options.shape='round'] - A key of HALFTONE_SPOT_FUNCTIONS.
+ * @param {{x: number, y: number}} [options.region] - Offset of these pixels in the full image, so tiles line up.
+ * @returns {PixelBuffer} The screened image data (pure black and white).
+ */
+export function applyHalftone(imageData, { cellSize = 8, angle = 45, shape = 'round', region = { x: 0, y: 0 } } = {}) {
+    const spot = HALFTONE_SPOT_FUNCTIONS[shape];
+    if (!spot) {
+        throw new Error(`Unknown halftone dot shape '${shape}'.`);
+    }
+    const table = buildSpotTable(spot);
+    const { width, height, data } = imageData;
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians) / cellSize;
+    const sin = Math.sin(radians) / cellSize;
+
+    for (let y = 0; y < height; y++) {
+        const py = y + region.y + 0.5;
+        for (let x = 0; x < width; x++) {
+            const px = x + region.x + 0.5;
+            // Position inside the rotated cell, from -0.5 to 0.5
+            const cu = px * cos + py * sin;
+            const cv = py * cos - px * sin;
+            const u = cu - Math.floor(cu) - 0.5;
+            const v = cv - Math.floor(cv) - 0.5;
+            const o = (y * width + x) * 4;
+            const darkness = 1 - data[o] / 255;
+            const value = coverageOf(table, spot(u, v)) < darkness ? 0 : 255;
+            data[o] = data[o + 1] = data[o + 2] = value;
+        }
+    }
+    return imageData;
+}
+
+// --- Pipeline steps ---
+
+registerStep({
+    id: 'dither',
+    label: 'Dither',
+    params: [
+        { name: 'method', label: 'Method', type: 'select', default: 'floyd-steinberg', options: DITHER_METHODS },
+        { name: 'levels', label: 'Tone Levels', type: 'number', default: 2, min: 2, max: 16, step: 1 },
+        { name: 'bayerSize', label: 'Bayer Size', type: 'select', default: '4', options: BAYER_SIZES },
+        { name: 'serpentine', label: 'Serpentine', type: 'boolean', default: true }
+    ],
+    beforeColorMapping: true,
+    apply: (imageData, params, context) => {
+        const levels = Math.round(params.levels);
+        if (params.method === 'bayer') {
+            return applyOrderedDither(imageData, { size: Number(params.bayerSize), levels, region: context.region });
+        }
+        return applyErrorDiffusion(imageData, { method: params.method, levels, serpentine: params.serpentine });
+    },
+    // Error diffusion carries the error down the whole image; the Bayer pattern only needs the tile's offset
+    tileMargin: (params) => (params.method === 'bayer' ? 0 : Infinity)
+});
+
+registerStep({
+    id: 'halftone',
+    label: 'Halftone',
+    params: [
+        { name: 'cellSize', label: 'Cell Size (px)', type: 'number', default: 8, min: 2, max: 64, step: 0.5 },
+        { name: 'angle', label: 'Angle (°)', type: 'number', default: 45, min: 0, max: 90, step: 1 },
+        { name: 'shape', label: 'Dot Shape', type: 'select', default: 'round', options: HALFTONE_SHAPES }
+    ],
+    beforeColorMapping: true,
+    // The cell size is in preview pixels, so the screen keeps its look at every export size
+    apply: (imageData, params, context) => applyHalftone(imageData, {
+        cellSize: params.cellSize * context.pixelScale,
+        angle: params.angle,
+        shape: params.shape,
+        region: context.region
+    })
+});
@@ -0,0 +1,175 @@
+// modules/filters/output-dither.js
+// Dither for the one rounding to 8 bits at the end of the pipeline: a little noise added to the float values just
+// before they are rounded trades the last traces of banding in smooth gradients (skies, vignettes) for fine grain.
+
+import { registerStep } from '../pipeline.js';
+
+export const OUTPUT_DITHER_NOISES = ['triangular', 'blue-noise'];
+
+// Size of the tiled blue noise texture, and the spread of the energy filter used to build it (in pixels).
+const BLUE_NOISE_SIZE = 64;
+const BLUE_NOISE_SIGMA = 1.5;
+// Share of the texture set in the initial pattern of the void-and-cluster method.
+const BLUE_NOISE_INITIAL_DENSITY = 0.1;
+
+let blueNoise = null; // Float32Array of thresholds (0 - 1), built when first used
+
+// Small deterministic PRNG (mulberry32), so the texture is the same on every run.
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Builds a tileable blue noise threshold texture with the void-and-cluster method: pixels are ranked by repeatedly
+ * taking the tightest cluster out of a binary pattern, or filling its largest void, so every threshold level is
+ * spread as evenly as possible.
+ * @param {number} size - Width and height of the texture.
+ * @returns {Float32Array} `size * size` thresholds from 0 to 1 (exclusive), each used once.
+ */
+export function buildBlueNoise(size) {
+    const n = size * size;
+    // Gaussian energy of a set pixel, by (wrapped) offset, so the texture tiles seamlessly
+    const kernel = new Float32Array(n);
+    for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+            const wx = Math.min(dx, size - dx);
+            const wy = Math.min(dy, size - dy);
+            kernel[dy * size + dx] = Math.exp(-(wx * wx + wy * wy) / (2 * BLUE_NOISE_SIGMA * BLUE_NOISE_SIGMA));
+        }
+    }
+
+    let pattern = new Uint8Array(n);
+    let energy = new Float32Array(n);
+    function toggle(p, set) {
+        pattern[p] = set ? 1 : 0;
+        const sign = set ? 1 : -1;
+        const px = p % size;
+        const py = (p - px) / size;
+        for (let y = 0; y < size; y++) {
+            const kernelRow = ((y - py + size) % size) * size;
+            const row = y * size;
+            for (let x = 0; x < size; x++) {
+                energy[row + x] += sign * kernel[kernelRow + (x - px + size) % size];
+            }
+        }
+    }
+    // The set pixel with the most set neighbours (set = 1), or the empty one with the fewest (set = 0)
+    function find(set) {
+        let best = -1;
+        for (let p = 0; p < n; p++) {
+            if (pattern[p] !== set) continue;
+            if (best < 0 || (set ? energy[p] > energy[best] : energy[p] < energy[best])) best = p;
+        }
+        return best;
+    }
+
+    // Initial pattern: random pixels, then moved from clusters to voids until it is even
+    const random = createRandom(0x5eed);
+    const initialCount = Math.round(n * BLUE_NOISE_INITIAL_DENSITY);
+    for (let count = 0; count < initialCount;) {
+        const p = Math.floor(random() * n);
+        if (!pattern[p]) {
+            toggle(p, true);
+            count++;
+        }
+    }
+    for (let iteration = 0; iteration < n; iteration++) {
+        const cluster = find(1);
+        toggle(cluster, false);
+        const voidIndex = find(0);
+        toggle(voidIndex, true);
+        if (voidIndex === cluster) break;
+    }
+
+    const ranks = new Uint32Array(n);
+    const initialPattern = pattern.slice();
+    const initialEnergy = energy.slice();
+    // Ranks below the initial pattern: take out its tightest clusters first
+    for (let rank = initialCount - 1; rank >= 0; rank--) {
+        const cluster = find(1);
+        toggle(cluster, false);
+        ranks[cluster] = rank;
+    }
+    // Ranks above it: fill the largest voids (past half full, the same as taking the tightest clusters of the gaps)
+    pattern = initialPattern;
+    energy = initialEnergy;
+    for (let rank = initialCount; rank < n; rank++) {
+        const voidIndex = find(0);
+        toggle(voidIndex, true);
+        ranks[voidIndex] = rank;
+    }
+
+    const thresholds = new Float32Array(n);
+    ranks.forEach((rank, p) => {
+        thresholds[p] = (rank + 0.5) / n;
+    });
+    return thresholds;
+}
+
+// Hash of a pixel position (full-image coordinates), so noise lines up across tiles and is the same every run.
+function hashPosition(x, y) {
+    let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Adds dither noise to float pixels right before they are rounded to 8 bits. 'triangular' adds noise of up to one
+ * level either way (TPDF, the textbook choice: the rounding error no longer follows the image); 'blue-noise'
+ * shifts the rounding threshold by a tiled blue noise texture, whose grain is finer and leaves whole values alone.
+ * The same noise is used for the three channels, so greys stay neutral.
+ * @param {PixelBuffer} imageData - The float image data (0-255 scale).
+ * @param {Object} [options]
+ * @param {string} [options.noise='triangular'] - One of OUTPUT_DITHER_NOISES.
+ * @param {{x: number, y: number}} [options.region] - Offset of these pixels in the full image, so tiles line up.
+ * @returns {PixelBuffer} The image data with the noise added.
+ */
+export function applyOutputDither(imageData, { noise = 'triangular', region = { x: 0, y: 0 } } = {}) {
+    if (!OUTPUT_DITHER_NOISES.includes(noise)) {
+        throw new Error(`Unknown output dither noise '${noise}'. Expected one of: ${OUTPUT_DITHER_NOISES.join(', ')}.`);
+    }
+    if (noise === 'blue-noise' && !blueNoise) {
+        blueNoise = buildBlueNoise(BLUE_NOISE_SIZE);
+    }
+    const { width, height, data } = imageData;
+    for (let y = 0; y < height; y++) {
+        const fullY = y + region.y;
+        const textureRow = (fullY % BLUE_NOISE_SIZE) * BLUE_NOISE_SIZE;
+        for (let x = 0; x < width; x++) {
+            const fullX = x + region.x;
+            let offset;
+            if (noise === 'blue-noise') {
+                offset = blueNoise[textureRow + fullX % BLUE_NOISE_SIZE] - 0.5;
+            } else {
+                // The sum of two uniform values has a triangular distribution
+                const h = hashPosition(fullX, fullY);
+                offset = (h & 0xffff) / 65536 + (h >>> 16) / 65536 - 1;
+            }
+            const o = (y * width + x) * 4;
+            data[o] += offset;
+            data[o + 1] += offset;
+            data[o + 2] += offset;
+        }
+    }
+    return imageData;
+}
+
+// --- Pipeline step ---
+
+registerStep({
+    id: 'outputDither',
+    label: 'Output Dither',
+    params: [
+        { name: 'noise', label: 'Noise', type: 'select', default: 'triangular', options: OUTPUT_DITHER_NOISES }
+    ],
+    // Meant to run last, on the final colors
+    apply: (imageData, { noise }, context) => applyOutputDither(imageData, { noise, region: context.region })
+});
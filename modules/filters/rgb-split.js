@@ -0,0 +1,159 @@
+// modules/filters/rgb-split.js
+
+import { clamp } from '../utils.js'; // Import helper utility
+import { registerStep } from '../pipeline.js';
+
+/**
+ * How samples that fall outside the image are handled.
+ * - 'clamp': repeat the nearest edge pixel.
+ * - 'wrap': tile the image, so what leaves one side re-enters on the other.
+ * - 'transparent': outside samples contribute nothing and become transparent.
+ */
+export const RGB_SPLIT_EDGE_MODES = ['clamp', 'wrap', 'transparent'];
+
+/**
+ * Per-channel offset in pixels.
+ * @typedef {{x: number, y: number}} ChannelOffset
+ */
+
+/**
+ * Options for the RGB split filter.
+ * @typedef {Object} RgbSplitOptions
+ * @property {ChannelOffset} [red] - Offset of the red channel.
+ * @property {ChannelOffset} [green] - Offset of the green channel.
+ * @property {ChannelOffset} [blue] - Offset of the blue channel.
+ * @property {boolean} [lens=false] - Radial "lens" mode: offsets are scaled by the distance from the
+ *     center (0 at the center, the full offset at the edges) and point away from it.
+ * @property {string} [edge='clamp'] - One of RGB_SPLIT_EDGE_MODES.
+ * @property {{x: number, y: number, width: number, height: number}} [region] - Where `imageData` sits in the full
+ *     image (tile offset and full size), so the lens center stays put when an image is processed in tiles.
+ */
+
+/**
+ * Maps an integer coordinate into the image according to the edge mode.
+ * @returns {number} The coordinate to read, or -1 if the sample is transparent.
+ */
+function resolveCoordinate(coord, size, edge) {
+    if (coord >= 0 && coord < size) return coord;
+    if (edge === 'wrap') return ((coord % size) + size) % size;
+    if (edge === 'transparent') return -1;
+    return clamp(coord, 0, size - 1);
+}
+
+/**
+ * Bilinearly samples one channel (and the alpha) of the source at a fractional position.
+ * The channel is weighted by alpha (premultiplied), so transparent neighbours don't bleed their hidden color.
+ * @returns {{value: number, alpha: number, coverage: number}} The sampled premultiplied channel value, the sampled
+ *     alpha, and how much of the sample fell inside the image (0.0 - 1.0).
+ */
+function sampleChannel(src, width, height, x, y, channel, edge) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    let value = 0;
+    let alpha = 0;
+    let coverage = 0;
+
+    for (let dy = 0; dy <= 1; dy++) {
+        const wy = dy === 0 ? 1 - fy : fy;
+        if (wy === 0) continue;
+        const sy = resolveCoordinate(y0 + dy, height, edge);
+        for (let dx = 0; dx <= 1; dx++) {
+            const weight = wy * (dx === 0 ? 1 - fx : fx);
+            if (weight === 0) continue;
+            const sx = resolveCoordinate(x0 + dx, width, edge);
+            if (sx < 0 || sy < 0) continue; // Transparent edge: contributes nothing
+            const index = (sy * width + sx) * 4;
+            value += src[index + channel] * src[index + 3] * weight;
+            alpha += src[index + 3] * weight;
+            coverage += weight;
+        }
+    }
+    return { value, alpha, coverage };
+}
+
+/**
+ * Offsets the red, green and blue channels of an image independently ("chromatic aberration" look).
+ * @param {PixelBuffer} imageData - The image data to process.
+ * @param {RgbSplitOptions} [options] - Channel offsets, lens mode and edge handling.
+ * @returns {PixelBuffer} The channel-shifted image data.
+ */
+export function applyRgbSplit(imageData, { red = { x: 0, y: 0 }, green = { x: 0, y: 0 }, blue = { x: 0, y: 0 }, lens = false, edge = 'clamp', region } = {}) {
+    if (!RGB_SPLIT_EDGE_MODES.includes(edge)) {
+        throw new Error(`Unknown RGB split edge mode '${edge}'. Expected one of: ${RGB_SPLIT_EDGE_MODES.join(', ')}.`);
+    }
+
+    const { width, height } = imageData;
+    const data = imageData.data;
+    const src = data.slice(); // Read from a copy, since every output pixel samples elsewhere
+    const offsets = [red, green, blue];
+    const { x: regionX, y: regionY, width: fullWidth, height: fullHeight } = region || { x: 0, y: 0, width, height };
+    // Lens center in the coordinates of this image data
+    const centerX = (fullWidth - 1) / 2 - regionX;
+    const centerY = (fullHeight - 1) / 2 - regionY;
+    const radiusX = (fullWidth - 1) / 2;
+    const radiusY = (fullHeight - 1) / 2;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // In lens mode the offset grows linearly from 0 at the center to its full size at the edges.
+            const scaleX = lens ? (radiusX > 0 ? (x - centerX) / radiusX : 0) : 1;
+            const scaleY = lens ? (radiusY > 0 ? (y - centerY) / radiusY : 0) : 1;
+            const index = (y * width + x) * 4;
+            let alpha = 0;
+
+            for (let channel = 0; channel < 3; channel++) {
+                const offset = offsets[channel];
+                const sample = sampleChannel(src, width, height, x - offset.x * scaleX, y - offset.y * scaleY, channel, edge);
+                // Back to straight colors, so they don't darken towards a transparent edge; the alpha fades instead
+                data[index + channel] = sample.alpha > 0 ? sample.value / sample.alpha : 0;
+                alpha = Math.max(alpha, sample.alpha);
+            }
+
+            if (edge === 'transparent') {
+                data[index + 3] = alpha;
+            }
+        }
+    }
+    return imageData;
+}
+
+// --- Pipeline step ---
+
+const CHANNEL_NAMES = ['red', 'green', 'blue'];
+
+registerStep({
+    id: 'rgbSplit',
+    label: 'RGB Split',
+    params: [
+        ...CHANNEL_NAMES.flatMap(channel => ['X', 'Y'].map(axis => ({
+            name: `${channel}${axis}`,
+            label: `${channel[0].toUpperCase()}${channel.slice(1)} ${axis} (px)`,
+            type: 'number',
+            default: 0,
+            min: -50,
+            max: 50,
+            step: 1
+        }))),
+        { name: 'lens', label: 'Lens Mode', type: 'boolean', default: false },
+        { name: 'edge', label: 'Edges', type: 'select', default: 'clamp', options: RGB_SPLIT_EDGE_MODES }
+    ],
+    // Channels shifted apart make fringes of colors that aren't in the input (or on a duotone's gradient)
+    addsColors: true,
+    // Offsets are in preview pixels, so they are scaled with the export size
+    apply: (imageData, params, context) => {
+        const options = { lens: params.lens, edge: params.edge, region: context.region };
+        CHANNEL_NAMES.forEach(channel => {
+            options[channel] = { x: params[`${channel}X`] * context.pixelScale, y: params[`${channel}Y`] * context.pixelScale };
+        });
+        return applyRgbSplit(imageData, options);
+    },
+    tileMargin: (params, context) => {
+        const maxOffsetY = Math.max(...CHANNEL_NAMES.map(channel => Math.abs(params[`${channel}Y`])));
+        if (maxOffsetY > 0 && params.edge === 'wrap') {
+            return Infinity; // Wrapping vertically reads from the opposite end of the image
+        }
+        return Math.ceil(maxOffsetY * context.pixelScale) + 1; // +1 for bilinear sampling
+    }
+});
\ No newline at end of file
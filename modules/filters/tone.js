@@ -0,0 +1,209 @@
+// modules/filters/tone.js
+// Levels (black point, white point, gamma, percentile clipping) and tone curves, both applied through a lookup table.
+
+import { clamp } from '../utils.js';
+import { computeHistogram } from '../image-core.js';
+import { registerStep } from '../pipeline.js';
+
+/**
+ * A point of a tone curve. Both coordinates run from 0 (black) to 1 (white).
+ * @typedef {Object} CurvePoint
+ * @property {number} x - Input value.
+ * @property {number} y - Output value.
+ */
+
+// A curve that leaves the image unchanged.
+export const IDENTITY_CURVE = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+// A gentle S-curve: the default look's contrast boost, without the hard clipping of a linear factor.
+export const CONTRAST_CURVE = [
+    { x: 0, y: 0 },
+    { x: 0.25, y: 0.18 },
+    { x: 0.75, y: 0.82 },
+    { x: 1, y: 1 }
+];
+
+/**
+ * Finds black and white points that clip a given share of pixels at each end of a histogram.
+ * With 0% clipping this is the occupied range, so a single stray pixel no longer decides the stretch
+ * once a little clipping is allowed.
+ * @param {number[]} histogram - A 256-bin histogram.
+ * @param {number} clipBlack - Percentage of pixels allowed to turn pure black.
+ * @param {number} clipWhite - Percentage of pixels allowed to turn pure white.
+ * @returns {{black: number, white: number}} The points (black >= white for flat images).
+ */
+export function findPercentileBounds(histogram, clipBlack, clipWhite) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return { black: 0, white: 255 };
+    }
+    const blackLimit = total * clipBlack / 100;
+    const whiteLimit = total * clipWhite / 100;
+
+    let black = 0;
+    let count = histogram[0];
+    while (black < 255 && count <= blackLimit) {
+        count += histogram[++black];
+    }
+    let white = 255;
+    count = histogram[255];
+    while (white > 0 && count <= whiteLimit) {
+        count += histogram[--white];
+    }
+    return { black, white };
+}
+
+/**
+ * Builds the lookup table of a levels adjustment.
+ * @param {{black: number, white: number, gamma: number}} levels - Input black and white points (0-255), and the
+ *     midtone gamma (above 1 brightens, below 1 darkens).
+ * @returns {Float32Array} 256 unrounded output values.
+ */
+export function buildLevelsLut({ black, white, gamma }) {
+    const lut = new Float32Array(256);
+    const range = white - black;
+    for (let v = 0; v < 256; v++) {
+        // A flat image (no range) turns into a hard threshold at its single value
+        const t = range > 0 ? clamp((v - black) / range, 0, 1) : (v >= black ? 1 : 0);
+        lut[v] = Math.pow(t, 1 / gamma) * 255;
+    }
+    return lut;
+}
+
+/**
+ * Builds the lookup table of a tone curve: a monotone cubic (Fritsch-Carlson) spline through the points, so the
+ * curve never overshoots between them. Inputs outside the first and last point keep their output values.
+ * @param {CurvePoint[]} points - At least two points, sorted by distinct x.
+ * @returns {Float32Array} 256 unrounded output values.
+ */
+export function buildCurveLut(points) {
+    const n = points.length;
+    const slopes = [];
+    for (let k = 0; k < n - 1; k++) {
+        slopes.push((points[k + 1].y - points[k].y) / (points[k + 1].x - points[k].x));
+    }
+
+    // Tangents: averaged secant slopes, flattened at extremes and limited so each segment stays monotone
+    const tangents = points.map((point, k) => {
+        if (k === 0) return slopes[0];
+        if (k === n - 1) return slopes[n - 2];
+        return slopes[k - 1] * slopes[k] <= 0 ? 0 : (slopes[k - 1] + slopes[k]) / 2;
+    });
+    for (let k = 0; k < n - 1; k++) {
+        if (slopes[k] === 0) {
+            tangents[k] = 0;
+            tangents[k + 1] = 0;
+            continue;
+        }
+        const a = tangents[k] / slopes[k];
+        const b = tangents[k + 1] / slopes[k];
+        const length = a * a + b * b;
+        if (length > 9) {
+            const tau = 3 / Math.sqrt(length);
+            tangents[k] = tau * a * slopes[k];
+            tangents[k + 1] = tau * b * slopes[k];
+        }
+    }
+
+    const lut = new Float32Array(256);
+    let k = 0;
+    for (let v = 0; v < 256; v++) {
+        const x = v / 255;
+        let y;
+        if (x <= points[0].x) {
+            y = points[0].y;
+        } else if (x >= points[n - 1].x) {
+            y = points[n - 1].y;
+        } else {
+            while (x > points[k + 1].x) {
+                k++;
+            }
+            // Cubic Hermite interpolation on the segment
+            const h = points[k + 1].x - points[k].x;
+            const t = (x - points[k].x) / h;
+            const t2 = t * t;
+            const t3 = t2 * t;
+            y = (2 * t3 - 3 * t2 + 1) * points[k].y
+                + (t3 - 2 * t2 + t) * h * tangents[k]
+                + (-2 * t3 + 3 * t2) * points[k + 1].y
+                + (t3 - t2) * h * tangents[k + 1];
+        }
+        lut[v] = clamp(y, 0, 1) * 255;
+    }
+    return lut;
+}
+
+// Reads a 256-entry table at a 0-255 value, interpolating between entries for fractional (float pipeline) values.
+function sampleLut(lut, value) {
+    if (value <= 0) return lut[0];
+    if (value >= 255) return lut[255];
+    const v = Math.floor(value);
+    return lut[v] + (lut[v + 1] - lut[v]) * (value - v);
+}
+
+/**
+ * Maps the red, green and blue channels through a lookup table (alpha is left alone).
+ * @param {PixelBuffer} imageData - The image data to adjust.
+ * @param {Uint8ClampedArray|Float32Array} lut - 256 output values.
+ * @returns {PixelBuffer} The adjusted image data.
+ */
+export function applyLut(imageData, lut) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = sampleLut(lut, data[i]);
+        data[i + 1] = sampleLut(lut, data[i + 1]);
+        data[i + 2] = sampleLut(lut, data[i + 2]);
+    }
+    return imageData;
+}
+
+/**
+ * Works out the black and white points a levels step uses: its own, or in auto mode the percentile bounds of
+ * a histogram.
+ * @param {Object} params - Levels step parameters.
+ * @param {number[]|function(): number[]} histogram - The histogram, or a function computing it (only called in
+ *     auto mode).
+ * @returns {{black: number, white: number, gamma: number}} The resolved levels.
+ */
+export function resolveLevels(params, histogram) {
+    if (!params.auto) {
+        return { black: params.black, white: params.white, gamma: params.gamma };
+    }
+    const counts = typeof histogram === 'function' ? histogram() : histogram;
+    const { black, white } = findPercentileBounds(counts, params.clipBlack, params.clipWhite);
+    return { black, white, gamma: params.gamma };
+}
+
+// --- Pipeline steps ---
+
+registerStep({
+    id: 'levels',
+    label: 'Levels',
+    params: [
+        { name: 'auto', label: 'Auto Black/White', type: 'boolean', default: true },
+        { name: 'clipBlack', label: 'Clip Shadows (%)', type: 'number', default: 0.5, min: 0, max: 10, step: 0.1 },
+        { name: 'clipWhite', label: 'Clip Highlights (%)', type: 'number', default: 0.5, min: 0, max: 10, step: 0.1 },
+        { name: 'black', label: 'Black Point', type: 'number', default: 0, min: 0, max: 255, step: 1 },
+        { name: 'white', label: 'White Point', type: 'number', default: 255, min: 0, max: 255, step: 1 },
+        { name: 'gamma', label: 'Gamma', type: 'number', default: 1, min: 0.1, max: 10, step: 0.01 }
+    ],
+    beforeColorMapping: true,
+    // Without tile statistics the image's own histogram is used
+    apply: (imageData, params, context) => {
+        const levels = context.stats || resolveLevels(params, () => computeHistogram(imageData));
+        return applyLut(imageData, buildLevelsLut(levels));
+    },
+    needsStats: (params) => params.auto,
+    analyze: (imageData, params, histogram) => computeHistogram(imageData, histogram),
+    resolveStats: (histogram, params) => resolveLevels(params, histogram)
+});
+
+registerStep({
+    id: 'curves',
+    label: 'Curves',
+    params: [
+        { name: 'points', label: 'Curve', type: 'curve', default: IDENTITY_CURVE }
+    ],
+    beforeColorMapping: true,
+    apply: (imageData, { points }) => applyLut(imageData, buildCurveLut(points))
+});
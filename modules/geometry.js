@@ -0,0 +1,290 @@
+// modules/geometry.js
+// Framing of the image: quarter-turn rotation, flips, straightening and crop, combined into one affine transform
+// from source pixels to output pixels. Canvas exports draw through the transform; pixel buffers are resampled.
+
+import { clamp, createPixelBuffer } from './utils.js';
+
+export const MAX_STRAIGHTEN_DEGREES = 45;
+
+/** Aspect ratio presets for the crop: 'free', the image's own ('original'), or width:height. */
+export const ASPECT_PRESETS = ['free', 'original', '1:1', '4:5', '16:9', '9:16'];
+
+// Crops can't get smaller than this share of the frame.
+const MIN_CROP_SIZE = 0.01;
+
+// Cosine and sine of the quarter turns, exact (Math.cos(Math.PI / 2) is not quite 0).
+const QUARTER_TURNS = {
+    0: [1, 0],
+    90: [0, 1],
+    180: [-1, 0],
+    270: [0, -1]
+};
+
+/**
+ * How the image is framed. The frame is the image after its quarter-turn rotation; flips, straightening and the
+ * crop all work in that frame, as the user sees it.
+ * @typedef {Object} Geometry
+ * @property {number} rotation - Quarter turns clockwise: 0, 90, 180 or 270.
+ * @property {boolean} flipH - Mirrored left to right (after rotating).
+ * @property {boolean} flipV - Mirrored top to bottom (after rotating).
+ * @property {number} straighten - Fine rotation in degrees, clockwise (-45 to 45). The image is enlarged just enough
+ *     to still cover the whole frame, so no empty corners show.
+ * @property {{x: number, y: number, width: number, height: number}|null} crop - The kept area, as fractions of the
+ *     frame, or null to keep all of it.
+ * @property {string} aspect - One of ASPECT_PRESETS; the crop editor holds the crop to it.
+ */
+
+/** @type {Geometry} */
+export const DEFAULT_GEOMETRY = Object.freeze({ rotation: 0, flipH: false, flipV: false, straighten: 0, crop: null, aspect: 'free' });
+
+/**
+ * Validates a geometry (e.g. one read from a link), falling back to the defaults for invalid parts.
+ * @param {Object} [geometry] - The geometry to check.
+ * @returns {Geometry} A clean copy of the geometry.
+ */
+export function normalizeGeometry(geometry) {
+    const g = geometry || {};
+    const straighten = Number(g.straighten);
+    let crop = null;
+    if (g.crop) {
+        const [x, y, width, height] = [g.crop.x, g.crop.y, g.crop.width, g.crop.height].map(Number);
+        if ([x, y, width, height].every(Number.isFinite)) {
+            const left = clamp(x, 0, 1 - MIN_CROP_SIZE);
+            const top = clamp(y, 0, 1 - MIN_CROP_SIZE);
+            crop = {
+                x: left,
+                y: top,
+                width: clamp(width, MIN_CROP_SIZE, 1 - left),
+                height: clamp(height, MIN_CROP_SIZE, 1 - top)
+            };
+        }
+    }
+    return {
+        rotation: QUARTER_TURNS[g.rotation] ? Number(g.rotation) : 0,
+        flipH: g.flipH === true,
+        flipV: g.flipV === true,
+        straighten: Number.isFinite(straighten) ? clamp(straighten, -MAX_STRAIGHTEN_DEGREES, MAX_STRAIGHTEN_DEGREES) : 0,
+        crop,
+        aspect: ASPECT_PRESETS.includes(g.aspect) ? g.aspect : 'free'
+    };
+}
+
+/**
+ * Whether a geometry leaves the image as it is.
+ * @param {Geometry} geometry - The geometry.
+ * @returns {boolean} True for no rotation, flip, straightening or crop.
+ */
+export function isIdentityGeometry({ rotation, flipH, flipV, straighten, crop }) {
+    return rotation === 0 && !flipH && !flipV && straighten === 0
+        && (!crop || (crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1));
+}
+
+/**
+ * Size of the frame: the image after its quarter-turn rotation.
+ * @param {number} width - Source width in pixels.
+ * @param {number} height - Source height in pixels.
+ * @param {Geometry} geometry - The geometry.
+ * @returns {{width: number, height: number}} The frame size.
+ */
+export function computeFrameSize(width, height, { rotation }) {
+    return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+}
+
+/**
+ * Width / height ratio of an aspect preset.
+ * @param {string} aspect - One of ASPECT_PRESETS.
+ * @param {number} frameWidth - Frame width, for 'original'.
+ * @param {number} frameHeight - Frame height, for 'original'.
+ * @returns {number|null} The ratio, or null for 'free'.
+ */
+export function getAspectRatio(aspect, frameWidth, frameHeight) {
+    if (aspect === 'original') return frameWidth / frameHeight;
+    const match = /^(\d+):(\d+)$/.exec(aspect);
+    return match ? Number(match[1]) / Number(match[2]) : null;
+}
+
+// Affine matrices in canvas order [a, b, c, d, e, f]: x' = a x + c y + e, y' = b x + d y + f.
+// multiply(m, n) applies n first, then m.
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function invert([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+const translate = (x, y) => [1, 0, 0, 1, x, y];
+const rotate = (cos, sin) => [cos, sin, -sin, cos, 0, 0];
+const scale = (x, y) => [x, 0, 0, y, 0, 0];
+
+/**
+ * Works out the output size of a geometry and the transform from source to output pixels.
+ * @param {number} width - Source width in pixels.
+ * @param {number} height - Source height in pixels.
+ * @param {Geometry} geometry - The geometry.
+ * @returns {{width: number, height: number, matrix: number[]}} Output size in pixels (at the source's resolution)
+ *     and the transform as [a, b, c, d, e, f], ready for `CanvasRenderingContext2D.setTransform`.
+ */
+export function computeGeometry(width, height, geometry) {
+    const { rotation, flipH, flipV, straighten, crop } = geometry;
+    const frame = computeFrameSize(width, height, geometry);
+    const angle = straighten * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Enlargement that keeps the frame covered by the tilted image
+    const cover = Math.max(
+        (frame.width * Math.abs(cos) + frame.height * Math.abs(sin)) / frame.width,
+        (frame.width * Math.abs(sin) + frame.height * Math.abs(cos)) / frame.height
+    );
+    const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+
+    let matrix = translate(-width / 2, -height / 2);
+    matrix = multiply(rotate(...QUARTER_TURNS[rotation]), matrix);
+    matrix = multiply(scale(flipH ? -1 : 1, flipV ? -1 : 1), matrix);
+    if (straighten !== 0) {
+        matrix = multiply(multiply(rotate(cos, sin), scale(cover, cover)), matrix);
+    }
+    matrix = multiply(translate(frame.width / 2 - area.x * frame.width, frame.height / 2 - area.y * frame.height), matrix);
+
+    return {
+        width: Math.max(1, Math.round(area.width * frame.width)),
+        height: Math.max(1, Math.round(area.height * frame.height)),
+        matrix
+    };
+}
+
+/**
+ * Applies a geometry to pixels at their own resolution. Quarter turns, flips and pixel-aligned crops copy pixels
+ * exactly; straightened images are sampled bilinearly (on premultiplied colors, like `resamplePixels`).
+ * @param {PixelBuffer} pixels - The source pixels.
+ * @param {Geometry} geometry - The geometry.
+ * @returns {PixelBuffer} The framed pixels (the same buffer for an identity geometry).
+ */
+export function applyGeometry(pixels, geometry) {
+    if (isIdentityGeometry(geometry)) return pixels;
+    const { width, height, matrix } = computeGeometry(pixels.width, pixels.height, geometry);
+    const [a, b, c, d, e, f] = invert(matrix);
+    const src = pixels.data;
+    const maxX = pixels.width - 1;
+    const maxY = pixels.height - 1;
+    const output = createPixelBuffer(width, height);
+    const data = output.data;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Source position of the output pixel's center, relative to source pixel centers
+            const sx = clamp(a * (x + 0.5) + c * (y + 0.5) + e - 0.5, 0, maxX);
+            const sy = clamp(b * (x + 0.5) + d * (y + 0.5) + f - 0.5, 0, maxY);
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const x1 = Math.min(x0 + 1, maxX);
+            const y1 = Math.min(y0 + 1, maxY);
+            const fx = sx - x0;
+            const fy = sy - y0;
+            let r = 0, g = 0, bl = 0, alpha = 0;
+            const taps = [
+                [x0, y0, (1 - fx) * (1 - fy)],
+                [x1, y0, fx * (1 - fy)],
+                [x0, y1, (1 - fx) * fy],
+                [x1, y1, fx * fy]
+            ];
+            for (const [tx, ty, weight] of taps) {
+                if (weight === 0) continue;
+                const s = (ty * pixels.width + tx) * 4;
+                const weightedAlpha = weight * src[s + 3];
+                r += src[s] * weightedAlpha;
+                g += src[s + 1] * weightedAlpha;
+                bl += src[s + 2] * weightedAlpha;
+                alpha += weightedAlpha;
+            }
+            const o = (y * width + x) * 4;
+            if (alpha > 0) {
+                data[o] = r / alpha;
+                data[o + 1] = g / alpha;
+                data[o + 2] = bl / alpha;
+            }
+            data[o + 3] = alpha;
+        }
+    }
+    return output;
+}
+
+/**
+ * Turns the framed image by a quarter turn, keeping the cropped area. Flips swap axes (a mirrored image turned by
+ * 90° is the turned image mirrored the other way), and the straightening stays as it is.
+ * @param {Geometry} geometry - The geometry.
+ * @param {number} direction - 1 for clockwise, -1 for counter-clockwise.
+ * @returns {Geometry} The new geometry.
+ */
+export function rotateGeometry(geometry, direction) {
+    const { crop } = geometry;
+    const clockwise = direction > 0;
+    return {
+        ...geometry,
+        rotation: (geometry.rotation + (clockwise ? 90 : 270)) % 360,
+        flipH: geometry.flipV,
+        flipV: geometry.flipH,
+        crop: crop && (clockwise
+            ? { x: 1 - crop.y - crop.height, y: crop.x, width: crop.height, height: crop.width }
+            : { x: crop.y, y: 1 - crop.x - crop.width, width: crop.height, height: crop.width })
+    };
+}
+
+/**
+ * Mirrors the framed image, keeping the cropped area. The straightening is mirrored too.
+ * @param {Geometry} geometry - The geometry.
+ * @param {string} axis - 'horizontal' (left to right) or 'vertical' (top to bottom).
+ * @returns {Geometry} The new geometry.
+ */
+export function flipGeometry(geometry, axis) {
+    const { crop } = geometry;
+    const horizontal = axis === 'horizontal';
+    return {
+        ...geometry,
+        flipH: horizontal ? !geometry.flipH : geometry.flipH,
+        flipV: horizontal ? geometry.flipV : !geometry.flipV,
+        straighten: -geometry.straighten || 0,
+        crop: crop && (horizontal
+            ? { ...crop, x: 1 - crop.x - crop.width }
+            : { ...crop, y: 1 - crop.y - crop.height })
+    };
+}
+
+/**
+ * Fits the crop to an aspect ratio: the largest crop of that ratio inside the frame, centered on the current
+ * crop as far as the frame allows.
+ * @param {Geometry} geometry - The geometry, with its new `aspect`.
+ * @param {number} sourceWidth - Source width in pixels.
+ * @param {number} sourceHeight - Source height in pixels.
+ * @returns {Geometry} The geometry with the fitted crop (unchanged for 'free').
+ */
+export function fitCropToAspect(geometry, sourceWidth, sourceHeight) {
+    const frame = computeFrameSize(sourceWidth, sourceHeight, geometry);
+    const ratio = getAspectRatio(geometry.aspect, frame.width, frame.height);
+    if (!ratio) return geometry;
+
+    const area = geometry.crop || { x: 0, y: 0, width: 1, height: 1 };
+    // In frame pixels, so the ratio holds on screen
+    let width = frame.width;
+    let height = width / ratio;
+    if (height > frame.height) {
+        height = frame.height;
+        width = height * ratio;
+    }
+    const centerX = (area.x + area.width / 2) * frame.width;
+    const centerY = (area.y + area.height / 2) * frame.height;
+    const x = clamp(centerX - width / 2, 0, frame.width - width);
+    const y = clamp(centerY - height / 2, 0, frame.height - height);
+    return {
+        ...geometry,
+        crop: { x: x / frame.width, y: y / frame.height, width: width / frame.width, height: height / frame.height }
+    };
+}
@@ -0,0 +1,499 @@
+// modules/gif.js
+// GIF codec in plain JavaScript (no canvas), so animated GIFs can be split into frames, run through the
+// pipeline one frame at a time, and written back as an animation.
+
+import { createPixelBuffer } from './utils.js';
+
+/**
+ * One frame of an animation.
+ * @typedef {Object} AnimationFrame
+ * @property {PixelBuffer} pixels - The whole frame as it shows (earlier frames composited underneath).
+ * @property {number} delay - How long the frame shows, in milliseconds.
+ */
+
+/**
+ * A decoded animation.
+ * @typedef {Object} Animation
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {number|null} loopCount - Extra plays after the first (0 = forever), or null to play once.
+ * @property {AnimationFrame[]} frames - The frames, in order.
+ */
+
+// LZW codes are at most 12 bits wide.
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+
+// Browsers show frames with a delay of 0 or 1 hundredths of a second for this long instead.
+const DEFAULT_DELAY_MS = 100;
+
+// Interlaced images store every 8th row from row 0, every 8th from row 4, every 4th from row 2, then the rest.
+const INTERLACE_PASSES = [[0, 8], [4, 8], [2, 4], [1, 2]];
+
+/**
+ * Tells whether bytes look like a GIF file.
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {boolean} True for GIF87a and GIF89a files.
+ */
+export function isGif(bytes) {
+    return bytes.length >= 6 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 // 'GIF'
+        && bytes[3] === 0x38 && (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61; // '87a' / '89a'
+}
+
+// Joins the chain of length-prefixed sub-blocks starting at `offset` (ended by an empty one).
+// A truncated chain just ends early, as in browsers.
+function readSubBlocks(bytes, offset) {
+    const blocks = [];
+    let length = 0;
+    while (offset < bytes.length) {
+        const size = bytes[offset++];
+        if (size === 0) break;
+        const block = bytes.subarray(offset, offset + size);
+        blocks.push(block);
+        length += block.length;
+        offset += size;
+    }
+    const data = new Uint8Array(length);
+    let position = 0;
+    for (const block of blocks) {
+        data.set(block, position);
+        position += block.length;
+    }
+    return { data, offset };
+}
+
+// Decodes LZW-compressed color indices. Missing data leaves the remaining pixels at index 0.
+function decodeLzw(data, minCodeSize, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(MAX_CODES);
+    const suffix = new Uint8Array(MAX_CODES);
+    const stack = new Uint8Array(MAX_CODES + 1);
+    for (let code = 0; code < clearCode; code++) {
+        suffix[code] = code;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let firstByte = 0; // First index of the previous code's string
+    let bits = 0;
+    let bitCount = 0;
+    let position = 0;
+    let out = 0;
+
+    while (out < pixelCount) {
+        while (bitCount < codeSize) {
+            if (position >= data.length) return output;
+            bits |= data[position++] << bitCount;
+            bitCount += 8;
+        }
+        const code = bits & codeMask;
+        bits >>>= codeSize;
+        bitCount -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            nextCode = endCode + 1;
+            previous = -1;
+            continue;
+        }
+        if (code === endCode) break;
+        if (previous === -1) {
+            if (code >= clearCode) break; // Corrupt: the first code must be a plain index
+            output[out++] = code;
+            previous = code;
+            firstByte = code;
+            continue;
+        }
+        if (code > nextCode) break; // Corrupt: a code that isn't defined yet
+
+        // Unwind the string of the code, last index first. A code that is only being defined now
+        // (the "KwKwK" case) is the previous string plus its own first index.
+        let top = 0;
+        let current = code;
+        if (code === nextCode) {
+            stack[top++] = firstByte;
+            current = previous;
+        }
+        while (current > endCode) {
+            stack[top++] = suffix[current];
+            current = prefix[current];
+        }
+        firstByte = current;
+        stack[top++] = current;
+        while (top > 0 && out < pixelCount) {
+            output[out++] = stack[--top];
+        }
+
+        if (nextCode < MAX_CODES) {
+            prefix[nextCode] = previous;
+            suffix[nextCode] = firstByte;
+            nextCode++;
+            if (nextCode > codeMask && codeSize < MAX_CODE_SIZE) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        previous = code;
+    }
+    return output;
+}
+
+// Lists the rows of an image in the order its indices are stored.
+function rowOrder(height, interlaced) {
+    if (!interlaced) {
+        return Array.from({ length: height }, (_, y) => y);
+    }
+    const rows = [];
+    for (const [start, step] of INTERLACE_PASSES) {
+        for (let y = start; y < height; y += step) {
+            rows.push(y);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Decodes a GIF into fully composited frames, following each frame's disposal method the way browsers do
+ * (areas restored to the background turn transparent).
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {Animation} The animation (a still GIF has one frame).
+ */
+export function decodeGif(bytes) {
+    if (!isGif(bytes)) {
+        throw new Error('Not a GIF file.');
+    }
+    const readUint16 = offset => bytes[offset] | (bytes[offset + 1] << 8);
+    const width = readUint16(6);
+    const height = readUint16(8);
+    if (width === 0 || height === 0) {
+        throw new Error('The GIF has no pixels.');
+    }
+
+    let offset = 13;
+    let globalPalette = null;
+    if (bytes[10] & 0x80) {
+        const size = 2 << (bytes[10] & 0x07);
+        globalPalette = bytes.subarray(offset, offset + size * 3);
+        offset += size * 3;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loopCount = null;
+    let control = { disposal: 0, delay: 0, transparentIndex: -1 };
+
+    while (offset < bytes.length) {
+        const block = bytes[offset++];
+        if (block === 0x3B) break; // Trailer
+
+        if (block === 0x21) {
+            const label = bytes[offset++];
+            const extension = readSubBlocks(bytes, offset);
+            offset = extension.offset;
+            const data = extension.data;
+            if (label === 0xF9 && data.length >= 4) {
+                // Graphic control extension: applies to the next image
+                const centiseconds = data[1] | (data[2] << 8);
+                control = {
+                    disposal: (data[0] >> 2) & 0x07,
+                    delay: centiseconds <= 1 ? DEFAULT_DELAY_MS : centiseconds * 10,
+                    transparentIndex: data[0] & 0x01 ? data[3] : -1
+                };
+            } else if (label === 0xFF && data.length >= 14) {
+                // Application extension: 'NETSCAPE2.0' (or 'ANIMEXTS1.0') sub-block 1 holds the loop count
+                const id = String.fromCharCode(...data.subarray(0, 11));
+                if ((id === 'NETSCAPE2.0' || id === 'ANIMEXTS1.0') && data[11] === 1) {
+                    loopCount = data[12] | (data[13] << 8);
+                }
+            }
+            continue;
+        }
+
+        if (block !== 0x2C) {
+            if (frames.length > 0) break; // Trailing garbage after valid frames
+            throw new Error(`Unexpected block 0x${block.toString(16)} in the GIF.`);
+        }
+
+        // Image descriptor
+        const left = readUint16(offset);
+        const top = readUint16(offset + 2);
+        const imageWidth = readUint16(offset + 4);
+        const imageHeight = readUint16(offset + 6);
+        const flags = bytes[offset + 8];
+        offset += 9;
+        let palette = globalPalette;
+        if (flags & 0x80) {
+            const size = 2 << (flags & 0x07);
+            palette = bytes.subarray(offset, offset + size * 3);
+            offset += size * 3;
+        }
+        if (!palette) {
+            throw new Error('The GIF has no color table.');
+        }
+        const minCodeSize = bytes[offset++];
+        if (minCodeSize < 2 || minCodeSize > 8) {
+            throw new Error('The GIF image data is corrupt.');
+        }
+        const imageData = readSubBlocks(bytes, offset);
+        offset = imageData.offset;
+        const indices = decodeLzw(imageData.data, minCodeSize, imageWidth * imageHeight);
+
+        const saved = control.disposal === 3 ? canvas.slice() : null;
+        const rows = rowOrder(imageHeight, (flags & 0x40) !== 0);
+        for (let row = 0; row < imageHeight; row++) {
+            const y = top + rows[row];
+            if (y >= height) continue;
+            for (let x = 0; x < imageWidth && left + x < width; x++) {
+                const index = indices[row * imageWidth + x];
+                if (index === control.transparentIndex || index * 3 >= palette.length) continue;
+                const o = (y * width + left + x) * 4;
+                canvas[o] = palette[index * 3];
+                canvas[o + 1] = palette[index * 3 + 1];
+                canvas[o + 2] = palette[index * 3 + 2];
+                canvas[o + 3] = 255;
+            }
+        }
+        frames.push({ pixels: createPixelBuffer(width, height, canvas.slice()), delay: control.delay || DEFAULT_DELAY_MS });
+
+        // Dispose of the frame before the next one is drawn
+        if (control.disposal === 2) {
+            for (let y = top; y < Math.min(height, top + imageHeight); y++) {
+                canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + imageWidth)) * 4);
+            }
+        } else if (saved) {
+            canvas.set(saved);
+        }
+        control = { disposal: 0, delay: 0, transparentIndex: -1 };
+    }
+
+    if (frames.length === 0) {
+        throw new Error('The GIF has no frames.');
+    }
+    return { width, height, loopCount, frames };
+}
+
+// Collects bytes into a growing buffer.
+function createByteWriter() {
+    let buffer = new Uint8Array(1 << 16);
+    let length = 0;
+    function reserve(count) {
+        if (length + count > buffer.length) {
+            const grown = new Uint8Array(Math.max(buffer.length * 2, length + count));
+            grown.set(buffer.subarray(0, length));
+            buffer = grown;
+        }
+    }
+    return {
+        byte(value) {
+            reserve(1);
+            buffer[length++] = value;
+        },
+        uint16(value) {
+            reserve(2);
+            buffer[length++] = value & 0xFF;
+            buffer[length++] = (value >> 8) & 0xFF;
+        },
+        bytes(values) {
+            reserve(values.length);
+            buffer.set(values, length);
+            length += values.length;
+        },
+        result: () => buffer.slice(0, length)
+    };
+}
+
+// Open-addressing table for the encoder's dictionary (as in Unix compress): small enough to clear cheaply
+// every time the dictionary fills up.
+const HASH_SIZE = 5003;
+const HASH_SHIFT = 4;
+
+// LZW-compresses color indices and writes them as image data sub-blocks.
+function writeLzw(writer, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const hashKeys = new Int32Array(HASH_SIZE);
+    const hashCodes = new Int16Array(HASH_SIZE);
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+
+    const block = new Uint8Array(255);
+    let blockLength = 0;
+    let bits = 0;
+    let bitCount = 0;
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block[blockLength++] = bits & 0xFF;
+            bits >>>= 8;
+            bitCount -= 8;
+            if (blockLength === 255) {
+                writer.byte(255);
+                writer.bytes(block);
+                blockLength = 0;
+            }
+        }
+    }
+    function reset() {
+        hashKeys.fill(-1);
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+    }
+
+    writer.byte(minCodeSize);
+    reset();
+    emit(clearCode);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (index << MAX_CODE_SIZE) | current;
+        let slot = (index << HASH_SHIFT) ^ current;
+        const step = slot === 0 ? 1 : HASH_SIZE - slot;
+        while (hashKeys[slot] !== -1 && hashKeys[slot] !== key) {
+            slot -= step;
+            if (slot < 0) slot += HASH_SIZE;
+        }
+        if (hashKeys[slot] === key) {
+            current = hashCodes[slot];
+            continue;
+        }
+        emit(current);
+        if (nextCode === MAX_CODES) {
+            emit(clearCode);
+            reset();
+        } else {
+            if (nextCode >= 1 << codeSize) codeSize++;
+            hashKeys[slot] = key;
+            hashCodes[slot] = nextCode++;
+        }
+        current = index;
+    }
+    emit(current);
+    emit(endCode);
+    if (bitCount > 0) {
+        block[blockLength++] = bits & 0xFF;
+    }
+    if (blockLength > 0) {
+        writer.byte(blockLength);
+        writer.bytes(block.subarray(0, blockLength));
+    }
+    writer.byte(0); // Block terminator
+}
+
+/**
+ * Maps every pixel to the nearest palette color (by RGB distance). Each distinct color is only looked up once,
+ * so images that already use the palette's colors are cheap.
+ * @param {PixelBuffer} pixels - The pixels.
+ * @param {{r: number, g: number, b: number}[]} palette - The colors.
+ * @param {number} [transparentIndex=-1] - Index for pixels that are mostly transparent, or -1 for none.
+ * @param {Map<number, number>} [cache] - Lookups to share between frames.
+ * @returns {Uint8Array} One palette index per pixel.
+ */
+export function mapToPalette({ data }, palette, transparentIndex = -1, cache = new Map()) {
+    const indices = new Uint8Array(data.length / 4);
+    for (let p = 0, o = 0; o < data.length; p++, o += 4) {
+        if (transparentIndex >= 0 && data[o + 3] < 128) {
+            indices[p] = transparentIndex;
+            continue;
+        }
+        const key = (data[o] << 16) | (data[o + 1] << 8) | data[o + 2];
+        let index = cache.get(key);
+        if (index === undefined) {
+            let bestDistance = Infinity;
+            palette.forEach((color, i) => {
+                const dr = color.r - data[o];
+                const dg = color.g - data[o + 1];
+                const db = color.b - data[o + 2];
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    index = i;
+                }
+            });
+            cache.set(key, index);
+        }
+        indices[p] = index;
+    }
+    return indices;
+}
+
+/**
+ * Encodes frames as a GIF with one global palette (animated if there is more than one frame).
+ * Mostly transparent pixels become transparent if the palette leaves an entry free for them (at most 255 colors),
+ * and get the nearest color otherwise.
+ * @param {AnimationFrame[]} frames - The frames, all of the same size.
+ * @param {Object} options
+ * @param {{r: number, g: number, b: number}[]} options.palette - 1 to 256 colors.
+ * @param {number|null} [options.loopCount=0] - Extra plays after the first (0 = forever), or null to play once.
+ * @returns {Uint8Array} The GIF file content.
+ */
+export function encodeGif(frames, { palette, loopCount = 0 }) {
+    if (frames.length === 0) {
+        throw new Error('A GIF needs at least one frame.');
+    }
+    if (palette.length === 0 || palette.length > 256) {
+        throw new Error('A GIF palette needs 1 to 256 colors.');
+    }
+    const { width, height } = frames[0].pixels;
+    if (width > 0xFFFF || height > 0xFFFF) {
+        throw new Error('GIF images can be at most 65535 pixels wide and high.');
+    }
+
+    const hasTransparency = palette.length < 256
+        && frames.some(({ pixels }) => pixels.data.some((value, i) => i % 4 === 3 && value < 128));
+    const transparentIndex = hasTransparency ? palette.length : -1;
+    // The color table size is a power of two (at least 2), given as its exponent minus one
+    let tableBits = 1;
+    while (1 << tableBits < palette.length + (hasTransparency ? 1 : 0)) {
+        tableBits++;
+    }
+
+    const writer = createByteWriter();
+    writer.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // 'GIF89a'
+    writer.uint16(width);
+    writer.uint16(height);
+    writer.byte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1)); // Global color table, color resolution, size
+    writer.byte(0); // Background color index
+    writer.byte(0); // No aspect ratio
+    for (let i = 0; i < 1 << tableBits; i++) {
+        const color = palette[i] || { r: 0, g: 0, b: 0 };
+        writer.bytes([color.r, color.g, color.b]);
+    }
+
+    if (frames.length > 1 && loopCount !== null) {
+        writer.bytes([0x21, 0xFF, 11]);
+        writer.bytes(Array.from('NETSCAPE2.0', c => c.charCodeAt(0)));
+        writer.bytes([3, 1]);
+        writer.uint16(loopCount);
+        writer.byte(0);
+    }
+
+    const cache = new Map();
+    for (const frame of frames) {
+        if (frame.pixels.width !== width || frame.pixels.height !== height) {
+            throw new Error('All frames of a GIF need the same size.');
+        }
+        // Graphic control extension: delay, and clear transparent frames so earlier frames don't show through
+        writer.bytes([0x21, 0xF9, 4]);
+        writer.byte(((hasTransparency ? 2 : 1) << 2) | (hasTransparency ? 1 : 0));
+        writer.uint16(Math.max(2, Math.round(frame.delay / 10)));
+        writer.byte(hasTransparency ? transparentIndex : 0);
+        writer.byte(0);
+
+        // Image descriptor: the whole canvas, no local color table
+        writer.byte(0x2C);
+        writer.uint16(0);
+        writer.uint16(0);
+        writer.uint16(width);
+        writer.uint16(height);
+        writer.byte(0);
+        writeLzw(writer, mapToPalette(frame.pixels, palette, transparentIndex, cache), Math.max(2, tableBits));
+    }
+    writer.byte(0x3B); // Trailer
+    return writer.result();
+}
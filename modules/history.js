@@ -0,0 +1,89 @@
+// modules/history.js
+// Undo/redo history of editor states.
+
+const DEFAULT_LIMIT = 100;
+
+// Changes from the same source closer together than this (e.g. while dragging a slider) become one undo step.
+const DEFAULT_MERGE_WINDOW_MS = 1000;
+
+/**
+ * Creates an undo/redo history of state snapshots. Snapshots are kept as given, so they must not be changed
+ * after recording them.
+ * @param {*} initialState - The current state.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Maximum number of undo steps; the oldest ones are dropped.
+ * @param {number} [options.mergeWindowMs=1000] - Time within which changes of one group are merged.
+ * @param {function(): number} [options.now=Date.now] - Clock (milliseconds).
+ * @returns {Object} History with `record(state, group)`, `undo()`, `redo()`, `reset(state)`, `canUndo()` and
+ *     `canRedo()`.
+ */
+export function createHistory(initialState, { limit = DEFAULT_LIMIT, mergeWindowMs = DEFAULT_MERGE_WINDOW_MS, now = () => Date.now() } = {}) {
+    let past = [];
+    let present = initialState;
+    let future = [];
+    let lastGroup = null;
+    let lastRecordTime = -Infinity;
+
+    /**
+     * Records a new state. It clears the redo steps.
+     * @param {*} state - The new state.
+     * @param {string|null} [group=null] - Source of the change; consecutive changes of the same group within the
+     *     merge window replace each other, so undo goes back to the state before the first of them.
+     */
+    function record(state, group = null) {
+        const time = now();
+        const merge = group !== null && group === lastGroup && time - lastRecordTime < mergeWindowMs;
+        if (!merge) {
+            past.push(present);
+            if (past.length > limit) past.shift();
+        }
+        present = state;
+        future = [];
+        lastGroup = group;
+        lastRecordTime = time;
+    }
+
+    /**
+     * Steps back.
+     * @returns {*} The previous state, or null if there is none.
+     */
+    function undo() {
+        if (past.length === 0) return null;
+        future.push(present);
+        present = past.pop();
+        lastGroup = null;
+        return present;
+    }
+
+    /**
+     * Steps forward again after undo.
+     * @returns {*} The next state, or null if there is none.
+     */
+    function redo() {
+        if (future.length === 0) return null;
+        past.push(present);
+        present = future.pop();
+        lastGroup = null;
+        return present;
+    }
+
+    /**
+     * Starts over from a state, forgetting all undo and redo steps.
+     * @param {*} state - The new current state.
+     */
+    function reset(state) {
+        past = [];
+        present = state;
+        future = [];
+        lastGroup = null;
+    }
+
+    return {
+        record,
+        undo,
+        redo,
+        reset,
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0
+    };
+}
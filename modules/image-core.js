@@ -1,20 +1,20 @@
 // modules/image-core.js
 
-import { clamp } from './utils.js'; // Import utility for clamping
+import { clamp, createPixelBuffer, hexToRgb } from './utils.js'; // Import utilities for clamping and pixel buffers
+import { registerStep, createStep, findStepInsertIndex } from './pipeline.js'; // Functions below register as pipeline steps
+import { srgbToLinear, linearToSrgb } from './color.js';
 
 /**
- * Resizes an image while maintaining aspect ratio,
- * to ensure its longest edge is at most `maxLongest`
+ * Computes the size an image is resized to, maintaining aspect ratio,
+ * so that its longest edge is at most `maxLongest`
  * and its shortest edge is at least `minShortest`.
- * Upscaling is used if needed.
- * @param {HTMLImageElement} img - The source HTMLImageElement.
+ * @param {number} width - Original width in pixels.
+ * @param {number} height - Original height in pixels.
  * @param {number} maxLongest - Maximum length of the longest edge in pixels.
  * @param {number} minShortest - Minimum length of the shortest edge in pixels.
- * @returns {ImageData} The resized image data.
+ * @returns {{width: number, height: number}} The bounded size.
  */
-export function resizeImageToBounds(img, maxLongest, minShortest) {
-    let { width, height } = img;
-
+export function computeBoundedSize(width, height, maxLongest, minShortest) {
     // 1. Scale down if longest edge > maxLongest
     if (Math.max(width, height) > maxLongest) {
         const scaleFactor = maxLongest / Math.max(width, height);
@@ -28,23 +28,134 @@ export function resizeImageToBounds(img, maxLongest, minShortest) {
         width = Math.floor(width * scaleFactor);
         height = Math.floor(height * scaleFactor);
     }
+    return { width, height };
+}
 
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = width;
-    tempCanvas.height = height;
-    const tempCtx = tempCanvas.getContext('2d');
+// For every target pixel along one axis: the first source pixel it reads and the normalized weights.
+// A triangle (tent) filter, widened when downscaling so every source pixel contributes (no aliasing).
+function computeResampleWeights(sourceSize, targetSize) {
+    const scale = sourceSize / targetSize;
+    const radius = Math.max(1, scale);
+    const contributions = [];
+    for (let t = 0; t < targetSize; t++) {
+        const center = (t + 0.5) * scale; // Target pixel center in source coordinates
+        const first = Math.max(0, Math.floor(center - radius));
+        const last = Math.min(sourceSize - 1, Math.ceil(center + radius));
+        const weights = new Float32Array(last - first + 1);
+        let total = 0;
+        for (let s = first; s <= last; s++) {
+            const weight = Math.max(0, 1 - Math.abs(s + 0.5 - center) / radius);
+            weights[s - first] = weight;
+            total += weight;
+        }
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] /= total;
+        }
+        contributions.push({ first, weights });
+    }
+    return contributions;
+}
 
-    tempCtx.drawImage(img, 0, 0, width, height);
-    return tempCtx.getImageData(0, 0, width, height);
+/**
+ * Resamples pixels to a new size in plain JavaScript (no canvas), so it gives the same result everywhere.
+ * Uses a separable tent filter on premultiplied colors, so transparent pixels don't bleed dark fringes.
+ * @param {PixelBuffer} pixels - The source pixels.
+ * @param {number} width - Target width in pixels.
+ * @param {number} height - Target height in pixels.
+ * @returns {PixelBuffer} The resampled pixels.
+ */
+export function resamplePixels(pixels, width, height) {
+    const src = pixels.data;
+    const srcWidth = pixels.width;
+    const srcHeight = pixels.height;
+    const columns = computeResampleWeights(srcWidth, width);
+    const rows = computeResampleWeights(srcHeight, height);
+
+    // Horizontal pass: srcHeight rows of `width` premultiplied pixels
+    const horizontal = new Float32Array(width * srcHeight * 4);
+    for (let y = 0; y < srcHeight; y++) {
+        const srcRow = y * srcWidth * 4;
+        for (let x = 0; x < width; x++) {
+            const { first, weights } = columns[x];
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let i = 0; i < weights.length; i++) {
+                const s = srcRow + (first + i) * 4;
+                const weightedAlpha = weights[i] * src[s + 3];
+                r += src[s] * weightedAlpha;
+                g += src[s + 1] * weightedAlpha;
+                b += src[s + 2] * weightedAlpha;
+                a += weightedAlpha;
+            }
+            const h = (y * width + x) * 4;
+            horizontal[h] = r;
+            horizontal[h + 1] = g;
+            horizontal[h + 2] = b;
+            horizontal[h + 3] = a;
+        }
+    }
+
+    // Vertical pass, then back to straight (non-premultiplied) colors
+    const output = createPixelBuffer(width, height);
+    const data = output.data;
+    for (let y = 0; y < height; y++) {
+        const { first, weights } = rows[y];
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let i = 0; i < weights.length; i++) {
+                const h = ((first + i) * width + x) * 4;
+                r += horizontal[h] * weights[i];
+                g += horizontal[h + 1] * weights[i];
+                b += horizontal[h + 2] * weights[i];
+                a += horizontal[h + 3] * weights[i];
+            }
+            const d = (y * width + x) * 4;
+            if (a > 0) {
+                data[d] = r / a;
+                data[d + 1] = g / a;
+                data[d + 2] = b / a;
+            }
+            data[d + 3] = a;
+        }
+    }
+    return output;
 }
 
 /**
- * Converts an ImageData object to greyscale using luminosity method.
- * @param {ImageData} imageData - The image data to convert.
- * @returns {ImageData} The greyscale image data.
+ * Resizes an image while maintaining aspect ratio,
+ * to ensure its longest edge is at most `maxLongest`
+ * and its shortest edge is at least `minShortest`.
+ * Upscaling is used if needed.
+ * @param {PixelBuffer} pixels - The source pixels (e.g. from `readImagePixels` or a decoded file).
+ * @param {number} maxLongest - Maximum length of the longest edge in pixels.
+ * @param {number} minShortest - Minimum length of the shortest edge in pixels.
+ * @returns {PixelBuffer} The resized pixels.
+ */
+export function resizeImageToBounds(pixels, maxLongest, minShortest) {
+    const { width, height } = computeBoundedSize(pixels.width, pixels.height, maxLongest, minShortest);
+    return resamplePixels(pixels, width, height);
+}
+
+/**
+ * Converts pixels to greyscale using luminosity method.
+ * By default the Rec.709 weights are applied to the gamma-encoded values (fast, but saturated colors come out
+ * too dark). With `linear` they are applied in linear light, which gives the true luminance, re-encoded as sRGB.
+ * @param {PixelBuffer} imageData - The image data to convert.
+ * @param {Object} [options]
+ * @param {boolean} [options.linear=false] - Compute the luminance in linear light.
+ * @returns {PixelBuffer} The greyscale image data.
  */
-export function applyGreyscale(imageData) {
+export function applyGreyscale(imageData, { linear = false } = {}) {
     const data = imageData.data;
+    if (linear) {
+        for (let i = 0; i < data.length; i += 4) {
+            const luminance = 0.2126 * srgbToLinear(data[i]) + 0.7152 * srgbToLinear(data[i + 1]) + 0.0722 * srgbToLinear(data[i + 2]);
+            const value = linearToSrgb(luminance);
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+        return imageData;
+    }
     for (let i = 0; i < data.length; i += 4) {
         const avg = 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
         data[i] = avg;     // Red
@@ -55,18 +166,30 @@ export function applyGreyscale(imageData) {
 }
 
 /**
- * Applies auto-contrast to an ImageData object (stretches histogram to 0-255).
- * @param {ImageData} imageData - The greyscale image data to adjust.
- * @returns {ImageData} The contrast-adjusted image data.
+ * Builds a 256-bin histogram of pixel luminance (the same weights as `applyGreyscale`, so for a greyscale image
+ * this is simply its value).
+ * Every pixel counts as much as it is opaque: the hidden color of transparent areas (the background of a logo or
+ * a cut-out) doesn't stretch the contrast, and soft edges only count in part.
+ * @param {PixelBuffer} imageData - The image data.
+ * @param {number[]} [histogram] - Existing histogram to add to (e.g. when accumulating over tiles).
+ * @returns {number[]} The histogram (fractional counts where pixels are partly transparent).
  */
-export function applyAutoContrast(imageData) {
+export function computeHistogram(imageData, histogram = new Array(256).fill(0)) {
     const data = imageData.data;
-    const histogram = new Array(256).fill(0);
-
     for (let i = 0; i < data.length; i += 4) {
-        histogram[data[i]]++;
+        if (data[i + 3] === 0) continue;
+        const bin = clamp(Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]), 0, 255);
+        histogram[bin] += data[i + 3] / 255;
     }
+    return histogram;
+}
 
+/**
+ * Finds the lowest and highest occupied bins of a histogram.
+ * @param {number[]} histogram - A 256-bin histogram.
+ * @returns {{minVal: number, maxVal: number}} The occupied range (minVal >= maxVal for flat images).
+ */
+export function findHistogramBounds(histogram) {
     let minVal = 0;
     while (minVal < 255 && histogram[minVal] === 0) {
         minVal++;
@@ -75,6 +198,19 @@ export function applyAutoContrast(imageData) {
     while (maxVal > 0 && histogram[maxVal] === 0) {
         maxVal--;
     }
+    return { minVal, maxVal };
+}
+
+/**
+ * Applies auto-contrast to pixels (stretches histogram to 0-255).
+ * @param {PixelBuffer} imageData - The greyscale image data to adjust.
+ * @param {{minVal: number, maxVal: number}} [bounds] - Range to stretch. Defaults to the range found in
+ *     `imageData` itself; pass the bounds of the whole image when processing it tile by tile.
+ * @returns {PixelBuffer} The contrast-adjusted image data.
+ */
+export function applyAutoContrast(imageData, bounds = findHistogramBounds(computeHistogram(imageData))) {
+    const data = imageData.data;
+    const { minVal, maxVal } = bounds;
 
     if (minVal >= maxVal) {
         return imageData;
@@ -91,10 +227,10 @@ export function applyAutoContrast(imageData) {
 }
 
 /**
- * Applies a midtone contrast enhancement to an ImageData object.
- * @param {ImageData} imageData - The greyscale image data to enhance.
+ * Applies a midtone contrast enhancement to pixels.
+ * @param {PixelBuffer} imageData - The greyscale image data to enhance.
  * @param {number} factor - The contrast enhancement factor (e.g., 1.5).
- * @returns {ImageData} The contrast-enhanced image data.
+ * @returns {PixelBuffer} The contrast-enhanced image data.
  */
 export function applyMidtoneContrast(imageData, factor) {
     const data = imageData.data;
@@ -106,4 +242,126 @@ export function applyMidtoneContrast(imageData, factor) {
         data[i + 2] = data[i];
     }
     return imageData;
-}
\ No newline at end of file
+}
+
+/**
+ * Composites pixels onto a solid background color, leaving them fully opaque.
+ * @param {PixelBuffer} imageData - The image data to flatten.
+ * @param {{r: number, g: number, b: number}} background - RGB object for the background.
+ * @returns {PixelBuffer} The flattened image data.
+ */
+export function flattenAlpha(imageData, background) {
+    const data = imageData.data;
+    const { r, g, b } = background;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        data[i] = r + (data[i] - r) * alpha;
+        data[i + 1] = g + (data[i + 1] - g) * alpha;
+        data[i + 2] = b + (data[i + 2] - b) * alpha;
+        data[i + 3] = 255;
+    }
+    return imageData;
+}
+
+/**
+ * Composites greyscale pixels onto a background tone, leaving them fully opaque. Run before a color mapping, the
+ * transparency itself is mapped through the gradient: transparent areas get the color of `tone`, and soft edges
+ * run through the colors between it and the image.
+ * @param {PixelBuffer} imageData - The greyscale image data.
+ * @param {number} tone - Grey value (0-255) of the background.
+ * @returns {PixelBuffer} The flattened image data.
+ */
+export function flattenAlphaToTone(imageData, tone) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const value = tone + (data[i] - tone) * data[i + 3] / 255;
+        data[i] = value;
+        data[i + 1] = value;
+        data[i + 2] = value;
+        data[i + 3] = 255;
+    }
+    return imageData;
+}
+
+// How an export treats transparency: 'keep' it, 'flatten' it onto a background color, or map it through the
+// 'gradient' (see `withTransparencyMode`).
+export const TRANSPARENCY_MODES = ['keep', 'flatten', 'gradient'];
+
+/**
+ * Returns the recipe to export with a transparency mode: 'flatten' adds a Flatten Transparency step at the end,
+ * 'gradient' a Transparency to Tone step (onto white, the gradient's highlight end) before the color mapping.
+ * @param {Object} recipe - The recipe.
+ * @param {Object} options
+ * @param {string} options.mode - One of TRANSPARENCY_MODES.
+ * @param {string} [options.background='#ffffff'] - Hex background color for 'flatten'.
+ * @returns {Object} The recipe (unchanged for 'keep'), with the original steps left untouched.
+ */
+export function withTransparencyMode(recipe, { mode, background = '#ffffff' }) {
+    if (!TRANSPARENCY_MODES.includes(mode)) {
+        throw new Error(`Unknown transparency mode '${mode}'. Expected one of: ${TRANSPARENCY_MODES.join(', ')}.`);
+    }
+    if (mode === 'keep') {
+        return recipe;
+    }
+    const steps = [...recipe.steps];
+    if (mode === 'flatten') {
+        steps.push(createStep('flattenAlpha', { background }));
+    } else {
+        steps.splice(findStepInsertIndex(steps, 'alphaToTone'), 0, createStep('alphaToTone', { tone: 255 }));
+    }
+    return { ...recipe, steps };
+}
+
+// --- Pipeline steps ---
+// Resizing is not a step: the preview and the exports each decide the working size.
+
+registerStep({
+    id: 'greyscale',
+    label: 'Greyscale',
+    params: [
+        { name: 'linear', label: 'Linear-Light Luminance', type: 'boolean', default: false }
+    ],
+    beforeColorMapping: true,
+    apply: (imageData, { linear }) => applyGreyscale(imageData, { linear })
+});
+
+registerStep({
+    id: 'autoContrast',
+    label: 'Auto Contrast',
+    beforeColorMapping: true,
+    // Without tile statistics the image's own histogram is used
+    apply: (imageData, params, context) => applyAutoContrast(imageData, context.stats),
+    analyze: (imageData, params, histogram) => computeHistogram(imageData, histogram),
+    resolveStats: (histogram) => findHistogramBounds(histogram)
+});
+
+registerStep({
+    id: 'midtoneContrast',
+    label: 'Midtone Contrast',
+    params: [
+        { name: 'factor', label: 'Factor', type: 'number', default: 1.5, min: 0, max: 4, step: 0.05 }
+    ],
+    beforeColorMapping: true,
+    apply: (imageData, { factor }) => applyMidtoneContrast(imageData, factor)
+});
+
+registerStep({
+    id: 'alphaToTone',
+    label: 'Transparency to Tone',
+    params: [
+        { name: 'tone', label: 'Background Tone', type: 'number', default: 255, min: 0, max: 255, step: 1 }
+    ],
+    beforeColorMapping: true,
+    apply: (imageData, { tone }) => flattenAlphaToTone(imageData, tone)
+});
+
+registerStep({
+    id: 'flattenAlpha',
+    label: 'Flatten Transparency',
+    params: [
+        { name: 'background', label: 'Background', type: 'color', default: '#ffffff' }
+    ],
+    // Soft edges mix in the background
+    addsColors: true,
+    apply: (imageData, { background }) => flattenAlpha(imageData, hexToRgb(background))
+});
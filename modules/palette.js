@@ -0,0 +1,166 @@
+// modules/palette.js
+// Color suggestions: the main colors of a photo (median cut), and dark/light pairs among them (or among the
+// colors of a swatch file) with enough luminance contrast to make a readable duotone.
+
+import { hexToRgb, rgbToHex } from './utils.js';
+import { contrastRatio, oklabToRgb, rgbToOklab } from './color.js';
+
+// Median cut looks at a sample of at most this many pixels, which is plenty to find a handful of colors.
+const MAX_SAMPLES = 65536;
+
+// Lightness step (OKLab) used when pulling a pair apart to reach the contrast it needs.
+const LIGHTNESS_STEP = 0.01;
+
+/**
+ * A color with the share of the image (or swatch file) it stands for.
+ * @typedef {Object} PaletteColor
+ * @property {string} hex - The color.
+ * @property {number} weight - Its share, from 0 to 1.
+ */
+
+/**
+ * A suggested shadows/highlights pair.
+ * @typedef {Object} ColorPair
+ * @property {string} dark - Shadows color.
+ * @property {string} light - Highlights color.
+ * @property {number} contrast - Their WCAG contrast ratio.
+ * @property {boolean} adjusted - Whether their lightness was pushed apart to reach the minimum contrast.
+ */
+
+/**
+ * Finds the main colors of an image by median cut: the pixels are split again and again at the median of their
+ * widest color channel, and every final box gives its average color. Mostly transparent pixels are ignored.
+ * @param {PixelBuffer} pixels - The image.
+ * @param {number} [count=8] - Number of colors to look for.
+ * @returns {PaletteColor[]} The colors, most common first.
+ */
+export function extractPalette({ data }, count = 8) {
+    const pixelCount = data.length / 4;
+    const stride = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+    const samples = [];
+    for (let p = 0; p < pixelCount; p += stride) {
+        const o = p * 4;
+        if (data[o + 3] >= 128) samples.push([data[o], data[o + 1], data[o + 2]]);
+    }
+    if (samples.length === 0) {
+        return [];
+    }
+
+    const describe = (colors) => {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+        for (const color of colors) {
+            for (let c = 0; c < 3; c++) {
+                if (color[c] < min[c]) min[c] = color[c];
+                if (color[c] > max[c]) max[c] = color[c];
+            }
+        }
+        const ranges = max.map((value, c) => value - min[c]);
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { colors, channel, range: ranges[channel] };
+    };
+
+    const boxes = [describe(samples)];
+    while (boxes.length < count) {
+        // Split the box that is both wide and well populated, so big areas get nuance and small accents survive
+        let best = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.colors.length > 1 ? box.range * Math.sqrt(box.colors.length) : 0;
+            if (score > bestScore) {
+                bestScore = score;
+                best = index;
+            }
+        });
+        if (best < 0) break; // Every box is a single color
+        const { colors, channel } = boxes[best];
+        colors.sort((a, b) => a[channel] - b[channel]);
+        const median = colors.length >> 1;
+        boxes.splice(best, 1, describe(colors.slice(0, median)), describe(colors.slice(median)));
+    }
+
+    // A split at the median can leave pixels of one color in two boxes, so boxes of the same color are merged
+    const weights = new Map();
+    boxes.forEach(({ colors }) => {
+        const sum = [0, 0, 0];
+        colors.forEach(color => {
+            sum[0] += color[0];
+            sum[1] += color[1];
+            sum[2] += color[2];
+        });
+        const hex = rgbToHex({ r: sum[0] / colors.length, g: sum[1] / colors.length, b: sum[2] / colors.length });
+        weights.set(hex, (weights.get(hex) || 0) + colors.length / samples.length);
+    });
+    return [...weights].map(([hex, weight]) => ({ hex, weight })).sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Pushes two colors apart in lightness (keeping their hue) until they reach a contrast ratio, or black and white.
+ * @param {string} dark - The darker color.
+ * @param {string} light - The lighter color.
+ * @param {number} minContrast - The contrast ratio to reach.
+ * @returns {{dark: string, light: string}} The adjusted colors.
+ */
+export function ensureContrast(dark, light, minContrast) {
+    const darkLab = rgbToOklab(hexToRgb(dark));
+    const lightLab = rgbToOklab(hexToRgb(light));
+    let darkRgb = hexToRgb(dark);
+    let lightRgb = hexToRgb(light);
+    while (contrastRatio(darkRgb, lightRgb) < minContrast && (darkLab.L > 0 || lightLab.L < 1)) {
+        darkLab.L = Math.max(0, darkLab.L - LIGHTNESS_STEP);
+        lightLab.L = Math.min(1, lightLab.L + LIGHTNESS_STEP);
+        darkRgb = oklabToRgb(darkLab);
+        lightRgb = oklabToRgb(lightLab);
+    }
+    return { dark: rgbToHex(darkRgb), light: rgbToHex(lightRgb) };
+}
+
+/**
+ * Suggests shadows/highlights pairs from a set of colors. Pairs that already have the minimum contrast come
+ * first (the more of the image they cover, the better); the others are pulled apart in lightness to reach it.
+ * @param {PaletteColor[]} colors - The candidate colors (e.g. from `extractPalette`, or swatches with equal weights).
+ * @param {Object} [options]
+ * @param {number} [options.minContrast=4.5] - Minimum WCAG contrast ratio between the two colors.
+ * @param {number} [options.count=6] - Maximum number of pairs.
+ * @returns {ColorPair[]} The pairs, best first.
+ */
+export function suggestColorPairs(colors, { minContrast = 4.5, count = 6 } = {}) {
+    const candidates = [];
+    for (let i = 0; i < colors.length; i++) {
+        for (let j = i + 1; j < colors.length; j++) {
+            if (colors[i].hex === colors[j].hex) continue;
+            const first = hexToRgb(colors[i].hex);
+            const second = hexToRgb(colors[j].hex);
+            const contrast = contrastRatio(first, second);
+            const firstIsDark = rgbToOklab(first).L <= rgbToOklab(second).L;
+            const pair = {
+                dark: firstIsDark ? colors[i].hex : colors[j].hex,
+                light: firstIsDark ? colors[j].hex : colors[i].hex,
+                contrast,
+                adjusted: false
+            };
+            if (contrast < minContrast) {
+                Object.assign(pair, ensureContrast(pair.dark, pair.light, minContrast));
+                pair.contrast = contrastRatio(hexToRgb(pair.dark), hexToRgb(pair.light));
+                pair.adjusted = true;
+            }
+            candidates.push({ pair, score: Math.sqrt(colors[i].weight * colors[j].weight) });
+        }
+    }
+
+    // For variety, a color shows up in at most two of the pairs
+    const seen = new Set();
+    const uses = new Map();
+    return candidates
+        .sort((a, b) => (a.pair.adjusted - b.pair.adjusted) || (b.score - a.score))
+        .map(candidate => candidate.pair)
+        .filter(pair => {
+            const key = pair.dark + pair.light;
+            if (seen.has(key) || (uses.get(pair.dark) || 0) >= 2 || (uses.get(pair.light) || 0) >= 2) return false;
+            seen.add(key);
+            uses.set(pair.dark, (uses.get(pair.dark) || 0) + 1);
+            uses.set(pair.light, (uses.get(pair.light) || 0) + 1);
+            return true;
+        })
+        .slice(0, count);
+}
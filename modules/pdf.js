@@ -0,0 +1,129 @@
+// modules/pdf.js
+// Minimal PDF writer: one image per page, in RGB, greyscale or a spot color (Separation color space),
+// so print vendors get real spot-color plates rather than RGB pictures of them.
+
+/**
+ * An image to place on a page, filling it.
+ * @typedef {Object} PdfImage
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Uint8Array} samples - 8-bit samples, row by row: 3 per pixel for 'rgb', 1 otherwise.
+ *     For a spot color, 255 means full ink.
+ * @property {string|{name: string, rgb: {r: number, g: number, b: number}}} colorSpace - 'rgb', 'gray', or a spot
+ *     color with its ink name and the RGB color to preview it with.
+ */
+
+const HEADER = new Uint8Array([0x25, 0x50, 0x44, 0x46, 0x2D, 0x31, 0x2E, 0x34, 0x0A, // %PDF-1.4
+    0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]); // Binary marker comment, so transfer tools keep the file binary
+
+// Writes a PDF text string, escaping the characters that have a meaning inside (...).
+function pdfString(text) {
+    return `(${String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7E]/g, '?')})`;
+}
+
+// Writes a PDF name. Anything outside plain printable ASCII (and the delimiters) is #-escaped.
+function pdfName(name) {
+    return '/' + Array.from(new TextEncoder().encode(name), byte => (
+        byte > 0x20 && byte < 0x7F && !'#()<>[]{}/%'.includes(String.fromCharCode(byte))
+            ? String.fromCharCode(byte)
+            : '#' + byte.toString(16).padStart(2, '0')
+    )).join('');
+}
+
+const formatNumber = value => Number(value.toFixed(4)).toString();
+
+// zlib-compresses bytes for /FlateDecode, or returns null where CompressionStream is missing.
+async function deflate(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return null;
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function colorSpaceOf(image) {
+    if (image.colorSpace === 'rgb') return '/DeviceRGB';
+    if (image.colorSpace === 'gray') return '/DeviceGray';
+    const { name, rgb } = image.colorSpace;
+    // Tint 0 is paper white, tint 1 the ink's preview color
+    const ink = [rgb.r, rgb.g, rgb.b].map(c => formatNumber(c / 255)).join(' ');
+    return `[/Separation ${pdfName(name)} /DeviceRGB << /FunctionType 2 /Domain [0 1] /C0 [1 1 1] /C1 [${ink}] /N 1 >>]`;
+}
+
+/**
+ * Builds a PDF with one page per image.
+ * @param {{label: string, image: PdfImage}[]} pages - The pages; labels show up as page names in PDF viewers.
+ * @param {Object} [options]
+ * @param {number} [options.dpi=300] - Print resolution, which sets the page size.
+ * @param {string} [options.title] - Document title.
+ * @returns {Promise<Blob>} The PDF file.
+ */
+export async function createPdf(pages, { dpi = 300, title = '' } = {}) {
+    if (pages.length === 0) {
+        throw new Error('A PDF needs at least one page.');
+    }
+    const encoder = new TextEncoder();
+    const parts = [HEADER];
+    let length = HEADER.length;
+    const offsets = []; // object id -> byte offset
+    let nextId = 1;
+
+    function write(data) {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        parts.push(bytes);
+        length += bytes.length;
+    }
+    function writeObject(id, dictionary, stream = null) {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+        if (stream) {
+            // Stream dictionaries get their /Length added before the closing '>>'
+            write(`${dictionary.slice(0, -2)} /Length ${stream.length} >>\nstream\n`);
+            write(stream);
+            write('\nendstream');
+        } else {
+            write(dictionary);
+        }
+        write('\nendobj\n');
+    }
+
+    const catalogId = nextId++;
+    const pagesId = nextId++;
+    const infoId = nextId++;
+    const pageIds = [];
+
+    for (const { image } of pages) {
+        const pageId = nextId++;
+        const contentsId = nextId++;
+        const imageId = nextId++;
+        pageIds.push(pageId);
+
+        const pageWidth = image.width * 72 / dpi;
+        const pageHeight = image.height * 72 / dpi;
+        writeObject(pageId, `<< /Type /Page /Parent ${pagesId} 0 R`
+            + ` /MediaBox [0 0 ${formatNumber(pageWidth)} ${formatNumber(pageHeight)}]`
+            + ` /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentsId} 0 R >>`);
+        writeObject(contentsId, '<< >>',
+            encoder.encode(`q ${formatNumber(pageWidth)} 0 0 ${formatNumber(pageHeight)} 0 0 cm /Im0 Do Q`));
+
+        const compressed = await deflate(image.samples);
+        writeObject(imageId, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height}`
+            + ` /ColorSpace ${colorSpaceOf(image)} /BitsPerComponent 8${compressed ? ' /Filter /FlateDecode' : ''} >>`,
+            compressed || image.samples);
+    }
+
+    const labels = pages.map((page, index) => `${index} << /P ${pdfString(page.label)} >>`).join(' ');
+    writeObject(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R /PageLabels << /Nums [${labels}] >> >>`);
+    writeObject(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+    writeObject(infoId, `<< /Title ${pdfString(title)} /Producer (photo-editor-tools) >>`);
+
+    const xrefOffset = length;
+    const size = nextId;
+    let xref = `xref\n0 ${size}\n0000000000 65535 f \n`;
+    for (let id = 1; id < size; id++) {
+        xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    write(xref);
+    write(`trailer\n<< /Size ${size} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return new Blob(parts, { type: 'application/pdf' });
+}
@@ -0,0 +1,198 @@
+// modules/pipeline-client.js
+
+import { applyGeometry } from './geometry.js';
+import { resizeImageToBounds } from './image-core.js';
+import { runRecipe } from './pipeline.js';
+import './steps.js'; // Registers the built-in steps for the main-thread fallback
+import { createPixelBuffer } from './utils.js';
+
+/**
+ * Result of a processing request.
+ * @typedef {{normal: PixelBuffer, inverted: PixelBuffer}} PipelineResult
+ */
+
+/**
+ * Creates a client for the pipeline worker.
+ * Pixel work runs in a module worker; the full-size original is transferred once per upload, `frameSource()`
+ * only sends the framing (the worker crops, rotates and resizes it into the source), and every `process()` call
+ * only sends the recipe. The worker caches intermediate results, so only changed steps are redone.
+ * Each new request supersedes the previous ones of its kind: their promises resolve with `null` and the worker
+ * drops them instead of rendering outdated colors.
+ * Falls back to processing on the main thread if module workers are not available.
+ * @returns {Object} Client with `setOriginal(imageData)`, `frameSource(framing)` and `process(settings)`.
+ */
+export function createPipelineClient() {
+    let worker = null;
+    let originalImageData = null; // Kept for the main-thread fallback (and to re-frame after a worker failure)
+    let sourceId = 0;
+    let sourceImageData = null; // The framed and resized source, as last returned by the worker
+    let jobId = 0;
+    let pending = null; // { jobId, message, resolve, reject }
+    let pendingFrame = null; // { message, resolve, reject }
+
+    try {
+        worker = new Worker(new URL('./pipeline-worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', handleWorkerMessage);
+        worker.addEventListener('error', handleWorkerFailure);
+    } catch (error) {
+        console.warn("DEBUG: Module workers are unavailable, processing on the main thread.", error);
+        worker = null;
+    }
+
+    function handleWorkerMessage(event) {
+        const message = event.data;
+        if ('frameSourceId' in message) {
+            handleFrameMessage(message);
+            return;
+        }
+        if (!pending || message.jobId !== pending.jobId) {
+            return; // Superseded job, already resolved with null
+        }
+        const { resolve, reject } = pending;
+        pending = null;
+
+        if (message.type === 'result') {
+            resolve({
+                normal: createPixelBuffer(message.width, message.height, new Uint8ClampedArray(message.normal)),
+                inverted: createPixelBuffer(message.width, message.height, new Uint8ClampedArray(message.inverted))
+            });
+        } else if (message.type === 'cancelled') {
+            resolve(null);
+        } else {
+            reject(new Error(message.message));
+        }
+    }
+
+    function handleFrameMessage(message) {
+        if (!pendingFrame || message.frameSourceId !== sourceId) {
+            return; // Superseded framing, already resolved with null
+        }
+        const { resolve, reject } = pendingFrame;
+        pendingFrame = null;
+
+        if (message.type === 'framed') {
+            sourceImageData = createPixelBuffer(message.width, message.height, new Uint8ClampedArray(message.buffer));
+            resolve(sourceImageData);
+        } else {
+            reject(new Error(message.message));
+        }
+    }
+
+    // A worker that fails to start (e.g. no module worker support) is replaced by main-thread processing.
+    function handleWorkerFailure(event) {
+        console.error("DEBUG: Pipeline worker failed, falling back to the main thread.", event);
+        event.preventDefault();
+        worker.terminate();
+        worker = null;
+        if (pendingFrame) {
+            const { message, resolve, reject } = pendingFrame;
+            pendingFrame = null;
+            frameOnMainThread(message).then(resolve, reject);
+        }
+        if (pending) {
+            const { message, resolve, reject } = pending;
+            pending = null;
+            runOnMainThread(message).then(resolve, reject);
+        }
+    }
+
+    function frameOnMainThread(message) {
+        // Deferred like a worker round-trip, so a newer framing can still supersede this one.
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+            if (message.sourceId !== sourceId) return null;
+            const framed = applyGeometry(originalImageData, message.geometry);
+            sourceImageData = resizeImageToBounds(framed, message.maxLongest, message.minShortest);
+            return sourceImageData;
+        });
+    }
+
+    function runOnMainThread(message) {
+        // Deferred like a worker round-trip, so a newer request can still supersede this one.
+        return new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+            if (message.jobId !== jobId || message.sourceId !== sourceId) return null;
+            return {
+                normal: runRecipe(sourceImageData, message.recipe, { variant: 'normal' }),
+                inverted: runRecipe(sourceImageData, message.recipe, { variant: 'inverted' })
+            };
+        });
+    }
+
+    /**
+     * Sets the full-size original image that `frameSource()` frames. Until it does, there is no source to process.
+     * @param {PixelBuffer|null} imageData - The original pixels (copied before transfer, so the caller keeps it),
+     *     or null to forget the current image.
+     */
+    function setOriginal(imageData) {
+        sourceId++;
+        originalImageData = imageData;
+        sourceImageData = null;
+        if (pendingFrame) {
+            pendingFrame.resolve(null); // Superseded
+            pendingFrame = null;
+        }
+        if (worker && imageData) {
+            const buffer = new Uint8ClampedArray(imageData.data).buffer;
+            worker.postMessage({ type: 'setOriginal', sourceId, width: imageData.width, height: imageData.height, buffer }, [buffer]);
+        }
+    }
+
+    /**
+     * Crops, rotates and resizes the original into the source that subsequent requests process.
+     * @param {Object} framing
+     * @param {import('./geometry.js').Geometry} framing.geometry - The framing to apply.
+     * @param {number} framing.maxLongest - Maximum length of the source's longest edge in pixels.
+     * @param {number} framing.minShortest - Minimum length of the source's shortest edge in pixels.
+     * @returns {Promise<PixelBuffer|null>} The source pixels, or null if a newer framing or image superseded this one.
+     */
+    function frameSource({ geometry, maxLongest, minShortest }) {
+        if (!originalImageData) {
+            return Promise.reject(new Error('No original image set.'));
+        }
+        if (pendingFrame) {
+            pendingFrame.resolve(null); // Superseded
+            pendingFrame = null;
+        }
+
+        sourceId++;
+        sourceImageData = null;
+        const message = { type: 'frameSource', sourceId, geometry, maxLongest, minShortest };
+
+        if (!worker) {
+            return frameOnMainThread(message);
+        }
+        return new Promise((resolve, reject) => {
+            pendingFrame = { message, resolve, reject };
+            worker.postMessage(message);
+        });
+    }
+
+    /**
+     * Requests a render of the current source with the given recipe. While the source is being framed, the new
+     * framing is rendered.
+     * @param {Object} settings
+     * @param {Object} settings.recipe - The (normalized) pipeline recipe.
+     * @returns {Promise<PipelineResult|null>} The result, or null if a newer request superseded this one.
+     */
+    function process({ recipe }) {
+        if (!originalImageData) {
+            return Promise.reject(new Error('No original image set.'));
+        }
+        if (pending) {
+            pending.resolve(null); // Superseded
+            pending = null;
+        }
+
+        jobId++;
+        const message = { type: 'process', jobId, sourceId, recipe };
+
+        if (!worker) {
+            return runOnMainThread(message);
+        }
+        return new Promise((resolve, reject) => {
+            pending = { jobId, message, resolve, reject };
+            worker.postMessage(message);
+        });
+    }
+
+    return { setOriginal, frameSource, process };
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+// modules/pipeline-worker.js
+// Module worker that runs the pixel pipeline off the main thread (see pipeline-client.js for the protocol).
+
+import { applyGeometry } from './geometry.js';
+import { resizeImageToBounds } from './image-core.js';
+import { clonePixels, getStepDefinition, runRecipeStep } from './pipeline.js';
+import './steps.js'; // Registers the built-in steps
+import { createPixelBuffer, toBytePixels, toFloatPixels } from './utils.js';
+
+let original = null;    // The full-size uploaded image, framed into the source
+let source = null;      // { id, imageData } - the framed and resized image to process, as floats
+let latestSourceId = 0; // Jobs for an older source have been superseded by a new image or framing
+let cache = new Map();  // recipe prefix key -> float pixels after that prefix, so only changed steps are redone
+let latestJobId = 0;    // Jobs with a lower id have been superseded and are dropped
+let pendingJob = null;
+let runScheduled = false;
+
+self.addEventListener('message', (event) => {
+    const message = event.data;
+    switch (message.type) {
+        case 'setOriginal':
+            original = createPixelBuffer(message.width, message.height, new Uint8ClampedArray(message.buffer));
+            latestSourceId = message.sourceId;
+            source = null;
+            cache = new Map();
+            break;
+        case 'frameSource':
+            frameSource(message);
+            break;
+        case 'process':
+            // Only the newest request matters: queued ones are replaced, a running one aborts at its next checkpoint.
+            latestJobId = message.jobId;
+            pendingJob = message;
+            if (!runScheduled) {
+                runScheduled = true;
+                setTimeout(runPendingJob, 0);
+            }
+            break;
+        default:
+            console.warn(`pipeline-worker: unknown message type '${message.type}'.`);
+    }
+});
+
+// Crops, rotates and resizes the original into the source, and sends a copy back for the preview.
+function frameSource({ sourceId, geometry, maxLongest, minShortest }) {
+    latestSourceId = sourceId;
+    try {
+        if (!original) {
+            throw new Error('No original image has been sent to the worker.');
+        }
+        const framed = resizeImageToBounds(applyGeometry(original, geometry), maxLongest, minShortest);
+        source = { id: sourceId, imageData: toFloatPixels(framed) };
+        cache = new Map();
+
+        // The 8-bit pixels are a new buffer (the source keeps its float copy), so they can be transferred
+        self.postMessage({
+            type: 'framed',
+            frameSourceId: sourceId,
+            width: framed.width,
+            height: framed.height,
+            buffer: framed.data.buffer
+        }, [framed.data.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', frameSourceId: sourceId, message: error.message });
+    }
+}
+
+// Lets queued messages be handled, so a newer job can supersede the running one.
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+function isSuperseded(job) {
+    return job.jobId !== latestJobId;
+}
+
+/**
+ * Renders one output variant, reusing cached results for every recipe prefix that hasn't changed.
+ * Steps before the first variant-dependent step are shared between the normal and inverted outputs.
+ * @returns {Promise<PixelBuffer|null>} The result (owned by the cache), or null if the job was superseded.
+ */
+async function renderVariant(job, variant, usedKeys) {
+    const recipe = job.recipe;
+    let key = `source:${source.id}`;
+    let imageData = source.imageData;
+    let dependsOnVariant = false;
+
+    for (let index = 0; index < recipe.steps.length; index++) {
+        const entry = recipe.steps[index];
+        if (!entry.enabled) continue;
+
+        dependsOnVariant = dependsOnVariant || Boolean(getStepDefinition(entry.step).variantDependent);
+        key += `|${JSON.stringify(entry)}${dependsOnVariant ? `@${variant}` : ''}`;
+        usedKeys.add(key);
+
+        let result = cache.get(key);
+        if (!result) {
+            result = runRecipeStep(clonePixels(imageData), recipe, index, { variant, source: source.imageData });
+            cache.set(key, result);
+            await yieldToMessages();
+            if (isSuperseded(job)) return null;
+        }
+        imageData = result;
+    }
+    return imageData;
+}
+
+async function runPendingJob() {
+    runScheduled = false;
+    const job = pendingJob;
+    pendingJob = null;
+    if (!job) return;
+
+    try {
+        if (job.sourceId < latestSourceId) {
+            // The image was replaced or re-framed since, and the client asks again for the new source
+            self.postMessage({ type: 'cancelled', jobId: job.jobId });
+            return;
+        }
+        if (!source || source.id !== job.sourceId) {
+            throw new Error(`No source image '${job.sourceId}' has been sent to the worker.`);
+        }
+
+        const usedKeys = new Set();
+        const normalResult = await renderVariant(job, 'normal', usedKeys);
+        const invertedResult = normalResult && await renderVariant(job, 'inverted', usedKeys);
+        if (!invertedResult || isSuperseded(job)) {
+            self.postMessage({ type: 'cancelled', jobId: job.jobId });
+            return;
+        }
+
+        // Forget results of steps the latest recipe no longer uses
+        for (const key of cache.keys()) {
+            if (!usedKeys.has(key)) cache.delete(key);
+        }
+
+        // Rounded once, here; the 8-bit copies are transferred, so the cached buffers stay usable
+        const normal = toBytePixels(normalResult);
+        const inverted = toBytePixels(invertedResult);
+        self.postMessage({
+            type: 'result',
+            jobId: job.jobId,
+            width: normal.width,
+            height: normal.height,
+            normal: normal.data.buffer,
+            inverted: inverted.data.buffer
+        }, [normal.data.buffer, inverted.data.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId: job.jobId, message: error.message });
+    }
+}
@@ -0,0 +1,384 @@
+// modules/pipeline.js
+// A small engine for composable processing pipelines.
+// Filters register themselves as steps with a parameter schema; a "recipe" lists which steps run,
+// in which order and with which parameters, and serializes to JSON so looks can be shared.
+
+import { createPixelBuffer, toBytePixels, toFloatPixels } from './utils.js';
+
+export const RECIPE_VERSION = 1;
+
+// Same rule as the color inputs: 3 or 6 hex digits with a leading '#'
+const HEX_COLOR_REGEX = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const stepRegistry = new Map(); // step id -> StepDefinition
+
+/**
+ * Describes one parameter of a step. The schema drives validation and the generated UI controls.
+ * @typedef {Object} StepParam
+ * @property {string} name - Key of the parameter in the recipe.
+ * @property {string} label - Human-readable name.
+ * @property {string} type - 'number', 'boolean', 'select', 'color' (hex string), 'stops' (gradient stops), 'curve'
+ *     (tone curve points) or 'strokes' (brush strokes).
+ * @property {*} default - Value used when the recipe doesn't provide a valid one.
+ * @property {number} [min] - Lowest allowed value ('number').
+ * @property {number} [max] - Highest allowed value ('number').
+ * @property {number} [step] - UI increment ('number').
+ * @property {string[]} [options] - Allowed values ('select').
+ * @property {function(Object): boolean} [visibleWhen] - Tells from the step's parameters whether this one applies;
+ *     the UI hides it otherwise (e.g. settings of a single mask type).
+ */
+
+/**
+ * A brush stroke, in coordinates that don't depend on the image size.
+ * @typedef {Object} BrushStroke
+ * @property {number[][]} points - The path as [x, y] pairs, in fractions of the image width and height.
+ * @property {number} size - Brush diameter in percent of the image's longest edge.
+ * @property {boolean} erase - True if the stroke takes away from what earlier strokes painted.
+ */
+
+/**
+ * Context passed to a step when it runs.
+ * @typedef {Object} StepContext
+ * @property {string} variant - Which output is being rendered: 'normal' or 'inverted'.
+ * @property {*} [stats] - Whole-image statistics from the step's `resolveStats`, when the image is processed in tiles.
+ * @property {{x: number, y: number, width: number, height: number}} region - Where the processed pixels sit in the
+ *     full image (x/y offset of the tile, full image width/height).
+ * @property {number} pixelScale - Multiplier for pixel-sized parameters (1 for the preview, larger for bigger exports).
+ * @property {PixelBuffer} source - The pixels the recipe started from, covering the same area as the processed ones.
+ */
+
+/**
+ * A registered pipeline step.
+ * @typedef {Object} StepDefinition
+ * @property {string} id - Unique step id used in recipes.
+ * @property {string} label - Human-readable name.
+ * @property {StepParam[]} params - Parameter schema.
+ * @property {function(PixelBuffer, Object, StepContext): PixelBuffer} apply - Runs the step. May modify the image data
+ *     in place; returns the result.
+ * @property {boolean} [variantDependent] - True if the result depends on `context.variant` (e.g. gradient maps).
+ * @property {boolean} [beforeColorMapping] - True for steps that work on greyscale tones (contrast, dithering, ...):
+ *     when added to a recipe they go before its first variant-dependent (color mapping) step instead of last.
+ * @property {function(Object): Object} [toGradientMap] - For steps that map grey values to colors: the same mapping
+ *     as Gradient Map parameters. A recipe maps colors only once, so another color mapping converts this step.
+ * @property {function(PixelBuffer, Object, *): *} [analyze] - For steps that need whole-image statistics: accumulates
+ *     them over tiles (receives the previous accumulator, returns the new one).
+ * @property {function(*, Object): *} [resolveStats] - Turns the accumulator into the `context.stats` given to `apply`.
+ * @property {function(Object): boolean} [needsStats] - Tells whether `analyze` is needed with these parameters
+ *     (defaults to always).
+ * @property {function(Object, {variant: string}): {hex: string, coverage: Float32Array}[]} [inks] - For steps that
+ *     map grey values to colors: the printing inks, each with its coverage (0-1) for every grey value (0-255).
+ *     Used to split the output into spot-color plates.
+ * @property {function(Object, StepContext): number} [tileMargin] - Extra rows around a tile the step reads from
+ *     (e.g. spatial offsets). Infinity means the step has to see the whole image at once.
+ * @property {boolean} [usesSource] - True if the result also depends on `context.source` (e.g. blending with the
+ *     original), so it can't be worked out from the step's input alone.
+ * @property {boolean} [addsColors] - True if the step brings in colors of its own (e.g. a background), so after a
+ *     color mapping the output is no longer limited to the mapping's colors.
+ */
+
+/**
+ * Registers a step so recipes can use it.
+ * @param {StepDefinition} definition - The step definition.
+ */
+export function registerStep(definition) {
+    if (stepRegistry.has(definition.id)) {
+        throw new Error(`Pipeline step '${definition.id}' is already registered.`);
+    }
+    stepRegistry.set(definition.id, { params: [], ...definition });
+}
+
+/**
+ * Looks up a registered step.
+ * @param {string} id - The step id.
+ * @returns {StepDefinition} The step definition.
+ */
+export function getStepDefinition(id) {
+    const definition = stepRegistry.get(id);
+    if (!definition) {
+        throw new Error(`Unknown pipeline step '${id}'.`);
+    }
+    return definition;
+}
+
+/**
+ * @returns {StepDefinition[]} All registered steps, in registration order.
+ */
+export function listStepDefinitions() {
+    return [...stepRegistry.values()];
+}
+
+function normalizeStops(value, fallback) {
+    if (!Array.isArray(value) || value.length < 2) return fallback;
+    const stops = [];
+    for (const stop of value) {
+        const position = Number(stop && stop.position);
+        if (!Number.isFinite(position) || !HEX_COLOR_REGEX.test(stop.hex)) return fallback;
+        stops.push({ position: Math.min(1, Math.max(0, position)), hex: stop.hex.toLowerCase() });
+    }
+    return stops.sort((a, b) => a.position - b.position);
+}
+
+function normalizeStrokes(value, fallback) {
+    if (!Array.isArray(value)) return fallback;
+    const strokes = [];
+    for (const stroke of value) {
+        const size = Number(stroke && stroke.size);
+        if (!Number.isFinite(size) || size <= 0 || !Array.isArray(stroke.points) || stroke.points.length === 0) return fallback;
+        const points = [];
+        for (const point of stroke.points) {
+            if (!Array.isArray(point) || point.length < 2 || !point.slice(0, 2).every(Number.isFinite)) return fallback;
+            points.push([Math.min(1, Math.max(0, point[0])), Math.min(1, Math.max(0, point[1]))]);
+        }
+        strokes.push({ points, size: Math.min(100, size), erase: stroke.erase === true });
+    }
+    return strokes;
+}
+
+function normalizeCurve(value, fallback) {
+    if (!Array.isArray(value) || value.length < 2) return fallback;
+    const points = [];
+    for (const point of value) {
+        const x = Number(point && point.x);
+        const y = Number(point && point.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) return fallback;
+        points.push({ x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) });
+    }
+    // The spline needs distinct inputs: of points sharing an x, the last one wins
+    points.sort((a, b) => a.x - b.x);
+    const distinct = points.filter((point, i) => i === points.length - 1 || points[i + 1].x !== point.x);
+    return distinct.length >= 2 ? distinct : fallback;
+}
+
+/**
+ * Validates a parameter value against its schema, falling back to the default for invalid values.
+ * @param {StepParam} param - The parameter schema.
+ * @param {*} value - The value to check.
+ * @returns {*} A valid value.
+ */
+export function normalizeParam(param, value) {
+    switch (param.type) {
+        case 'number': {
+            const number = Number(value);
+            if (value === undefined || value === null || value === '' || !Number.isFinite(number)) return param.default;
+            const min = param.min !== undefined ? param.min : -Infinity;
+            const max = param.max !== undefined ? param.max : Infinity;
+            return Math.min(max, Math.max(min, number));
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : param.default;
+        case 'select':
+            return param.options.includes(value) ? value : param.default;
+        case 'color':
+            return typeof value === 'string' && HEX_COLOR_REGEX.test(value) ? value.toLowerCase() : param.default;
+        case 'stops':
+            return normalizeStops(value, param.default);
+        case 'curve':
+            return normalizeCurve(value, param.default);
+        case 'strokes':
+            return normalizeStrokes(value, param.default);
+        default:
+            return value === undefined ? param.default : value;
+    }
+}
+
+/**
+ * Creates a recipe entry for a step, filling in default parameters.
+ * @param {string} id - The step id.
+ * @param {Object} [params] - Parameter overrides.
+ * @param {boolean} [enabled=true] - Whether the step runs.
+ * @returns {{step: string, enabled: boolean, params: Object}} The recipe entry.
+ */
+export function createStep(id, params = {}, enabled = true) {
+    const definition = getStepDefinition(id);
+    const normalized = {};
+    definition.params.forEach(param => {
+        normalized[param.name] = normalizeParam(param, params[param.name]);
+    });
+    return { step: id, enabled: enabled !== false, params: normalized };
+}
+
+/**
+ * Validates a recipe (e.g. one parsed from JSON) and fills in missing parameters.
+ * @param {Object} recipe - The recipe to check.
+ * @returns {{version: number, steps: {step: string, enabled: boolean, params: Object}[]}} A clean copy of the recipe.
+ */
+export function normalizeRecipe(recipe) {
+    if (!recipe || !Array.isArray(recipe.steps)) {
+        throw new Error('A recipe needs a "steps" list.');
+    }
+    if (recipe.version !== undefined && recipe.version > RECIPE_VERSION) {
+        throw new Error(`This recipe was made with a newer version (${recipe.version}) of the editor.`);
+    }
+    return {
+        version: RECIPE_VERSION,
+        steps: recipe.steps.map(entry => {
+            if (!entry || typeof entry.step !== 'string') {
+                throw new Error('Every recipe step needs a "step" id.');
+            }
+            return createStep(entry.step, entry.params || {}, entry.enabled);
+        })
+    };
+}
+
+/**
+ * Serializes a recipe to pretty-printed JSON.
+ * @param {Object} recipe - The recipe.
+ * @returns {string} The JSON text.
+ */
+export function serializeRecipe(recipe) {
+    return JSON.stringify(normalizeRecipe(recipe), null, 2);
+}
+
+/**
+ * Parses and validates a recipe from JSON text.
+ * @param {string} text - The JSON text.
+ * @returns {Object} The normalized recipe.
+ */
+export function parseRecipe(text) {
+    let recipe;
+    try {
+        recipe = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The recipe is not valid JSON: ${error.message}`);
+    }
+    return normalizeRecipe(recipe);
+}
+
+/**
+ * Writes parameters into the first step with the given id. If there is none, a color mapping step (see
+ * `toGradientMap`) takes the place of the recipe's existing one, keeping its colors and enabled state; otherwise
+ * the step is added where `findStepInsertIndex` puts it.
+ * @param {{step: string, enabled: boolean, params: Object}[]} steps - The recipe steps.
+ * @param {string} id - The step id.
+ * @param {Object} params - The parameters to change.
+ * @returns {{step: string, enabled: boolean, params: Object}[]} A new list of steps.
+ */
+export function updateStepParams(steps, id, params) {
+    const index = steps.findIndex(entry => entry.step === id);
+    if (index >= 0) {
+        return steps.map((entry, i) => i === index ? { ...entry, params: { ...entry.params, ...params } } : entry);
+    }
+    if (getStepDefinition(id).toGradientMap) {
+        const mappingIndex = steps.findIndex(entry => getStepDefinition(entry.step).toGradientMap);
+        if (mappingIndex >= 0) {
+            const mapping = steps[mappingIndex];
+            const mappedParams = getStepDefinition(mapping.step).toGradientMap(mapping.params);
+            return steps.map((entry, i) => i === mappingIndex
+                ? createStep(id, { ...mappedParams, ...params }, mapping.enabled)
+                : entry);
+        }
+    }
+    const insertIndex = findStepInsertIndex(steps, id);
+    return [...steps.slice(0, insertIndex), createStep(id, params), ...steps.slice(insertIndex)];
+}
+
+/**
+ * Creates an independent copy of a pixel buffer (8-bit or float, like the original).
+ * @param {PixelBuffer} pixels - The pixels to copy.
+ * @returns {PixelBuffer} The copy.
+ */
+export function clonePixels(pixels) {
+    return createPixelBuffer(pixels.width, pixels.height, pixels.data.slice());
+}
+
+/**
+ * Builds the context for a step run. Missing fields default to "the whole image, preview scale".
+ * @param {PixelBuffer} imageData - The pixels being processed.
+ * @param {Object} [options] - Any StepContext fields to override (stats is per recipe index here).
+ * @returns {Object} Context options with defaults filled in.
+ */
+function resolveRunOptions(imageData, { variant = 'normal', stats = {}, region, pixelScale = 1, source } = {}) {
+    return {
+        variant,
+        stats,
+        region: region || { x: 0, y: 0, width: imageData.width, height: imageData.height },
+        pixelScale,
+        source: source || imageData
+    };
+}
+
+/**
+ * Runs a single recipe step (a no-op if it is disabled).
+ * @param {PixelBuffer} imageData - Input pixels; may be modified in place.
+ * @param {Object} recipe - The recipe.
+ * @param {number} index - Index of the step in `recipe.steps`.
+ * @param {Object} [options] - Run options: `variant`, `stats` (indexed like `recipe.steps`), `region`, `pixelScale`,
+ *     and `source`, the pixels the recipe started from (defaults to `imageData`).
+ * @returns {PixelBuffer} The step's result.
+ */
+export function runRecipeStep(imageData, recipe, index, options) {
+    const entry = recipe.steps[index];
+    if (!entry.enabled) {
+        return imageData;
+    }
+    const { variant, stats, region, pixelScale, source } = resolveRunOptions(imageData, options);
+    return getStepDefinition(entry.step).apply(imageData, entry.params, { variant, stats: stats[index], region, pixelScale, source });
+}
+
+/**
+ * Runs the steps of a recipe on a copy of the image data.
+ * The steps work on Float32 values, and the result is rounded to 8 bits only once, at the end, so smooth gradients
+ * don't posterize (an Output Dither step hides what banding the rounding itself leaves).
+ * @param {PixelBuffer} imageData - Input pixels (left untouched).
+ * @param {Object} recipe - The recipe.
+ * @param {Object} [options] - Run options: `variant`, `stats`, `region`, `pixelScale`, `source` (defaults to
+ *     `imageData`), `end` to stop before the step at that index, and `precision`: 'byte' (default) or 'float' to
+ *     get the unrounded values (e.g. for statistics).
+ * @returns {PixelBuffer} The processed image data.
+ */
+export function runRecipe(imageData, recipe, options = {}) {
+    const end = options.end !== undefined ? options.end : recipe.steps.length;
+    const stepOptions = { ...options, source: options.source || imageData };
+    let result = toFloatPixels(imageData);
+    for (let index = 0; index < end; index++) {
+        result = runRecipeStep(result, recipe, index, stepOptions);
+    }
+    return options.precision === 'float' ? result : toBytePixels(result);
+}
+
+/**
+ * Finds where a newly added step goes: before the first color mapping step if it works on greyscale tones
+ * (see `beforeColorMapping`), otherwise at the end.
+ * @param {{step: string}[]} steps - The recipe steps.
+ * @param {string} id - Id of the step to add.
+ * @returns {number} The index to insert the step at.
+ */
+export function findStepInsertIndex(steps, id) {
+    if (!getStepDefinition(id).beforeColorMapping) {
+        return steps.length;
+    }
+    const colorIndex = steps.findIndex(entry => getStepDefinition(entry.step).variantDependent);
+    return colorIndex < 0 ? steps.length : colorIndex;
+}
+
+/**
+ * Lists the enabled steps that need whole-image statistics when an image is processed in tiles.
+ * @param {Object} recipe - The recipe.
+ * @returns {number[]} Their indexes in `recipe.steps`, in order.
+ */
+export function findAnalysisSteps(recipe) {
+    return recipe.steps
+        .map((entry, index) => {
+            const definition = getStepDefinition(entry.step);
+            const needsStats = definition.needsStats ? definition.needsStats(entry.params) : true;
+            return entry.enabled && definition.analyze && needsStats ? index : -1;
+        })
+        .filter(index => index >= 0);
+}
+
+/**
+ * Largest number of extra rows any enabled step needs to read around a tile.
+ * @param {Object} recipe - The recipe.
+ * @param {Object} [options] - Run options (`pixelScale` affects pixel-sized parameters).
+ * @returns {number} The margin in rows (Infinity if a step needs the whole image).
+ */
+export function computeTileMargin(recipe, options = {}) {
+    let margin = 0;
+    recipe.steps.forEach(entry => {
+        const definition = getStepDefinition(entry.step);
+        if (entry.enabled && definition.tileMargin) {
+            margin = Math.max(margin, definition.tileMargin(entry.params, { pixelScale: options.pixelScale || 1 }));
+        }
+    });
+    return margin;
+}
\ No newline at end of file
@@ -0,0 +1,193 @@
+// modules/presets.js
+// The gradient preset library: built-in presets plus the user's own, which are kept in localStorage,
+// and the JSON file format used to share them.
+
+import { normalizeParam } from './pipeline.js';
+
+const PRESETS_VERSION = 1;
+const STORAGE_KEY = 'photo-editor-tools.duotone.presets';
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * A named gradient.
+ * @typedef {Object} Preset
+ * @property {string} name - Display name (unique among the user's presets).
+ * @property {{position: number, hex: string}[]} stops - At least two gradient stops.
+ */
+
+export const DEFAULT_DARK_HEX = '#1b602f';
+export const DEFAULT_LIGHT_HEX = '#f784c5';
+
+/**
+ * The built-in presets, with the ids the preset picker uses for them. The first one is the default look.
+ * @type {(Preset & {id: string})[]}
+ */
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'duotone',
+        name: 'Duotone (2 colors)',
+        stops: [
+            { position: 0, hex: DEFAULT_DARK_HEX },
+            { position: 1, hex: DEFAULT_LIGHT_HEX }
+        ]
+    },
+    {
+        id: 'tritone',
+        name: 'Tritone (3 colors)',
+        stops: [
+            { position: 0, hex: DEFAULT_DARK_HEX },
+            { position: 0.55, hex: DEFAULT_LIGHT_HEX },
+            { position: 1, hex: '#fff4e6' }
+        ]
+    },
+    {
+        id: 'quadtone',
+        name: 'Quadtone (4 colors)',
+        stops: [
+            { position: 0, hex: '#10243e' },
+            { position: 0.33, hex: DEFAULT_DARK_HEX },
+            { position: 0.7, hex: DEFAULT_LIGHT_HEX },
+            { position: 1, hex: '#fff4e6' }
+        ]
+    },
+    {
+        id: 'midnight-gold',
+        name: 'Midnight & Gold',
+        stops: [
+            { position: 0, hex: '#10243e' },
+            { position: 1, hex: '#ffcc66' }
+        ]
+    },
+    {
+        id: 'sepia',
+        name: 'Sepia',
+        stops: [
+            { position: 0, hex: '#2b1a0e' },
+            { position: 1, hex: '#f3e3c3' }
+        ]
+    },
+    {
+        id: 'cyanotype',
+        name: 'Cyanotype',
+        stops: [
+            { position: 0, hex: '#0b2a5b' },
+            { position: 1, hex: '#e8f1f8' }
+        ]
+    },
+    {
+        id: 'riso',
+        name: 'Riso Blue & Fluo Pink',
+        stops: [
+            { position: 0, hex: '#0078bf' },
+            { position: 1, hex: '#ff48b0' }
+        ]
+    }
+];
+
+/**
+ * Validates a preset (e.g. one read from a file).
+ * @param {Object} preset - The preset to check.
+ * @returns {Preset} A clean copy of the preset.
+ */
+export function normalizePreset(preset) {
+    const name = preset && typeof preset.name === 'string' ? preset.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!name) {
+        throw new Error('A preset needs a name.');
+    }
+    const stops = normalizeParam({ type: 'stops', default: null }, preset.stops);
+    if (!stops) {
+        throw new Error(`Preset '${name}' needs at least two stops with a position and a hex color.`);
+    }
+    return { name, stops };
+}
+
+/**
+ * Serializes presets to pretty-printed JSON.
+ * @param {Preset[]} presets - The presets.
+ * @returns {string} The JSON text.
+ */
+export function serializePresets(presets) {
+    return JSON.stringify({ version: PRESETS_VERSION, presets: presets.map(normalizePreset) }, null, 2);
+}
+
+/**
+ * Parses and validates presets from JSON text: a preset file, a bare list of presets, or a single preset.
+ * @param {string} text - The JSON text.
+ * @returns {Preset[]} The presets.
+ */
+export function parsePresets(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The preset file is not valid JSON: ${error.message}`);
+    }
+    if (data && data.version !== undefined && data.version > PRESETS_VERSION) {
+        throw new Error(`These presets were made with a newer version (${data.version}) of the editor.`);
+    }
+    const presets = Array.isArray(data) ? data : (data && Array.isArray(data.presets) ? data.presets : [data]);
+    return presets.map(normalizePreset);
+}
+
+// localStorage throws (rather than being missing) where storage is blocked, e.g. for sandboxed pages.
+function getDefaultStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates the store of the user's presets. Without working storage, presets only last for the session.
+ * @param {Storage} [storage] - Where to keep them (defaults to localStorage).
+ * @returns {Object} Store with `list()`, `save(preset)` and `remove(name)`.
+ */
+export function createPresetStore(storage = getDefaultStorage()) {
+    let presets = [];
+    try {
+        const text = storage ? storage.getItem(STORAGE_KEY) : null;
+        presets = text ? parsePresets(text) : [];
+    } catch (error) {
+        console.warn("DEBUG: Saved presets could not be read, starting with none.", error);
+    }
+
+    function persist() {
+        if (!storage) return;
+        try {
+            storage.setItem(STORAGE_KEY, serializePresets(presets));
+        } catch (error) {
+            throw new Error(`The presets could not be stored in this browser (${error.message}).`);
+        }
+    }
+
+    /**
+     * @returns {Preset[]} The user's presets, sorted by name.
+     */
+    function list() {
+        return presets.slice().sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Adds a preset, replacing the one with the same name.
+     * @param {Preset} preset - The preset.
+     * @returns {Preset} The saved (normalized) preset.
+     */
+    function save(preset) {
+        const normalized = normalizePreset(preset);
+        presets = presets.filter(existing => existing.name !== normalized.name).concat(normalized);
+        persist();
+        return normalized;
+    }
+
+    /**
+     * Deletes a preset.
+     * @param {string} name - Its name.
+     */
+    function remove(name) {
+        presets = presets.filter(existing => existing.name !== name);
+        persist();
+    }
+
+    return { list, save, remove };
+}
@@ -0,0 +1,147 @@
+// modules/separation.js
+// Spot-color separation: splits a duotone or gradient map into one ink-coverage plate per color,
+// and packages the composite and the plates as PNGs in a ZIP, a layered SVG or a spot-color PDF.
+
+import { createPixelBuffer, hexToRgb } from './utils.js';
+import { getStepDefinition } from './pipeline.js';
+import { createZip } from './zip.js';
+import { createPdf } from './pdf.js';
+import { createSvg } from './svg.js';
+
+export const SEPARATION_FORMATS = ['pdf', 'svg', 'zip'];
+
+/**
+ * One printing plate.
+ * @typedef {Object} Plate
+ * @property {string} hex - The ink color.
+ * @property {string} label - Name of the plate, e.g. 'Ink 1 #1b602f'.
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Uint8Array} coverage - Ink coverage per pixel (0 = paper, 255 = full ink).
+ */
+
+/**
+ * Finds the step that maps grey values to ink colors (the first enabled step with an `inks` hook).
+ * Steps before it produce the tones that get separated; steps after it only affect the composite.
+ * @param {Object} recipe - The recipe.
+ * @returns {number} Its index in `recipe.steps`.
+ */
+export function findColorMappingStep(recipe) {
+    const index = recipe.steps.findIndex(entry => entry.enabled && getStepDefinition(entry.step).inks);
+    if (index < 0) {
+        throw new Error('Spot-color plates need an enabled Duotone or Gradient Map step.');
+    }
+    return index;
+}
+
+/**
+ * Lists the inks of a recipe's color mapping step.
+ * @param {Object} recipe - The recipe.
+ * @param {number} index - Index of the color mapping step (see `findColorMappingStep`).
+ * @param {string} [variant='normal'] - 'normal' or 'inverted'.
+ * @returns {{hex: string, coverage: Float32Array}[]} The inks.
+ */
+export function getRecipeInks(recipe, index, variant = 'normal') {
+    const entry = recipe.steps[index];
+    return getStepDefinition(entry.step).inks(entry.params, { variant });
+}
+
+/**
+ * Splits greyscale tones (the image as it enters the color mapping) into one plate per ink.
+ * @param {PixelBuffer} tones - The greyscale pixels (the red channel is used).
+ * @param {{hex: string, coverage: Float32Array}[]} inks - The inks (see `getRecipeInks`).
+ * @returns {Plate[]} The plates, in ink order.
+ */
+export function separatePlates(tones, inks) {
+    const pixelCount = tones.width * tones.height;
+    return inks.map((ink, index) => {
+        const lut = ink.coverage.map(value => Math.round(value * 255));
+        const coverage = new Uint8Array(pixelCount);
+        for (let p = 0; p < pixelCount; p++) {
+            coverage[p] = lut[tones.data[p * 4]];
+        }
+        return { hex: ink.hex, label: `Ink ${index + 1} ${ink.hex}`, width: tones.width, height: tones.height, coverage };
+    });
+}
+
+/**
+ * Renders a plate as a greyscale image the way films and screens are made: black where the ink goes.
+ * @param {Plate} plate - The plate.
+ * @returns {PixelBuffer} The plate image.
+ */
+export function plateToPixels(plate) {
+    const pixels = createPixelBuffer(plate.width, plate.height);
+    const data = pixels.data;
+    plate.coverage.forEach((value, p) => {
+        data[p * 4] = data[p * 4 + 1] = data[p * 4 + 2] = 255 - value;
+        data[p * 4 + 3] = 255;
+    });
+    return pixels;
+}
+
+// Packs the RGB channels of a pixel buffer (alpha is dropped).
+function toRgbSamples({ width, height, data }) {
+    const samples = new Uint8Array(width * height * 3);
+    for (let p = 0, o = 0; p < data.length; p += 4) {
+        samples[o++] = data[p];
+        samples[o++] = data[p + 1];
+        samples[o++] = data[p + 2];
+    }
+    return samples;
+}
+
+/**
+ * Packages a composite and its plates into one file.
+ * - 'zip': composite.png plus one PNG per plate, named after its ink color;
+ * - 'svg': the composite and the plates as layers (plates switched off);
+ * - 'pdf': the composite page, then one page per plate in its own spot color (Separation color space).
+ * @param {string} format - One of SEPARATION_FORMATS.
+ * @param {Object} sources
+ * @param {PixelBuffer} sources.composite - The finished (colored) image.
+ * @param {Plate[]} sources.plates - The plates (see `separatePlates`).
+ * @param {function(PixelBuffer): Promise<Blob>} sources.encodePng - Encodes pixels as PNG (canvas or CLI codec).
+ * @param {number} [sources.dpi=300] - Print resolution, for the PDF page size.
+ * @param {string} [sources.title=''] - Document title (PDF).
+ * @returns {Promise<{blob: Blob, extension: string}>} The file and its extension.
+ */
+export async function buildSeparationFile(format, { composite, plates, encodePng, dpi = 300, title = '' }) {
+    const plateFileName = plate => `ink_${plates.indexOf(plate) + 1}_${plate.hex.slice(1)}.png`;
+    switch (format) {
+        case 'zip': {
+            const files = [{ name: 'composite.png', blob: await encodePng(composite) }];
+            for (const plate of plates) {
+                files.push({ name: plateFileName(plate), blob: await encodePng(plateToPixels(plate)) });
+            }
+            return { blob: await createZip(files), extension: 'zip' };
+        }
+        case 'svg': {
+            const layers = [];
+            for (const plate of plates) {
+                layers.push({ label: plate.label, blob: await encodePng(plateToPixels(plate)), hidden: true });
+            }
+            layers.push({ label: 'Composite', blob: await encodePng(composite) });
+            return { blob: await createSvg(layers, composite), extension: 'svg' };
+        }
+        case 'pdf': {
+            const pages = [{
+                label: 'Composite',
+                image: { width: composite.width, height: composite.height, samples: toRgbSamples(composite), colorSpace: 'rgb' }
+            }];
+            for (const plate of plates) {
+                pages.push({
+                    label: plate.label,
+                    image: {
+                        width: plate.width,
+                        height: plate.height,
+                        samples: plate.coverage,
+                        // Named after the hex color, so the vendor sees which ink each plate is for
+                        colorSpace: { name: `Ink ${plate.hex}`, rgb: hexToRgb(plate.hex) }
+                    }
+                });
+            }
+            return { blob: await createPdf(pages, { dpi, title }), extension: 'pdf' };
+        }
+        default:
+            throw new Error(`Unknown separation format '${format}'.`);
+    }
+}
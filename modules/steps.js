@@ -0,0 +1,11 @@
+// modules/steps.js
+// Importing this module registers every built-in pipeline step (each filter module registers its own).
+
+import './image-core.js';
+import './filters/tone.js';
+import './filters/halftone.js';
+import './filters/gradient-map.js';
+import './filters/duotone.js';
+import './filters/rgb-split.js';
+import './filters/blend.js';
+import './filters/output-dither.js';
@@ -0,0 +1,45 @@
+// modules/svg.js
+// Wraps raster images into a layered SVG: every image becomes a named top-level group, which Illustrator
+// and Inkscape open as separate layers.
+
+// Turns bytes into base64 in chunks, so large images don't overflow the argument list of fromCharCode.
+function toBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Builds an SVG with one layer per image, all covering the full canvas. Earlier layers are drawn first (lower).
+ * @param {{label: string, blob: Blob, hidden?: boolean}[]} layers - PNG or JPEG images with their layer names;
+ *     hidden layers start switched off.
+ * @param {Object} size
+ * @param {number} size.width - Width in pixels.
+ * @param {number} size.height - Height in pixels.
+ * @returns {Promise<Blob>} The SVG file.
+ */
+export async function createSvg(layers, { width, height }) {
+    const groups = [];
+    for (const [index, layer] of layers.entries()) {
+        const data = toBase64(new Uint8Array(await layer.blob.arrayBuffer()));
+        // Illustrator names layers after the group id, Inkscape after its label. Older tools only read xlink:href.
+        const id = `layer${index + 1}_${layer.label.replace(/[^A-Za-z0-9_-]+/g, '_')}`;
+        groups.push(`  <g id="${escapeXml(id)}" inkscape:groupmode="layer" inkscape:label="${escapeXml(layer.label)}"`
+            + `${layer.hidden ? ' style="display:none"' : ''}>\n`
+            + `    <image width="${width}" height="${height}" xlink:href="data:${layer.blob.type || 'image/png'};base64,${data}"/>\n`
+            + '  </g>');
+    }
+    const svg = '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"`
+        + ` xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape"`
+        + ` width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n`
+        + `${groups.join('\n')}\n</svg>\n`;
+    return new Blob([svg], { type: 'image/svg+xml' });
+}
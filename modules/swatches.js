@@ -0,0 +1,263 @@
+// modules/swatches.js
+// Swatch files: Adobe Swatch Exchange (.ase, Photoshop/Illustrator/InDesign) and GIMP palettes (.gpl, also read by
+// Inkscape and Krita), besides the editor's own JSON preset files.
+
+import { clamp, hexToRgb, rgbToHex } from './utils.js';
+import { linearToSrgb } from './color.js';
+import { parsePresets, serializePresets } from './presets.js';
+
+export const SWATCH_FORMATS = ['json', 'ase', 'gpl'];
+
+const ASE_SIGNATURE = 'ASEF';
+const ASE_GROUP_START = 0xC001;
+const ASE_GROUP_END = 0xC002;
+const ASE_COLOR = 0x0001;
+const ASE_COLOR_TYPE_NORMAL = 2;
+
+/**
+ * The content of a swatch file.
+ * @typedef {Object} SwatchFile
+ * @property {import('./presets.js').Preset[]} presets - Gradients: JSON presets, or ASE color groups (their colors
+ *     spread evenly, in file order).
+ * @property {string[]} swatches - Loose colors (GIMP palettes, ungrouped ASE colors) as hex strings.
+ */
+
+// Spreads colors evenly over a gradient.
+function colorsToStops(colors) {
+    return colors.map((hex, index) => ({ position: index / (colors.length - 1), hex }));
+}
+
+// CIELAB (D50, as ASE stores it) -> sRGB, through XYZ and a Bradford-adapted matrix.
+function labToHex(L, a, b) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    const inverse = t => (t > 6 / 29 ? t * t * t : 3 * (6 / 29) * (6 / 29) * (t - 4 / 29));
+    const x = 0.96422 * inverse(fx);
+    const y = inverse(fy);
+    const z = 0.82521 * inverse(fz);
+    return rgbToHex({
+        r: linearToSrgb(3.1338561 * x - 1.6168667 * y - 0.4906146 * z),
+        g: linearToSrgb(-0.9787684 * x + 1.9161415 * y + 0.0334540 * z),
+        b: linearToSrgb(0.0719453 * x - 0.2289914 * y + 1.4052427 * z)
+    });
+}
+
+/**
+ * Reads an Adobe Swatch Exchange file. RGB, grey, CMYK (without a color profile) and Lab colors are converted
+ * to sRGB.
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {SwatchFile} Its groups as presets, and its ungrouped colors.
+ */
+export function decodeAse(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 12 || String.fromCharCode(...bytes.subarray(0, 4)) !== ASE_SIGNATURE) {
+        throw new Error('Not an Adobe Swatch Exchange (.ase) file.');
+    }
+    const blockCount = view.getUint32(8);
+    const presets = [];
+    const swatches = [];
+    let group = null;
+    let offset = 12;
+
+    for (let i = 0; i < blockCount && offset + 6 <= bytes.length; i++) {
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const start = offset + 6;
+        offset = start + length;
+        if (offset > bytes.length) {
+            throw new Error('The swatch file is truncated.');
+        }
+
+        // Group and color blocks start with a UTF-16 name (length in characters, including a closing 0)
+        let name = '';
+        let position = start;
+        if (type === ASE_GROUP_START || type === ASE_COLOR) {
+            const nameLength = view.getUint16(position);
+            position += 2;
+            for (let c = 0; c < nameLength; c++) {
+                const code = view.getUint16(position + c * 2);
+                if (code !== 0) name += String.fromCharCode(code);
+            }
+            position += nameLength * 2;
+        }
+
+        if (type === ASE_GROUP_START) {
+            group = { name, colors: [] };
+        } else if (type === ASE_GROUP_END) {
+            if (group && group.colors.length >= 2) {
+                presets.push({ name: group.name || `Group ${presets.length + 1}`, stops: colorsToStops(group.colors) });
+            } else if (group) {
+                swatches.push(...group.colors);
+            }
+            group = null;
+        } else if (type === ASE_COLOR) {
+            const model = String.fromCharCode(...bytes.subarray(position, position + 4));
+            const value = k => view.getFloat32(position + 4 + k * 4);
+            let hex;
+            switch (model) {
+                case 'RGB ':
+                    hex = rgbToHex({ r: value(0) * 255, g: value(1) * 255, b: value(2) * 255 });
+                    break;
+                case 'Gray':
+                    hex = rgbToHex({ r: value(0) * 255, g: value(0) * 255, b: value(0) * 255 });
+                    break;
+                case 'CMYK': {
+                    const k = 1 - value(3);
+                    hex = rgbToHex({ r: (1 - value(0)) * k * 255, g: (1 - value(1)) * k * 255, b: (1 - value(2)) * k * 255 });
+                    break;
+                }
+                case 'LAB ':
+                    hex = labToHex(value(0) * 100, value(1), value(2));
+                    break;
+                default:
+                    console.warn(`DEBUG: Skipping swatch '${name}' in the unknown color model '${model}'.`);
+                    continue;
+            }
+            (group ? group.colors : swatches).push(hex);
+        }
+    }
+    return { presets, swatches };
+}
+
+// Writes a UTF-16 name with its length and closing 0.
+function aseName(name) {
+    const bytes = new Uint8Array(2 + (name.length + 1) * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, name.length + 1);
+    for (let c = 0; c < name.length; c++) {
+        view.setUint16(2 + c * 2, name.charCodeAt(c));
+    }
+    return bytes;
+}
+
+function aseBlock(type, body) {
+    const block = new Uint8Array(6 + body.length);
+    const view = new DataView(block.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    block.set(body, 6);
+    return block;
+}
+
+/**
+ * Writes presets as an Adobe Swatch Exchange file: one color group per preset, with its stop colors in order.
+ * @param {import('./presets.js').Preset[]} presets - The presets.
+ * @returns {Uint8Array} The file content.
+ */
+export function encodeAse(presets) {
+    const blocks = [];
+    for (const preset of presets) {
+        blocks.push(aseBlock(ASE_GROUP_START, aseName(preset.name)));
+        for (const { hex } of preset.stops) {
+            const name = aseName(hex);
+            const body = new Uint8Array(name.length + 4 + 12 + 2);
+            const view = new DataView(body.buffer);
+            body.set(name, 0);
+            body.set([0x52, 0x47, 0x42, 0x20], name.length); // 'RGB '
+            const { r, g, b } = hexToRgb(hex);
+            view.setFloat32(name.length + 4, r / 255);
+            view.setFloat32(name.length + 8, g / 255);
+            view.setFloat32(name.length + 12, b / 255);
+            view.setUint16(name.length + 16, ASE_COLOR_TYPE_NORMAL);
+            blocks.push(aseBlock(ASE_COLOR, body));
+        }
+        blocks.push(aseBlock(ASE_GROUP_END, new Uint8Array(0)));
+    }
+
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    header.set([0x41, 0x53, 0x45, 0x46]); // 'ASEF'
+    view.setUint16(4, 1); // Version 1.0
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+    const bytes = new Uint8Array(blocks.reduce((sum, block) => sum + block.length, header.length));
+    bytes.set(header, 0);
+    let offset = header.length;
+    for (const block of blocks) {
+        bytes.set(block, offset);
+        offset += block.length;
+    }
+    return bytes;
+}
+
+/**
+ * Reads a GIMP palette. It has no groups, so its colors come back as loose swatches.
+ * @param {string} text - The file content.
+ * @returns {SwatchFile} The colors.
+ */
+export function decodeGpl(text) {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0])) {
+        throw new Error('Not a GIMP palette (.gpl) file.');
+    }
+    const swatches = [];
+    for (const line of lines.slice(1)) {
+        const match = line.match(/^\s*(\d+)\s+(\d+)\s+(\d+)(\s|$)/);
+        if (match) {
+            swatches.push(rgbToHex({
+                r: clamp(Number(match[1]), 0, 255),
+                g: clamp(Number(match[2]), 0, 255),
+                b: clamp(Number(match[3]), 0, 255)
+            }));
+        }
+    }
+    return { presets: [], swatches };
+}
+
+/**
+ * Writes presets as a GIMP palette. The format has no groups: each preset's colors follow a comment with its name.
+ * @param {import('./presets.js').Preset[]} presets - The presets.
+ * @param {string} [title='Duotone Presets'] - The palette name.
+ * @returns {string} The file content.
+ */
+export function encodeGpl(presets, title = 'Duotone Presets') {
+    const lines = ['GIMP Palette', `Name: ${title}`, 'Columns: 0', '#'];
+    for (const preset of presets) {
+        lines.push(`# ${preset.name}`);
+        for (const { hex } of preset.stops) {
+            const { r, g, b } = hexToRgb(hex);
+            lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${hex}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads a preset or swatch file, picking the format from the file name extension.
+ * @param {string} fileName - Name of the file (.json, .ase or .gpl).
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {SwatchFile} Its presets and loose colors.
+ */
+export function parseSwatchFile(fileName, bytes) {
+    const extension = (fileName.match(/\.([^.]+)$/) || [])[1] || '';
+    switch (extension.toLowerCase()) {
+        case 'json':
+            return { presets: parsePresets(new TextDecoder().decode(bytes)), swatches: [] };
+        case 'ase':
+            return decodeAse(bytes);
+        case 'gpl':
+            return decodeGpl(new TextDecoder().decode(bytes));
+        default:
+            throw new Error('Unsupported swatch file (use .json, .ase or .gpl).');
+    }
+}
+
+/**
+ * Writes presets in one of SWATCH_FORMATS.
+ * @param {string} format - 'json', 'ase' or 'gpl'.
+ * @param {import('./presets.js').Preset[]} presets - The presets.
+ * @returns {Blob} The file.
+ */
+export function createSwatchFile(format, presets) {
+    switch (format) {
+        case 'json':
+            return new Blob([serializePresets(presets)], { type: 'application/json' });
+        case 'ase':
+            return new Blob([encodeAse(presets)], { type: 'application/octet-stream' });
+        case 'gpl':
+            return new Blob([encodeGpl(presets)], { type: 'text/plain' });
+        default:
+            throw new Error(`Unknown swatch format '${format}'.`);
+    }
+}
@@ -0,0 +1,115 @@
+// modules/ui/batch-panel.js
+
+import { isImageFile } from '../batch.js';
+
+// Labels shown on the thumbnails for each item status.
+const STATUS_LABELS = {
+    queued: 'Queued',
+    processing: 'Processing…',
+    done: 'Done',
+    error: 'Error'
+};
+
+// Reads all entries of a dropped directory (readEntries returns them in chunks until it returns none).
+function readDirectoryEntries(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+    return new Promise((resolve, reject) => {
+        function readChunk() {
+            reader.readEntries((chunk) => {
+                if (chunk.length === 0) {
+                    resolve(entries);
+                } else {
+                    entries.push(...chunk);
+                    readChunk();
+                }
+            }, reject);
+        }
+        readChunk();
+    });
+}
+
+// Recursively collects the files below a dropped file system entry.
+async function collectEntryFiles(entry, items) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        items.push({ file, path: entry.fullPath.replace(/^\//, '') });
+    } else if (entry.isDirectory) {
+        for (const child of await readDirectoryEntries(entry)) {
+            await collectEntryFiles(child, items);
+        }
+    }
+}
+
+/**
+ * Collects the image files of a drop, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer - The drop event's data transfer.
+ * @returns {Promise<import('../batch.js').BatchItem[]>} The dropped images, with their relative paths.
+ */
+export async function collectDroppedItems(dataTransfer) {
+    // Entries must be taken synchronously: the data transfer is emptied once the drop handler yields.
+    const entries = [...dataTransfer.items]
+        .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+        .filter(Boolean);
+
+    let items = [];
+    if (entries.length > 0) {
+        for (const entry of entries) {
+            await collectEntryFiles(entry, items);
+        }
+    } else {
+        items = [...dataTransfer.files].map(file => ({ file, path: file.name }));
+    }
+    return items.filter(item => isImageFile(item.file));
+}
+
+/**
+ * Creates the thumbnail grid that shows every batch item and its status.
+ * @param {HTMLElement} container - Element that will hold the thumbnails.
+ * @returns {Object} Controller with `addItems(items)`, `setStatus(item, status, message)` and `clear()`.
+ */
+export function createBatchGrid(container) {
+    const cards = new Map(); // item -> { card, statusLabel, thumbnailUrl }
+
+    function addItems(items) {
+        items.forEach(item => {
+            const card = document.createElement('figure');
+            card.className = 'batch-item';
+            const thumbnailUrl = URL.createObjectURL(item.file);
+            const thumbnail = document.createElement('img');
+            thumbnail.src = thumbnailUrl;
+            thumbnail.alt = item.path;
+            thumbnail.loading = 'lazy';
+            const caption = document.createElement('figcaption');
+            caption.textContent = item.path;
+            caption.title = item.path;
+            const statusLabel = document.createElement('span');
+            statusLabel.className = 'batch-status';
+            card.append(thumbnail, caption, statusLabel);
+            container.appendChild(card);
+            cards.set(item, { card, statusLabel, thumbnailUrl });
+            setStatus(item, 'queued');
+        });
+    }
+
+    /**
+     * Shows the status of an item.
+     * @param {import('../batch.js').BatchItem} item - The item.
+     * @param {string} status - 'queued', 'processing', 'done' or 'error'.
+     * @param {string} [message] - Error details.
+     */
+    function setStatus(item, status, message = '') {
+        const entry = cards.get(item);
+        if (!entry) return;
+        entry.card.dataset.status = status;
+        entry.statusLabel.textContent = message ? `${STATUS_LABELS[status]}: ${message}` : STATUS_LABELS[status];
+    }
+
+    function clear() {
+        cards.forEach(({ thumbnailUrl }) => URL.revokeObjectURL(thumbnailUrl));
+        cards.clear();
+        container.replaceChildren();
+    }
+
+    return { addItems, setStatus, clear };
+}
\ No newline at end of file
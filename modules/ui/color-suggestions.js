@@ -0,0 +1,44 @@
+// modules/ui/color-suggestions.js
+
+/**
+ * Creates the list of suggested shadows/highlights pairs: one button per pair, showing both colors and their
+ * contrast ratio.
+ * @param {HTMLElement} container - Element to render the list into.
+ * @param {Object} callbacks
+ * @param {function(import('../palette.js').ColorPair): void} callbacks.onPick - Called with the pair the user picks.
+ * @returns {Object} Controller with `setPairs(pairs)`.
+ */
+export function createColorSuggestions(container, { onPick }) {
+    const list = document.createElement('div');
+    list.className = 'color-suggestion-list';
+    container.appendChild(list);
+
+    /**
+     * Shows new suggestions (an empty list clears them).
+     * @param {import('../palette.js').ColorPair[]} pairs - The pairs, best first.
+     */
+    function setPairs(pairs) {
+        list.innerHTML = '';
+        pairs.forEach(pair => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'color-suggestion';
+            button.title = `Shadows ${pair.dark}, highlights ${pair.light}`
+                + (pair.adjusted ? ' (lightness adjusted to reach the contrast)' : '');
+
+            const swatch = document.createElement('span');
+            swatch.className = 'color-suggestion-swatch';
+            swatch.style.background = `linear-gradient(to right, ${pair.dark}, ${pair.light})`;
+
+            const label = document.createElement('span');
+            label.className = 'color-suggestion-contrast';
+            label.textContent = `${pair.contrast.toFixed(1)}:1${pair.adjusted ? ' *' : ''}`;
+
+            button.append(swatch, label);
+            button.addEventListener('click', () => onPick(pair));
+            list.appendChild(button);
+        });
+    }
+
+    return { setPairs };
+}
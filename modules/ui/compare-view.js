@@ -0,0 +1,305 @@
+// modules/ui/compare-view.js
+
+import { clamp } from '../utils.js';
+
+// Height of the viewport in canvas pixels; its width follows the container.
+const VIEW_HEIGHT = 480;
+const MAX_ZOOM = 8;
+// Zoom factor of one wheel notch (with Ctrl/Cmd held) and of the zoom buttons.
+const WHEEL_ZOOM_STEP = 1.25;
+const BUTTON_ZOOM_STEP = 2;
+// How close (in canvas pixels) a pointer has to be to grab the split line.
+const SPLIT_GRAB_DISTANCE = 8;
+const LABEL_FONT = '12px sans-serif';
+const LABEL_PADDING = 6;
+
+/**
+ * Creates a before/after compare view inside `container`: both images on top of each other, split by a line
+ * that can be dragged. The view zooms from fit-to-screen up to 800% (without smoothing from 100% on), pans by
+ * dragging or with the wheel (Ctrl/Cmd + wheel zooms at the pointer), and reports the pixel under the pointer.
+ * @param {HTMLElement} container - Element that will hold the view.
+ * @param {Object} options
+ * @param {function(number, number): string} options.describePixel - Text for the readout, given the image pixel
+ *     under the pointer (x, y).
+ * @returns {Object} Controller with `setImages(before, after, labels)`, `redraw()`, `fit()`, `zoomBy(factor)`
+ *     and `getZoom()`.
+ */
+export function createCompareView(container, { describePixel }) {
+    let before = null;
+    let after = null;
+    let labels = ['Before', 'After'];
+    let imageWidth = 0;
+    let imageHeight = 0;
+    let zoom = 1;
+    let fitted = true;  // Fit-to-screen follows the viewport size until the user zooms
+    let originX = 0;    // Where the image's top-left corner sits in the viewport
+    let originY = 0;
+    let split = 0.5;    // Position of the split line, as a fraction of the viewport width
+    let drag = null;
+    let hover = null;   // Image pixel under the pointer
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'compare-canvas';
+    canvas.height = VIEW_HEIGHT;
+    canvas.setAttribute('aria-label', 'Before/after comparison');
+    const ctx = canvas.getContext('2d');
+    const toolbar = document.createElement('div');
+    toolbar.className = 'compare-toolbar';
+    const readout = document.createElement('output');
+    readout.className = 'compare-readout';
+    container.append(canvas, toolbar);
+
+    function createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'small-button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        toolbar.appendChild(button);
+        return button;
+    }
+    createButton('−', 'Zoom out', () => zoomBy(1 / BUTTON_ZOOM_STEP));
+    const zoomLabel = document.createElement('span');
+    zoomLabel.className = 'compare-zoom';
+    toolbar.appendChild(zoomLabel);
+    createButton('+', 'Zoom in', () => zoomBy(BUTTON_ZOOM_STEP));
+    createButton('Fit', 'Fit to screen', () => fit());
+    createButton('100%', 'Actual pixels', () => zoomTo(1));
+    toolbar.appendChild(readout);
+
+    const getFitZoom = () => Math.min(canvas.width / imageWidth, canvas.height / imageHeight);
+    const getMinZoom = () => Math.min(1, getFitZoom());
+
+    // Keeps the image in view: centered along an axis where it is smaller than the viewport, otherwise covering it.
+    function clampPan() {
+        const width = imageWidth * zoom;
+        const height = imageHeight * zoom;
+        originX = width <= canvas.width ? (canvas.width - width) / 2 : clamp(originX, canvas.width - width, 0);
+        originY = height <= canvas.height ? (canvas.height - height) / 2 : clamp(originY, canvas.height - height, 0);
+    }
+
+    function drawLabel(text, x, alignRight) {
+        ctx.font = LABEL_FONT;
+        const width = ctx.measureText(text).width + 2 * LABEL_PADDING;
+        const left = alignRight ? x - width - LABEL_PADDING : x + LABEL_PADDING;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(left, LABEL_PADDING, width, 20);
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, left + LABEL_PADDING, LABEL_PADDING + 10);
+    }
+
+    function redraw() {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#e9ecef';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        zoomLabel.textContent = `${Math.round(zoom * 100)}%`;
+        if (!before || !after || imageWidth === 0) {
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Upload an image to compare', canvas.width / 2, canvas.height / 2);
+            ctx.textAlign = 'start';
+            return;
+        }
+
+        const splitX = Math.round(split * canvas.width);
+        // Enlarged pixels stay sharp squares, so banding and dithering can be judged
+        ctx.imageSmoothingEnabled = zoom < 1;
+        ctx.imageSmoothingQuality = 'high';
+        [[before, 0, splitX], [after, splitX, canvas.width]].forEach(([image, left, right]) => {
+            if (right <= left) return;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, 0, right - left, canvas.height);
+            ctx.clip();
+            ctx.setTransform(zoom, 0, 0, zoom, originX, originY);
+            ctx.drawImage(image, 0, 0);
+            ctx.restore();
+        });
+
+        if (hover && zoom >= 4) {
+            // Outline the inspected pixel once it is big enough to see
+            ctx.strokeStyle = '#ff00ff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(originX + hover.x * zoom + 0.5, originY + hover.y * zoom + 0.5, zoom - 1, zoom - 1);
+        }
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(splitX - 1, 0, 2, canvas.height);
+        ctx.beginPath();
+        ctx.arc(splitX, canvas.height / 2, 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#495057';
+        ctx.stroke();
+        drawLabel(labels[0], 0, false);
+        drawLabel(labels[1], canvas.width, true);
+    }
+
+    /**
+     * Zooms to a scale, keeping the image point under (viewX, viewY) in place.
+     * @param {number} newZoom - The new scale (1 = one screen pixel per image pixel).
+     * @param {number} [viewX] - Anchor in viewport pixels (defaults to the center).
+     * @param {number} [viewY]
+     */
+    function zoomTo(newZoom, viewX = canvas.width / 2, viewY = canvas.height / 2) {
+        if (imageWidth === 0) return;
+        const clamped = clamp(newZoom, getMinZoom(), MAX_ZOOM);
+        const imageX = (viewX - originX) / zoom;
+        const imageY = (viewY - originY) / zoom;
+        zoom = clamped;
+        fitted = false;
+        originX = viewX - imageX * zoom;
+        originY = viewY - imageY * zoom;
+        clampPan();
+        redraw();
+    }
+
+    function zoomBy(factor, viewX, viewY) {
+        zoomTo(zoom * factor, viewX, viewY);
+    }
+
+    function fit() {
+        if (imageWidth === 0) return;
+        zoom = getFitZoom();
+        fitted = true;
+        clampPan();
+        redraw();
+    }
+
+    function positionFromEvent(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / rect.width * canvas.width,
+            y: (event.clientY - rect.top) / rect.height * canvas.height
+        };
+    }
+
+    function showReadout() {
+        readout.textContent = hover ? `x ${hover.x}, y ${hover.y}: ${describePixel(hover.x, hover.y)}` : '';
+    }
+
+    function updateReadout(position) {
+        const x = Math.floor((position.x - originX) / zoom);
+        const y = Math.floor((position.y - originY) / zoom);
+        const inside = imageWidth > 0 && x >= 0 && y >= 0 && x < imageWidth && y < imageHeight;
+        hover = inside ? { x, y } : null;
+        showReadout();
+    }
+
+    const isNearSplit = position => Math.abs(position.x - split * canvas.width) <= SPLIT_GRAB_DISTANCE;
+
+    canvas.addEventListener('pointerdown', (event) => {
+        if (imageWidth === 0) return;
+        event.preventDefault();
+        const position = positionFromEvent(event);
+        drag = isNearSplit(position)
+            ? { mode: 'split' }
+            : { mode: 'pan', startX: position.x, startY: position.y, originX, originY };
+        canvas.setPointerCapture(event.pointerId);
+        canvas.style.cursor = drag.mode === 'split' ? 'ew-resize' : 'grabbing';
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        const position = positionFromEvent(event);
+        if (!drag) {
+            canvas.style.cursor = isNearSplit(position) ? 'ew-resize' : 'grab';
+            updateReadout(position);
+            redraw();
+            return;
+        }
+        if (drag.mode === 'split') {
+            split = clamp(position.x / canvas.width, 0, 1);
+        } else {
+            originX = drag.originX + position.x - drag.startX;
+            originY = drag.originY + position.y - drag.startY;
+            clampPan();
+        }
+        updateReadout(position);
+        redraw();
+    });
+    const endDrag = (event) => {
+        if (!drag) return;
+        drag = null;
+        canvas.releasePointerCapture(event.pointerId);
+        canvas.style.cursor = 'grab';
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+    canvas.addEventListener('pointerleave', () => {
+        if (drag) return;
+        hover = null;
+        showReadout();
+        redraw();
+    });
+
+    canvas.addEventListener('wheel', (event) => {
+        if (imageWidth === 0) return;
+        event.preventDefault();
+        const position = positionFromEvent(event);
+        if (event.ctrlKey || event.metaKey) {
+            // Also what trackpad pinches arrive as
+            zoomBy(event.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP, position.x, position.y);
+        } else {
+            originX -= event.shiftKey ? event.deltaY : event.deltaX;
+            originY -= event.shiftKey ? 0 : event.deltaY;
+            clampPan();
+            redraw();
+        }
+        updateReadout(position);
+    }, { passive: false });
+
+    // Double-click toggles between fit-to-screen and actual pixels at the pointer.
+    canvas.addEventListener('dblclick', (event) => {
+        const position = positionFromEvent(event);
+        if (fitted && getFitZoom() < 1) {
+            zoomTo(1, position.x, position.y);
+        } else {
+            fit();
+        }
+    });
+
+    // The viewport follows the width of its container; fit-to-screen is kept while nothing was zoomed.
+    new ResizeObserver(() => {
+        const width = Math.max(1, Math.floor(container.clientWidth));
+        if (width === canvas.width) return;
+        canvas.width = width;
+        if (fitted && imageWidth > 0) {
+            zoom = getFitZoom();
+        }
+        if (imageWidth > 0) {
+            zoom = clamp(zoom, getMinZoom(), MAX_ZOOM);
+            clampPan();
+        }
+        redraw();
+    }).observe(container);
+
+    /**
+     * Shows a new pair of images. A different image size fits the view again; the same size keeps the zoom and
+     * position, so a setting can be tweaked while looking at one spot.
+     * @param {CanvasImageSource & {width: number, height: number}|null} newBefore - Left-hand image.
+     * @param {CanvasImageSource & {width: number, height: number}|null} newAfter - Right-hand image, the same size.
+     * @param {string[]} [newLabels] - Captions for the two sides.
+     */
+    function setImages(newBefore, newAfter, newLabels = labels) {
+        before = newBefore;
+        after = newAfter;
+        labels = newLabels;
+        const width = before ? before.width : 0;
+        const height = before ? before.height : 0;
+        if (width !== imageWidth || height !== imageHeight) {
+            imageWidth = width;
+            imageHeight = height;
+            hover = null;
+            showReadout();
+            if (imageWidth > 0) {
+                fit();
+                return;
+            }
+        }
+        showReadout(); // The pixel under a resting pointer may have changed
+        redraw();
+    }
+
+    redraw();
+    return { setImages, redraw, fit, zoomBy, getZoom: () => zoom };
+}
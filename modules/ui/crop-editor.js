@@ -0,0 +1,274 @@
+// modules/ui/crop-editor.js
+
+import { clamp } from '../utils.js';
+import { computeGeometry, getAspectRatio, normalizeGeometry, DEFAULT_GEOMETRY } from '../geometry.js';
+
+// Largest size of the editor canvas; the frame is fitted inside, keeping its aspect ratio.
+const MAX_CANVAS_WIDTH = 480;
+const MAX_CANVAS_HEIGHT = 360;
+// The image is drawn from a copy no larger than this (longest edge), so dragging stays smooth on large photos.
+const MAX_PREVIEW_EDGE = 1024;
+// How close (in canvas pixels) a pointer has to be to grab a corner.
+const CORNER_GRAB_DISTANCE = 10;
+const CORNER_SIZE = 8;
+// Boxes drawn smaller than this (in canvas pixels) are ignored, so a stray click doesn't crop to nothing.
+const MIN_BOX_SIZE = 8;
+
+/**
+ * Creates the crop editor inside `container`: the framed image (rotated, flipped and straightened) with the crop
+ * box on top. Dragging inside the box moves it, dragging a corner resizes it and dragging outside draws a new
+ * box; the box keeps the aspect ratio of the geometry's preset.
+ * @param {HTMLElement} container - Element that will hold the editor.
+ * @param {Object} callbacks
+ * @param {function(Object): void} callbacks.onChange - Called with the new crop (fractions of the frame, see
+ *     `Geometry`) when a drag ends.
+ * @returns {Object} Controller with `setImage(image)` and `setGeometry(geometry)`.
+ */
+export function createCropEditor(container, { onChange }) {
+    let geometry = normalizeGeometry(DEFAULT_GEOMETRY);
+    let preview = null;
+    // The box while dragging, in canvas pixels: {x, y, width, height}
+    let box = null;
+    let drag = null;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'crop-canvas';
+    canvas.width = MAX_CANVAS_WIDTH;
+    canvas.height = MAX_CANVAS_HEIGHT;
+    canvas.setAttribute('aria-label', 'Crop');
+    const ctx = canvas.getContext('2d');
+    container.appendChild(canvas);
+
+    // The frame (image after rotating) of the preview copy, in preview pixels
+    function getFrame() {
+        return computeGeometry(preview.width, preview.height, { ...geometry, crop: null });
+    }
+
+    function cropToBox(crop) {
+        const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+        return {
+            x: area.x * canvas.width,
+            y: area.y * canvas.height,
+            width: area.width * canvas.width,
+            height: area.height * canvas.height
+        };
+    }
+
+    function boxToCrop({ x, y, width, height }) {
+        return { x: x / canvas.width, y: y / canvas.height, width: width / canvas.width, height: height / canvas.height };
+    }
+
+    function getCorners({ x, y, width, height }) {
+        return [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height }
+        ];
+    }
+
+    function render() {
+        if (!preview) {
+            canvas.width = MAX_CANVAS_WIDTH;
+            canvas.height = MAX_CANVAS_HEIGHT;
+            ctx.fillStyle = '#f8f9fa';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.fillStyle = '#6c757d';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Upload an image to crop it', canvas.width / 2, canvas.height / 2);
+            return;
+        }
+
+        const frame = getFrame();
+        const fit = Math.min(MAX_CANVAS_WIDTH / frame.width, MAX_CANVAS_HEIGHT / frame.height);
+        const width = Math.max(1, Math.round(frame.width * fit));
+        const height = Math.max(1, Math.round(frame.height * fit));
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const [a, b, c, d, e, f] = frame.matrix;
+        const scaleX = width / frame.width;
+        const scaleY = height / frame.height;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.setTransform(a * scaleX, b * scaleY, c * scaleX, d * scaleY, e * scaleX, f * scaleY);
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(preview, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        const current = box || cropToBox(geometry.crop);
+        // Darken everything outside the box
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.rect(current.x, current.y, current.width, current.height);
+        ctx.fill('evenodd');
+
+        // Rule-of-thirds guides and the outline
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 3; i++) {
+            const x = Math.round(current.x + current.width * i / 3) + 0.5;
+            const y = Math.round(current.y + current.height * i / 3) + 0.5;
+            ctx.moveTo(x, current.y);
+            ctx.lineTo(x, current.y + current.height);
+            ctx.moveTo(current.x, y);
+            ctx.lineTo(current.x + current.width, y);
+        }
+        ctx.stroke();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(current.x + 1, current.y + 1, Math.max(0, current.width - 2), Math.max(0, current.height - 2));
+
+        ctx.fillStyle = '#ffffff';
+        getCorners(current).forEach(corner => {
+            ctx.fillRect(
+                clamp(corner.x - CORNER_SIZE / 2, 0, width - CORNER_SIZE),
+                clamp(corner.y - CORNER_SIZE / 2, 0, height - CORNER_SIZE),
+                CORNER_SIZE,
+                CORNER_SIZE
+            );
+        });
+    }
+
+    function positionFromEvent(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: clamp((event.clientX - rect.left) / rect.width * canvas.width, 0, canvas.width),
+            y: clamp((event.clientY - rect.top) / rect.height * canvas.height, 0, canvas.height)
+        };
+    }
+
+    // Index of the corner under the pointer, or -1
+    function findCornerNear(position, current) {
+        const rect = canvas.getBoundingClientRect();
+        const grab = CORNER_GRAB_DISTANCE * canvas.width / rect.width;
+        return getCorners(current).findIndex(corner => Math.hypot(corner.x - position.x, corner.y - position.y) <= grab);
+    }
+
+    function isInside(position, { x, y, width, height }) {
+        return position.x >= x && position.x <= x + width && position.y >= y && position.y <= y + height;
+    }
+
+    // The box spanned from the fixed `anchor` corner towards the pointer, shrunk to the aspect ratio if there is one
+    function spanBox(anchor, position) {
+        let width = Math.abs(position.x - anchor.x);
+        let height = Math.abs(position.y - anchor.y);
+        // The canvas shows the frame at one scale, so the ratio holds in canvas pixels too
+        const ratio = getAspectRatio(geometry.aspect, canvas.width, canvas.height);
+        if (ratio) {
+            if (width / ratio > height) width = height * ratio;
+            else height = width / ratio;
+        }
+        return {
+            x: position.x < anchor.x ? anchor.x - width : anchor.x,
+            y: position.y < anchor.y ? anchor.y - height : anchor.y,
+            width,
+            height
+        };
+    }
+
+    function updateCursor(position) {
+        if (!preview) {
+            canvas.style.cursor = 'default';
+            return;
+        }
+        const current = cropToBox(geometry.crop);
+        const corner = findCornerNear(position, current);
+        if (corner >= 0) {
+            canvas.style.cursor = corner % 2 === 0 ? 'nwse-resize' : 'nesw-resize';
+        } else {
+            canvas.style.cursor = isInside(position, current) ? 'move' : 'crosshair';
+        }
+    }
+
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!preview) return;
+        event.preventDefault();
+        const position = positionFromEvent(event);
+        const current = cropToBox(geometry.crop);
+        const corner = findCornerNear(position, current);
+        if (corner >= 0) {
+            drag = { mode: 'resize', anchor: getCorners(current)[(corner + 2) % 4] };
+        } else if (isInside(position, current) && geometry.crop) {
+            drag = { mode: 'move', start: position, origin: current };
+        } else {
+            drag = { mode: 'resize', anchor: position };
+        }
+        box = current;
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        const position = positionFromEvent(event);
+        if (!drag) {
+            updateCursor(position);
+            return;
+        }
+        if (drag.mode === 'move') {
+            const { origin } = drag;
+            box = {
+                ...origin,
+                x: clamp(origin.x + position.x - drag.start.x, 0, canvas.width - origin.width),
+                y: clamp(origin.y + position.y - drag.start.y, 0, canvas.height - origin.height)
+            };
+        } else {
+            const spanned = spanBox(drag.anchor, position);
+            if (spanned.width >= MIN_BOX_SIZE && spanned.height >= MIN_BOX_SIZE) box = spanned;
+        }
+        render();
+    });
+    const endDrag = (event) => {
+        if (!drag) return;
+        const finished = box;
+        drag = null;
+        box = null;
+        canvas.releasePointerCapture(event.pointerId);
+        const crop = boxToCrop(finished);
+        const previous = geometry.crop || { x: 0, y: 0, width: 1, height: 1 };
+        if (['x', 'y', 'width', 'height'].some(key => Math.abs(crop[key] - previous[key]) > 1e-6)) {
+            geometry = normalizeGeometry({ ...geometry, crop });
+            onChange(geometry.crop);
+        }
+        render();
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    /**
+     * Shows a new image (without calling onChange).
+     * @param {CanvasImageSource & {width: number, height: number}|null} image - The unrotated image, e.g. the
+     *     uploaded `<img>`, or null to show none.
+     */
+    function setImage(image) {
+        preview = null;
+        if (image) {
+            const width = image.naturalWidth || image.width;
+            const height = image.naturalHeight || image.height;
+            const scale = Math.min(1, MAX_PREVIEW_EDGE / Math.max(width, height));
+            preview = document.createElement('canvas');
+            preview.width = Math.max(1, Math.round(width * scale));
+            preview.height = Math.max(1, Math.round(height * scale));
+            preview.getContext('2d').drawImage(image, 0, 0, preview.width, preview.height);
+        }
+        render();
+    }
+
+    /**
+     * Shows a new geometry (without calling onChange), e.g. after rotating or while the straighten slider moves.
+     * A drag in progress is cancelled.
+     * @param {import('../geometry.js').Geometry} newGeometry - The geometry.
+     */
+    function setGeometry(newGeometry) {
+        geometry = normalizeGeometry(newGeometry);
+        drag = null;
+        box = null;
+        render();
+    }
+
+    render();
+    return { setImage, setGeometry };
+}
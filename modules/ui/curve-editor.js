@@ -0,0 +1,227 @@
+// modules/ui/curve-editor.js
+
+import { clamp } from '../utils.js';
+import { buildCurveLut, IDENTITY_CURVE } from '../filters/tone.js';
+import { drawHistogram } from './histogram.js';
+
+const CANVAS_SIZE = 256;
+// A curve needs at least a start and an end point.
+const MIN_POINTS = 2;
+// Points can't get closer than this along x, so the spline stays well defined.
+const MIN_POINT_GAP = 0.01;
+// How close (in canvas pixels) a pointer has to be to grab a point.
+const POINT_GRAB_DISTANCE = 8;
+const POINT_RADIUS = 4;
+// How far a single arrow key press moves the selected point (one 8-bit level).
+const KEYBOARD_NUDGE = 1 / 255;
+
+/**
+ * Creates an editable tone curve inside `container`, drawn over the histogram of its input.
+ * Clicking adds a point, dragging moves it, and double-clicking a point (or pressing Delete while the curve has
+ * focus) removes it. Arrow keys nudge the selected point.
+ * @param {HTMLElement} container - Element that will hold the editor.
+ * @param {Object} callbacks
+ * @param {function(import('../filters/tone.js').CurvePoint[]): void} callbacks.onChange - Called with the sorted
+ *     points whenever they change.
+ * @returns {Object} Controller with `setPoints(points)`, `getPoints()` and `setHistogram(histogram)`.
+ */
+export function createCurveEditor(container, { onChange }) {
+    let points = IDENTITY_CURVE.map(point => ({ ...point }));
+    let selectedPoint = null;
+    let draggedPoint = null;
+    let histogram = null;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'curve-canvas';
+    canvas.width = CANVAS_SIZE;
+    canvas.height = CANVAS_SIZE;
+    canvas.tabIndex = 0;
+    canvas.setAttribute('aria-label', 'Tone curve');
+    const ctx = canvas.getContext('2d');
+    container.appendChild(canvas);
+
+    const toCanvasX = x => x * (CANVAS_SIZE - 1) + 0.5;
+    const toCanvasY = y => (1 - y) * (CANVAS_SIZE - 1) + 0.5;
+
+    function emitChange() {
+        onChange(getPoints());
+    }
+
+    function render() {
+        ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+        drawHistogram(ctx, histogram, { x: 0, y: 0, width: CANVAS_SIZE, height: CANVAS_SIZE }, '#dee2e6');
+
+        // Quarter grid and the unchanged diagonal for reference
+        ctx.strokeStyle = '#ced4da';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 1; i < 4; i++) {
+            const offset = Math.round(i * CANVAS_SIZE / 4) + 0.5;
+            ctx.moveTo(offset, 0);
+            ctx.lineTo(offset, CANVAS_SIZE);
+            ctx.moveTo(0, offset);
+            ctx.lineTo(CANVAS_SIZE, offset);
+        }
+        ctx.moveTo(0, CANVAS_SIZE);
+        ctx.lineTo(CANVAS_SIZE, 0);
+        ctx.stroke();
+
+        // The curve is drawn from the same lookup table the pipeline uses
+        const lut = buildCurveLut(points);
+        ctx.strokeStyle = '#212529';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        lut.forEach((value, v) => {
+            const x = toCanvasX(v / 255);
+            const y = toCanvasY(value / 255);
+            if (v === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+
+        points.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(toCanvasX(point.x), toCanvasY(point.y), POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fillStyle = point === selectedPoint ? '#007bff' : '#ffffff';
+            ctx.fill();
+            ctx.lineWidth = 1.5;
+            ctx.strokeStyle = '#212529';
+            ctx.stroke();
+        });
+        canvas.title = selectedPoint
+            ? `Point: in ${Math.round(selectedPoint.x * 255)}, out ${Math.round(selectedPoint.y * 255)}`
+            : 'Click to add a point';
+    }
+
+    function positionFromEvent(event) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: clamp((event.clientX - rect.left) / rect.width, 0, 1),
+            y: clamp(1 - (event.clientY - rect.top) / rect.height, 0, 1)
+        };
+    }
+
+    function findPointNear(position) {
+        const rect = canvas.getBoundingClientRect();
+        let closest = null;
+        let closestDistance = POINT_GRAB_DISTANCE;
+        points.forEach(point => {
+            const distance = Math.hypot((point.x - position.x) * rect.width, (point.y - position.y) * rect.height);
+            if (distance <= closestDistance) {
+                closest = point;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    // Moves a point, keeping it between its neighbours so the points stay in order.
+    function movePoint(point, x, y) {
+        const index = points.indexOf(point);
+        const minX = index > 0 ? points[index - 1].x + MIN_POINT_GAP : 0;
+        const maxX = index < points.length - 1 ? points[index + 1].x - MIN_POINT_GAP : 1;
+        point.x = clamp(x, minX, maxX);
+        point.y = clamp(y, 0, 1);
+        render();
+        emitChange();
+    }
+
+    function removePoint(point) {
+        if (points.length <= MIN_POINTS) {
+            console.warn(`A curve needs at least ${MIN_POINTS} points.`);
+            return;
+        }
+        points = points.filter(p => p !== point);
+        if (selectedPoint === point) selectedPoint = null;
+        render();
+        emitChange();
+    }
+
+    canvas.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        canvas.focus();
+        const position = positionFromEvent(event);
+        let point = findPointNear(position);
+        if (!point) {
+            // Only add points where there is room between the neighbours
+            const tooClose = points.some(p => Math.abs(p.x - position.x) < MIN_POINT_GAP);
+            if (tooClose) return;
+            point = { x: position.x, y: position.y };
+            points = [...points, point].sort((a, b) => a.x - b.x);
+            emitChange();
+        }
+        selectedPoint = point;
+        draggedPoint = point;
+        canvas.setPointerCapture(event.pointerId);
+        render();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!draggedPoint) return;
+        const position = positionFromEvent(event);
+        movePoint(draggedPoint, position.x, position.y);
+    });
+    const endDrag = (event) => {
+        if (!draggedPoint) return;
+        draggedPoint = null;
+        canvas.releasePointerCapture(event.pointerId);
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('dblclick', (event) => {
+        const point = findPointNear(positionFromEvent(event));
+        if (point) removePoint(point);
+    });
+    canvas.addEventListener('keydown', (event) => {
+        if (!selectedPoint) return;
+        const nudges = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, 1],
+            ArrowDown: [0, -1]
+        };
+        if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            removePoint(selectedPoint);
+        } else if (nudges[event.key]) {
+            event.preventDefault();
+            const [dx, dy] = nudges[event.key];
+            const step = KEYBOARD_NUDGE * (event.shiftKey ? 10 : 1);
+            movePoint(selectedPoint, selectedPoint.x + dx * step, selectedPoint.y + dy * step);
+        }
+    });
+
+    /**
+     * Replaces all points (without calling onChange). The selection is kept if a point with the same input
+     * value survives.
+     * @param {import('../filters/tone.js').CurvePoint[]} newPoints - The new points, sorted by x.
+     */
+    function setPoints(newPoints) {
+        const previousX = selectedPoint ? selectedPoint.x : null;
+        points = newPoints.map(point => ({ x: point.x, y: point.y }));
+        selectedPoint = points.find(point => point.x === previousX) || null;
+        if (draggedPoint) draggedPoint = selectedPoint;
+        render();
+    }
+
+    /**
+     * @returns {import('../filters/tone.js').CurvePoint[]} A copy of the points, sorted by x.
+     */
+    function getPoints() {
+        return points.map(point => ({ ...point }));
+    }
+
+    /**
+     * Shows the histogram of the image entering the Curves step behind the curve.
+     * @param {number[]|null} newHistogram - A 256-bin histogram, or null if there is no image.
+     */
+    function setHistogram(newHistogram) {
+        histogram = newHistogram;
+        render();
+    }
+
+    render();
+    return { setPoints, getPoints, setHistogram };
+}
@@ -0,0 +1,107 @@
+// modules/ui/download.js
+
+/**
+ * Saves a Blob as a file through a temporary link.
+ * @param {Blob} blob - The file content.
+ * @param {string} filename - The file name offered to the user.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    // Give the browser a moment to start the download before releasing the (possibly large) blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File details for the supported download types.
+const FILE_TYPES = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' }
+};
+
+/**
+ * Returns the file extension used for a download type.
+ * @param {string} fileType - 'png' or 'jpeg'.
+ * @returns {string} 'png' or 'jpg'.
+ */
+export function getFileExtension(fileType) {
+    return (FILE_TYPES[fileType] || FILE_TYPES.png).extension;
+}
+
+/**
+ * Encodes the content of a canvas as a PNG or JPEG Blob.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {string} [fileType='png'] - 'png' or 'jpeg'.
+ * @param {number} [quality=0.92] - JPEG quality (0.0 - 1.0).
+ * @returns {Promise<Blob>} The encoded image.
+ */
+export function canvasToBlob(canvas, fileType = 'png', quality = 0.92) {
+    const { mimeType, extension } = FILE_TYPES[fileType] || FILE_TYPES.png;
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error(`The browser could not encode a ${canvas.width}x${canvas.height} ${extension.toUpperCase()}.`));
+            }
+        }, mimeType, quality);
+    });
+}
+
+/**
+ * Saves the content of a canvas as a PNG or JPEG file.
+ * Uses `toBlob` rather than a data URL, so large exports don't have to fit in a string.
+ * @param {HTMLCanvasElement} canvas - The canvas to save.
+ * @param {string} filenamePrefix - Prefix of the downloaded file name (a timestamp is appended).
+ * @param {string} [fileType='png'] - 'png' or 'jpeg'.
+ * @param {number} [quality=0.92] - JPEG quality (0.0 - 1.0).
+ * @param {function(Blob, string, HTMLCanvasElement): Promise<Blob>} [finishBlob] - Last changes to the encoded
+ *     file (e.g. adding metadata), given the blob, the file type and the canvas.
+ * @returns {Promise<void>} Resolves once the download has been started.
+ */
+export async function downloadCanvas(canvas, filenamePrefix, fileType = 'png', quality = 0.92, finishBlob = async blob => blob) {
+    const blob = await finishBlob(await canvasToBlob(canvas, fileType, quality), fileType, canvas);
+    downloadBlob(blob, `${filenamePrefix}_${Date.now()}.${getFileExtension(fileType)}`);
+}
+
+/**
+ * Download functionality for all buttons with class 'download-button'.
+ * Each button names its canvas and output through data attributes:
+ * `data-canvas-id`, `data-filename-prefix`, `data-file-type` and `data-quality`.
+ * @param {Object} [options]
+ * @param {function(string, HTMLCanvasElement): (Promise<HTMLCanvasElement>|null)} [options.renderCanvas] - Lets the
+ *     page render a different canvas for download (e.g. at full resolution) instead of the preview canvas.
+ *     Receives the canvas id and the preview canvas; returning null downloads the preview as is.
+ * @param {function(Blob, string, HTMLCanvasElement): Promise<Blob>} [options.finishBlob] - Last changes to each
+ *     encoded file; see `downloadCanvas`.
+ */
+export function setupDownloadButtons({ renderCanvas = () => null, finishBlob } = {}) {
+    document.addEventListener('click', async (event) => {
+        if (event.target.classList.contains('download-button')) {
+            const button = event.target;
+            const canvasId = button.dataset.canvasId;
+            const filenamePrefix = button.dataset.filenamePrefix;
+            const fileType = button.dataset.fileType || 'png';
+            const quality = parseFloat(button.dataset.quality) || 0.92;
+
+            const canvas = document.getElementById(canvasId);
+
+            if (canvas && canvas.width > 0 && canvas.height > 0) {
+                try {
+                    const downloadSource = (await renderCanvas(canvasId, canvas)) || canvas;
+                    await downloadCanvas(downloadSource, filenamePrefix, fileType, quality, finishBlob);
+                } catch (error) {
+                    console.error(`DEBUG: Download of '${canvasId}' failed.`, error);
+                    alert(`Download failed: ${error.message}`);
+                }
+            } else {
+                console.warn(`Canvas '${canvasId}' is empty or not ready for download.`);
+            }
+        }
+    });
+}
\ No newline at end of file
@@ -0,0 +1,200 @@
+// modules/ui/gradient-stop-bar.js
+
+import { clamp, rgbToHex } from '../utils.js';
+import { sampleGradient, toGradientStops } from '../filters/gradient-map.js';
+
+// A gradient map needs at least a dark and a light end.
+const MIN_STOPS = 2;
+// How far a single arrow key press moves the selected stop.
+const KEYBOARD_NUDGE = 0.01;
+// CSS names of the interpolation spaces, for the bar's preview gradient.
+const CSS_INTERPOLATION_SPACES = { srgb: 'srgb', linear: 'srgb-linear', oklab: 'oklab', oklch: 'oklch' };
+
+/**
+ * Creates an editable gradient stop bar inside `container`.
+ * Clicking the bar adds a stop, dragging a handle moves it, and double-clicking a handle
+ * (or pressing Delete while it has focus) removes it.
+ * @param {HTMLElement} container - Element that will hold the bar.
+ * @param {Object} [callbacks]
+ * @param {function({position: number, hex: string}[]): void} [callbacks.onChange] - Called whenever the stops change.
+ * @param {function({position: number, hex: string}|null): void} [callbacks.onSelect] - Called when the selected stop changes.
+ * @returns {Object} Controller with `setStops`, `getStops`, `getSelectedStop`, `setSelectedColor`, `removeSelectedStop`
+ *     and `setInterpolation`.
+ */
+export function createGradientStopBar(container, { onChange = () => {}, onSelect = () => {} } = {}) {
+    let stops = [];
+    let selectedStop = null;
+    let draggedStop = null;
+    let interpolation = 'srgb';
+    const handles = new Map(); // stop object -> handle element
+
+    const track = document.createElement('div');
+    track.className = 'gradient-stop-track';
+    container.appendChild(track);
+
+    function sortedStops() {
+        return [...stops].sort((a, b) => a.position - b.position);
+    }
+
+    function emitChange() {
+        onChange(getStops());
+    }
+
+    function select(stop) {
+        if (selectedStop === stop) return;
+        selectedStop = stop;
+        render();
+        onSelect(selectedStop ? { ...selectedStop } : null);
+    }
+
+    function positionFromEvent(event) {
+        const rect = track.getBoundingClientRect();
+        return clamp((event.clientX - rect.left) / rect.width, 0, 1);
+    }
+
+    function removeStop(stop) {
+        if (stops.length <= MIN_STOPS) {
+            console.warn(`A gradient needs at least ${MIN_STOPS} stops.`);
+            return;
+        }
+        stops = stops.filter(s => s !== stop);
+        if (selectedStop === stop) {
+            selectedStop = null;
+            onSelect(null);
+        }
+        render();
+        emitChange();
+    }
+
+    function createHandle(stop) {
+        const handle = document.createElement('div');
+        handle.className = 'gradient-stop-handle';
+        handle.tabIndex = 0;
+
+        handle.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            handle.focus();
+            handle.setPointerCapture(event.pointerId);
+            draggedStop = stop;
+            select(stop);
+        });
+        handle.addEventListener('pointermove', (event) => {
+            if (draggedStop !== stop) return;
+            stop.position = positionFromEvent(event);
+            render();
+            emitChange();
+        });
+        const endDrag = (event) => {
+            if (draggedStop !== stop) return;
+            draggedStop = null;
+            handle.releasePointerCapture(event.pointerId);
+        };
+        handle.addEventListener('pointerup', endDrag);
+        handle.addEventListener('pointercancel', endDrag);
+
+        handle.addEventListener('dblclick', () => removeStop(stop));
+        handle.addEventListener('keydown', (event) => {
+            if (event.key === 'Delete' || event.key === 'Backspace') {
+                event.preventDefault();
+                removeStop(stop);
+            } else if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+                event.preventDefault();
+                const direction = event.key === 'ArrowLeft' ? -1 : 1;
+                stop.position = clamp(stop.position + direction * KEYBOARD_NUDGE, 0, 1);
+                render();
+                emitChange();
+            }
+        });
+        return handle;
+    }
+
+    function render() {
+        const sorted = sortedStops();
+        const cssStops = sorted.map(stop => `${stop.hex} ${(stop.position * 100).toFixed(2)}%`);
+        // Browsers without CSS color interpolation spaces ignore the second value and keep the plain sRGB preview
+        track.style.background = `linear-gradient(to right, ${cssStops.join(', ')})`;
+        track.style.background = `linear-gradient(to right in ${CSS_INTERPOLATION_SPACES[interpolation]}, ${cssStops.join(', ')})`;
+
+        // Drop handles of removed stops, keep existing ones so pointer capture survives a drag.
+        for (const [stop, handle] of handles) {
+            if (!stops.includes(stop)) {
+                handle.remove();
+                handles.delete(stop);
+            }
+        }
+        for (const stop of stops) {
+            let handle = handles.get(stop);
+            if (!handle) {
+                handle = createHandle(stop);
+                handles.set(stop, handle);
+                track.appendChild(handle);
+            }
+            handle.style.left = `${stop.position * 100}%`;
+            handle.style.backgroundColor = stop.hex;
+            handle.classList.toggle('selected', stop === selectedStop);
+            handle.title = `${stop.hex} at ${Math.round(stop.position * 100)}%`;
+        }
+    }
+
+    // Clicking the empty part of the bar adds a stop with the color currently found there.
+    track.addEventListener('click', (event) => {
+        if (event.target !== track) return;
+        const position = positionFromEvent(event);
+        const stop = { position, hex: rgbToHex(sampleGradient(toGradientStops(stops), position, interpolation)) };
+        stops.push(stop);
+        select(stop);
+        emitChange();
+    });
+
+    /**
+     * Replaces all stops. The selection is kept if a stop with the same position survives.
+     * @param {{position: number, hex: string}[]} newStops - The new stops.
+     */
+    function setStops(newStops) {
+        const previousPosition = selectedStop ? selectedStop.position : null;
+        stops = newStops.map(stop => ({ position: stop.position, hex: stop.hex }));
+        selectedStop = stops.find(stop => stop.position === previousPosition) || null;
+        render();
+        onSelect(selectedStop ? { ...selectedStop } : null);
+    }
+
+    /**
+     * @returns {{position: number, hex: string}[]} A sorted copy of the current stops.
+     */
+    function getStops() {
+        return sortedStops().map(stop => ({ ...stop }));
+    }
+
+    /**
+     * @returns {{position: number, hex: string}|null} A copy of the selected stop, if any.
+     */
+    function getSelectedStop() {
+        return selectedStop ? { ...selectedStop } : null;
+    }
+
+    /**
+     * Changes the color of the selected stop.
+     * @param {string} hex - The new hex color.
+     */
+    function setSelectedColor(hex) {
+        if (!selectedStop) return;
+        selectedStop.hex = hex;
+        render();
+        emitChange();
+    }
+
+    function removeSelectedStop() {
+        if (selectedStop) removeStop(selectedStop);
+    }
+
+    /**
+     * Sets the color space the gradient is interpolated in (see `INTERPOLATION_SPACES` in color.js).
+     * @param {string} space - The interpolation space.
+     */
+    function setInterpolation(space) {
+        interpolation = space;
+        render();
+    }
+
+    return { setStops, getStops, getSelectedStop, setSelectedColor, removeSelectedStop, setInterpolation };
+}
\ No newline at end of file
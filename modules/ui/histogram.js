@@ -0,0 +1,23 @@
+// modules/ui/histogram.js
+
+/**
+ * Draws a 256-bin histogram as filled bars across the given area of a canvas.
+ * Bar heights use the square root of the counts, so sparse tones stay visible next to a dominant peak.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into.
+ * @param {number[]|null} histogram - The histogram; nothing is drawn without one.
+ * @param {{x: number, y: number, width: number, height: number}} area - Where to draw, in canvas pixels.
+ * @param {string} [color='#ced4da'] - Fill color of the bars.
+ */
+export function drawHistogram(ctx, histogram, area, color = '#ced4da') {
+    if (!histogram) return;
+    const peak = Math.sqrt(Math.max(...histogram));
+    if (peak === 0) return;
+
+    const binWidth = area.width / histogram.length;
+    ctx.fillStyle = color;
+    histogram.forEach((count, bin) => {
+        const barHeight = Math.sqrt(count) / peak * area.height;
+        // Overlap the bars by a pixel so no gaps show between them when scaled
+        ctx.fillRect(area.x + bin * binWidth, area.y + area.height - barHeight, binWidth + 1, barHeight);
+    });
+}
@@ -0,0 +1,94 @@
+// modules/ui/image-upload.js
+
+/**
+ * Clears canvases (resetting width/height to 0 effectively clears and hides them).
+ * @param {HTMLCanvasElement[]} canvases - The canvases to clear.
+ * @param {string} [reason] - Short description used in the debug log.
+ */
+export function clearCanvases(canvases, reason = '') {
+    canvases.forEach(c => {
+        c.width = 0;
+        c.height = 0;
+        console.log(`DEBUG: Cleared canvas${reason ? ` (${reason})` : ''}: ${c.id}`);
+    });
+}
+
+/**
+ * Wires a file input to an HTMLImageElement: the selected file is read as a Data URL,
+ * loaded into `image`, validated, and reported through the callbacks.
+ * @param {HTMLInputElement} fileInput - The `<input type="file">` element.
+ * @param {HTMLImageElement} image - The image that receives the uploaded file.
+ * @param {Object} callbacks
+ * @param {function(File[]): void} [callbacks.onSelect] - Called with all the selected files as soon as a selection
+ *     is made, before the first one is loaded (or handed to `onVideo`).
+ * @param {function(): void} callbacks.onLoad - Called once the image is decoded and has valid dimensions.
+ * @param {function(Object): void} [callbacks.onError] - Called (after the user is alerted) when loading fails.
+ * @param {function(): void} [callbacks.onCancel] - Called when the user closes the file dialog without a file.
+ * @param {function(File): void} [callbacks.onVideo] - Receives video files instead of loading them (an image
+ *     element can't show them). Without it, videos fail like any other undecodable file.
+ */
+export function setupImageUpload(fileInput, image, { onSelect = () => {}, onLoad, onError = () => {}, onCancel = () => {}, onVideo = null }) {
+    function handleImageLoad() {
+        console.log("DEBUG: handleImageLoad fired. Image is ready.");
+        if (image.naturalWidth === 0) {
+            console.error("DEBUG: Image loaded but has 0 naturalWidth/Height, indicating an error or invalid image.");
+            alert("Image loaded, but appears invalid (0 width/height). Please try another image.");
+            handleImageError({type: "decode error", message: "Image loaded but dimensions are zero."});
+            return;
+        }
+        onLoad();
+    }
+
+    function handleImageError(event) {
+        console.error("DEBUG: handleImageError fired.", event);
+        alert("Failed to load image. Please ensure it's a valid image file. Check your browser's console for details.");
+        onError(event);
+    }
+
+    // Assign these handlers ONCE to the Image object, before its src is ever set.
+    image.onload = handleImageLoad;
+    image.onerror = handleImageError;
+
+    fileInput.addEventListener('change', (event) => {
+        console.log("DEBUG: Image upload change event fired.");
+        const file = event.target.files[0];
+        if (file) {
+            console.log(`DEBUG: File selected: ${file.name}, type: ${file.type}, size: ${file.size} bytes.`);
+            onSelect([...event.target.files]);
+            if (onVideo && file.type.startsWith('video/')) {
+                onVideo(file);
+                return;
+            }
+            const reader = new FileReader();
+
+            reader.onload = (e) => {
+                console.log("DEBUG: FileReader onload fired. Setting image.src.");
+                image.src = e.target.result; // Set the image source
+
+                // --- Robustness check for immediate image load from cache ---
+                setTimeout(() => {
+                    if (image.complete && image.naturalWidth !== 0) {
+                        console.log("DEBUG: Image reported as complete (via image.complete) and valid, triggering load handler manually.");
+                        handleImageLoad(); 
+                    } else if (image.complete && image.naturalWidth === 0) {
+                        console.error("DEBUG: Image reported as complete but has 0 naturalWidth, indicating a potential decode error.");
+                        handleImageError({type: "decode error", message: "Image loaded but has zero dimensions."});
+                    } else {
+                        console.log("DEBUG: Image not yet complete, waiting for image.onload event to fire naturally.");
+                    }
+                }, 0); // Delay by 0ms
+            };
+            reader.onerror = (e) => {
+                console.error("DEBUG: FileReader onerror fired.", e.target.error);
+                alert(`Error reading file: ${e.target.error.name}. Check your browser's console for details.`);
+                onError({type: "FileReader error", error: e.target.error});
+            };
+
+            reader.readAsDataURL(file); // Start reading the file as a Data URL
+        } else {
+            // If no file selected (e.g., user opens dialog then cancels)
+            console.log("DEBUG: No file selected (user cancelled dialog).");
+            onCancel();
+        }
+    });
+}
@@ -0,0 +1,196 @@
+// modules/ui/levels-editor.js
+
+import { clamp } from '../utils.js';
+import { getStepDefinition, normalizeParam } from '../pipeline.js';
+import { resolveLevels } from '../filters/tone.js';
+import { drawHistogram } from './histogram.js';
+
+const CANVAS_WIDTH = 256;
+const HISTOGRAM_HEIGHT = 96;
+const MARKER_HEIGHT = 14;
+// How close (in canvas pixels) a pointer has to be to grab a marker.
+const MARKER_GRAB_DISTANCE = 8;
+
+/**
+ * Creates a levels control inside `container`: the input histogram with draggable black point, gamma and
+ * white point markers, plus sliders for every parameter of the Levels step.
+ * In auto mode the black and white points follow the histogram; dragging either marker switches to manual.
+ * @param {HTMLElement} container - Element that will hold the control.
+ * @param {Object} callbacks
+ * @param {function(Object): void} callbacks.onChange - Called with the new Levels step parameters after every edit.
+ * @returns {Object} Controller with `setParams(params)` and `setHistogram(histogram)`.
+ */
+export function createLevelsEditor(container, { onChange }) {
+    const schema = getStepDefinition('levels').params;
+    let params = {};
+    schema.forEach(param => {
+        params[param.name] = param.default;
+    });
+    let histogram = null;
+    let draggedMarker = null;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'levels-canvas';
+    canvas.width = CANVAS_WIDTH;
+    canvas.height = HISTOGRAM_HEIGHT + MARKER_HEIGHT;
+    const ctx = canvas.getContext('2d');
+
+    const controls = document.createElement('div');
+    controls.className = 'tone-params';
+    const inputs = {}; // param name -> {input, output}
+
+    schema.forEach(param => {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'tone-param';
+        const caption = document.createElement('span');
+        caption.textContent = param.label;
+        const input = document.createElement('input');
+        let output = null;
+        if (param.type === 'boolean') {
+            input.type = 'checkbox';
+            input.addEventListener('change', () => update({ [param.name]: input.checked }));
+            wrapper.append(input, caption);
+        } else {
+            input.type = 'range';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            output = document.createElement('output');
+            input.addEventListener('input', () => update({ [param.name]: normalizeParam(param, input.value) }));
+            wrapper.append(caption, input, output);
+        }
+        inputs[param.name] = { input, output };
+        controls.appendChild(wrapper);
+    });
+    container.append(canvas, controls);
+
+    // The levels actually applied: in auto mode the black and white points come from the histogram.
+    function effectiveLevels() {
+        if (params.auto && !histogram) {
+            return { black: 0, white: 255, gamma: params.gamma };
+        }
+        return resolveLevels(params, histogram);
+    }
+
+    // Where the gamma marker sits: the input value that comes out as mid grey.
+    function gammaPosition({ black, white, gamma }) {
+        return black + (white - black) * Math.pow(0.5, gamma);
+    }
+
+    function update(changes) {
+        params = { ...params, ...changes };
+        render();
+        onChange({ ...params });
+    }
+
+    function drawMarker(x, fill) {
+        const top = HISTOGRAM_HEIGHT + 1;
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x - 6, top + MARKER_HEIGHT - 2);
+        ctx.lineTo(x + 6, top + MARKER_HEIGHT - 2);
+        ctx.closePath();
+        ctx.fillStyle = fill;
+        ctx.fill();
+        ctx.strokeStyle = '#495057';
+        ctx.stroke();
+    }
+
+    function render() {
+        const levels = effectiveLevels();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = '#f8f9fa';
+        ctx.fillRect(0, 0, CANVAS_WIDTH, HISTOGRAM_HEIGHT);
+        drawHistogram(ctx, histogram, { x: 0, y: 0, width: CANVAS_WIDTH, height: HISTOGRAM_HEIGHT }, '#adb5bd');
+
+        // Shade the clipped ends
+        ctx.fillStyle = 'rgba(0, 123, 255, 0.12)';
+        ctx.fillRect(0, 0, levels.black, HISTOGRAM_HEIGHT);
+        ctx.fillRect(levels.white + 1, 0, CANVAS_WIDTH - levels.white - 1, HISTOGRAM_HEIGHT);
+
+        drawMarker(levels.black + 0.5, '#000000');
+        drawMarker(gammaPosition(levels) + 0.5, '#808080');
+        drawMarker(levels.white + 0.5, '#ffffff');
+
+        // Sliders show the effective values; black and white are only editable in manual mode
+        schema.forEach(param => {
+            const { input, output } = inputs[param.name];
+            if (param.type === 'boolean') {
+                input.checked = params[param.name];
+                return;
+            }
+            const value = param.name in levels ? levels[param.name] : params[param.name];
+            input.value = value;
+            output.textContent = value;
+        });
+        inputs.black.input.disabled = params.auto;
+        inputs.white.input.disabled = params.auto;
+        inputs.clipBlack.input.disabled = !params.auto;
+        inputs.clipWhite.input.disabled = !params.auto;
+    }
+
+    function valueFromEvent(event) {
+        const rect = canvas.getBoundingClientRect();
+        return clamp((event.clientX - rect.left) / rect.width * CANVAS_WIDTH, 0, 255);
+    }
+
+    canvas.addEventListener('pointerdown', (event) => {
+        const value = valueFromEvent(event);
+        const levels = effectiveLevels();
+        const markers = [
+            { name: 'gamma', position: gammaPosition(levels) },
+            { name: 'black', position: levels.black },
+            { name: 'white', position: levels.white }
+        ];
+        const closest = markers.reduce((best, marker) => (
+            Math.abs(marker.position - value) < Math.abs(best.position - value) ? marker : best
+        ));
+        if (Math.abs(closest.position - value) > MARKER_GRAB_DISTANCE) return;
+        event.preventDefault();
+        canvas.setPointerCapture(event.pointerId);
+        draggedMarker = closest.name;
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!draggedMarker) return;
+        const value = Math.round(valueFromEvent(event));
+        const levels = effectiveLevels();
+        if (draggedMarker === 'black') {
+            // Taking hold of a point fixes both where auto mode had put them
+            update({ auto: false, black: Math.min(value, levels.white - 1), white: levels.white });
+        } else if (draggedMarker === 'white') {
+            update({ auto: false, black: levels.black, white: Math.max(value, levels.black + 1) });
+        } else if (levels.white > levels.black) {
+            const t = clamp((value - levels.black) / (levels.white - levels.black), 0.01, 0.99);
+            const gammaParam = schema.find(param => param.name === 'gamma');
+            update({ gamma: normalizeParam(gammaParam, Math.round(Math.log(t) / Math.log(0.5) * 100) / 100) });
+        }
+    });
+    const endDrag = (event) => {
+        if (!draggedMarker) return;
+        draggedMarker = null;
+        canvas.releasePointerCapture(event.pointerId);
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    /**
+     * Shows the parameters of a Levels step (without calling onChange).
+     * @param {Object} newParams - The step parameters.
+     */
+    function setParams(newParams) {
+        params = { ...newParams };
+        render();
+    }
+
+    /**
+     * Shows the histogram of the image entering the Levels step.
+     * @param {number[]|null} newHistogram - A 256-bin histogram, or null if there is no image.
+     */
+    function setHistogram(newHistogram) {
+        histogram = newHistogram;
+        render();
+    }
+
+    render();
+    return { setParams, setHistogram };
+}
@@ -0,0 +1,249 @@
+// modules/ui/recipe-editor.js
+
+import { createStep, findStepInsertIndex, getStepDefinition, listStepDefinitions, normalizeParam } from '../pipeline.js';
+import '../steps.js'; // Registers the built-in steps offered by 'Add Step'
+import { buildCurveLut } from '../filters/tone.js';
+
+const CURVE_PREVIEW_SIZE = 32;
+
+/**
+ * Creates the control for one step parameter, generated from its schema.
+ * @param {import('../pipeline.js').StepParam} param - The parameter schema.
+ * @param {*} value - The current value.
+ * @param {function(*): void} onInput - Called with the new (validated) value.
+ * @returns {HTMLElement} The control, wrapped with its label.
+ */
+function createParamControl(param, value, onInput) {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'recipe-param';
+    const caption = document.createElement('span');
+    caption.textContent = param.label;
+    wrapper.appendChild(caption);
+
+    switch (param.type) {
+        case 'number': {
+            const range = document.createElement('input');
+            range.type = 'range';
+            range.min = param.min;
+            range.max = param.max;
+            range.step = param.step || 'any';
+            range.value = value;
+            const output = document.createElement('output');
+            output.textContent = value;
+            range.addEventListener('input', () => {
+                const number = normalizeParam(param, range.value);
+                output.textContent = number;
+                onInput(number);
+            });
+            wrapper.append(range, output);
+            break;
+        }
+        case 'boolean': {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = value;
+            checkbox.addEventListener('change', () => onInput(checkbox.checked));
+            wrapper.prepend(checkbox);
+            break;
+        }
+        case 'select': {
+            const select = document.createElement('select');
+            param.options.forEach(option => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                select.appendChild(element);
+            });
+            select.value = value;
+            select.addEventListener('change', () => onInput(select.value));
+            wrapper.appendChild(select);
+            break;
+        }
+        case 'color': {
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = value.length === 4 ? '#' + value[1] + value[1] + value[2] + value[2] + value[3] + value[3] : value;
+            color.addEventListener('input', () => onInput(color.value));
+            wrapper.appendChild(color);
+            break;
+        }
+        case 'stops': {
+            // Stops are edited with the gradient stop bar; here they are only previewed.
+            const swatch = document.createElement('span');
+            swatch.className = 'recipe-stops-swatch';
+            swatch.style.background = `linear-gradient(to right, ${value.map(stop => `${stop.hex} ${stop.position * 100}%`).join(', ')})`;
+            swatch.title = 'Edit these colors with the gradient bar above';
+            wrapper.appendChild(swatch);
+            break;
+        }
+        case 'curve': {
+            // Curves are edited with the curve editor; here they are only previewed.
+            const preview = document.createElement('canvas');
+            preview.className = 'recipe-curve-preview';
+            preview.width = CURVE_PREVIEW_SIZE;
+            preview.height = CURVE_PREVIEW_SIZE;
+            preview.title = 'Edit this curve with the curve editor above';
+            const ctx = preview.getContext('2d');
+            const lut = buildCurveLut(value);
+            ctx.beginPath();
+            lut.forEach((output, input) => {
+                ctx.lineTo(input / 255 * CURVE_PREVIEW_SIZE, (1 - output / 255) * CURVE_PREVIEW_SIZE);
+            });
+            ctx.stroke();
+            wrapper.appendChild(preview);
+            break;
+        }
+        case 'strokes': {
+            // Strokes are painted on the previews; here they can only be counted and cleared.
+            const count = document.createElement('output');
+            count.textContent = `${value.length}`;
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'small-button recipe-step-button';
+            clear.textContent = 'Clear';
+            clear.disabled = value.length === 0;
+            clear.addEventListener('click', () => {
+                count.textContent = '0';
+                clear.disabled = true;
+                onInput([]);
+            });
+            wrapper.append(count, clear);
+            break;
+        }
+        default:
+            caption.textContent += ` (${param.type} values can't be edited here)`;
+    }
+    return wrapper;
+}
+
+/**
+ * Creates an editor for a pipeline recipe inside `container`: steps can be toggled, reordered, removed,
+ * added and tuned through controls generated from each step's parameter schema.
+ * @param {HTMLElement} container - Element that will hold the editor.
+ * @param {Object} callbacks
+ * @param {function(Object): void} callbacks.onChange - Called with a new recipe object after every edit.
+ * @returns {Object} Controller with `setRecipe(recipe)`.
+ */
+export function createRecipeEditor(container, { onChange }) {
+    let recipe = { steps: [] };
+
+    const list = document.createElement('ol');
+    list.className = 'recipe-steps';
+
+    const addGroup = document.createElement('div');
+    addGroup.className = 'recipe-add';
+    const addSelect = document.createElement('select');
+    listStepDefinitions().forEach(definition => {
+        const option = document.createElement('option');
+        option.value = definition.id;
+        option.textContent = definition.label;
+        addSelect.appendChild(option);
+    });
+    const addButton = document.createElement('button');
+    addButton.className = 'small-button';
+    addButton.textContent = 'Add Step';
+    addGroup.append(addSelect, addButton);
+    container.append(list, addGroup);
+
+    // Recipes are treated as immutable: every edit produces a new recipe object.
+    function commit(steps) {
+        recipe = { ...recipe, steps };
+        render();
+        onChange(recipe);
+    }
+
+    function updateParam(index, name, value) {
+        const steps = recipe.steps.map((entry, i) => (
+            i === index ? { ...entry, params: { ...entry.params, [name]: value } } : entry
+        ));
+        // No re-render: it would interrupt a slider drag. The controls already show the new value.
+        recipe = { ...recipe, steps };
+        onChange(recipe);
+    }
+
+    function moveStep(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= recipe.steps.length) return;
+        const steps = [...recipe.steps];
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+        commit(steps);
+    }
+
+    function createButton(label, title, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.className = 'small-button recipe-step-button';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function render() {
+        list.replaceChildren();
+        recipe.steps.forEach((entry, index) => {
+            const definition = getStepDefinition(entry.step);
+            const item = document.createElement('li');
+            item.className = 'recipe-step';
+            item.classList.toggle('disabled', !entry.enabled);
+
+            const header = document.createElement('div');
+            header.className = 'recipe-step-header';
+            const toggle = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.enabled;
+            checkbox.addEventListener('change', () => {
+                commit(recipe.steps.map((e, i) => (i === index ? { ...e, enabled: checkbox.checked } : e)));
+            });
+            toggle.append(checkbox, ` ${definition.label}`);
+            header.append(
+                toggle,
+                createButton('↑', 'Move up', () => moveStep(index, -1), index === 0),
+                createButton('↓', 'Move down', () => moveStep(index, 1), index === recipe.steps.length - 1),
+                createButton('✕', 'Remove step', () => commit(recipe.steps.filter((e, i) => i !== index)))
+            );
+            item.appendChild(header);
+
+            if (definition.params.length > 0) {
+                const params = document.createElement('div');
+                params.className = 'recipe-step-params';
+                const controls = definition.params.map(param => {
+                    const control = createParamControl(param, entry.params[param.name], value => {
+                        updateParam(index, param.name, value);
+                        showApplicableParams();
+                    });
+                    params.appendChild(control);
+                    return { param, control };
+                });
+                // Parameters that only apply to some settings (e.g. one mask type) are hidden otherwise
+                const showApplicableParams = () => {
+                    const current = recipe.steps[index].params;
+                    controls.forEach(({ param, control }) => {
+                        control.hidden = Boolean(param.visibleWhen) && !param.visibleWhen(current);
+                    });
+                };
+                showApplicableParams();
+                item.appendChild(params);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    addButton.addEventListener('click', () => {
+        const steps = [...recipe.steps];
+        steps.splice(findStepInsertIndex(steps, addSelect.value), 0, createStep(addSelect.value));
+        commit(steps);
+    });
+
+    /**
+     * Shows a recipe (without reporting it back through onChange).
+     * @param {Object} newRecipe - A normalized recipe.
+     */
+    function setRecipe(newRecipe) {
+        recipe = newRecipe;
+        render();
+    }
+
+    return { setRecipe };
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+// modules/ui/video-frames.js
+
+import { computeBoundedSize } from '../image-core.js';
+
+// Waits for a media event, failing on the element's 'error' event instead.
+function waitForEvent(video, eventName) {
+    return new Promise((resolve, reject) => {
+        function cleanUp() {
+            video.removeEventListener(eventName, handleEvent);
+            video.removeEventListener('error', handleError);
+        }
+        function handleEvent() {
+            cleanUp();
+            resolve();
+        }
+        function handleError() {
+            cleanUp();
+            reject(new Error('This browser cannot decode the video.'));
+        }
+        video.addEventListener(eventName, handleEvent);
+        video.addEventListener('error', handleError);
+    });
+}
+
+/**
+ * Grabs evenly spaced frames from a video file through a `<video>` element (WebM, MP4 or anything else the
+ * browser plays). Frames are taken from the middle of each frame interval, so the first one isn't a black fade-in.
+ * @param {File} file - The video file.
+ * @param {Object} [options]
+ * @param {number} [options.frameRate=10] - Frames per second to grab.
+ * @param {number} [options.maxFrames=150] - Longer videos are cut off after this many frames.
+ * @param {number} [options.maxLongest=640] - Frames are scaled down so their longest edge is at most this.
+ * @param {function(number): void} [options.onProgress] - Receives the progress (0.0 - 1.0) after every frame.
+ * @returns {Promise<import('../gif.js').Animation>} The frames, looping forever.
+ */
+export async function extractVideoFrames(file, { frameRate = 10, maxFrames = 150, maxLongest = 640, onProgress = () => {} } = {}) {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    try {
+        const loaded = waitForEvent(video, 'loadeddata');
+        video.src = url;
+        await loaded;
+        if (!video.videoWidth || !video.videoHeight || !Number.isFinite(video.duration)) {
+            throw new Error('The video has no readable frames.');
+        }
+
+        const { width, height } = computeBoundedSize(video.videoWidth, video.videoHeight, maxLongest, 0);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const frameCount = Math.max(1, Math.min(maxFrames, Math.floor(video.duration * frameRate)));
+        if (frameCount === maxFrames) {
+            console.warn(`DEBUG: Video cut off after ${maxFrames} frames.`);
+        }
+
+        const frames = [];
+        for (let i = 0; i < frameCount; i++) {
+            const seeked = waitForEvent(video, 'seeked');
+            video.currentTime = Math.min((i + 0.5) / frameRate, video.duration);
+            await seeked;
+            ctx.drawImage(video, 0, 0, width, height);
+            frames.push({ pixels: ctx.getImageData(0, 0, width, height), delay: 1000 / frameRate });
+            onProgress((i + 1) / frameCount);
+        }
+        console.log(`DEBUG: Grabbed ${frames.length} frames (${width}x${height}) from ${file.name}.`);
+        return { width, height, loopCount: 0, frames };
+    } finally {
+        video.removeAttribute('src');
+        video.load(); // Releases the decoder
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,83 @@
+// modules/url-state.js
+// Settings in the URL hash: the recipe and the framing, deflated and base64url-encoded, so a link restores the
+// exact look. The image itself never goes into the URL.
+
+import { normalizeRecipe } from './pipeline.js';
+import './steps.js'; // Registers the built-in steps
+import { normalizeGeometry } from './geometry.js';
+
+const SETTINGS_KEY = 'recipe';
+
+// Prefixes telling how the settings JSON was packed. Browsers without CompressionStream write (and can only read)
+// uncompressed links.
+const DEFLATED_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes the settings for the URL hash.
+ * @param {Object} settings
+ * @param {Object} settings.recipe - The recipe.
+ * @param {import('./geometry.js').Geometry} settings.geometry - The framing.
+ * @returns {Promise<string>} The hash, without the leading '#'.
+ */
+export async function encodeSettingsHash({ recipe, geometry }) {
+    const settings = { recipe: normalizeRecipe(recipe), geometry: normalizeGeometry(geometry) };
+    const json = new TextEncoder().encode(JSON.stringify(settings));
+    const packed = typeof CompressionStream === 'function'
+        ? DEFLATED_PREFIX + toBase64Url(await transformBytes(json, new CompressionStream('deflate')))
+        : PLAIN_PREFIX + toBase64Url(json);
+    return `${SETTINGS_KEY}=${packed}`;
+}
+
+/**
+ * Reads the settings from a URL hash.
+ * @param {string} hash - The hash, with or without the leading '#'.
+ * @returns {Promise<{recipe: Object, geometry: import('./geometry.js').Geometry}|null>} The normalized settings,
+ *     or null if the hash holds none.
+ */
+export async function decodeSettingsHash(hash) {
+    const packed = new URLSearchParams(hash.replace(/^#/, '')).get(SETTINGS_KEY);
+    if (!packed) return null;
+
+    let settings;
+    try {
+        const bytes = fromBase64Url(packed.slice(1));
+        if (packed[0] === DEFLATED_PREFIX) {
+            if (typeof DecompressionStream !== 'function') {
+                throw new Error('this browser cannot decompress it');
+            }
+            settings = JSON.parse(new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream('deflate'))));
+        } else if (packed[0] === PLAIN_PREFIX) {
+            settings = JSON.parse(new TextDecoder().decode(bytes));
+        } else {
+            throw new Error('unknown encoding');
+        }
+    } catch (error) {
+        throw new Error(`The settings in the link are damaged (${error.message}).`);
+    }
+    // Links made before framing was added hold just the recipe
+    const recipe = settings && settings.recipe ? settings.recipe : settings;
+    return { recipe: normalizeRecipe(recipe), geometry: normalizeGeometry(settings && settings.geometry) };
+}
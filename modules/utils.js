@@ -1,17 +1,75 @@
 // modules/utils.js
 
+/**
+ * Plain RGBA pixels, so the pixel functions run anywhere (browser, worker or Node).
+ * ImageData objects satisfy this shape, so they can be passed in directly.
+ * Inside the pipeline the data is a Float32Array on the same 0-255 scale, so values aren't rounded between steps;
+ * the pixel functions accept either kind.
+ * @typedef {Object} PixelBuffer
+ * @property {number} width - Width in pixels.
+ * @property {number} height - Height in pixels.
+ * @property {Uint8ClampedArray|Float32Array} data - RGBA values, row by row (`width * height * 4` entries).
+ */
+
+/**
+ * Creates a pixel buffer.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @param {Uint8ClampedArray|Float32Array} [data] - Existing RGBA values to wrap. Defaults to transparent black bytes.
+ * @returns {PixelBuffer} The pixel buffer.
+ */
+export function createPixelBuffer(width, height, data = new Uint8ClampedArray(width * height * 4)) {
+    if (data.length !== width * height * 4) {
+        throw new Error(`Pixel data has ${data.length} bytes, expected ${width * height * 4} for ${width}x${height}.`);
+    }
+    return { width, height, data };
+}
+
+/**
+ * Copies pixels into a Float32 buffer, the pipeline's working format.
+ * @param {PixelBuffer} pixels - The pixels (8-bit or float).
+ * @returns {PixelBuffer} A float copy.
+ */
+export function toFloatPixels(pixels) {
+    return createPixelBuffer(pixels.width, pixels.height, new Float32Array(pixels.data));
+}
+
+/**
+ * Rounds pixels to 8 bits (clamped to 0-255), for display and encoding.
+ * @param {PixelBuffer} pixels - The pixels (8-bit or float).
+ * @returns {PixelBuffer} An 8-bit copy.
+ */
+export function toBytePixels(pixels) {
+    return createPixelBuffer(pixels.width, pixels.height, new Uint8ClampedArray(pixels.data));
+}
+
 /**
  * Converts a hex color string (e.g., "#RRGGBB") to an RGB object.
  * @param {string} hex - Hex color string.
  * @returns {{r: number, g: number, b: number}} RGB object.
  */
 export function hexToRgb(hex) {
+    if (hex.length === 4) {
+        // Expand shorthand "#RGB" to "#RRGGBB"
+        hex = '#' + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
+    }
     const r = parseInt(hex.slice(1, 3), 16);
     const g = parseInt(hex.slice(3, 5), 16);
     const b = parseInt(hex.slice(5, 7), 16);
     return { r, g, b };
 }
 
+/**
+ * Converts an RGB object to a lowercase hex color string (e.g., "#rrggbb").
+ * @param {{r: number, g: number, b: number}} rgb - RGB object (components are rounded and clamped to 0-255).
+ * @returns {string} Hex color string.
+ */
+export function rgbToHex({ r, g, b }) {
+    return '#' + [r, g, b]
+        .map(c => clamp(Math.round(c), 0, 255).toString(16).padStart(2, '0'))
+        .join('');
+}
+
 /**
  * Clamps a value between a minimum and maximum.
  * @param {number} value - The value to clamp.
@@ -23,14 +81,42 @@ export function clamp(value, min, max) {
     return Math.max(min, Math.min(value, max));
 }
 
+// --- Browser-only helpers (canvas) ---
+
+/**
+ * Wraps a pixel buffer as an ImageData object for canvas APIs (ImageData is passed through as is).
+ * @param {PixelBuffer} pixels - The pixels.
+ * @returns {ImageData} ImageData sharing the same bytes.
+ */
+export function toImageData(pixels) {
+    if (pixels instanceof ImageData) return pixels;
+    return new ImageData(pixels.data, pixels.width, pixels.height);
+}
+
+/**
+ * Reads the pixels of a loaded image at its natural size.
+ * @param {HTMLImageElement|ImageBitmap} image - The image.
+ * @returns {PixelBuffer} Its pixels.
+ */
+export function readImagePixels(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, width, height);
+}
+
 /**
- * Draws an ImageData object onto a canvas.
+ * Draws pixels onto a canvas.
  * @param {HTMLCanvasElement} canvas - The target canvas.
- * @param {ImageData} imageData - The ImageData object to draw.
+ * @param {PixelBuffer} imageData - The pixels (an ImageData object or a plain pixel buffer) to draw.
  */
 export function drawImageDataToCanvas(canvas, imageData) {
     canvas.width = imageData.width;
     canvas.height = imageData.height;
     const ctx = canvas.getContext('2d');
-    ctx.putImageData(imageData, 0, 0);
+    ctx.putImageData(toImageData(imageData), 0, 0);
 }
\ No newline at end of file
@@ -0,0 +1,106 @@
+// modules/zip.js
+// Minimal client-side ZIP writer. Entries are stored uncompressed: PNG and JPEG data is already
+// compressed, so deflating it again would cost time for next to no gain.
+
+// ZIP fields are 32-bit; larger archives would need the ZIP64 extensions.
+const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by ZIP (and PNG).
+ * @param {Uint8Array} bytes - The data.
+ * @param {number} [crc=0] - Checksum of the preceding data, to continue a running checksum.
+ * @returns {number} The unsigned 32-bit checksum.
+ */
+export function crc32(bytes, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    crc = ~crc >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+// Packs a date into the MS-DOS time and date fields used by ZIP.
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive from a list of files.
+ * @param {{name: string, blob: Blob, lastModified?: Date}[]} files - Files to store; `name` may contain '/' folders.
+ * @returns {Promise<Blob>} The ZIP archive.
+ */
+export async function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];        // Local headers and file data, in archive order
+    const centralParts = []; // Central directory records
+    let offset = 0;
+
+    for (const file of files) {
+        const nameBytes = encoder.encode(file.name);
+        const data = new Uint8Array(await file.blob.arrayBuffer());
+        const checksum = crc32(data);
+        const { time, date } = toDosDateTime(file.lastModified || new Date());
+
+        if (offset + 30 + nameBytes.length + data.length > MAX_ZIP_SIZE) {
+            throw new Error('The ZIP archive would be larger than 4 GB. Please process fewer or smaller images.');
+        }
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // Local file header signature
+        local.setUint16(4, 20, true);         // Version needed to extract (2.0)
+        local.setUint16(6, 0x0800, true);     // Flags: names are UTF-8
+        local.setUint16(8, 0, true);          // Compression: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        parts.push(local.buffer, nameBytes, file.blob);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        // Extra field, comment, disk number, internal and external attributes stay 0
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralParts.push(central.buffer, nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);  // Entries on this disk
+    end.setUint16(10, files.length, true); // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);       // Offset of the central directory
+
+    return new Blob([...parts, ...centralParts, end.buffer], { type: 'application/zip' });
+}
\ No newline at end of file
@@ -0,0 +1,134 @@
+// rgb-split-main.js
+
+// --- Imports from other modules ---
+import { drawImageDataToCanvas, readImagePixels } from './modules/utils.js';
+import { resizeImageToBounds } from './modules/image-core.js';
+import { applyRgbSplit } from './modules/filters/rgb-split.js';
+import { clonePixels } from './modules/pipeline.js';
+import { setupImageUpload, clearCanvases } from './modules/ui/image-upload.js';
+import { setupDownloadButtons } from './modules/ui/download.js';
+
+// --- Configuration ---
+const MAX_LONGEST_EDGE_PX = 1000;
+const MIN_SHORTEST_EDGE_PX = 300;
+
+// Default channel offsets in pixels
+const DEFAULT_OFFSETS = {
+    red: { x: 8, y: 0 },
+    green: { x: 0, y: 0 },
+    blue: { x: -8, y: 0 }
+};
+const CHANNELS = ['red', 'green', 'blue'];
+
+// HTMLImageElement for loading
+const originalImage = new Image();
+
+// --- Wrap all DOM-dependent code in DOMContentLoaded listener ---
+document.addEventListener('DOMContentLoaded', () => {
+    // --- DOM Elements ---
+    const imageUpload = document.getElementById('imageUpload');
+    const lensModeInput = document.getElementById('lensMode'); // Radial lens mode toggle
+    const edgeModeSelect = document.getElementById('edgeMode'); // clamp / wrap / transparent
+    const resetOffsetsButton = document.getElementById('resetOffsetsButton'); // Reset button
+
+    const originalCanvas = document.getElementById('originalCanvas');
+    const rgbSplitCanvas = document.getElementById('rgbSplitCanvas');
+
+    // One X and one Y slider (plus its value readout) per channel, e.g. #redOffsetX / #redOffsetXValue
+    const offsetInputs = {};
+    CHANNELS.forEach(channel => {
+        offsetInputs[channel] = {};
+        ['X', 'Y'].forEach(axis => {
+            offsetInputs[channel][axis] = {
+                input: document.getElementById(`${channel}Offset${axis}`),
+                output: document.getElementById(`${channel}Offset${axis}Value`)
+            };
+        });
+    });
+
+    // Resized original, cached so offset changes don't resize again
+    let resizedImageData = null;
+
+    // --- Image Upload ---
+
+    const resultCanvases = [originalCanvas, rgbSplitCanvas];
+
+    setupImageUpload(imageUpload, originalImage, {
+        onLoad: () => {
+            clearCanvases(resultCanvases); // Clear previous canvas content
+            resizedImageData = resizeImageToBounds(readImagePixels(originalImage), MAX_LONGEST_EDGE_PX, MIN_SHORTEST_EDGE_PX);
+            drawImageDataToCanvas(originalCanvas, resizedImageData);
+            console.log("DEBUG: Resize complete.");
+            processImage(); // Process the image immediately after it loads
+        },
+        onError: () => {
+            resizedImageData = null;
+            clearCanvases(resultCanvases, 'on error');
+        },
+        onCancel: () => {
+            resizedImageData = null;
+            clearCanvases(resultCanvases, 'no file selected');
+        }
+    });
+
+    // --- Event Listeners for Split Controls ---
+
+    CHANNELS.forEach(channel => {
+        Object.values(offsetInputs[channel]).forEach(({ input, output }) => {
+            input.addEventListener('input', () => {
+                output.textContent = input.value;
+                processImage();
+            });
+        });
+    });
+    lensModeInput.addEventListener('change', processImage);
+    edgeModeSelect.addEventListener('change', processImage);
+
+    resetOffsetsButton.addEventListener('click', () => {
+        console.log("DEBUG: Reset Offsets button clicked.");
+        CHANNELS.forEach(channel => {
+            const { X, Y } = offsetInputs[channel];
+            X.input.value = X.output.textContent = DEFAULT_OFFSETS[channel].x;
+            Y.input.value = Y.output.textContent = DEFAULT_OFFSETS[channel].y;
+        });
+        processImage();
+    });
+
+    // Download functionality for all buttons with class 'download-button'
+    setupDownloadButtons();
+
+    /**
+     * Reads the current filter options from the controls.
+     * @returns {import('./modules/filters/rgb-split.js').RgbSplitOptions} The RGB split options.
+     */
+    function readOptions() {
+        const options = {
+            lens: lensModeInput.checked,
+            edge: edgeModeSelect.value
+        };
+        CHANNELS.forEach(channel => {
+            options[channel] = {
+                x: parseFloat(offsetInputs[channel].X.input.value) || 0,
+                y: parseFloat(offsetInputs[channel].Y.input.value) || 0
+            };
+        });
+        return options;
+    }
+
+    /**
+     * Applies the RGB split to the resized original and shows the result.
+     */
+    function processImage() {
+        if (!resizedImageData) {
+            console.error("DEBUG: processImage() aborted: No valid image loaded.");
+            return; // Exit silently if no image is loaded
+        }
+
+        const options = readOptions();
+        console.log("DEBUG: Applying RGB split with options", options);
+
+        const splitImageData = applyRgbSplit(clonePixels(resizedImageData), options);
+        drawImageDataToCanvas(rgbSplitCanvas, splitImageData);
+        console.log("DEBUG: RGB split complete.");
+    }
+}); // End of DOMContentLoaded
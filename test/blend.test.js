@@ -0,0 +1,109 @@
+// test/blend.test.js
+// Blend modes, opacity and the luminance, gradient and brush masks of the Blend with Original step.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyBlend, computeBlendMask } from '../modules/filters/blend.js';
+import { normalizeRecipe, runRecipe } from '../modules/pipeline.js';
+import '../modules/steps.js';
+
+// An image of the given size filled with one color
+function createImage(width, height, color) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data.set(color, i);
+    }
+    return { width, height, data };
+}
+
+// Blends one pixel over another and returns the result
+function blendPixel(top, backdrop, options) {
+    return [...applyBlend(createImage(1, 1, top), createImage(1, 1, backdrop), options).data];
+}
+
+function maskValues(width, height, options, source = createImage(width, height, [0, 0, 0, 255])) {
+    return Array.from(computeBlendMask(source, options), value => Math.round(value * 1000) / 1000);
+}
+
+test('the separable modes follow the compositing formulas', () => {
+    const top = [100, 150, 250, 255];
+    const backdrop = [200, 100, 50, 255];
+    assert.deepEqual(blendPixel(top, backdrop, { mode: 'normal' }), top);
+    // b * s: 200 * 100 / 255 = 78.4, 100 * 150 / 255 = 58.8, 50 * 250 / 255 = 49.0
+    assert.deepEqual(blendPixel(top, backdrop, { mode: 'multiply' }), [78, 59, 49, 255]);
+    // b + s - b * s
+    assert.deepEqual(blendPixel(top, backdrop, { mode: 'screen' }), [222, 191, 251, 255]);
+    // Screens where the backdrop is light (red), multiplies (twice) where it is dark (green, blue)
+    assert.deepEqual(blendPixel(top, backdrop, { mode: 'overlay' }), [188, 118, 98, 255]);
+    // A mid grey top layer leaves the backdrop as it is
+    assert.deepEqual(blendPixel([128, 128, 128, 255], backdrop, { mode: 'softLight' }), [200, 100, 50, 255]);
+});
+
+test('color and luminosity swap the luminosity of the layers', () => {
+    // The grey backdrop's luminosity with the red's hue, pulled back into gamut: 128 + (x - 128) * 127 / 178.5
+    assert.deepEqual(blendPixel([255, 0, 0, 255], [128, 128, 128, 255], { mode: 'color' }), [255, 74, 74, 255]);
+    // The backdrop's colors raised from a luminosity of 123.4 to the grey's 128
+    assert.deepEqual(blendPixel([128, 128, 128, 255], [200, 100, 40, 255], { mode: 'luminosity' }), [205, 105, 45, 255]);
+});
+
+test('opacity and the mask mix the result with the original', () => {
+    assert.deepEqual(blendPixel([100, 100, 100, 255], [200, 200, 200, 255], { opacity: 50 }), [150, 150, 150, 255]);
+    assert.deepEqual(blendPixel([100, 100, 100, 255], [200, 200, 200, 255], { opacity: 0 }), [200, 200, 200, 255]);
+    const masked = applyBlend(createImage(2, 1, [0, 0, 0, 255]), createImage(2, 1, [200, 200, 200, 255]),
+        { mask: new Float32Array([0, 0.5]) });
+    assert.deepEqual([...masked.data], [200, 200, 200, 255, 100, 100, 100, 255]);
+});
+
+test('applyBlend rejects unknown modes and other sizes', () => {
+    assert.throws(() => applyBlend(createImage(1, 1, [0, 0, 0, 255]), createImage(1, 1, [0, 0, 0, 255]), { mode: 'dodge' }),
+        /Unknown blend mode 'dodge'/);
+    assert.throws(() => applyBlend(createImage(1, 1, [0, 0, 0, 255]), createImage(2, 1, [0, 0, 0, 255])), /different size/);
+});
+
+test('the luminance mask covers the chosen tones', () => {
+    const source = { width: 3, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255, 100, 100, 100, 255, 200, 200, 200, 255]) };
+    assert.deepEqual(maskValues(3, 1, { mask: 'luminance', low: 0, high: 128 }, source), [1, 1, 0]);
+    assert.deepEqual(maskValues(3, 1, { mask: 'luminance', low: 0, high: 128, invertMask: true }, source), [0, 0, 1]);
+    assert.equal(computeBlendMask(source, { mask: 'none' }), null);
+    assert.throws(() => computeBlendMask(source, { mask: 'stencil' }), /Unknown mask type 'stencil'/);
+});
+
+test('gradient masks are hard without feathering and soft with it', () => {
+    assert.deepEqual(maskValues(4, 1, { mask: 'linear', angle: 0, position: 50 }), [0, 0, 1, 1]);
+    assert.deepEqual(maskValues(4, 1, { mask: 'linear', angle: 180, position: 50 }), [1, 1, 0, 0]);
+    // Feathered across the whole width: symmetric around the middle
+    const soft = maskValues(4, 1, { mask: 'linear', angle: 0, position: 50, feather: 100 });
+    assert.ok(soft[0] > 0 && soft[0] < soft[1] && soft[1] < 0.5);
+    assert.ok(Math.abs(soft[0] + soft[3] - 1) < 1e-9);
+    // A radius of 1 px (20% of 5 px) around the center only covers the center pixel
+    const radial = maskValues(5, 5, { mask: 'radial', radius: 20 });
+    assert.deepEqual(radial.map((value, i) => (value > 0 ? i : -1)).filter(i => i >= 0), [12]);
+});
+
+test('masks come out the same in tiles as in the whole image', () => {
+    const options = { mask: 'radial', centerX: 30, centerY: 60, radius: 40, feather: 50 };
+    const whole = maskValues(8, 8, options);
+    const tile = maskValues(8, 3, { ...options, region: { x: 0, y: 5, width: 8, height: 8 } });
+    assert.deepEqual(tile, whole.slice(5 * 8));
+});
+
+test('brush strokes paint and erase', () => {
+    const stroke = { points: [[0.45, 0.45]], size: 20, erase: false }; // A 1 px radius dot on pixel (4, 4)
+    const painted = maskValues(10, 10, { mask: 'brush', strokes: [stroke], feather: 0 });
+    assert.equal(painted[4 * 10 + 4], 1);
+    assert.equal(painted.filter(value => value > 0).length, 1);
+    const line = maskValues(10, 10, { mask: 'brush', strokes: [{ ...stroke, points: [[0.05, 0.45], [0.95, 0.45]] }], feather: 0 });
+    assert.deepEqual(line.slice(4 * 10, 5 * 10), new Array(10).fill(1));
+    const erased = maskValues(10, 10, { mask: 'brush', strokes: [stroke, { ...stroke, erase: true }], feather: 0 });
+    assert.ok(erased.every(value => value === 0));
+});
+
+test('the blend step mixes the processed image with the recipe\'s input', () => {
+    const source = createImage(2, 2, [200, 100, 50, 255]);
+    const recipe = normalizeRecipe({ steps: [{ step: 'greyscale' }, { step: 'blend', params: { opacity: 0 } }] });
+    assert.deepEqual([...runRecipe(source, recipe).data], [...source.data]);
+    const luminosity = normalizeRecipe({ steps: [{ step: 'greyscale' }, { step: 'blend', params: { mode: 'luminosity' } }] });
+    // The grey only lends its luminosity, so the original's colors come back
+    const [r, g, b] = runRecipe(source, luminosity).data;
+    assert.ok(r > g && g > b);
+});
@@ -0,0 +1,81 @@
+// test/cli.test.js
+// Runs the duotone command end to end and compares its output with golden images.
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { copyFile, mkdir, mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { decodePng } from '../cli/png.js';
+import { compareImages, fixturePath, getPixel, readPngFixture } from './helpers.js';
+
+const CLI_PATH = fileURLToPath(new URL('../cli/duotone.js', import.meta.url));
+
+// Runs the command and resolves with its exit code and output (also when it fails).
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI_PATH, ...args], (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+let outDir;
+before(async () => {
+    outDir = await mkdtemp(path.join(tmpdir(), 'duotone-test-'));
+});
+after(async () => {
+    await rm(outDir, { recursive: true, force: true });
+});
+
+// The golden images were written by this command; allow one level for floating point differences between platforms
+test('writes the normal and inverted duotones of a PNG', async () => {
+    const { code, stderr } = await runCli([
+        '--size', 'original', '--variants', 'normal,inverted', '--out', outDir, fixturePath('cli/input.png')
+    ]);
+    assert.equal(code, 0, stderr);
+    for (const variant of ['normal', 'inverted']) {
+        const actual = decodePng(new Uint8Array(await readFile(path.join(outDir, `input_${variant}.png`))));
+        const golden = await readPngFixture(`cli/input_${variant}.png`);
+        assert.ok(compareImages(actual, golden).max <= 1, `${variant} differs from the golden image`);
+    }
+});
+
+// Worked out by hand rather than from a golden image: without levels and curve, a pixel's luminosity
+// (Rec. 709: 0.2126 R + 0.7152 G + 0.0722 B) picks its place between the two colors.
+test('maps each pixel between the two colors by its luminosity', async () => {
+    const { code, stderr } = await runCli([
+        '--dark', '#ff0000', '--light', '#0000ff', '--no-levels', '--no-curve',
+        '--size', 'original', '--variants', 'normal', '--out', outDir, fixturePath('cli/input.png')
+    ]);
+    assert.equal(code, 0, stderr);
+    const input = await readPngFixture('cli/input.png');
+    const output = decodePng(new Uint8Array(await readFile(path.join(outDir, 'input_normal.png'))));
+    for (const [x, y] of [[47, 0], [0, 31], [47, 31], [10, 10], [24, 16]]) {
+        const [r, g, b, a] = getPixel(input, x, y);
+        const grey = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        const [outR, outG, outB, outA] = getPixel(output, x, y);
+        assert.ok(Math.abs(outR - (255 - grey)) <= 1, `red at ${x},${y}: ${outR}`);
+        assert.equal(outG, 0);
+        assert.ok(Math.abs(outB - grey) <= 1, `blue at ${x},${y}: ${outB}`);
+        assert.equal(outA, a);
+    }
+    assert.equal(getPixel(output, 0, 0)[3], 0); // The transparent corner stays transparent
+});
+
+test('refuses inputs whose output files would overwrite each other', async () => {
+    const clashDir = path.join(outDir, 'clash');
+    await mkdir(path.join(clashDir, 'a'), { recursive: true });
+    await mkdir(path.join(clashDir, 'b'), { recursive: true });
+    await copyFile(fixturePath('cli/input.png'), path.join(clashDir, 'a', 'photo.png'));
+    await copyFile(fixturePath('cli/input.png'), path.join(clashDir, 'b', 'Photo.png'));
+
+    const { code, stderr } = await runCli([
+        '--out', clashDir, path.join(clashDir, 'a', 'photo.png'), path.join(clashDir, 'b', 'Photo.png')
+    ]);
+    assert.equal(code, 2);
+    assert.match(stderr, /would write the same output files/);
+    assert.deepEqual((await readdir(clashDir)).sort(), ['a', 'b']);
+});
@@ -0,0 +1,101 @@
+// test/color.test.js
+// Color-space conversions and mixing, checked against published OKLab values.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    linearToSrgb,
+    mixColors,
+    oklabToOklch,
+    oklabToRgb,
+    oklchToOklab,
+    rgbToOklab,
+    srgbToLinear
+} from '../modules/color.js';
+import { sampleGradient } from '../modules/filters/gradient-map.js';
+import { applyGreyscale } from '../modules/image-core.js';
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+const GREY = { r: 128, g: 128, b: 128 };
+const RED = { r: 255, g: 0, b: 0 };
+const BLUE = { r: 0, g: 0, b: 255 };
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('srgbToLinear and linearToSrgb follow the sRGB transfer curve', () => {
+    assert.equal(srgbToLinear(0), 0);
+    assert.equal(srgbToLinear(255), 1);
+    assertClose(srgbToLinear(10), 10 / 255 / 12.92, 1e-12); // The straight part near black
+    assertClose(srgbToLinear(128), 0.2158605, 1e-6);
+    assertClose(srgbToLinear(127.5), Math.pow((127.5 / 255 + 0.055) / 1.055, 2.4), 1e-12);
+    assertClose(linearToSrgb(0.5), 187.516, 1e-3);
+    assertClose(linearToSrgb(2), 255, 1e-9); // Clipped
+    for (let v = 0; v < 256; v += 15) {
+        assertClose(linearToSrgb(srgbToLinear(v)), v, 1e-9);
+    }
+});
+
+test('rgbToOklab matches the published values for white and red', () => {
+    const white = rgbToOklab(WHITE);
+    assertClose(white.L, 1, 1e-6);
+    assertClose(white.a, 0, 1e-6);
+    assertClose(white.b, 0, 1e-6);
+
+    const red = rgbToOklab(RED);
+    assertClose(red.L, 0.62796, 1e-5);
+    assertClose(red.a, 0.22486, 1e-5);
+    assertClose(red.b, 0.12585, 1e-5);
+
+    const lch = oklabToOklch(red);
+    assertClose(lch.C, 0.25768, 1e-5);
+    assertClose(lch.h, 29.2339, 1e-3);
+});
+
+test('OKLab and OKLCH conversions round-trip', () => {
+    for (const color of [BLACK, WHITE, GREY, RED, BLUE, { r: 12, g: 200, b: 97 }]) {
+        const back = oklabToRgb(oklchToOklab(oklabToOklch(rgbToOklab(color))));
+        assertClose(back.r, color.r, 1e-3, 'r');
+        assertClose(back.g, color.g, 1e-3, 'g');
+        assertClose(back.b, color.b, 1e-3, 'b');
+    }
+    assert.ok(Number.isNaN(oklabToOklch(rgbToOklab(GREY)).h)); // Greys have no hue
+});
+
+test('mixColors mixes black and white in each space', () => {
+    assert.deepEqual(mixColors(BLACK, WHITE, 0.5, 'srgb'), { r: 127.5, g: 127.5, b: 127.5 });
+    assertClose(mixColors(BLACK, WHITE, 0.5, 'linear').g, 187.516, 1e-3);
+    // OKLab lightness is the cube root of linear light, so its midpoint is 1/8 linear
+    assertClose(mixColors(BLACK, WHITE, 0.5, 'oklab').g, linearToSrgb(0.125), 1e-4);
+    assertClose(mixColors(BLACK, WHITE, 0.5, 'oklch').g, linearToSrgb(0.125), 1e-4);
+});
+
+test('mixColors in OKLCH keeps the hue of a color mixed with grey', () => {
+    const mixed = mixColors(GREY, RED, 0.5, 'oklch');
+    assertClose(oklabToOklch(rgbToOklab(mixed)).h, 29.2339, 0.5);
+});
+
+test('mixColors in OKLCH takes the shorter way around the hue circle', () => {
+    // Red (29°) to blue (264°) goes through magenta, not green
+    const mixed = mixColors(RED, BLUE, 0.5, 'oklch');
+    assert.ok(mixed.r > mixed.g && mixed.b > mixed.g, JSON.stringify(mixed));
+});
+
+test('mixColors rejects unknown spaces', () => {
+    assert.throws(() => mixColors(BLACK, WHITE, 0.5, 'hsl'), /Unknown interpolation space 'hsl'/);
+});
+
+test('sampleGradient interpolates in the given space', () => {
+    const stops = [{ position: 0, color: BLACK }, { position: 1, color: WHITE }];
+    assertClose(sampleGradient(stops, 0.5, 'linear').r, 187.516, 1e-3);
+    assertClose(sampleGradient(stops, 0.5, 'oklab').r, linearToSrgb(0.125), 1e-4);
+});
+
+test('applyGreyscale weighs linear light with the linear option', () => {
+    const green = () => ({ width: 1, height: 1, data: new Uint8ClampedArray([0, 255, 0, 255]) });
+    assert.equal(applyGreyscale(green()).data[0], Math.round(0.7152 * 255));
+    const expected = (1.055 * Math.pow(0.7152, 1 / 2.4) - 0.055) * 255;
+    assertClose(applyGreyscale(green(), { linear: true }).data[0], expected, 0.5);
+});
@@ -0,0 +1,24 @@
+// test/export.test.js
+// Export sizes against the canvas limits.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeExportSize, MAX_EXPORT_AREA_PX, MAX_EXPORT_EDGE_PX } from '../modules/export.js';
+
+test('keeps exports within the smallest browser canvas area', () => {
+    assert.equal(MAX_EXPORT_AREA_PX, 16777216);
+    const size = computeExportSize(8000, 6000, { mode: 'original' });
+    assert.ok(size.limited);
+    assert.ok(size.width * size.height <= MAX_EXPORT_AREA_PX);
+    assert.ok(Math.abs(size.width / size.height - 8000 / 6000) < 0.001);
+});
+
+test('keeps long exports within the edge limit', () => {
+    const size = computeExportSize(20000, 1000, { mode: 'original' });
+    assert.deepEqual(size, { width: MAX_EXPORT_EDGE_PX, height: 819, limited: true });
+});
+
+test('leaves exports within the limits alone', () => {
+    assert.deepEqual(computeExportSize(3000, 2000, { mode: 'scale', scale: 1.3 }), { width: 3900, height: 2600, limited: false });
+    assert.deepEqual(computeExportSize(3000, 2000, { mode: 'longEdge', longEdge: 4096 }), { width: 4096, height: 2731, limited: false });
+});
@@ -0,0 +1,158 @@
+// test/gif.test.js
+// GIF decoder against an animation using every disposal method, encoder round-trips and animation palettes.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeGif, encodeGif, isGif } from '../modules/gif.js';
+import { buildAnimationPalette, encodeAnimation, processFrames } from '../modules/animation.js';
+import { createStep, normalizeRecipe } from '../modules/pipeline.js';
+import { createPixelBuffer } from '../modules/utils.js';
+import { compareImages, getPixel, readFixture } from './helpers.js';
+
+const RED = [255, 0, 0, 255];
+const BLUE = [0, 0, 255, 255];
+const GREEN = [0, 255, 0, 255];
+const WHITE = [255, 255, 255, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// Expected frames of fixtures/gif/disposal.gif, row by row ('R' red, 'B' blue, 'G' green, 'W' white, '.' clear)
+const DISPOSAL_FRAMES = [
+    ['RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR'],
+    // The blue patch is disposed of by restoring the background, which leaves a hole
+    ['RRRRRRRR', 'RRBBBRRR', 'RRBBBRRR', 'RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR'],
+    // Green patch with a transparent pixel, disposed of by restoring the previous frame
+    ['GGRRRRRR', 'GR...RRR', 'RR...RRR', 'RRRRRRRR', 'RRRRRRRR', 'RRRRRRRR'],
+    // White from a local color table
+    ['RRRRRRRR', 'RR...RRR', 'RR...RRR', 'RRRRRRRR', 'RRRRRRWW', 'RRRRRRWW']
+];
+const COLORS = { R: RED, B: BLUE, G: GREEN, W: WHITE, '.': CLEAR };
+
+test('decodes an animation with every disposal method', async () => {
+    const bytes = await readFixture('gif/disposal.gif');
+    assert.ok(isGif(bytes));
+    const animation = decodeGif(bytes);
+    assert.equal(animation.width, 8);
+    assert.equal(animation.height, 6);
+    assert.equal(animation.loopCount, 3);
+    // A delay of 1/100 s plays at the browsers' default instead
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [100, 200, 300, 100]);
+    animation.frames.forEach((frame, index) => {
+        DISPOSAL_FRAMES[index].forEach((row, y) => {
+            for (let x = 0; x < row.length; x++) {
+                assert.deepEqual(getPixel(frame.pixels, x, y), COLORS[row[x]], `frame ${index}, pixel ${x},${y}`);
+            }
+        });
+    });
+});
+
+test('rejects files that are not GIFs', () => {
+    assert.throws(() => decodeGif(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A])), /Not a GIF file/);
+});
+
+// A full 256-color palette
+const PALETTE = Array.from({ length: 256 }, (_, i) => ({ r: i, g: (i * 7) & 0xFF, b: 255 - i }));
+
+// Pixels using palette colors in a pseudo-random order, so the LZW dictionary fills up and is cleared
+function createNoiseFrame(width, height, seed, delay) {
+    const pixels = createPixelBuffer(width, height);
+    let state = seed;
+    for (let p = 0; p < width * height; p++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        const color = PALETTE[(state >>> 16) & 0xFF];
+        pixels.data.set([color.r, color.g, color.b, 255], p * 4);
+    }
+    return { pixels, delay };
+}
+
+test('round-trips frames through the encoder exactly when they use the palette', () => {
+    const frames = [createNoiseFrame(96, 80, 1, 70), createNoiseFrame(96, 80, 2, 250)];
+    const animation = decodeGif(encodeGif(frames, { palette: PALETTE, loopCount: 2 }));
+    assert.equal(animation.width, 96);
+    assert.equal(animation.height, 80);
+    assert.equal(animation.loopCount, 2);
+    assert.deepEqual(animation.frames.map(frame => frame.delay), [70, 250]);
+    animation.frames.forEach((frame, index) => {
+        assert.deepEqual(frame.pixels.data, frames[index].pixels.data, `frame ${index}`);
+    });
+});
+
+test('round-trips transparency without earlier frames showing through', () => {
+    const palette = [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }];
+    const first = createPixelBuffer(4, 2, new Uint8ClampedArray([
+        ...RED, ...RED, ...BLUE, ...BLUE,
+        ...RED, ...RED, ...BLUE, ...BLUE
+    ]));
+    const second = createPixelBuffer(4, 2, new Uint8ClampedArray([
+        ...CLEAR, ...BLUE, ...CLEAR, ...RED,
+        ...BLUE, ...CLEAR, ...RED, 0, 0, 255, 100 // Mostly transparent
+    ]));
+    const animation = decodeGif(encodeGif([{ pixels: first, delay: 100 }, { pixels: second, delay: 100 }], {
+        palette,
+        loopCount: null
+    }));
+    assert.equal(animation.loopCount, null);
+    assert.deepEqual(animation.frames[0].pixels.data, first.data);
+    assert.deepEqual(Array.from(animation.frames[1].pixels.data), [
+        ...CLEAR, ...BLUE, ...CLEAR, ...RED,
+        ...BLUE, ...CLEAR, ...RED, ...CLEAR
+    ]);
+});
+
+test('maps colors outside the palette to the nearest one', () => {
+    const palette = [{ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }];
+    const pixels = createPixelBuffer(2, 1, new Uint8ClampedArray([40, 30, 20, 255, 200, 220, 210, 255]));
+    const [frame] = decodeGif(encodeGif([{ pixels, delay: 100 }], { palette })).frames;
+    assert.deepEqual(Array.from(frame.pixels.data), [0, 0, 0, 255, ...WHITE]);
+});
+
+// A horizontal grey ramp, shifted to the right by `shift` pixels
+function createRampFrame(width, height, shift) {
+    const pixels = createPixelBuffer(width, height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const grey = Math.round(((x + shift) % width) * 255 / (width - 1));
+            pixels.data.set([grey, grey, grey, 255], (y * width + x) * 4);
+        }
+    }
+    return { pixels, delay: 100 };
+}
+
+const DUOTONE_RECIPE = normalizeRecipe({
+    steps: [createStep('greyscale'), createStep('duotone', { dark: '#1b602f', light: '#f784c5' })]
+});
+
+test('builds the palette of a duotone animation from its gradient', () => {
+    const palette = buildAnimationPalette([createRampFrame(8, 2, 0)], DUOTONE_RECIPE);
+    assert.ok(palette.length > 200 && palette.length <= 255, `${palette.length} colors`);
+    assert.deepEqual(palette[0], { r: 0x1b, g: 0x60, b: 0x2f });
+    assert.deepEqual(palette[palette.length - 1], { r: 0xf7, g: 0x84, b: 0xc5 });
+
+    const inverted = buildAnimationPalette([createRampFrame(8, 2, 0)], DUOTONE_RECIPE, 'inverted');
+    assert.deepEqual(inverted[0], { r: 0xf7, g: 0x84, b: 0xc5 });
+});
+
+test('builds the palette of unmapped frames from their most used colors', () => {
+    const frame = createPixelBuffer(3, 1, new Uint8ClampedArray([...RED, ...RED, ...BLUE]));
+    const palette = buildAnimationPalette([{ pixels: frame, delay: 100 }], null, 'original');
+    assert.deepEqual(palette, [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }]);
+});
+
+test('builds the palette from the frames when a later step adds colors', () => {
+    const recipe = normalizeRecipe({
+        steps: [...DUOTONE_RECIPE.steps, createStep('rgbSplit', { redX: 2, blueX: -2 })]
+    });
+    const frame = createPixelBuffer(3, 1, new Uint8ClampedArray([...RED, ...RED, ...BLUE]));
+    const palette = buildAnimationPalette([{ pixels: frame, delay: 100 }], recipe);
+    assert.deepEqual(palette, [{ r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 255 }]);
+});
+
+test('encodes processed duotone frames without visible loss', async () => {
+    const frames = await processFrames([createRampFrame(64, 4, 0), createRampFrame(64, 4, 16)], DUOTONE_RECIPE, {
+        variant: 'normal'
+    });
+    const animation = decodeGif(encodeAnimation(frames, { recipe: DUOTONE_RECIPE, variant: 'normal', loopCount: 0 }));
+    assert.equal(animation.loopCount, 0);
+    animation.frames.forEach((frame, index) => {
+        assert.ok(compareImages(frame.pixels, frames[index].pixels).max <= 2, `frame ${index}`);
+    });
+});
@@ -0,0 +1,93 @@
+// test/gradient-map.test.js
+// Gradient map sampling, lookup tables and the duotone built on them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyGradientMap,
+    buildGradientLut,
+    reverseGradientStops,
+    sampleGradient,
+    sortGradientStops
+} from '../modules/filters/gradient-map.js';
+import { applyDuotone } from '../modules/filters/duotone.js';
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const RED = { r: 255, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// A tritone listed out of order: red sits in the middle
+const TRITONE = [
+    { position: 1, color: WHITE },
+    { position: 0, color: BLACK },
+    { position: 0.5, color: RED }
+];
+
+// One row of greys, as the gradient map gets them
+function createGreyRow(values) {
+    const data = new Uint8ClampedArray(values.length * 4);
+    values.forEach((value, i) => data.set([value, value, value, 255], i * 4));
+    return { width: values.length, height: 1, data };
+}
+
+test('sorts stops by position and clamps them to the tonal range', () => {
+    const sorted = sortGradientStops([{ position: 1.5, color: WHITE }, { position: -0.2, color: BLACK }]);
+    assert.deepEqual(sorted.map(stop => stop.position), [0, 1]);
+    assert.deepEqual(sorted[0].color, BLACK);
+});
+
+test('mirrors stops when reversing a gradient', () => {
+    const reversed = reverseGradientStops(TRITONE);
+    assert.deepEqual(reversed.map(stop => [stop.position, stop.color]), [[0, WHITE], [0.5, RED], [1, BLACK]]);
+});
+
+test('interpolates between the two stops around a position', () => {
+    assert.deepEqual(sampleGradient(TRITONE, 0.25), { r: 127.5, g: 0, b: 0 });
+    assert.deepEqual(sampleGradient(TRITONE, 0.5), RED);
+    assert.deepEqual(sampleGradient(TRITONE, 0.75), { r: 255, g: 127.5, b: 127.5 });
+});
+
+test('holds the end colors outside the first and last stop', () => {
+    const stops = [{ position: 0.2, color: RED }, { position: 0.8, color: WHITE }];
+    assert.deepEqual(sampleGradient(stops, 0), RED);
+    assert.deepEqual(sampleGradient(stops, 1), WHITE);
+});
+
+test('builds a lookup table with the exact end colors', () => {
+    const lut = buildGradientLut(TRITONE);
+    assert.equal(lut.length, 768);
+    assert.deepEqual(Array.from(lut.subarray(0, 3)), [0, 0, 0]);
+    assert.deepEqual(Array.from(lut.subarray(255 * 3)), [255, 255, 255]);
+    assert.throws(() => buildGradientLut([]), /at least one color stop/);
+});
+
+test('maps greys through the gradient and keeps alpha', () => {
+    const image = createGreyRow([0, 128, 255]);
+    image.data[7] = 100;
+    applyGradientMap(image, TRITONE);
+    assert.deepEqual(Array.from(image.data.subarray(0, 4)), [0, 0, 0, 255]);
+    // 128 is just past the red stop: within a level of pure red
+    const [r, g, b, a] = image.data.subarray(4, 8);
+    assert.ok(r === 255 && g <= 1 && b <= 1, `${r}, ${g}, ${b}`);
+    assert.equal(a, 100);
+    assert.deepEqual(Array.from(image.data.subarray(8)), [255, 255, 255, 255]);
+});
+
+test('blends between table colors for fractional greys', () => {
+    const image = { width: 4, height: 1, data: new Float32Array([127.5, 127.5, 127.5, 255, 254.5, 254.5, 254.5, 255, 300, 300, 300, 255, -5, -5, -5, 255]) };
+    applyGradientMap(image, [{ position: 0, color: BLACK }, { position: 1, color: WHITE }]);
+    assert.deepEqual(Array.from(image.data), [127.5, 127.5, 127.5, 255, 254.5, 254.5, 254.5, 255, 255, 255, 255, 255, 0, 0, 0, 255]);
+});
+
+test('applies a duotone as a two-stop gradient map', () => {
+    const dark = { r: 27, g: 96, b: 47 };
+    const light = { r: 247, g: 132, b: 197 };
+    const duotone = applyDuotone(createGreyRow([0, 64, 191, 255]), dark, light);
+    const mapped = applyGradientMap(createGreyRow([0, 64, 191, 255]), [
+        { position: 0, color: dark },
+        { position: 1, color: light }
+    ]);
+    assert.deepEqual(duotone.data, mapped.data);
+    assert.deepEqual(Array.from(duotone.data.subarray(0, 3)), [27, 96, 47]);
+    assert.deepEqual(Array.from(duotone.data.subarray(12, 15)), [247, 132, 197]);
+});
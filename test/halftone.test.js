@@ -0,0 +1,92 @@
+// test/halftone.test.js
+// Error diffusion, Bayer dithering and AM halftone screening.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyErrorDiffusion,
+    applyHalftone,
+    applyOrderedDither,
+    createBayerMatrix
+} from '../modules/filters/halftone.js';
+
+// A greyscale image with the given values, row by row
+function createGreyImage(width, height, value) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let p = 0; p < width * height; p++) {
+        const grey = typeof value === 'function' ? value(p % width, Math.floor(p / width)) : value;
+        data.set([grey, grey, grey, 200], p * 4);
+    }
+    return { width, height, data };
+}
+
+function greys(pixels) {
+    return Array.from({ length: pixels.width * pixels.height }, (_, p) => pixels.data[p * 4]);
+}
+
+function whiteShare(pixels) {
+    const values = greys(pixels);
+    return values.filter(value => value === 255).length / values.length;
+}
+
+test('Floyd-Steinberg passes 7/16 of the error to the right', () => {
+    // 100 -> 0 leaves an error of 100, so the next pixel sees 143.75 and turns white;
+    // that leaves -111.25, taking the third pixel down to 51.3
+    const row = createGreyImage(3, 1, 100);
+    assert.deepEqual(greys(applyErrorDiffusion(row, { serpentine: false })), [0, 255, 0]);
+});
+
+test('Atkinson drops a quarter of the error', () => {
+    // Only 1/8 reaches each of the next two pixels: 112.5, then 112.5 + 14.1, both still dark
+    const row = createGreyImage(3, 1, 100);
+    assert.deepEqual(greys(applyErrorDiffusion(row, { method: 'atkinson' })), [0, 0, 0]);
+});
+
+test('error diffusion keeps the average tone and only outputs the requested levels', () => {
+    const dithered = applyErrorDiffusion(createGreyImage(32, 32, 64));
+    assert.ok(Math.abs(whiteShare(dithered) - 64 / 255) < 0.01, `white share ${whiteShare(dithered)}`);
+    assert.ok(greys(dithered).every(value => value === 0 || value === 255));
+
+    const threeTones = applyErrorDiffusion(createGreyImage(8, 8, (x) => x * 32), { levels: 3 });
+    assert.ok(greys(threeTones).every(value => [0, 128, 255].includes(value)));
+    assert.equal(threeTones.data[3], 200); // Alpha is left alone
+});
+
+test('applyErrorDiffusion rejects unknown methods', () => {
+    assert.throws(() => applyErrorDiffusion(createGreyImage(1, 1, 0), { method: 'jarvis' }), /Unknown error diffusion method 'jarvis'/);
+});
+
+test('createBayerMatrix builds the recursive threshold pattern', () => {
+    assert.deepEqual(createBayerMatrix(2), [[0, 2], [3, 1]]);
+    const matrix = createBayerMatrix(8);
+    assert.equal(matrix.length, 8);
+    assert.deepEqual(matrix.flat().sort((a, b) => a - b), Array.from({ length: 64 }, (_, i) => i));
+});
+
+test('ordered dithering whitens the share of cells below the tone', () => {
+    // 64 is 25.1% of white: the 4 lowest of the 16 thresholds ((m + 0.5) / 16) are below it
+    const dithered = applyOrderedDither(createGreyImage(4, 4, 64), { size: 4 });
+    assert.equal(whiteShare(dithered), 4 / 16);
+    assert.deepEqual(greys(dithered).slice(0, 4), [255, 0, 255, 0]); // The first row's thresholds are 0, 8, 2, 10
+});
+
+test('ordered dithering lines up across tiles', () => {
+    const gradient = (x, y) => (x * 7 + y * 13) % 256;
+    const whole = applyOrderedDither(createGreyImage(8, 8, gradient), { size: 4 });
+    // The last three rows on their own, told where they sit
+    const tile = applyOrderedDither(createGreyImage(8, 3, (x, y) => gradient(x, y + 5)), { size: 4, region: { x: 0, y: 5 } });
+    assert.deepEqual(greys(tile), greys(whole).slice(5 * 8));
+});
+
+test('halftone dots cover the darkness of the image', () => {
+    assert.equal(whiteShare(applyHalftone(createGreyImage(16, 16, 255))), 1);
+    assert.equal(whiteShare(applyHalftone(createGreyImage(16, 16, 0))), 0);
+    for (const shape of ['round', 'ellipse', 'square', 'line']) {
+        const screened = applyHalftone(createGreyImage(64, 64, 64), { cellSize: 8, shape });
+        assert.ok(Math.abs(whiteShare(screened) - 64 / 255) < 0.05, `${shape}: white share ${whiteShare(screened)}`);
+    }
+});
+
+test('applyHalftone rejects unknown dot shapes', () => {
+    assert.throws(() => applyHalftone(createGreyImage(1, 1, 0), { shape: 'star' }), /Unknown halftone dot shape 'star'/);
+});
@@ -0,0 +1,70 @@
+// test/helpers.js
+// Shared helpers for the codec and CLI tests.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { decodePng } from '../cli/png.js';
+
+/**
+ * Absolute path of a file under test/fixtures.
+ * @param {string} name - Path relative to the fixtures directory.
+ * @returns {string} The absolute path.
+ */
+export function fixturePath(name) {
+    return fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+}
+
+/**
+ * Reads a fixture file.
+ * @param {string} name - Path relative to the fixtures directory.
+ * @returns {Promise<Uint8Array>} The file content.
+ */
+export async function readFixture(name) {
+    return new Uint8Array(await readFile(fixturePath(name)));
+}
+
+/**
+ * Reads a PNG fixture as pixels.
+ * @param {string} name - Path relative to the fixtures directory.
+ * @returns {Promise<PixelBuffer>} The decoded pixels.
+ */
+export async function readPngFixture(name) {
+    return decodePng(await readFixture(name));
+}
+
+/**
+ * Compares two images channel by channel.
+ * @param {PixelBuffer} actual - The image under test.
+ * @param {PixelBuffer} expected - The reference image, of the same size.
+ * @param {Object} [options]
+ * @param {boolean} [options.alpha=true] - Whether to compare the alpha channel too.
+ * @returns {{max: number, mean: number}} The largest and the mean absolute difference.
+ */
+export function compareImages(actual, expected, { alpha = true } = {}) {
+    if (actual.width !== expected.width || actual.height !== expected.height) {
+        throw new Error(`Size ${actual.width}x${actual.height} differs from ${expected.width}x${expected.height}.`);
+    }
+    let max = 0;
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < expected.data.length; i++) {
+        if (!alpha && i % 4 === 3) continue;
+        const difference = Math.abs(actual.data[i] - expected.data[i]);
+        max = Math.max(max, difference);
+        sum += difference;
+        count++;
+    }
+    return { max, mean: sum / count };
+}
+
+/**
+ * Reads one pixel.
+ * @param {PixelBuffer} pixels - The image.
+ * @param {number} x - Column.
+ * @param {number} y - Row.
+ * @returns {number[]} Its [r, g, b, a] values.
+ */
+export function getPixel({ width, data }, x, y) {
+    const o = (y * width + x) * 4;
+    return Array.from(data.subarray(o, o + 4));
+}
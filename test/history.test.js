@@ -0,0 +1,99 @@
+// test/history.test.js
+// Undo/redo history: merging of quick changes, the step limit, and redo after undo.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory } from '../modules/history.js';
+
+// A history with a clock the test moves by hand
+function createTestHistory(initialState, options = {}) {
+    const clock = { time: 0 };
+    const history = createHistory(initialState, { ...options, now: () => clock.time });
+    return { history, clock };
+}
+
+// Undoes until there is nothing left, listing the states passed through
+function undoAll(history) {
+    const states = [];
+    while (history.canUndo()) {
+        states.push(history.undo());
+    }
+    return states;
+}
+
+test('undo and redo step through the recorded states', () => {
+    const { history } = createTestHistory('a');
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.undo(), null);
+    history.record('b');
+    history.record('c');
+    assert.equal(history.undo(), 'b');
+    assert.equal(history.undo(), 'a');
+    assert.equal(history.canRedo(), true);
+    assert.equal(history.redo(), 'b');
+    assert.equal(history.redo(), 'c');
+    assert.equal(history.redo(), null);
+});
+
+test('recording after undo drops the redo steps', () => {
+    const { history } = createTestHistory('a');
+    history.record('b');
+    history.undo();
+    history.record('c');
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(undoAll(history), ['a']);
+});
+
+test('changes of one group within the merge window become one step', () => {
+    const { history, clock } = createTestHistory(0, { mergeWindowMs: 1000 });
+    history.record(1, 'slider');
+    clock.time = 900;
+    history.record(2, 'slider');
+    clock.time = 1800; // Measured from the last change, so a long drag stays one step
+    history.record(3, 'slider');
+    assert.deepEqual(undoAll(history), [0]);
+});
+
+test('changes are not merged across groups, without a group or after the window', () => {
+    const { history, clock } = createTestHistory(0, { mergeWindowMs: 1000 });
+    history.record(1, 'slider');
+    history.record(2, 'picker');
+    history.record(3, null);
+    history.record(4, null);
+    clock.time = 1000;
+    history.record(5, null);
+    history.record(6, 'picker');
+    clock.time = 2000;
+    history.record(7, 'picker');
+    assert.deepEqual(undoAll(history), [6, 5, 4, 3, 2, 1, 0]);
+});
+
+test('undo ends a merge, so the next change is a step of its own', () => {
+    const { history } = createTestHistory(0);
+    history.record(1, 'slider');
+    history.record(2, 'slider');
+    history.undo();
+    history.record(3, 'slider');
+    assert.deepEqual(undoAll(history), [0]);
+    assert.equal(history.redo(), 3);
+});
+
+test('the oldest steps are dropped beyond the limit', () => {
+    const { history } = createTestHistory(0, { limit: 3 });
+    for (let state = 1; state <= 5; state++) {
+        history.record(state);
+    }
+    assert.deepEqual(undoAll(history), [4, 3, 2]);
+});
+
+test('reset forgets all steps', () => {
+    const { history } = createTestHistory('a');
+    history.record('b');
+    history.record('c');
+    history.undo();
+    history.reset('z');
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.canRedo(), false);
+    history.record('y');
+    assert.deepEqual(undoAll(history), ['z']);
+});
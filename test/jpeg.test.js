@@ -0,0 +1,54 @@
+// test/jpeg.test.js
+// JPEG decoder against reference decodes of baseline and progressive files, and encoder round-trips.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeJpeg, encodeJpeg, isJpeg } from '../cli/jpeg.js';
+import { createPixelBuffer } from '../modules/utils.js';
+import { compareImages, readFixture, readPngFixture } from './helpers.js';
+
+// The fixtures are 37x29 (partial MCUs at the right and bottom edges); each *.expected.png is the same file decoded
+// by jpeg-js. Decoders may differ a little in IDCT rounding and chroma upsampling, so they are compared within
+// a tolerance.
+const MAX_DIFFERENCE = 4;
+const MAX_MEAN_DIFFERENCE = 1;
+
+for (const name of ['baseline-420', 'baseline-444', 'progressive-420', 'progressive-grey']) {
+    test(`decodes ${name}.jpg`, async () => {
+        const bytes = await readFixture(`jpeg/${name}.jpg`);
+        assert.ok(isJpeg(bytes));
+        const pixels = decodeJpeg(bytes);
+        const expected = await readPngFixture(`jpeg/${name}.expected.png`);
+        const { max, mean } = compareImages(pixels, expected);
+        assert.ok(max <= MAX_DIFFERENCE, `largest difference ${max}`);
+        assert.ok(mean <= MAX_MEAN_DIFFERENCE, `mean difference ${mean}`);
+    });
+}
+
+test('decodes a progressive file like its baseline twin', async () => {
+    const baseline = decodeJpeg(await readFixture('jpeg/baseline-420.jpg'));
+    const progressive = decodeJpeg(await readFixture('jpeg/progressive-420.jpg'));
+    assert.ok(compareImages(progressive, baseline).max <= MAX_DIFFERENCE);
+});
+
+test('rejects files that are not JPEGs', () => {
+    assert.throws(() => decodeJpeg(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), /Not a JPEG file/);
+});
+
+test('round-trips pixels through the encoder within the quality loss', () => {
+    const pixels = createPixelBuffer(40, 24);
+    for (let y = 0; y < 24; y++) {
+        for (let x = 0; x < 40; x++) {
+            const o = (y * 40 + x) * 4;
+            pixels.data[o] = x * 6;
+            pixels.data[o + 1] = y * 10;
+            pixels.data[o + 2] = 200 - x * 3;
+            pixels.data[o + 3] = 255;
+        }
+    }
+    const decoded = decodeJpeg(encodeJpeg(pixels, 0.95));
+    assert.equal(decoded.width, 40);
+    assert.equal(decoded.height, 24);
+    const { mean } = compareImages(decoded, pixels);
+    assert.ok(mean <= 2, `mean difference ${mean}`);
+});
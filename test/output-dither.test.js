@@ -0,0 +1,59 @@
+// test/output-dither.test.js
+// Dither noise added before the final rounding to 8 bits: triangular noise and the blue noise texture.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOutputDither, buildBlueNoise } from '../modules/filters/output-dither.js';
+import { toBytePixels } from '../modules/utils.js';
+
+// A float image where every channel holds the same value
+function createFlatImage(width, height, value) {
+    const data = new Float32Array(width * height * 4).fill(value);
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    return { width, height, data };
+}
+
+function roundedReds(image) {
+    const bytes = toBytePixels(image).data;
+    return Array.from({ length: image.width * image.height }, (_, p) => bytes[p * 4]);
+}
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+test('without dither a flat half-level rounds all one way', () => {
+    assert.ok(roundedReds(createFlatImage(8, 8, 100.4)).every(value => value === 100));
+});
+
+test('triangular noise keeps the average level and stays within a level either way', () => {
+    const dithered = roundedReds(applyOutputDither(createFlatImage(64, 64, 100.4)));
+    assert.ok(Math.abs(average(dithered) - 100.4) < 0.05, `average ${average(dithered)}`);
+    assert.ok(dithered.every(value => value >= 99 && value <= 101));
+});
+
+test('the noise is the same for the three channels and leaves alpha alone', () => {
+    const { data } = applyOutputDither(createFlatImage(4, 4, 100));
+    for (let i = 0; i < data.length; i += 4) {
+        assert.ok(data[i] === data[i + 1] && data[i] === data[i + 2]);
+        assert.equal(data[i + 3], 255);
+    }
+});
+
+test('the noise lines up across tiles', () => {
+    for (const noise of ['triangular', 'blue-noise']) {
+        const whole = applyOutputDither(createFlatImage(8, 8, 50.5), { noise });
+        const tile = applyOutputDither(createFlatImage(8, 3, 50.5), { noise, region: { x: 0, y: 5 } });
+        assert.deepEqual(Array.from(tile.data), Array.from(whole.data.subarray(5 * 8 * 4)), noise);
+    }
+});
+
+test('the blue noise texture uses every threshold once', () => {
+    const thresholds = buildBlueNoise(8);
+    assert.deepEqual(Array.from(thresholds).sort((a, b) => a - b), Array.from({ length: 64 }, (_, i) => (i + 0.5) / 64));
+    // Over one whole texture, a level halfway between two rounds up exactly half the time
+    const dithered = roundedReds(applyOutputDither(createFlatImage(64, 64, 100.5), { noise: 'blue-noise' }));
+    assert.equal(average(dithered), 100.5);
+});
+
+test('applyOutputDither rejects unknown noises', () => {
+    assert.throws(() => applyOutputDither(createFlatImage(1, 1, 0), { noise: 'white' }), /Unknown output dither noise 'white'/);
+});
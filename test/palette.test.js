@@ -0,0 +1,51 @@
+// test/palette.test.js
+// Main colors of an image, WCAG contrast and the suggested shadows/highlights pairs.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contrastRatio, relativeLuminance } from '../modules/color.js';
+import { ensureContrast, extractPalette, suggestColorPairs } from '../modules/palette.js';
+import { hexToRgb } from '../modules/utils.js';
+
+function createImage(colors) {
+    const data = new Uint8ClampedArray(colors.length * 4);
+    colors.forEach((color, p) => data.set(color, p * 4));
+    return { width: colors.length, height: 1, data };
+}
+
+test('contrastRatio follows WCAG', () => {
+    assert.equal(relativeLuminance({ r: 255, g: 255, b: 255 }), 1);
+    assert.equal(contrastRatio({ r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }), 21);
+    assert.equal(contrastRatio({ r: 255, g: 255, b: 255 }, { r: 0, g: 0, b: 0 }), 21);
+    // #777 on white is the classic just-too-light grey: 4.48:1
+    assert.ok(Math.abs(contrastRatio(hexToRgb('#777777'), hexToRgb('#ffffff')) - 4.48) < 0.01);
+});
+
+test('extractPalette finds the colors of an image by share, ignoring transparent pixels', () => {
+    const red = [200, 30, 30, 255];
+    const navy = [10, 10, 80, 255];
+    const hidden = [0, 255, 0, 10];
+    const image = createImage([...new Array(12).fill(red), ...new Array(4).fill(navy), ...new Array(8).fill(hidden)]);
+    assert.deepEqual(extractPalette(image, 4), [{ hex: '#c81e1e', weight: 0.75 }, { hex: '#0a0a50', weight: 0.25 }]);
+    assert.deepEqual(extractPalette(createImage([hidden])), []);
+});
+
+test('ensureContrast pushes the lightness apart until the contrast is reached', () => {
+    const { dark, light } = ensureContrast('#777777', '#888888', 4.5);
+    assert.ok(contrastRatio(hexToRgb(dark), hexToRgb(light)) >= 4.5);
+    assert.ok(hexToRgb(dark).r < 0x77 && hexToRgb(light).r > 0x88);
+});
+
+test('suggestColorPairs lists pairs with enough contrast first, dark color first', () => {
+    const pairs = suggestColorPairs([
+        { hex: '#ffffff', weight: 0.3 },
+        { hex: '#000000', weight: 0.5 },
+        { hex: '#777777', weight: 0.2 }
+    ]);
+    assert.deepEqual(pairs.map(({ dark, light, adjusted }) => [dark, light, adjusted]), [
+        ['#000000', '#ffffff', false],
+        ['#000000', '#777777', false],
+        ['#747474', '#ffffff', true]
+    ]);
+    assert.ok(pairs.every(pair => pair.contrast >= 4.5));
+});
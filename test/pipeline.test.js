@@ -0,0 +1,124 @@
+// test/pipeline.test.js
+// Recipes: parameter normalization, JSON round trips, running steps and editing the color mapping.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createStep,
+    normalizeRecipe,
+    parseRecipe,
+    runRecipe,
+    runRecipeStep,
+    serializeRecipe,
+    updateStepParams
+} from '../modules/pipeline.js';
+import '../modules/steps.js';
+
+const STOPS = [{ position: 0, hex: '#102030' }, { position: 1, hex: '#f0e0d0' }];
+
+test('createStep fills in defaults and replaces invalid parameters', () => {
+    assert.deepEqual(createStep('duotone'), {
+        step: 'duotone',
+        enabled: true,
+        params: { dark: '#000000', light: '#ffffff', interpolation: 'srgb' }
+    });
+    const entry = createStep('duotone', { dark: '#ABCDEF', light: 'red', interpolation: 'hsl', extra: 1 }, false);
+    assert.deepEqual(entry, {
+        step: 'duotone',
+        enabled: false,
+        params: { dark: '#abcdef', light: '#ffffff', interpolation: 'srgb' }
+    });
+});
+
+test('normalizeRecipe clamps and sorts gradient stops', () => {
+    const recipe = normalizeRecipe({
+        steps: [{ step: 'gradientMap', params: { stops: [{ position: 2, hex: '#FFFFFF' }, { position: -1, hex: '#000' }] } }]
+    });
+    assert.deepEqual(recipe.steps[0].params.stops, [{ position: 0, hex: '#000' }, { position: 1, hex: '#ffffff' }]);
+});
+
+test('recipes survive a JSON round trip', () => {
+    const recipe = normalizeRecipe({
+        steps: [{ step: 'greyscale' }, { step: 'gradientMap', params: { stops: STOPS }, enabled: false }]
+    });
+    assert.deepEqual(parseRecipe(serializeRecipe(recipe)), recipe);
+});
+
+test('parseRecipe rejects broken JSON, unknown steps and newer versions', () => {
+    assert.throws(() => parseRecipe('{"steps": ['), /not valid JSON/);
+    assert.throws(() => parseRecipe('{"steps": [{"step": "sepia"}]}'), /Unknown pipeline step 'sepia'/);
+    assert.throws(() => parseRecipe('{"version": 99, "steps": []}'), /newer version \(99\)/);
+    assert.throws(() => parseRecipe('{}'), /needs a "steps" list/);
+});
+
+test('runRecipeStep runs enabled steps and skips disabled ones', () => {
+    const recipe = normalizeRecipe({ steps: [{ step: 'duotone', params: { dark: '#ff0000', light: '#0000ff' } }] });
+    const black = () => ({ width: 1, height: 1, data: new Uint8ClampedArray([0, 0, 0, 255]) });
+    assert.deepEqual([...runRecipeStep(black(), recipe, 0).data], [255, 0, 0, 255]);
+    assert.deepEqual([...runRecipeStep(black(), recipe, 0, { variant: 'inverted' }).data], [0, 0, 255, 255]);
+    recipe.steps[0].enabled = false;
+    assert.deepEqual([...runRecipeStep(black(), recipe, 0).data], [0, 0, 0, 255]);
+});
+
+test('runRecipe works on a copy and can stop before a step', () => {
+    const recipe = normalizeRecipe({
+        steps: [{ step: 'greyscale' }, { step: 'duotone', params: { dark: '#000000', light: '#ff0000' } }]
+    });
+    const input = { width: 1, height: 1, data: new Uint8ClampedArray([0, 255, 0, 128]) };
+    assert.deepEqual([...runRecipe(input, recipe, { end: 1 }).data], [182, 182, 182, 128]);
+    assert.deepEqual([...runRecipe(input, recipe).data], [182, 0, 0, 128]);
+    assert.deepEqual([...input.data], [0, 255, 0, 128]);
+});
+
+test('runRecipe keeps fractions between the steps and rounds once at the end', () => {
+    // Squeezed to a tenth and stretched back: in 8 bits the middle step would leave only every tenth grey
+    const recipe = normalizeRecipe({
+        steps: [
+            { step: 'curves', params: { points: [{ x: 0, y: 0 }, { x: 1, y: 0.1 }] } },
+            { step: 'curves', params: { points: [{ x: 0, y: 0 }, { x: 0.1, y: 1 }] } }
+        ]
+    });
+    const greys = Array.from({ length: 26 }, (_, v) => v);
+    const input = { width: 26, height: 1, data: new Uint8ClampedArray(greys.flatMap(v => [v, v, v, 255])) };
+    const output = runRecipe(input, recipe);
+    assert.ok(output.data instanceof Uint8ClampedArray);
+    assert.deepEqual([...output.data], [...input.data]);
+
+    const squeezed = runRecipe(input, recipe, { end: 1, precision: 'float' });
+    assert.ok(squeezed.data instanceof Float32Array);
+    assert.ok(Math.abs(squeezed.data[25 * 4] - 2.5) < 1e-4);
+});
+
+test('updateStepParams changes the first step with the id and adds missing steps at the end', () => {
+    const steps = normalizeRecipe({ steps: [{ step: 'greyscale' }, { step: 'gradientMap' }, { step: 'gradientMap' }] }).steps;
+    const updated = updateStepParams(steps, 'gradientMap', { stops: STOPS });
+    assert.deepEqual(updated[1].params.stops, STOPS);
+    assert.equal(updated[2], steps[2]);
+    assert.notDeepEqual(steps[1].params.stops, STOPS); // The input is left alone
+
+    const added = updateStepParams([steps[0]], 'autoContrast', {});
+    assert.deepEqual(added.map(entry => entry.step), ['greyscale', 'autoContrast']);
+
+    // Tone adjustments go before the color mapping, which colors the image; other steps go last
+    const beforeColor = updateStepParams(steps, 'levels', {});
+    assert.deepEqual(beforeColor.map(entry => entry.step), ['greyscale', 'levels', 'gradientMap', 'gradientMap']);
+    const last = updateStepParams(steps, 'rgbSplit', {});
+    assert.deepEqual(last.map(entry => entry.step), ['greyscale', 'gradientMap', 'gradientMap', 'rgbSplit']);
+});
+
+test('updateStepParams converts a Duotone instead of adding a second color mapping', () => {
+    const steps = normalizeRecipe({
+        steps: [
+            { step: 'greyscale' },
+            { step: 'duotone', params: { dark: '#102030', light: '#f0e0d0', interpolation: 'oklch' }, enabled: false },
+            { step: 'rgbSplit' }
+        ]
+    }).steps;
+    const updated = updateStepParams(steps, 'gradientMap', { stops: [STOPS[0], { position: 1, hex: '#ffffff' }] });
+    assert.deepEqual(updated.map(entry => entry.step), ['greyscale', 'gradientMap', 'rgbSplit']);
+    assert.equal(updated[1].enabled, false);
+    assert.deepEqual(updated[1].params.stops, [STOPS[0], { position: 1, hex: '#ffffff' }]);
+
+    // Parameters the change doesn't touch come from the Duotone
+    assert.deepEqual(updateStepParams(steps, 'gradientMap', {})[1].params, { stops: STOPS, interpolation: 'oklch' });
+});
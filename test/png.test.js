@@ -0,0 +1,98 @@
+// test/png.test.js
+// PNG decoder against fixtures of every color type, bit depth and interlacing, and encoder round-trips.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePng, encodePng, isPng } from '../cli/png.js';
+import { createPixelBuffer } from '../modules/utils.js';
+import { getPixel, readFixture } from './helpers.js';
+
+// The fixtures are 9x7 and cycle through all five row filters. 16-bit fixtures carry the same values in their
+// high bytes, and a varying low byte that rounds them up or down.
+const WIDTH = 9;
+const HEIGHT = 7;
+const grey = (x, y) => x * 28 + y * 4;
+const rgb = (x, y) => [x * 28, y * 40, 255 - (x + y) * 16];
+const alpha = (x, y) => 255 - x * 12 - y * 20;
+const lowByte = (x, y) => (x * 37 + y * 11) & 0xFF;
+const from16Bit = (value, low) => Math.round(((value << 8) | low) * 255 / 65535);
+// 16-entry palette with a 4-entry tRNS chunk (the rest stays opaque)
+const paletteColor = (x, y) => {
+    const index = (x + y * 3) % 16;
+    return [index * 16, 255 - index * 16, index * 8, index < 4 ? index * 60 : 255];
+};
+const grey16 = (x, y) => {
+    const value = from16Bit(grey(x, y), lowByte(x, y));
+    return [value, value, value, 255];
+};
+
+const FIXTURES = {
+    'grey-8': (x, y) => [grey(x, y), grey(x, y), grey(x, y), 255],
+    'grey-16': grey16,
+    'grey-16-adam7': grey16,
+    'rgb-8': (x, y) => [...rgb(x, y), 255],
+    'rgb-16': (x, y) => [...rgb(x, y).map(value => from16Bit(value, lowByte(x, y))), 255],
+    'palette-8': paletteColor,
+    'palette-4': paletteColor,
+    'palette-4-adam7': paletteColor,
+    'grey-alpha-8': (x, y) => [grey(x, y), grey(x, y), grey(x, y), alpha(x, y)],
+    'grey-alpha-16': (x, y) => [
+        ...grey16(x, y).slice(0, 3),
+        from16Bit(alpha(x, y), lowByte(y, x))
+    ],
+    'rgba-8': (x, y) => [...rgb(x, y), alpha(x, y)],
+    'rgba-16': (x, y) => [...rgb(x, y), alpha(x, y)].map(value => from16Bit(value, lowByte(x, y))),
+    'rgba-8-adam7': (x, y) => [...rgb(x, y), alpha(x, y)]
+};
+
+for (const [name, expected] of Object.entries(FIXTURES)) {
+    test(`decodes ${name}.png`, async () => {
+        const bytes = await readFixture(`png/${name}.png`);
+        assert.ok(isPng(bytes));
+        const pixels = decodePng(bytes);
+        assert.equal(pixels.width, WIDTH);
+        assert.equal(pixels.height, HEIGHT);
+        for (let y = 0; y < HEIGHT; y++) {
+            for (let x = 0; x < WIDTH; x++) {
+                assert.deepEqual(getPixel(pixels, x, y), expected(x, y), `pixel ${x},${y}`);
+            }
+        }
+    });
+}
+
+test('rejects files that are not PNGs', () => {
+    assert.throws(() => decodePng(new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0])), /Not a PNG file/);
+});
+
+// Deterministic noise, so the encoder has to pick different filters from row to row
+function createTestImage(width, height, opaque) {
+    const pixels = createPixelBuffer(width, height);
+    let seed = 1;
+    for (let i = 0; i < pixels.data.length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        pixels.data[i] = i % 4 === 3 && opaque ? 255 : (seed >>> 16) & 0xFF;
+    }
+    return pixels;
+}
+
+test('round-trips opaque pixels through an RGB PNG', () => {
+    const pixels = createTestImage(31, 17, true);
+    const bytes = encodePng(pixels);
+    assert.equal(bytes[25], 2, 'color type');
+    const decoded = decodePng(bytes);
+    assert.equal(decoded.width, 31);
+    assert.equal(decoded.height, 17);
+    assert.deepEqual(decoded.data, pixels.data);
+});
+
+test('round-trips transparent pixels through an RGBA PNG', () => {
+    const pixels = createTestImage(16, 23, false);
+    const bytes = encodePng(pixels);
+    assert.equal(bytes[25], 6, 'color type');
+    assert.deepEqual(decodePng(bytes).data, pixels.data);
+});
+
+test('re-encodes a decoded 16-bit interlaced file losslessly', async () => {
+    const pixels = decodePng(await readFixture('png/grey-16-adam7.png'));
+    assert.deepEqual(decodePng(encodePng(pixels)).data, pixels.data);
+});
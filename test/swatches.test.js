@@ -0,0 +1,118 @@
+// test/swatches.test.js
+// Preset files (JSON), Adobe Swatch Exchange and GIMP palettes, and the user's preset store.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPresetStore, parsePresets, serializePresets } from '../modules/presets.js';
+import { decodeAse, decodeGpl, encodeAse, encodeGpl, parseSwatchFile } from '../modules/swatches.js';
+
+const PRESETS = [
+    { name: 'Sunset', stops: [{ position: 0, hex: '#1b1035' }, { position: 0.5, hex: '#d1495b' }, { position: 1, hex: '#fcd581' }] },
+    { name: 'Ocean', stops: [{ position: 0, hex: '#00202e' }, { position: 1, hex: '#9ad1d4' }] }
+];
+
+// One ASE block: type, byte length, body
+function aseBlock(type, body) {
+    const block = new Uint8Array(6 + body.length);
+    const view = new DataView(block.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    block.set(body, 6);
+    return block;
+}
+
+// An ASE color block in the given model, with a one-letter name
+function aseColor(model, values) {
+    const body = new Uint8Array(6 + 4 + values.length * 4 + 2);
+    const view = new DataView(body.buffer);
+    view.setUint16(0, 2); // Name length, with the closing 0
+    view.setUint16(2, 'x'.charCodeAt(0));
+    body.set([...model].map(c => c.charCodeAt(0)), 6);
+    values.forEach((value, i) => view.setFloat32(10 + i * 4, value));
+    return aseBlock(0x0001, body);
+}
+
+function aseFile(blocks) {
+    const header = new Uint8Array(12);
+    const view = new DataView(header.buffer);
+    header.set([0x41, 0x53, 0x45, 0x46]);
+    view.setUint16(4, 1);
+    view.setUint32(8, blocks.length);
+    return new Uint8Array([...header, ...blocks.flatMap(block => [...block])]);
+}
+
+test('JSON presets round-trip', () => {
+    assert.deepEqual(parsePresets(serializePresets(PRESETS)), PRESETS);
+    assert.deepEqual(parsePresets(JSON.stringify(PRESETS[1])), [PRESETS[1]]); // A single preset
+    assert.deepEqual(parsePresets(JSON.stringify(PRESETS)), PRESETS); // A bare list
+});
+
+test('parsePresets rejects broken files', () => {
+    assert.throws(() => parsePresets('[{'), /not valid JSON/);
+    assert.throws(() => parsePresets('{"version": 2, "presets": []}'), /newer version \(2\)/);
+    assert.throws(() => parsePresets('[{"stops": []}]'), /needs a name/);
+    assert.throws(() => parsePresets('[{"name": "One", "stops": [{"position": 0, "hex": "#000"}]}]'), /at least two stops/);
+});
+
+test('ASE presets round-trip as color groups', () => {
+    const bytes = encodeAse(PRESETS);
+    assert.equal(String.fromCharCode(...bytes.subarray(0, 4)), 'ASEF');
+    assert.equal(new DataView(bytes.buffer).getUint32(8), 2 + 3 + 2 + 2); // Group start and end, plus the colors
+    assert.deepEqual(decodeAse(bytes), { presets: PRESETS, swatches: [] });
+});
+
+test('ASE groups come back evenly spread', () => {
+    const uneven = [{ name: 'Uneven', stops: [{ position: 0, hex: '#000000' }, { position: 0.2, hex: '#808080' }, { position: 1, hex: '#ffffff' }] }];
+    const { presets } = decodeAse(encodeAse(uneven));
+    assert.deepEqual(presets[0].stops.map(stop => stop.position), [0, 0.5, 1]);
+    assert.deepEqual(presets[0].stops.map(stop => stop.hex), ['#000000', '#808080', '#ffffff']);
+});
+
+test('decodeAse converts grey, CMYK and Lab colors and keeps loose ones as swatches', () => {
+    const bytes = aseFile([
+        aseColor('Gray', [0.5]),
+        aseColor('CMYK', [0, 1, 1, 0]),
+        aseColor('LAB ', [1, 0, 0]),
+        aseColor('LAB ', [0, 0, 0])
+    ]);
+    assert.deepEqual(decodeAse(bytes), { presets: [], swatches: ['#808080', '#ff0000', '#ffffff', '#000000'] });
+});
+
+test('decodeAse rejects other and truncated files', () => {
+    assert.throws(() => decodeAse(new TextEncoder().encode('GIMP Palette\n')), /Not an Adobe Swatch Exchange/);
+    // Cut off in the middle of the first color
+    assert.throws(() => decodeAse(encodeAse(PRESETS).subarray(0, 50)), /truncated/);
+});
+
+test('GIMP palettes keep the colors in order', () => {
+    const text = encodeGpl(PRESETS, 'Test');
+    assert.match(text, /^GIMP Palette\nName: Test\n/);
+    assert.match(text, /# Sunset\n 27  16  53\t#1b1035\n/);
+    const colors = PRESETS.flatMap(preset => preset.stops.map(stop => stop.hex));
+    assert.deepEqual(decodeGpl(text), { presets: [], swatches: colors });
+    assert.throws(() => decodeGpl('ASEF'), /Not a GIMP palette/);
+});
+
+test('parseSwatchFile picks the format from the extension', () => {
+    const encoder = new TextEncoder();
+    assert.deepEqual(parseSwatchFile('looks.JSON', encoder.encode(serializePresets(PRESETS))).presets, PRESETS);
+    assert.deepEqual(parseSwatchFile('looks.ase', encodeAse(PRESETS)).presets, PRESETS);
+    assert.equal(parseSwatchFile('looks.gpl', encoder.encode(encodeGpl(PRESETS))).swatches.length, 5);
+    assert.throws(() => parseSwatchFile('looks.aco', new Uint8Array(0)), /Unsupported swatch file/);
+});
+
+test('the preset store replaces presets by name and keeps them in storage', () => {
+    const items = new Map();
+    const storage = { getItem: key => (items.has(key) ? items.get(key) : null), setItem: (key, value) => items.set(key, value) };
+    const store = createPresetStore(storage);
+    store.save(PRESETS[0]);
+    store.save(PRESETS[1]);
+    store.save({ ...PRESETS[0], stops: PRESETS[1].stops });
+    assert.deepEqual(store.list().map(preset => preset.name), ['Ocean', 'Sunset']);
+    assert.deepEqual(store.list()[1].stops, PRESETS[1].stops);
+
+    const reloaded = createPresetStore(storage);
+    assert.deepEqual(reloaded.list(), store.list());
+    reloaded.remove('Ocean');
+    assert.deepEqual(createPresetStore(storage).list().map(preset => preset.name), ['Sunset']);
+});
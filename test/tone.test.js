@@ -0,0 +1,96 @@
+// test/tone.test.js
+// Levels and curves lookup tables (unrounded, for the float pipeline), and the percentile bounds behind auto levels.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    applyLut,
+    buildCurveLut,
+    buildLevelsLut,
+    findPercentileBounds,
+    IDENTITY_CURVE,
+    resolveLevels
+} from '../modules/filters/tone.js';
+
+// The tables hold unrounded values
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-3, `${actual} is not ${expected}`);
+}
+
+function isNonDecreasing(lut) {
+    return lut.every((value, v) => v === 0 || value >= lut[v - 1]);
+}
+
+test('buildLevelsLut stretches the range between the black and white points', () => {
+    const lut = buildLevelsLut({ black: 50, white: 200, gamma: 1 });
+    assert.equal(lut[0], 0);
+    assert.equal(lut[50], 0);
+    assertClose(lut[125], 127.5); // Halfway
+    assert.equal(lut[200], 255);
+    assert.equal(lut[255], 255);
+});
+
+test('buildLevelsLut bends the midtones by the gamma', () => {
+    // A quarter of the way up the range, gamma 2 takes the square root
+    assertClose(buildLevelsLut({ black: 55, white: 255, gamma: 2 })[105], 127.5);
+    assertClose(buildLevelsLut({ black: 55, white: 255, gamma: 0.5 })[105], 15.9375);
+});
+
+test('buildLevelsLut turns a flat range into a threshold', () => {
+    const lut = buildLevelsLut({ black: 100, white: 100, gamma: 1 });
+    assert.equal(lut[99], 0);
+    assert.equal(lut[100], 255);
+});
+
+test('findPercentileBounds clips the given share of pixels at each end', () => {
+    const histogram = new Array(256).fill(0);
+    histogram[0] = 1;
+    histogram[128] = 98;
+    histogram[255] = 1;
+    assert.deepEqual(findPercentileBounds(histogram, 0, 0), { black: 0, white: 255 });
+    assert.deepEqual(findPercentileBounds(histogram, 1, 1), { black: 128, white: 128 });
+    assert.deepEqual(findPercentileBounds(new Array(256).fill(0), 1, 1), { black: 0, white: 255 });
+});
+
+test('resolveLevels only looks at the histogram in auto mode', () => {
+    const manual = { auto: false, black: 10, white: 240, gamma: 1.2, clipBlack: 0, clipWhite: 0 };
+    assert.deepEqual(resolveLevels(manual, () => assert.fail('histogram computed')), { black: 10, white: 240, gamma: 1.2 });
+
+    const histogram = new Array(256).fill(0);
+    histogram[20] = 5;
+    histogram[220] = 5;
+    assert.deepEqual(resolveLevels({ ...manual, auto: true }, histogram), { black: 20, white: 220, gamma: 1.2 });
+});
+
+test('buildCurveLut is the identity for the identity curve', () => {
+    const lut = buildCurveLut(IDENTITY_CURVE);
+    lut.forEach((value, v) => assert.equal(value, v));
+});
+
+test('buildCurveLut holds the end values outside the first and last point', () => {
+    const lut = buildCurveLut([{ x: 0.2, y: 0.1 }, { x: 0.8, y: 0.9 }]);
+    assertClose(lut[0], 25.5);
+    assertClose(lut[255], 229.5);
+    assertClose(lut[128], 25.5 + (128 - 51) * 4 / 3); // Two points make a straight line
+});
+
+test('buildCurveLut does not overshoot between points', () => {
+    // A steep rise into a flat top: an unconstrained spline would bulge above 1 and come back down
+    const lut = buildCurveLut([{ x: 0, y: 0 }, { x: 0.5, y: 0.9 }, { x: 0.55, y: 1 }, { x: 1, y: 1 }]);
+    assert.ok(isNonDecreasing(lut));
+    assert.equal(lut[Math.ceil(0.55 * 255)], 255);
+});
+
+test('applyLut interpolates between entries for fractional values', () => {
+    const lut = buildLevelsLut({ black: 0, white: 255, gamma: 1 });
+    const pixels = { width: 1, height: 1, data: new Float32Array([100.25, -4, 300, 77]) };
+    const [r, g, b, a] = applyLut(pixels, lut).data;
+    assertClose(r, 100.25);
+    assert.deepEqual([g, b, a], [0, 255, 77]); // Held at the table's ends
+});
+
+test('applyLut maps the color channels and keeps alpha', () => {
+    const lut = new Uint8ClampedArray(256).map((value, v) => 255 - v);
+    const pixels = { width: 1, height: 1, data: new Uint8ClampedArray([0, 100, 255, 77]) };
+    assert.deepEqual([...applyLut(pixels, lut).data], [255, 155, 0, 77]);
+});
@@ -0,0 +1,99 @@
+// test/transparency.test.js
+// Transparent pixels: alpha-weighted histograms, premultiplied blending and sampling, and the export modes.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    computeHistogram,
+    flattenAlpha,
+    flattenAlphaToTone,
+    withTransparencyMode
+} from '../modules/image-core.js';
+import { applyBlend } from '../modules/filters/blend.js';
+import { applyErrorDiffusion } from '../modules/filters/halftone.js';
+import { applyRgbSplit } from '../modules/filters/rgb-split.js';
+import { findPercentileBounds } from '../modules/filters/tone.js';
+import { normalizeRecipe, runRecipe } from '../modules/pipeline.js';
+import '../modules/steps.js';
+
+// A one-row image of the given [r, g, b, a] pixels
+function createRow(pixels) {
+    return { width: pixels.length, height: 1, data: new Uint8ClampedArray(pixels.flat()) };
+}
+
+function pixelsOf(image) {
+    return Array.from({ length: image.width * image.height }, (_, p) => [...image.data.subarray(p * 4, p * 4 + 4)]);
+}
+
+const RECIPE = normalizeRecipe({
+    steps: [
+        { step: 'greyscale' },
+        { step: 'gradientMap', params: { stops: [{ position: 0, hex: '#000080' }, { position: 1, hex: '#ffcc00' }] } }
+    ]
+});
+
+test('computeHistogram counts pixels by their opacity', () => {
+    const histogram = computeHistogram(createRow([[100, 100, 100, 255], [100, 100, 100, 51], [250, 250, 250, 0]]));
+    assert.ok(Math.abs(histogram[100] - 1.2) < 1e-9);
+    assert.equal(histogram[250], 0);
+});
+
+test('the hidden background of a cut-out does not stretch auto levels', () => {
+    const logo = createRow([
+        ...new Array(5).fill([40, 40, 40, 255]),
+        ...new Array(5).fill([200, 200, 200, 255]),
+        ...new Array(40).fill([0, 0, 0, 0]),
+        ...new Array(40).fill([255, 255, 255, 0])
+    ]);
+    assert.deepEqual(findPercentileBounds(computeHistogram(logo), 1, 1), { black: 40, white: 200 });
+});
+
+test('flattenAlpha and flattenAlphaToTone put the pixels on a background', () => {
+    // 20% opaque black on white: 255 - 255 * 0.2
+    assert.deepEqual(pixelsOf(flattenAlpha(createRow([[0, 0, 0, 51]]), { r: 255, g: 255, b: 255 })), [[204, 204, 204, 255]]);
+    assert.deepEqual(pixelsOf(flattenAlpha(createRow([[10, 20, 30, 0]]), { r: 0, g: 128, b: 255 })), [[0, 128, 255, 255]]);
+    assert.deepEqual(pixelsOf(flattenAlphaToTone(createRow([[0, 0, 0, 51], [90, 90, 90, 255]]), 255)),
+        [[204, 204, 204, 255], [90, 90, 90, 255]]);
+});
+
+test('withTransparencyMode adds a flatten step at the end or a tone step before the color mapping', () => {
+    assert.equal(withTransparencyMode(RECIPE, { mode: 'keep' }), RECIPE);
+
+    const flattened = withTransparencyMode(RECIPE, { mode: 'flatten', background: '#102030' });
+    assert.deepEqual(flattened.steps.map(entry => entry.step), ['greyscale', 'gradientMap', 'flattenAlpha']);
+    assert.equal(flattened.steps[2].params.background, '#102030');
+
+    const mapped = withTransparencyMode(RECIPE, { mode: 'gradient' });
+    assert.deepEqual(mapped.steps.map(entry => entry.step), ['greyscale', 'alphaToTone', 'gradientMap']);
+    assert.equal(RECIPE.steps.length, 2); // The recipe itself is left alone
+
+    assert.throws(() => withTransparencyMode(RECIPE, { mode: 'matte' }), /Unknown transparency mode 'matte'/);
+});
+
+test('the gradient mode maps transparent areas to the highlight color', () => {
+    const image = createRow([[0, 0, 0, 0], [0, 0, 0, 255]]);
+    const result = runRecipe(image, withTransparencyMode(RECIPE, { mode: 'gradient' }));
+    assert.deepEqual(pixelsOf(result), [[255, 204, 0, 255], [0, 0, 128, 255]]);
+});
+
+test('blending does not pick up the color of transparent pixels', () => {
+    // Half of a grey over a transparent red: the red doesn't show, only the alpha is mixed
+    const top = createRow([[100, 100, 100, 255]]);
+    assert.deepEqual(pixelsOf(applyBlend(top, createRow([[255, 0, 0, 0]]), { opacity: 50 })), [[100, 100, 100, 128]]);
+    // Colors are weighted by alpha: 200 * (55 * 0.5) / 155 + 100 * (255 * 0.5) / 155
+    const faint = createRow([[100, 100, 100, 255]]);
+    assert.deepEqual(pixelsOf(applyBlend(faint, createRow([[200, 200, 200, 55]]), { opacity: 50 })), [[118, 118, 118, 155]]);
+});
+
+test('error diffusion skips fully transparent pixels', () => {
+    // The transparent first pixel passes on no error, so the second goes dark and passes its own on to the third
+    const row = createRow([[100, 100, 100, 0], [100, 100, 100, 255], [100, 100, 100, 255]]);
+    assert.deepEqual(pixelsOf(applyErrorDiffusion(row, { serpentine: false })).map(pixel => pixel[0]), [0, 0, 255]);
+});
+
+test('RGB split does not bleed the color of transparent neighbours', () => {
+    // The red channel of the second pixel is sampled halfway into a transparent red pixel
+    const row = createRow([[255, 0, 0, 0], [0, 0, 255, 255]]);
+    const [, split] = pixelsOf(applyRgbSplit(row, { red: { x: 0.5, y: 0 } }));
+    assert.deepEqual(split, [0, 0, 255, 255]);
+});
@@ -0,0 +1,55 @@
+// test/url-state.test.js
+// Settings in the URL hash: encoding, decoding, older links and damaged links.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRecipe } from '../modules/pipeline.js';
+import { DEFAULT_GEOMETRY } from '../modules/geometry.js';
+import { decodeSettingsHash, encodeSettingsHash } from '../modules/url-state.js';
+
+const RECIPE = normalizeRecipe({
+    steps: [
+        { step: 'greyscale' },
+        { step: 'curves', params: { points: [{ x: 0, y: 0 }, { x: 0.5, y: 0.6 }, { x: 1, y: 1 }] } },
+        { step: 'gradientMap', params: { stops: [{ position: 0, hex: '#10243e' }, { position: 1, hex: '#ffcc66' }] } }
+    ]
+});
+
+const GEOMETRY = {
+    rotation: 90,
+    flipH: true,
+    flipV: false,
+    straighten: -2.5,
+    crop: { x: 0.1, y: 0.2, width: 0.5, height: 0.25 },
+    aspect: '16:9'
+};
+
+test('the settings survive the round trip through the hash', async () => {
+    const hash = await encodeSettingsHash({ recipe: RECIPE, geometry: GEOMETRY });
+    assert.match(hash, /^recipe=z[A-Za-z0-9_-]+$/); // Deflated, and safe in a URL without escaping
+    assert.deepEqual(await decodeSettingsHash(hash), { recipe: RECIPE, geometry: GEOMETRY });
+    assert.deepEqual(await decodeSettingsHash(`#${hash}`), { recipe: RECIPE, geometry: GEOMETRY });
+});
+
+test('uncompressed links are read too', async () => {
+    const packed = Buffer.from(JSON.stringify({ recipe: RECIPE, geometry: GEOMETRY })).toString('base64url');
+    assert.deepEqual(await decodeSettingsHash(`#other=1&recipe=j${packed}`), { recipe: RECIPE, geometry: GEOMETRY });
+});
+
+test('links from before framing hold just the recipe', async () => {
+    const packed = Buffer.from(JSON.stringify(RECIPE)).toString('base64url');
+    assert.deepEqual(await decodeSettingsHash(`#recipe=j${packed}`), { recipe: RECIPE, geometry: { ...DEFAULT_GEOMETRY } });
+});
+
+test('a hash without settings gives null', async () => {
+    assert.equal(await decodeSettingsHash(''), null);
+    assert.equal(await decodeSettingsHash('#section-2'), null);
+});
+
+test('damaged links are reported', async () => {
+    await assert.rejects(decodeSettingsHash('#recipe=zAAAA'), /settings in the link are damaged/);
+    await assert.rejects(decodeSettingsHash('#recipe=xe30'), /damaged \(unknown encoding\)/);
+    await assert.rejects(decodeSettingsHash(`#recipe=j${Buffer.from('{"recipe":').toString('base64url')}`), /damaged/);
+    const unknownStep = Buffer.from('{"recipe": {"steps": [{"step": "sepia"}]}}').toString('base64url');
+    await assert.rejects(decodeSettingsHash(`#recipe=j${unknownStep}`), /Unknown pipeline step 'sepia'/);
+});